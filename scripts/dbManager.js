@@ -26,6 +26,7 @@ fs.readdirSync(modelsPath)
 // Load Seed Data
 const seedData = require("./seedData.json");
 const { generateUniqueSlug, createSlug } = require("../src/utils/slug");
+const { recordInitialStock } = require("../src/services/inventoryService");
 
 /* ================================
    HELPER FUNCTIONS
@@ -64,12 +65,94 @@ async function connectDB() {
 /** Sync schema & indexes */
 async function migrateDB() {
   console.log("Migrating schema & ensuring indexes...");
+  // Indexes whose options changed (guest checkout made buy-now user optional)
+  await mongoose.models.BuyNow.syncIndexes();
   await Promise.all(
     Object.values(mongoose.models).map((model) => model.init())
   );
+  await backfillCouponRedemptions();
+  await backfillDealUnitsSold();
   console.log("Migration complete. No data deleted.");
 }
 
+/**
+ * Record past coupon orders in the redemption ledger and rebuild the coupon
+ * usedCount / userUsage counters from it (they used to count cart applies too)
+ */
+async function backfillCouponRedemptions() {
+  const { Order, Coupon, CouponRedemption } = mongoose.models;
+
+  const orders = await Order.find({ coupon: { $ne: null } })
+    .select("coupon user guest discount totalAmount orderStatus paymentStatus createdAt")
+    .populate("user", "email")
+    .lean();
+
+  let created = 0;
+  for (const order of orders) {
+    if (await CouponRedemption.exists({ order: order._id })) continue;
+    const released =
+      order.orderStatus === "cancelled" || order.paymentStatus === "refunded";
+    await CouponRedemption.create({
+      coupon: order.coupon,
+      order: order._id,
+      user: order.user?._id || null,
+      email: order.user?.email || order.guest?.email || null,
+      discount: order.discount || 0,
+      orderTotal: order.totalAmount || 0,
+      status: released ? "released" : "active",
+      releasedAt: released ? new Date() : null,
+      releaseReason: released
+        ? order.orderStatus === "cancelled" ? "cancelled" : "refunded"
+        : null,
+      createdAt: order.createdAt,
+    });
+    created += 1;
+  }
+
+  const counts = await CouponRedemption.aggregate([
+    { $match: { status: "active" } },
+    { $group: { _id: { coupon: "$coupon", user: "$user" }, count: { $sum: 1 } } },
+  ]);
+  const coupons = await Coupon.find().select("_id");
+  for (const coupon of coupons) {
+    const rows = counts.filter((r) => r._id.coupon.equals(coupon._id));
+    const userUsage = {};
+    for (const row of rows) {
+      if (row._id.user) userUsage[row._id.user.toString()] = row.count;
+    }
+    await Coupon.updateOne(
+      { _id: coupon._id },
+      { $set: { usedCount: rows.reduce((sum, r) => sum + r.count, 0), userUsage } }
+    );
+  }
+
+  console.log(`Coupon redemptions backfilled: ${created}, counters rebuilt for ${coupons.length} coupons.`);
+}
+
+/** Count units of past orders (not cancelled) against the deals that priced them */
+async function backfillDealUnitsSold() {
+  const { Order, Deal } = mongoose.models;
+
+  const rows = await Order.aggregate([
+    { $match: { orderStatus: { $ne: "cancelled" } } },
+    { $unwind: "$items" },
+    { $match: { "items.appliedDealId": { $ne: null } } },
+    {
+      $group: {
+        _id: "$items.appliedDealId",
+        units: { $sum: { $ifNull: ["$items.dealQuantity", "$items.quantity"] } },
+      },
+    },
+  ]);
+
+  await Deal.updateMany({}, { $set: { unitsSold: 0 } });
+  for (const row of rows) {
+    await Deal.updateOne({ _id: row._id }, { $set: { unitsSold: row.units } });
+  }
+
+  console.log(`Deal units sold rebuilt for ${rows.length} deals.`);
+}
+
 /** Drop all collections */
 async function dropDB() {
   const confirmed = await confirmAction(
@@ -178,7 +261,7 @@ async function seedDB() {
     // Generate a unique slug for the product
     const slug = await generateUniqueSlug(Product, createSlug(prod.name));
 
-    await Product.create({
+    const product = await Product.create({
       ...prod,
       category: mainCategory._id,
       subCategory: subCategoryId,
@@ -186,6 +269,7 @@ async function seedDB() {
       createdBy: admin._id,
       slug, // Add slug here
     });
+    await recordInitialStock(product, { user: admin._id, note: "Seed data import" });
 
     console.log(`Created product: ${prod.name}`);
   }
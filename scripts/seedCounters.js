@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Seed the counters collection from existing data
+ *
+ * Reads every order number, contact id and RMA number, finds the highest
+ * sequence used per year and raises the matching counter to it. Safe to
+ * re-run: counters are never lowered.
+ *
+ * Usage: npm run db:seed-counters
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Order = require("../src/models/order.model");
+const Contact = require("../src/models/contact.model");
+const ReturnRequest = require("../src/models/returnRequest.model");
+const { ensureSequenceAtLeast } = require("../src/services/sequenceService");
+
+const SEQUENCES = [
+  { name: "order", model: Order, field: "orderNumber", prefix: process.env.ORDER_PREFIX || "ORD" },
+  { name: "contact", model: Contact, field: "contactId", prefix: process.env.CONTACT_PREFIX || "CT" },
+  { name: "rma", model: ReturnRequest, field: "rmaNumber", prefix: process.env.RMA_PREFIX || "RMA" },
+];
+
+/** Connect to MongoDB */
+async function connectDB() {
+  if (!process.env.MONGO_URI) {
+    console.error("MONGO_URI not found in .env file.");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+
+  console.log(`Connected to database: ${mongoose.connection.name}`);
+}
+
+/** Highest sequence per year for one numbered field */
+async function collectMaxima({ model, field, prefix }) {
+  const regex = new RegExp(`^${prefix}-(\\d{4})-(\\d+)$`);
+  const maxima = {};
+
+  const cursor = model
+    .find({ [field]: { $regex: `^${prefix}-` } })
+    .select(field)
+    .lean()
+    .cursor();
+
+  for await (const doc of cursor) {
+    const match = String(doc[field]).match(regex);
+    if (!match) continue;
+    const [, year, seq] = match;
+    maxima[year] = Math.max(maxima[year] || 0, parseInt(seq, 10));
+  }
+
+  return maxima;
+}
+
+async function seedCounters() {
+  try {
+    await connectDB();
+
+    for (const sequence of SEQUENCES) {
+      const maxima = await collectMaxima(sequence);
+      const years = Object.keys(maxima).sort();
+
+      if (years.length === 0) {
+        console.log(`${sequence.name}: no existing numbers, nothing to seed`);
+        continue;
+      }
+
+      for (const year of years) {
+        const counterName = `${sequence.name}:${year}`;
+        const seq = await ensureSequenceAtLeast(counterName, maxima[year]);
+        console.log(`${counterName}: highest existing ${maxima[year]}, counter now ${seq}`);
+      }
+    }
+
+    await mongoose.disconnect();
+    console.log("Counters seeded.");
+    process.exit(0);
+  } catch (error) {
+    console.error("Error seeding counters:", error);
+    process.exit(1);
+  }
+}
+
+seedCounters();
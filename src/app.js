@@ -25,10 +25,12 @@ const cartRoutes = require("./routes/cart.routes");
 const buyNowRoutes = require("./routes/buyNow.routes");
 const wishlistRoutes = require("./routes/wishlist.routes");
 const orderRoutes = require("./routes/order.routes");
+const returnRoutes = require("./routes/return.routes");
 const couponRoutes = require("./routes/coupon.routes");
 const shippingZoneRoutes = require("./routes/shippingZone.routes");
 const siteSettingRoutes = require("./routes/siteSetting.routes");
 const contactRoutes = require("./routes/contact.routes");
+const cronRoutes = require("./routes/cron.routes");
 const stripeWebhook = require("./routes/stripeWebhook.route");
 
 app.use("/api/stripe", stripeWebhook);
@@ -55,7 +57,9 @@ const corsOptions = {
     "X-Requested-With",
     "Accept",
     "Origin",
+    "Idempotency-Key",
   ],
+  exposedHeaders: ["Idempotent-Replayed"],
 };
 app.use(cors(corsOptions));
 app.options("*", cors(corsOptions));
@@ -81,7 +85,8 @@ app.use("/api", limiter);
 app.use(express.json({ limit: "50mb" }));
 app.use(express.text({ limit: "50mb", type: "text/plain" })); // Handle text/plain as JSON
 app.use(express.urlencoded({ extended: true, limit: "50mb", parameterLimit: 50000 }));
-app.use(cookieParser());
+// Secret signs the guest cart cookie (cart_token)
+app.use(cookieParser(process.env.COOKIE_SECRET || process.env.JWT_SECRET));
 
 // Middleware to parse text/plain as JSON if it looks like JSON
 app.use((req, res, next) => {
@@ -131,10 +136,12 @@ app.use("/api/v1/cart", cartRoutes);
 app.use("/api/v1/buy-now", buyNowRoutes);
 app.use("/api/v1/wishlist", wishlistRoutes);
 app.use("/api/v1/orders", orderRoutes);
+app.use("/api/v1/returns", returnRoutes);
 app.use("/api/v1/coupon", couponRoutes);
 app.use("/api/v1/shipping-zones", shippingZoneRoutes);
 app.use("/api/v1/admin/settings", siteSettingRoutes);
 app.use("/api/v1/contact", contactRoutes);
+app.use("/api/v1/cron", cronRoutes);
 
 // Static files
 app.use(express.static(path.join(__dirname, "public")));
@@ -1,12 +1,30 @@
 const crypto = require("crypto");
 const User = require("../models/user.model");
+const Order = require("../models/order.model");
 const catchAsync = require("../utils/catchAsync");
 const AppError = require("../utils/appError");
 const sendEmail = require("../utils/email");
 const welcomeEmail = require("../templates/emails/welcomeEmail");
 const resetPasswordEmail = require("../templates/emails/resetPasswordEmail");
-const { createSendToken } = require("../utils/token");
+const { createSendToken, verifyGuestClaimToken } = require("../utils/token");
 const successResponse = require("../utils/successResponse");
+const { claimGuestOrders } = require("./order.controller");
+const { clearGuestCartCookie, readGuestToken } = require("../middleware/cartOwner.middleware");
+const { mergeGuestCart } = require("../services/cartMergeService");
+
+// Helper: fold this browser's guest cart into the account (never blocks the login)
+const mergeCartOnLogin = async (req, res, user) => {
+  const guestToken = readGuestToken(req);
+  if (!guestToken) return undefined;
+  try {
+    const report = await mergeGuestCart(user._id, guestToken, { email: user.email });
+    clearGuestCartCookie(res);
+    return report;
+  } catch (err) {
+    console.error("Guest cart merge failed:", err.message);
+    return undefined;
+  }
+};
 
 exports.signup = catchAsync(async (req, res, next) => {
   const { name, email, password, passwordConfirm, role } = req.body;
@@ -39,7 +57,9 @@ exports.signup = catchAsync(async (req, res, next) => {
     console.error("Welcome email failed to send:", emailError.message);
   }
 
-  createSendToken(newUser, 201, res, "User registered successfully", "user_token");
+  const cartMerge = await mergeCartOnLogin(req, res, newUser);
+
+  createSendToken(newUser, 201, res, "User registered successfully", "user_token", { cartMerge });
 });
 
 exports.login = catchAsync(async (req, res, next) => {
@@ -62,7 +82,57 @@ exports.login = catchAsync(async (req, res, next) => {
     );
   }
 
-  createSendToken(user, 200, res, "login successfully", "user_token");
+  const cartMerge = await mergeCartOnLogin(req, res, user);
+
+  createSendToken(user, 200, res, "login successfully", "user_token", { cartMerge });
+});
+
+// Guest checkout → account: create the user from the emailed claim link and claim its orders
+exports.convertGuest = catchAsync(async (req, res, next) => {
+  const { claimToken, name, password, passwordConfirm } = req.body;
+  if (!claimToken || !password || !passwordConfirm) {
+    return next(new AppError("All required fields must be provided", 400));
+  }
+  if (password !== passwordConfirm) {
+    return next(new AppError("Passwords do not match", 400));
+  }
+
+  // Only the owner of the checkout inbox receives a claim token
+  const guestEmail = verifyGuestClaimToken(claimToken);
+  if (!guestEmail) {
+    return next(new AppError("Claim token is invalid or has expired", 400));
+  }
+  const order = await Order.findOne({ user: null, "guest.email": guestEmail }).sort({
+    createdAt: -1,
+  });
+  if (!order) {
+    return next(new AppError("No guest orders found for this email", 404));
+  }
+
+  if (await User.exists({ email: guestEmail })) {
+    return next(
+      new AppError("An account with this email already exists. Log in to claim your orders.", 409)
+    );
+  }
+
+  const newUser = await User.create({
+    name: name || order.guest.name || order.shippingAddress?.fullName,
+    email: guestEmail,
+    phoneNumber: order.guest.phone || undefined,
+    password,
+    passwordConfirm,
+    role: "user",
+  });
+
+  const claimed = await claimGuestOrders(newUser);
+
+  // The guest cart on this device becomes the account's cart
+  const cartMerge = await mergeCartOnLogin(req, res, newUser);
+
+  createSendToken(newUser, 201, res, "Account created successfully", "user_token", {
+    claimed,
+    cartMerge,
+  });
 });
 
 exports.logout = (req, res) => {
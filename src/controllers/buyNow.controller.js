@@ -5,6 +5,9 @@ const successResponse = require("../utils/successResponse");
 const errorResponse = require("../utils/errorResponse");
 const { calculateTotalsFromItems } = require("../utils/calculateCartTotals");
 const { applyDealsToProducts } = require("../services/dealEvaluationService");
+const { assertPurchaseLimits } = require("../services/purchaseLimitService");
+const { isBuyNowExpired, moveBuyNowToCart } = require("../services/buyNowService");
+const { getCouponLimitIssue } = require("../services/couponRedemptionService");
 
 /**
  * Find variant by ID, handling different ID formats
@@ -135,18 +138,25 @@ exports.setBuyNowItem = catchAsync(async (req, res) => {
     ...(normalizedVariantId && { variantId: normalizedVariantId }),
   };
 
-  let buyNow = await BuyNow.findOne({ user: req.user._id });
+  await assertPurchaseLimits(
+    [{ product, variantId: normalizedVariantId, quantity }],
+    { userId: req.user?._id, email: req.user?.email }
+  );
+
+  let buyNow = await BuyNow.findOne(req.cartOwner.filter);
   
   if (buyNow) {
     // Replace existing buy-now item
     buyNow.item = buyNowItem;
     buyNow.coupon = null;
     buyNow.discount = 0;
+    buyNow.startedAt = new Date();
     await buyNow.save();
   } else {
     // Create new buy-now
     buyNow = await BuyNow.create({
-      user: req.user._id,
+      user: req.cartOwner.user,
+      guestToken: req.cartOwner.guestToken,
       item: buyNowItem,
     });
   }
@@ -162,7 +172,7 @@ exports.setBuyNowItem = catchAsync(async (req, res) => {
   });
 
   // Calculate totals (this function now preserves the populated product)
-  buyNow = await calculateBuyNowTotals(buyNow, req.user._id);
+  buyNow = await calculateBuyNowTotals(buyNow, req.cartOwner.user);
   
   // Ensure product is still populated after calculation
   if (!buyNow.item.product || typeof buyNow.item.product === 'string' || (buyNow.item.product._id && !buyNow.item.product.name)) {
@@ -254,6 +264,9 @@ exports.setBuyNowItem = catchAsync(async (req, res) => {
     dealPrice: dealPrice,
     appliedDealId: appliedDealId,
     appliedDealVariant: appliedDealVariant,
+    // Buy X get Y / tiered deals on this line
+    promotions: buyNow._computed?.lines?.[0]?.promotions || [],
+    dealQuantity: buyNow._computed?.lines?.[0]?.dealQuantity || 0,
     quantity: buyNow.item.quantity,
     shippingFee: productObj.shippingFee ?? null,
     tax: productObj.tax !== undefined ? productObj.tax : null,
@@ -282,6 +295,7 @@ exports.setBuyNowItem = catchAsync(async (req, res) => {
       items: [formattedItem], // Array format to match cart response structure
       total: buyNow.total,
       discount: buyNow.discount,
+      promotionDiscount: buyNow.promotionDiscount,
       shippingFee: buyNow.shippingFee,
       finalTotal: buyNow.finalTotal,
       codFee: buyNow.codFee,
@@ -295,7 +309,7 @@ exports.setBuyNowItem = catchAsync(async (req, res) => {
 
 // Get Buy Now Item with calculated totals
 exports.getBuyNowItem = catchAsync(async (req, res) => {
-  let buyNow = await BuyNow.findOne({ user: req.user._id })
+  let buyNow = await BuyNow.findOne(req.cartOwner.filter)
     .populate({
       path: "item.product",
       select: "name slug price sale_price image mainImage in_stock quantity shippingFee tax variants weight shippingClass",
@@ -306,6 +320,12 @@ exports.getBuyNowItem = catchAsync(async (req, res) => {
     })
     .populate("coupon", "code discountType discountValue expiryDate");
 
+  // Stale sessions are dropped here too, in case the expiry job hasn't run yet
+  if (buyNow && (await isBuyNowExpired(buyNow))) {
+    await BuyNow.deleteOne({ _id: buyNow._id });
+    buyNow = null;
+  }
+
   if (!buyNow || !buyNow.item) {
     return successResponse(
       res,
@@ -338,7 +358,7 @@ exports.getBuyNowItem = catchAsync(async (req, res) => {
   }
 
   // Calculate totals (this will apply deals and set deal pricing fields on buyNow.item.product)
-  buyNow = await calculateBuyNowTotals(buyNow, req.user._id);
+  buyNow = await calculateBuyNowTotals(buyNow, req.cartOwner.user);
   
   // After calculateBuyNowTotals, always re-populate product to ensure we have all fields
   // The product might have been set to a plain object which doesn't persist correctly
@@ -419,6 +439,9 @@ exports.getBuyNowItem = catchAsync(async (req, res) => {
     dealPrice: dealPrice,
     appliedDealId: appliedDealId,
     appliedDealVariant: appliedDealVariant,
+    // Buy X get Y / tiered deals on this line
+    promotions: buyNow._computed?.lines?.[0]?.promotions || [],
+    dealQuantity: buyNow._computed?.lines?.[0]?.dealQuantity || 0,
     quantity: buyNow.item.quantity,
     shippingFee: product.shippingFee ?? null,
     tax: product.tax !== undefined ? product.tax : null,
@@ -447,6 +470,7 @@ exports.getBuyNowItem = catchAsync(async (req, res) => {
       items: [formattedItem], // Array format to match cart response structure
       total: buyNow.total,
       discount: buyNow.discount,
+      promotionDiscount: buyNow.promotionDiscount,
       shippingFee: buyNow.shippingFee,
       finalTotal: buyNow.finalTotal,
       codFee: buyNow.codFee,
@@ -460,10 +484,19 @@ exports.getBuyNowItem = catchAsync(async (req, res) => {
 
 // Clear Buy Now Item
 exports.clearBuyNowItem = catchAsync(async (req, res) => {
-  await BuyNow.findOneAndDelete({ user: req.user._id });
+  await BuyNow.findOneAndDelete(req.cartOwner.filter);
   return successResponse(res, {}, "Buy Now item cleared successfully");
 });
 
+// Move the Buy Now item (with coupon and shipping method) into the cart
+exports.moveToCart = catchAsync(async (req, res) => {
+  const { cart, coupon } = await moveBuyNowToCart(req.cartOwner, {
+    customer: { userId: req.user?._id, email: req.user?.email },
+  });
+
+  return successResponse(res, { cart, coupon }, "Buy Now item moved to cart");
+});
+
 // Helper: Calculate Buy Now totals
 const calculateBuyNowTotals = async (buyNow, userId) => {
   if (!buyNow || !buyNow.item) return buyNow;
@@ -518,7 +551,10 @@ const calculateBuyNowTotals = async (buyNow, userId) => {
 
   buyNow.total = totals.total;
   buyNow.discount = totals.discount;
+  buyNow.promotionDiscount = totals.promotionDiscount;
   buyNow.shippingFee = totals.shippingFee;
+  // Per-line discounts for the response (not stored)
+  buyNow._computed = { lines: totals.lines };
   buyNow.codFee = totals.codFee;
   buyNow.finalTotal = totals.finalTotal;
 
@@ -578,68 +614,54 @@ exports.applyCoupon = catchAsync(async (req, res) => {
   if (coupon.startDate && coupon.startDate > new Date())
     return errorResponse(res, "Coupon not yet active", 400);
 
-  let buyNow = await BuyNow.findOne({ user: req.user._id })
-    .populate("item.product");
+  let buyNow = await BuyNow.findOne(req.cartOwner.filter);
   if (!buyNow || !buyNow.item) return errorResponse(res, "Buy Now item not found", 404);
 
-  // Calculate current subtotal
-  const product = buyNow.item.product;
-  let price = product.sale_price ?? product.price ?? 0;
-  
-  if (buyNow.item.variantId && product.variants && Array.isArray(product.variants)) {
-    const variant = findVariantById(product.variants, buyNow.item.variantId);
-    if (variant && variant.price !== undefined && variant.price !== null) {
-      price = variant.price;
-    }
-  }
-  
-  const subtotal = price * buyNow.item.quantity;
-
-  // Check eligibility
-  if (subtotal < (coupon.minCartValue || 0))
+  // Check eligibility: scope, customer and minimum, on current prices
+  const totals = await calculateTotalsFromItems(
+    [{ product: buyNow.item.product, quantity: buyNow.item.quantity, variantId: buyNow.item.variantId }],
+    coupon,
+    buyNow.shippingMethod,
+    buyNow.paymentMethod,
+    req.cartOwner.user
+  );
+  if (!totals.validCoupon) {
     return errorResponse(
       res,
-      `Buy Now total must be at least ${coupon.minCartValue}`,
-      400
+      totals.couponIssue?.message || "Coupon cannot be applied to this item",
+      400,
+      totals.couponIssue?.items
     );
+  }
 
-  // Check usage limits
-  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit)
-    return errorResponse(res, "Coupon usage limit reached", 400);
+  // Check usage limits against redemptions (a use is only recorded at checkout)
+  // Per-user limits can only be enforced for accounts
+  if (coupon.perUserLimit && !req.user)
+    return errorResponse(res, "Please log in to use this coupon", 401);
 
-  const userUsage = coupon.userUsage?.get(req.user._id.toString()) || 0;
-  if (coupon.perUserLimit && userUsage >= coupon.perUserLimit)
-    return errorResponse(res, "You have already used this coupon", 400);
+  const limitIssue = await getCouponLimitIssue(coupon, {
+    userId: req.user?._id,
+    email: req.user?.email,
+  });
+  if (limitIssue) return errorResponse(res, limitIssue, 400);
 
   buyNow.coupon = coupon._id;
-  buyNow = await calculateBuyNowTotals(buyNow, req.user._id);
+  buyNow = await calculateBuyNowTotals(buyNow, req.cartOwner.user);
 
   return successResponse(res, { buyNow }, "Coupon applied successfully");
 });
 
 // Remove Coupon from Buy Now
 exports.removeCoupon = catchAsync(async (req, res) => {
-  let buyNow = await BuyNow.findOne({ user: req.user._id });
+  let buyNow = await BuyNow.findOne(req.cartOwner.filter);
   if (!buyNow) return errorResponse(res, "Buy Now item not found", 404);
 
   if (!buyNow.coupon)
     return errorResponse(res, "No coupon applied to this buy now item", 400);
 
-  const Coupon = require("../models/coupon.model");
-  const coupon = await Coupon.findById(buyNow.coupon);
-  if (coupon) {
-    if (coupon.usedCount > 0) coupon.usedCount -= 1;
-    const userId = req.user._id.toString();
-    const userUsageCount = coupon.userUsage.get(userId) || 0;
-    if (userUsageCount > 0) {
-      coupon.userUsage.set(userId, userUsageCount - 1);
-    }
-    await coupon.save();
-  }
-
   buyNow.coupon = null;
   buyNow.discount = 0;
-  buyNow = await calculateBuyNowTotals(buyNow, req.user._id);
+  buyNow = await calculateBuyNowTotals(buyNow, req.cartOwner.user);
 
   return successResponse(res, { buyNow }, "Coupon removed successfully");
 });
@@ -650,11 +672,11 @@ exports.setShippingMethod = catchAsync(async (req, res) => {
   if (!["standard", "express"].includes(method))
     return errorResponse(res, "Invalid shipping method", 400);
 
-  let buyNow = await BuyNow.findOne({ user: req.user._id });
+  let buyNow = await BuyNow.findOne(req.cartOwner.filter);
   if (!buyNow) return errorResponse(res, "Buy Now item not found", 404);
 
   buyNow.shippingMethod = method;
-  buyNow = await calculateBuyNowTotals(buyNow, req.user._id);
+  buyNow = await calculateBuyNowTotals(buyNow, req.cartOwner.user);
 
   return successResponse(res, { buyNow }, `Shipping method updated to ${method}`);
 });
@@ -665,17 +687,18 @@ exports.setPaymentMethod = catchAsync(async (req, res) => {
   if (!["stripe", "cod"].includes(method))
     return errorResponse(res, "Invalid payment method", 400);
 
-  let buyNow = await BuyNow.findOne({ user: req.user._id });
+  let buyNow = await BuyNow.findOne(req.cartOwner.filter);
   if (!buyNow) return errorResponse(res, "Buy Now item not found", 404);
 
   buyNow.paymentMethod = method;
-  buyNow = await calculateBuyNowTotals(buyNow, req.user._id);
+  buyNow = await calculateBuyNowTotals(buyNow, req.cartOwner.user);
 
   return successResponse(
     res,
     {
       total: buyNow.total,
       discount: buyNow.discount,
+      promotionDiscount: buyNow.promotionDiscount,
       shippingFee: buyNow.shippingFee,
       codFee: buyNow.codFee,
       finalTotal: buyNow.finalTotal,
@@ -5,6 +5,25 @@ const catchAsync = require("../utils/catchAsync");
 const successResponse = require("../utils/successResponse");
 const errorResponse = require("../utils/errorResponse");
 const calculateCartTotals = require("../utils/calculateCartTotals");
+const { calculateTotalsFromItems } = require("../utils/calculateCartTotals");
+const { applyDealsToProducts } = require("../services/dealEvaluationService");
+const { mergeGuestCart } = require("../services/cartMergeService");
+const { validateCart } = require("../services/cartValidationService");
+const { assertPurchaseLimits } = require("../services/purchaseLimitService");
+const { getCouponLimitIssue } = require("../services/couponRedemptionService");
+const { getEligibleCoupons } = require("../services/couponSuggestionService");
+const {
+  TRACKING_PIXEL,
+  recordReminderOpen,
+  restoreAbandonedCart,
+} = require("../services/abandonedCartService");
+const {
+  createSharedCart,
+  getSharedCartPreview,
+  importSharedCart,
+  listSharedCarts,
+} = require("../services/sharedCartService");
+const { clearGuestCartCookie, readGuestToken } = require("../middleware/cartOwner.middleware");
 
 const updateCartTotals = async (cart, userId) => {
   await calculateCartTotals(cart, userId);
@@ -82,17 +101,118 @@ const findVariantById = (variants, variantId) => {
   return null;
 };
 
+// Helper: does a cart line match the product and (optional) variant of a request
+const isSameLine = (item, productId, variantId) => {
+  const productMatch = item.product.toString() === productId.toString();
+  const variantMatch = variantId
+    ? item.variantId && item.variantId.toString() === variantId.toString()
+    : !item.variantId;
+  return productMatch && variantMatch;
+};
+
+// Helper: a cart item's line from the last totals calculation
+const getComputedLine = (cart, item) => {
+  const productId = String(item.product?._id || item.product);
+  return (cart._computed?.lines || []).find(
+    (l) => String(l.product) === productId && (l.variantId || null) === (item.variantId || null)
+  );
+};
+
+// Helper: buy X get Y / tiered deals applied to a cart line at the last totals calculation
+const getLinePromotions = (cart, item) => {
+  const line = getComputedLine(cart, item);
+  return line ? line.promotions : [];
+};
+
+// Helper: units of a line at the deal price (less than quantity once a capped deal runs out)
+const getLineDealQuantity = (cart, item) => {
+  const line = getComputedLine(cart, item);
+  return line && line.dealId ? line.dealQuantity : 0;
+};
+
+/**
+ * Saved-for-later lines with current pricing (deals applied) and stock status
+ * @param {Array} savedItems - cart.savedItems
+ * @returns {Promise<Array>}
+ */
+const buildSavedItems = async (savedItems) => {
+  if (!savedItems || savedItems.length === 0) return [];
+
+  const products = await Product.find({ _id: { $in: savedItems.map((i) => i.product) } })
+    .populate("image", "original thumbnail")
+    .lean();
+  const pricedProducts = await applyDealsToProducts(products);
+  const productMap = new Map(pricedProducts.map((p) => [p._id.toString(), p]));
+
+  return savedItems.map((i) => {
+    const product = productMap.get(i.product.toString());
+    if (!product) {
+      // Product was removed from the catalogue
+      return {
+        id: i.product,
+        variantId: i.variantId || null,
+        quantity: i.quantity,
+        savedAt: i.savedAt,
+        inStock: false,
+        stock: 0,
+        available: false,
+      };
+    }
+
+    const variant = i.variantId ? findVariantById(product.variants, i.variantId) : null;
+
+    // Same pricing as calculateCartTotals: variants get the deal's discount percentage
+    let originalPrice = product.originalPrice;
+    let dealPrice = product.dealPrice ?? null;
+    if (variant && variant.price !== undefined && variant.price !== null) {
+      if (dealPrice !== null && product.originalPrice > 0) {
+        const discountPercent = ((product.originalPrice - dealPrice) / product.originalPrice) * 100;
+        dealPrice = variant.price - (variant.price * discountPercent) / 100;
+      }
+      originalPrice = variant.price;
+    }
+
+    const stock = variant ? variant.stock || 0 : product.in_stock ? product.quantity || 0 : 0;
+
+    return {
+      id: product._id,
+      name: product.productName || product.name,
+      slug: product.slug,
+      image: (variant && variant.image && variant.image.trim()) || getProductImageUrl(product),
+      variantId: i.variantId || null,
+      variant: variant
+        ? {
+            _id: variant._id,
+            storage: variant.storage || null,
+            ram: variant.ram || null,
+            color: variant.color || null,
+            bundle: variant.bundle || null,
+            warranty: variant.warranty || null,
+            sku: variant.sku || null,
+          }
+        : null,
+      quantity: i.quantity,
+      price: dealPrice ?? originalPrice,
+      originalPrice,
+      dealPrice,
+      appliedDealId: product.appliedDealId ?? null,
+      inStock: stock > 0,
+      stock,
+      available: !i.variantId || Boolean(variant),
+      savedAt: i.savedAt,
+    };
+  });
+};
+
 // Get Cart
 exports.getCart = catchAsync(async (req, res) => {
   // Allow userId as query parameter (optional - for flexibility)
-  // If not provided, use authenticated user's ID
-  const userId = req.query.userId || req.user._id;
-  
-  // If userId is provided and it's different from authenticated user, 
-  // you might want to add authorization check here
-  // For now, allowing it for flexibility
+  // If not provided, use the cart owner (logged-in user or guest cookie)
+  // Guests can never look up other carts by userId
+  const userId = (req.user && req.query.userId) || req.cartOwner.user;
+  const filter = req.user && req.query.userId ? { user: userId } : req.cartOwner.filter;
   
-  let cart = await Cart.findOne({ user: userId })
+  let cart = await Cart.findOne(filter)
     .populate({
       path: "items.product",
       select: "name slug price sale_price image mainImage in_stock quantity shippingFee tax variants",
@@ -107,7 +227,7 @@ exports.getCart = catchAsync(async (req, res) => {
   if (!cart)
     return successResponse(
       res,
-      { items: [], total: 0, discount: 0, shippingFee: 0, finalTotal: 0 },
+      { items: [], savedItems: [], total: 0, discount: 0, shippingFee: 0, finalTotal: 0 },
       "Cart is empty"
     );
 
@@ -148,6 +268,8 @@ exports.getCart = catchAsync(async (req, res) => {
       image: itemImage,
       slug: product.slug,
       variantId: i.variantId || null,
+      promotions: getLinePromotions(cart, i),
+      dealQuantity: getLineDealQuantity(cart, i),
       variant: selectedVariant ? {
         _id: selectedVariant._id,
         storage: selectedVariant.storage || null,
@@ -169,17 +291,45 @@ exports.getCart = catchAsync(async (req, res) => {
       items,
       total: cart.total,
       discount: cart.discount,
+      promotionDiscount: cart.promotionDiscount,
       shippingFee: cart.shippingFee,
       finalTotal: cart.finalTotal,
       codFee: cart.codFee,
       coupon: cart.coupon,
       shippingMethod: cart.shippingMethod,
       user: cart.user || null,
+      // Not part of the totals above
+      savedItems: await buildSavedItems(cart.savedItems),
     },
     "Cart fetched successfully"
   );
 });
 
+// Merge this browser's guest cart into the logged-in user's cart
+exports.mergeCart = catchAsync(async (req, res) => {
+  if (!req.user) return errorResponse(res, "Please log in to merge your cart", 401);
+
+  const report = await mergeGuestCart(req.user._id, readGuestToken(req), {
+    email: req.user.email,
+  });
+  clearGuestCartCookie(res);
+
+  return successResponse(
+    res,
+    report,
+    report.merged ? "Cart merged successfully" : "No guest cart to merge"
+  );
+});
+
+// Purchase limits of `product` checked against its lines in the cart after a change
+const assertCartPurchaseLimits = (items, product, req) =>
+  assertPurchaseLimits(
+    items
+      .filter((i) => i.product.toString() === product._id.toString())
+      .map((i) => ({ product, variantId: i.variantId, quantity: i.quantity })),
+    { userId: req.user?._id, email: req.user?.email }
+  );
+
 // Add to cart
 exports.addToCart = catchAsync(async (req, res) => {
   const { productId, variantId, quantity = 1 } = req.body;
@@ -232,7 +382,7 @@ exports.addToCart = catchAsync(async (req, res) => {
     }
   }
 
-  let cart = await Cart.findOne({ user: req.user._id });
+  let cart = await Cart.findOne(req.cartOwner.filter);
   
   // Normalize variantId: extract ObjectId part if format is "ObjectId.something"
   let normalizedVariantId = null;
@@ -257,8 +407,10 @@ exports.addToCart = catchAsync(async (req, res) => {
   };
   
   if (!cart) {
+    await assertCartPurchaseLimits([cartItem], product, req);
     cart = await Cart.create({
-      user: req.user._id,
+      user: req.cartOwner.user,
+      guestToken: req.cartOwner.guestToken,
       items: [cartItem],
     });
   } else {
@@ -277,10 +429,11 @@ exports.addToCart = catchAsync(async (req, res) => {
     } else {
       cart.items.push(cartItem);
     }
+    await assertCartPurchaseLimits(cart.items, product, req);
     await cart.save();
   }
 
-  await updateCartTotals(cart, req.user._id);
+  await updateCartTotals(cart, req.cartOwner.user);
   return successResponse(res, {}, "Product added to cart");
 });
 
@@ -289,7 +442,7 @@ exports.updateCartItem = catchAsync(async (req, res) => {
   const { productId } = req.params;
   const { quantity, variantId } = req.body;
 
-  const cart = await Cart.findOne({ user: req.user._id });
+  const cart = await Cart.findOne(req.cartOwner.filter);
   if (!cart) return errorResponse(res, "Cart not found", 404);
 
   // Find item by productId and variantId (if provided)
@@ -340,9 +493,10 @@ exports.updateCartItem = catchAsync(async (req, res) => {
     }
     
     item.quantity = quantity;
+    await assertCartPurchaseLimits(cart.items, product, req);
   }
 
-  await updateCartTotals(cart, req.user._id);
+  await updateCartTotals(cart, req.cartOwner.user);
   return successResponse(res, { cart }, "Cart updated successfully");
 });
 
@@ -351,7 +505,7 @@ exports.removeFromCart = catchAsync(async (req, res) => {
   const { productId } = req.params;
   const { variantId } = req.query; // Accept variantId as query parameter
   
-  const cart = await Cart.findOne({ user: req.user._id });
+  const cart = await Cart.findOne(req.cartOwner.filter);
   if (!cart) return errorResponse(res, "Cart not found", 404);
 
   // Remove item by productId and variantId (if provided)
@@ -363,15 +517,151 @@ exports.removeFromCart = catchAsync(async (req, res) => {
     return !(productMatch && variantMatch);
   });
   
-  await updateCartTotals(cart, req.user._id);
+  await updateCartTotals(cart, req.cartOwner.user);
 
   return successResponse(res, { cart }, "Item removed from cart");
 });
 
+// Move a cart line to "saved for later" (keeps variant and quantity)
+exports.saveForLater = catchAsync(async (req, res) => {
+  const { productId } = req.params;
+  const { variantId } = req.body;
+
+  const cart = await Cart.findOne(req.cartOwner.filter);
+  if (!cart) return errorResponse(res, "Cart not found", 404);
+
+  const item = cart.items.find((i) => isSameLine(i, productId, variantId));
+  if (!item) return errorResponse(res, "Product not in cart", 404);
+
+  cart.items = cart.items.filter((i) => !isSameLine(i, productId, variantId));
+
+  const saved = cart.savedItems.find((i) => isSameLine(i, productId, variantId));
+  if (saved) {
+    saved.quantity += item.quantity;
+    saved.savedAt = new Date();
+  } else {
+    cart.savedItems.push({
+      product: item.product,
+      quantity: item.quantity,
+      variantId: item.variantId || null,
+    });
+  }
+
+  await updateCartTotals(cart, req.cartOwner.user);
+
+  return successResponse(
+    res,
+    { savedItems: await buildSavedItems(cart.savedItems) },
+    "Item saved for later"
+  );
+});
+
+// Get "saved for later" items
+exports.getSavedItems = catchAsync(async (req, res) => {
+  const cart = await Cart.findOne(req.cartOwner.filter);
+
+  return successResponse(
+    res,
+    { savedItems: await buildSavedItems(cart ? cart.savedItems : []) },
+    "Saved items fetched successfully"
+  );
+});
+
+// Move a saved item back into the cart
+exports.moveSavedToCart = catchAsync(async (req, res) => {
+  const { productId } = req.params;
+  const { variantId } = req.body;
+
+  const cart = await Cart.findOne(req.cartOwner.filter);
+  if (!cart) return errorResponse(res, "Cart not found", 404);
+
+  const saved = cart.savedItems.find((i) => isSameLine(i, productId, variantId));
+  if (!saved) return errorResponse(res, "Product not in saved items", 404);
+
+  const product = await Product.findById(productId);
+  if (!product) return errorResponse(res, "Product not found", 404);
+
+  const existingItem = cart.items.find((i) => isSameLine(i, productId, variantId));
+  const quantity = saved.quantity + (existingItem ? existingItem.quantity : 0);
+
+  // Same stock rules as addToCart
+  if (saved.variantId) {
+    const variant = findVariantById(product.variants, saved.variantId);
+    if (!variant) return errorResponse(res, "Variant not found for this product", 404);
+    if ((variant.stock || 0) < quantity) {
+      return errorResponse(res, "Insufficient variant stock", 400);
+    }
+  } else {
+    if (!product.in_stock) return errorResponse(res, "Product out of stock", 400);
+    if (product.product_type === "variable") {
+      return errorResponse(res, "Variant selection is required for this product", 400);
+    }
+    if (product.quantity < quantity) return errorResponse(res, "Insufficient stock", 400);
+  }
+
+  if (existingItem) {
+    existingItem.quantity = quantity;
+  } else {
+    cart.items.push({
+      product: saved.product,
+      quantity: saved.quantity,
+      ...(saved.variantId && { variantId: saved.variantId }),
+    });
+  }
+  await assertCartPurchaseLimits(cart.items, product, req);
+  cart.savedItems = cart.savedItems.filter((i) => !isSameLine(i, productId, variantId));
+
+  await updateCartTotals(cart, req.cartOwner.user);
+
+  return successResponse(res, { cart }, "Item moved to cart");
+});
+
+// Remove an item from "saved for later"
+exports.removeSavedItem = catchAsync(async (req, res) => {
+  const { productId } = req.params;
+  const { variantId } = req.query;
+
+  const cart = await Cart.findOne(req.cartOwner.filter);
+  if (!cart) return errorResponse(res, "Cart not found", 404);
+
+  const before = cart.savedItems.length;
+  cart.savedItems = cart.savedItems.filter((i) => !isSameLine(i, productId, variantId));
+  if (cart.savedItems.length === before) {
+    return errorResponse(res, "Product not in saved items", 404);
+  }
+  await cart.save();
+
+  return successResponse(
+    res,
+    { savedItems: await buildSavedItems(cart.savedItems) },
+    "Saved item removed"
+  );
+});
+
+// Check the cart against current prices and stock before checkout (optionally fixing it)
+exports.validateCart = catchAsync(async (req, res) => {
+  const autoFix = req.body.autoFix === true || req.body.autoFix === "true";
+
+  const cart = await Cart.findOne(req.cartOwner.filter);
+  if (!cart || cart.items.length === 0) return errorResponse(res, "Cart is empty", 400);
+
+  const result = await validateCart(cart, {
+    autoFix,
+    userId: req.cartOwner.user,
+    email: req.user?.email,
+  });
+
+  let message = "Cart is ready for checkout";
+  if (result.fixed) message = "Cart updated to current prices and stock";
+  else if (!result.valid) message = "Cart has changed since it was last priced";
+
+  return successResponse(res, result, message);
+});
+
 //  Clear cart
 exports.clearCart = catchAsync(async (req, res) => {
   await Cart.findOneAndUpdate(
-    { user: req.user._id },
+    req.cartOwner.filter,
     { items: [], coupon: null, discount: 0 }
   );
   return successResponse(res, {}, "Cart cleared successfully");
@@ -394,78 +684,107 @@ exports.applyCoupon = catchAsync(async (req, res) => {
     return errorResponse(res, "Coupon not yet active", 400);
 
   // 2️⃣ Find user's cart
-  const cart = await Cart.findOne({ user: req.user._id }).populate(
-    "items.product"
-  );
+  const cart = await Cart.findOne(req.cartOwner.filter);
   if (!cart) return errorResponse(res, "Cart not found", 404);
 
-  // 3️⃣ Calculate current subtotal
-  let subtotal = 0;
-  for (const item of cart.items) {
-    const product = item.product;
-    const price = product.sale_price ?? product.price ?? 0;
-    subtotal += price * item.quantity;
-  }
-
-  // 4️⃣ Check eligibility
-  if (subtotal < (coupon.minCartValue || 0))
+  // 3️⃣ + 4️⃣ Price the cart with the coupon: scope, customer and minimum checks
+  const totals = await calculateTotalsFromItems(
+    cart.items.map((i) => ({ product: i.product, quantity: i.quantity, variantId: i.variantId })),
+    coupon,
+    cart.shippingMethod,
+    cart.paymentMethod,
+    req.cartOwner.user
+  );
+  if (!totals.validCoupon) {
     return errorResponse(
       res,
-      `Cart total must be at least ${coupon.minCartValue}`,
-      400
+      totals.couponIssue?.message || "Coupon cannot be applied to this cart",
+      400,
+      totals.couponIssue?.items
     );
+  }
 
-  // 5️⃣ Check usage limits
-  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit)
-    return errorResponse(res, "Coupon usage limit reached", 400);
+  // 5️⃣ Check usage limits against redemptions (a use is only recorded at checkout)
+  // Per-user limits can only be enforced for accounts
+  if (coupon.perUserLimit && !req.user)
+    return errorResponse(res, "Please log in to use this coupon", 401);
 
-  const userUsage = coupon.userUsage?.get(req.user._id.toString()) || 0;
-  if (coupon.perUserLimit && userUsage >= coupon.perUserLimit)
-    return errorResponse(res, "You have already used this coupon", 400);
+  const limitIssue = await getCouponLimitIssue(coupon, {
+    userId: req.user?._id,
+    email: req.user?.email,
+  });
+  if (limitIssue) return errorResponse(res, limitIssue, 400);
 
   // 6️⃣ Apply coupon to cart
   cart.coupon = coupon._id;
-  await updateCartTotals(cart, req.user._id);
-
-  // 7️⃣ Update usage counts
-  coupon.usedCount += 1;
-  coupon.userUsage.set(req.user._id.toString(), userUsage + 1);
-  await coupon.save();
+  await updateCartTotals(cart, req.cartOwner.user);
 
   return successResponse(res, { cart }, "Coupon applied successfully");
 });
 
+// Public coupons that work on this cart, best saving first (read-only)
+exports.getEligibleCoupons = catchAsync(async (req, res) => {
+  const cart = await Cart.findOne(req.cartOwner.filter);
+  if (!cart || !cart.items.length) {
+    return successResponse(res, { coupons: [], best: null }, "Cart is empty");
+  }
+
+  const customer = { userId: req.user?._id, email: req.user?.email };
+  const { coupons } = await getEligibleCoupons(cart, customer);
+  const best = coupons.find((c) => c.eligible) || null;
+
+  return successResponse(res, { coupons, best }, "Eligible coupons fetched successfully");
+});
+
+// Apply the eligible coupon with the biggest saving, unless the cart's coupon saves as much
+exports.applyBestCoupon = catchAsync(async (req, res) => {
+  const cart = await Cart.findOne(req.cartOwner.filter);
+  if (!cart || !cart.items.length) return errorResponse(res, "Cart is empty", 400);
+
+  const customer = { userId: req.user?._id, email: req.user?.email };
+  const { finalTotal, coupons } = await getEligibleCoupons(cart, customer);
+  const best = coupons.find((c) => c.eligible) || null;
+
+  let currentSavings = 0;
+  if (best && cart.coupon) {
+    const current = await calculateTotalsFromItems(
+      cart.items.map((i) => ({ product: i.product, quantity: i.quantity, variantId: i.variantId })),
+      cart.coupon,
+      cart.shippingMethod,
+      cart.paymentMethod,
+      req.cartOwner.user
+    );
+    if (current.validCoupon) currentSavings = Math.round((finalTotal - current.finalTotal) * 100) / 100;
+  }
+
+  let applied = null;
+  if (best && best.savings > currentSavings) {
+    cart.coupon = best.coupon._id;
+    await updateCartTotals(cart, req.cartOwner.user);
+    applied = best.coupon.code;
+  }
+
+  return successResponse(
+    res,
+    { coupons, best, applied, cart },
+    applied ? `Coupon ${applied} applied` : "No coupon saves more than the current one"
+  );
+});
+
 // Remove Coupon (Improved Version)
 exports.removeCoupon = catchAsync(async (req, res) => {
-  const cart = await Cart.findOne({ user: req.user._id });
+  const cart = await Cart.findOne(req.cartOwner.filter);
   if (!cart) return errorResponse(res, "Cart not found", 404);
 
   if (!cart.coupon)
     return errorResponse(res, "No coupon applied to this cart", 400);
 
-  // 1️⃣ Fetch the coupon document
-  const coupon = await Coupon.findById(cart.coupon);
-  if (coupon) {
-    // 2️⃣ Decrease global usage count safely
-    if (coupon.usedCount > 0) coupon.usedCount -= 1;
-
-    // 3️⃣ Decrease user's personal usage count
-    const userId = req.user._id.toString();
-    const userUsageCount = coupon.userUsage.get(userId) || 0;
-    if (userUsageCount > 0) {
-      coupon.userUsage.set(userId, userUsageCount - 1);
-    }
-
-    // 4️⃣ Save coupon updates
-    await coupon.save();
-  }
-
-  // 5️⃣ Clear coupon from cart
+  // 1️⃣ Clear coupon from cart (nothing to give back: uses are counted per order)
   cart.coupon = null;
   cart.discount = 0;
 
-  // 6️⃣ Recalculate totals
-  await updateCartTotals(cart, req.user._id);
+  // 2️⃣ Recalculate totals
+  await updateCartTotals(cart, req.cartOwner.user);
 
   return successResponse(res, { cart }, "Coupon removed successfully");
 });
@@ -476,11 +795,11 @@ exports.setShippingMethod = catchAsync(async (req, res) => {
   if (!["standard", "express"].includes(method))
     return errorResponse(res, "Invalid shipping method", 400);
 
-  const cart = await Cart.findOne({ user: req.user._id });
+  const cart = await Cart.findOne(req.cartOwner.filter);
   if (!cart) return errorResponse(res, "Cart not found", 404);
 
   cart.shippingMethod = method;
-  await updateCartTotals(cart, req.user._id);
+  await updateCartTotals(cart, req.cartOwner.user);
 
   return successResponse(res, { cart }, `Shipping method updated to ${method}`);
 });
@@ -491,11 +810,11 @@ exports.setPaymentMethod = catchAsync(async (req, res) => {
   if (!["stripe", "cod"].includes(method))
     return errorResponse(res, "Invalid payment method", 400);
 
-  const cart = await Cart.findOne({ user: req.user._id });
+  const cart = await Cart.findOne(req.cartOwner.filter);
   if (!cart) return errorResponse(res, "Cart not found", 404);
 
   cart.paymentMethod = method;
-  await calculateCartTotals(cart, req.user._id);
+  await calculateCartTotals(cart, req.cartOwner.user);
   await cart.save();
 
   return successResponse(
@@ -503,6 +822,7 @@ exports.setPaymentMethod = catchAsync(async (req, res) => {
     {
       total: cart.total,
       discount: cart.discount,
+      promotionDiscount: cart.promotionDiscount,
       shippingFee: cart.shippingFee,
       codFee: cart.codFee,
       finalTotal: cart.finalTotal,
@@ -512,6 +832,86 @@ exports.setPaymentMethod = catchAsync(async (req, res) => {
   );
 });
 
+// Share the current cart as a short link
+exports.shareCart = catchAsync(async (req, res) => {
+  const { expiresInDays, maxRedemptions = null, includeCoupon = true, note } = req.body;
+
+  const cart = await Cart.findOne(req.cartOwner.filter);
+  const sharedCart = await createSharedCart(cart, {
+    createdBy: req.cartOwner.user,
+    expiresInDays,
+    maxRedemptions,
+    includeCoupon: includeCoupon !== false && includeCoupon !== "false",
+    note,
+  });
+
+  return successResponse(
+    res,
+    {
+      token: sharedCart.token,
+      url: `${process.env.CLIENT_URL || ""}/cart/shared/${sharedCart.token}`,
+      expiresAt: sharedCart.expiresAt,
+      maxRedemptions: sharedCart.maxRedemptions,
+      itemCount: sharedCart.items.length,
+    },
+    "Cart link created",
+    201
+  );
+});
+
+// Links shared by the logged-in user, with how often each was redeemed
+exports.getSharedCarts = catchAsync(async (req, res) => {
+  if (!req.user) return errorResponse(res, "Please log in to see your shared carts", 401);
+
+  const sharedCarts = await listSharedCarts(req.user._id);
+  return successResponse(res, { sharedCarts }, "Shared carts fetched successfully");
+});
+
+// Preview a shared cart at current prices
+exports.getSharedCart = catchAsync(async (req, res) => {
+  const preview = await getSharedCartPreview(req.params.token, req.cartOwner.user);
+  return successResponse(res, preview, "Shared cart fetched successfully");
+});
+
+// Import a shared cart into the caller's cart or buy-now session
+exports.importSharedCart = catchAsync(async (req, res) => {
+  const { target = "cart", replace = false } = req.body;
+
+  const result = await importSharedCart(req.params.token, req.cartOwner, {
+    target,
+    replace: replace === true || replace === "true",
+    customer: { userId: req.user?._id, email: req.user?.email },
+  });
+
+  return successResponse(
+    res,
+    result,
+    target === "buy-now" ? "Shared item ready to buy" : "Shared cart added to your cart"
+  );
+});
+
+// Restore link from an abandoned-cart email (public): back to the storefront cart
+exports.restoreAbandonedCart = catchAsync(async (req, res) => {
+  const redirectUrl = await restoreAbandonedCart(req.params.token);
+  return res.redirect(302, redirectUrl);
+});
+
+// Open-tracking pixel of abandoned-cart emails (public)
+exports.trackReminderOpen = async (req, res) => {
+  try {
+    await recordReminderOpen(req.params.token);
+  } catch (err) {
+    // Never break the image for the mail client
+    console.error("Reminder open tracking failed:", err.message);
+  }
+  res.set({
+    "Content-Type": "image/gif",
+    "Content-Length": TRACKING_PIXEL.length,
+    "Cache-Control": "no-store, no-cache, must-revalidate, private",
+  });
+  return res.status(200).send(TRACKING_PIXEL);
+};
+
 // Admin: Get any user's cart
 exports.getUserCart = catchAsync(async (req, res) => {
   const { userId } = req.params;
@@ -581,6 +981,8 @@ exports.getUserCart = catchAsync(async (req, res) => {
       image: itemImage,
       slug: product.slug,
       variantId: i.variantId || null,
+      promotions: getLinePromotions(cart, i),
+      dealQuantity: getLineDealQuantity(cart, i),
       variant: selectedVariant ? {
         _id: selectedVariant._id,
         storage: selectedVariant.storage || null,
@@ -602,6 +1004,7 @@ exports.getUserCart = catchAsync(async (req, res) => {
       items,
       total: cart.total,
       discount: cart.discount,
+      promotionDiscount: cart.promotionDiscount,
       shippingFee: cart.shippingFee,
       finalTotal: cart.finalTotal,
       codFee: cart.codFee,
@@ -1,8 +1,16 @@
 // controllers/coupon.controller.js
 const Coupon = require("../models/coupon.model");
+const CouponRedemption = require("../models/couponRedemption.model");
 const catchAsync = require("../utils/catchAsync");
 const successResponse = require("../utils/successResponse");
 const errorResponse = require("../utils/errorResponse");
+const { getRedemptionReport } = require("../services/couponRedemptionService");
+const {
+  generateCouponBatch,
+  listCouponBatches,
+  exportCouponBatchCsv,
+  deactivateCouponBatch,
+} = require("../services/couponBatchService");
 
 //  Admin: Create
 exports.createCoupon = catchAsync(async (req, res) => {
@@ -28,7 +36,15 @@ exports.deleteCoupon = catchAsync(async (req, res) => {
 
 //  Public: Get active coupons
 exports.getCoupons = catchAsync(async (req, res) => {
-  const coupons = await Coupon.find({ isActive: true });
+  // Coupons created before `source` existed are manual too;
+  // coupons reserved for particular customers are not advertised
+  const coupons = await Coupon.find({
+    isActive: true,
+    isPublic: { $ne: false },
+    source: { $in: ["manual", null] },
+    "allowedUsers.0": { $exists: false },
+    "allowedEmails.0": { $exists: false },
+  }).select("-allowedUsers -allowedEmails");
   return successResponse(res, { coupons }, "Coupons fetched successfully");
 });
 
@@ -37,17 +53,91 @@ exports.getCoupon = catchAsync(async (req, res) => {
   const coupon = await Coupon.findOne({
     code: req.params.code.toUpperCase(),
     isActive: true,
-  });
+  }).select("-allowedUsers -allowedEmails");
   if (!coupon) return errorResponse(res, "Coupon not found", 404);
   return successResponse(res, { coupon }, "Coupon fetched successfully");
 });
 
-// Redeem (atomic updates)
-exports.redeemCoupon = async (couponId, userId) => {
-  await Coupon.findByIdAndUpdate(couponId, {
-    $inc: {
-      usedCount: 1,
-      [`userUsage.${userId}`]: 1,
+//  Admin: Redemptions and revenue per coupon (?from=&to= dates)
+exports.getRedemptionReport = catchAsync(async (req, res) => {
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return errorResponse(res, "Invalid from/to date", 400);
+  }
+
+  const report = await getRedemptionReport({ from, to });
+  return successResponse(res, { report }, "Coupon report fetched successfully");
+});
+
+//  Admin: One coupon's summary and its redemptions
+exports.getCouponRedemptions = catchAsync(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) return errorResponse(res, "Coupon not found", 404);
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const filter = { coupon: coupon._id };
+  if (["active", "released"].includes(req.query.status)) filter.status = req.query.status;
+
+  const [[summary = null], redemptions, total] = await Promise.all([
+    getRedemptionReport({ couponId: coupon._id }),
+    CouponRedemption.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("user", "name email")
+      .populate("order", "orderNumber orderStatus paymentStatus totalAmount"),
+    CouponRedemption.countDocuments(filter),
+  ]);
+
+  return successResponse(
+    res,
+    {
+      coupon,
+      summary,
+      redemptions,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
     },
+    "Coupon redemptions fetched successfully"
+  );
+});
+
+//  Admin: Generate a batch of single-use codes from a template coupon
+exports.createCouponBatch = catchAsync(async (req, res) => {
+  const { templateId, quantity, name, prefix, suffixLength, expiryDate } = req.body;
+  if (!templateId) return errorResponse(res, "templateId is required", 400);
+
+  const batch = await generateCouponBatch({
+    templateId,
+    quantity,
+    name,
+    prefix,
+    suffixLength,
+    expiryDate,
+    createdBy: req.user._id,
   });
-};
+  return successResponse(res, { batch }, "Coupon batch generated successfully", 201);
+});
+
+//  Admin: Batches with assigned/redeemed counts
+exports.getCouponBatches = catchAsync(async (req, res) => {
+  const batches = await listCouponBatches();
+  return successResponse(res, { batches }, "Coupon batches fetched successfully");
+});
+
+//  Admin: Download a batch's codes as CSV
+exports.exportCouponBatch = catchAsync(async (req, res) => {
+  const { batch, csv } = await exportCouponBatchCsv(req.params.id);
+  const filename = `${(batch.prefix || "coupons").toLowerCase()}-${batch._id}.csv`;
+
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.status(200).send(csv);
+});
+
+//  Admin: Deactivate every code of a batch
+exports.deactivateCouponBatch = catchAsync(async (req, res) => {
+  const { batch, deactivated } = await deactivateCouponBatch(req.params.id);
+  return successResponse(res, { batch, deactivated }, "Coupon batch deactivated successfully");
+});
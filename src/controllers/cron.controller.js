@@ -0,0 +1,25 @@
+const catchAsync = require("../utils/catchAsync");
+const successResponse = require("../utils/successResponse");
+const { sweepExpiredReservations } = require("../services/stockReservationService");
+const { sendAbandonedCartReminders } = require("../services/abandonedCartService");
+const { expireBuyNowSessions } = require("../services/buyNowService");
+
+// Scheduled jobs for serverless deployments (Vercel Cron); long-running servers use src/jobs
+
+// Release expired stock holds and cancel card orders that were never paid
+exports.sweepReservations = catchAsync(async (req, res) => {
+  const result = await sweepExpiredReservations();
+  successResponse(res, result, "Reservation sweep complete");
+});
+
+// Remind owners of idle carts
+exports.remindAbandonedCarts = catchAsync(async (req, res) => {
+  const result = await sendAbandonedCartReminders();
+  successResponse(res, result, "Abandoned cart reminders sent");
+});
+
+// Clear expired buy-now sessions
+exports.expireBuyNow = catchAsync(async (req, res) => {
+  const result = await expireBuyNowSessions();
+  successResponse(res, result, "Buy-now sessions expired");
+});
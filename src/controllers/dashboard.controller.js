@@ -4,6 +4,7 @@ const Product = require("../models/product.model");
 const catchAsync = require("../utils/catchAsync");
 const successResponse = require("../utils/successResponse");
 const errorResponse = require("../utils/errorResponse");
+const { getRecoveryStats } = require("../services/abandonedCartService");
 
 /**
  * Get dashboard statistics overview
@@ -224,10 +225,14 @@ exports.getCustomerStats = catchAsync(async (req, res) => {
   });
 
   // Active customers (customers who have placed at least one order)
-  const activeCustomers = await Order.distinct("user").then((userIds) => userIds.length);
+  // Unclaimed guest orders have no user
+  const activeCustomers = await Order.distinct("user", { user: { $ne: null } }).then(
+    (userIds) => userIds.length
+  );
 
   // Customers with orders count
   const customersWithOrders = await Order.aggregate([
+    { $match: { user: { $ne: null } } },
     {
       $group: {
         _id: "$user",
@@ -307,7 +312,7 @@ exports.getTransactions = catchAsync(async (req, res) => {
 
   const transactions = await Order.find(filter)
     .populate("user", "name email")
-    .select("orderNumber totalAmount paymentStatus paymentMethod createdAt orderStatus")
+    .select("orderNumber totalAmount paymentStatus paymentMethod createdAt orderStatus user guest")
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(parseInt(limit))
@@ -317,8 +322,8 @@ exports.getTransactions = catchAsync(async (req, res) => {
     id: order._id,
     orderNumber: order.orderNumber,
     customer: {
-      name: order.user?.name || "N/A",
-      email: order.user?.email || "N/A",
+      name: order.user?.name || order.guest?.name || "N/A",
+      email: order.user?.email || order.guest?.email || "N/A",
     },
     amount: order.totalAmount,
     status: order.paymentStatus,
@@ -361,7 +366,7 @@ exports.getDashboardOrders = catchAsync(async (req, res) => {
     .populate("user", "name email")
     .populate("items.product", "name slug mainImage")
     .select(
-      "orderNumber trackingNumber items totalAmount orderStatus paymentStatus paymentMethod createdAt shippingAddress"
+      "orderNumber trackingNumber items totalAmount orderStatus paymentStatus paymentMethod createdAt shippingAddress user guest"
     )
     .sort({ createdAt: -1 })
     .skip(skip)
@@ -373,8 +378,8 @@ exports.getDashboardOrders = catchAsync(async (req, res) => {
     orderNumber: order.orderNumber,
     trackingNumber: order.trackingNumber,
     customer: {
-      name: order.user?.name || "N/A",
-      email: order.user?.email || "N/A",
+      name: order.user?.name || order.guest?.name || "N/A",
+      email: order.user?.email || order.guest?.email || "N/A",
     },
     items: order.items.map((item) => ({
       name: item.name,
@@ -485,6 +490,7 @@ exports.getTopCustomers = catchAsync(async (req, res) => {
   if (sortBy === "orders") {
     // Top customers by order count
     topCustomers = await Order.aggregate([
+      { $match: { user: { $ne: null } } },
       {
         $group: {
           _id: "$user",
@@ -499,7 +505,7 @@ exports.getTopCustomers = catchAsync(async (req, res) => {
   } else {
     // Top customers by revenue (default)
     topCustomers = await Order.aggregate([
-      { $match: { paymentStatus: "paid" } },
+      { $match: { paymentStatus: "paid", user: { $ne: null } } },
       {
         $group: {
           _id: "$user",
@@ -580,3 +586,33 @@ exports.getVisitorsChart = catchAsync(async (req, res) => {
   );
 });
 
+
+/**
+ * Get abandoned cart recovery statistics
+ * Query: period = 7days | 30days (default) | 12months | all
+ * Returns: reminders sent, opens, restores, recovered orders and the conversion rate
+ */
+exports.getAbandonedCartStats = catchAsync(async (req, res) => {
+  const { period = "30days" } = req.query;
+
+  const now = new Date();
+  let startDate = null;
+  if (period === "7days") {
+    startDate = new Date(now);
+    startDate.setDate(startDate.getDate() - 7);
+  } else if (period === "12months") {
+    startDate = new Date(now);
+    startDate.setMonth(startDate.getMonth() - 12);
+  } else if (period !== "all") {
+    startDate = new Date(now);
+    startDate.setDate(startDate.getDate() - 30);
+  }
+
+  const stats = await getRecoveryStats({ from: startDate, to: now });
+
+  return successResponse(
+    res,
+    { stats, period, startDate, endDate: now },
+    "Abandoned cart statistics fetched successfully"
+  );
+});
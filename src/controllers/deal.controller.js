@@ -7,7 +7,111 @@ const successResponse = require("../utils/successResponse");
 const errorResponse = require("../utils/errorResponse");
 const APIFeatures = require("../utils/apiFeatures");
 const { deleteFromCloudinary } = require("../../config/cloudinary");
-const { isDealActive } = require("../services/dealEvaluationService");
+const { isDealActive, getRemainingQuantity } = require("../services/dealEvaluationService");
+
+const { CART_DEAL_TYPES } = Deal;
+const DISCOUNT_TYPES = ["percentage", "fixed", "flat", ...CART_DEAL_TYPES];
+const INVALID_DISCOUNT_TYPE = `Invalid discountType. Must be one of: ${DISCOUNT_TYPES.join(", ")}`;
+const CART_RULE_FIELDS = [
+  "buyQuantity",
+  "getQuantity",
+  "getDiscountPercent",
+  "getProducts",
+  "getCategories",
+  "maxApplications",
+  "tiers",
+];
+
+const isPositiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) >= 1;
+const isPercent = (value) => !isNaN(value) && Number(value) > 0 && Number(value) <= 100;
+
+// Helper: stock cap from the request body; null/"" removes the cap
+const isValidStockCap = (value) => value === null || value === "" || isPositiveInteger(value);
+const parseStockCap = (value) => (value === null || value === "" ? null : Number(value));
+// Caps count units sold at a deal price, which only price deals set on order items
+const CART_DEAL_STOCK_CAP = "stockCap only applies to percentage, fixed and flat deals";
+
+// Helper: stock fields shown with a deal (remainingQuantity is null when uncapped)
+const withStockStatus = (deal) => {
+  const remainingQuantity = getRemainingQuantity(deal);
+  return {
+    ...deal,
+    unitsSold: deal.unitsSold || 0,
+    remainingQuantity,
+    soldOut: remainingQuantity === 0,
+  };
+};
+
+// Helper: validate the rules of a buy_x_get_y or tiered deal; returns { error } or { rules }
+const validateCartDealRules = async (discountType, data) => {
+  if (discountType === "tiered") {
+    const tiers = Array.isArray(data.tiers) ? data.tiers : [];
+    if (tiers.length === 0) return { error: "tiered deals need at least one tier" };
+    for (const tier of tiers) {
+      if (!tier || !isPositiveInteger(tier.minQuantity) || !isPercent(tier.discountPercent)) {
+        return { error: "Each tier needs a minQuantity (1 or more) and a discountPercent (more than 0, up to 100)" };
+      }
+    }
+    const quantities = tiers.map((t) => Number(t.minQuantity));
+    if (new Set(quantities).size !== quantities.length) {
+      return { error: "Tiers must have different minQuantity values" };
+    }
+    return {
+      rules: {
+        tiers: tiers
+          .map((t) => ({ minQuantity: Number(t.minQuantity), discountPercent: Number(t.discountPercent) }))
+          .sort((a, b) => a.minQuantity - b.minQuantity),
+      },
+    };
+  }
+
+  if (!isPositiveInteger(data.buyQuantity) || !isPositiveInteger(data.getQuantity)) {
+    return { error: "buy_x_get_y deals need buyQuantity and getQuantity (1 or more)" };
+  }
+  const getDiscountPercent = data.getDiscountPercent ?? 100;
+  if (!isPercent(getDiscountPercent)) {
+    return { error: "getDiscountPercent must be more than 0, up to 100" };
+  }
+  if (
+    data.maxApplications !== undefined &&
+    data.maxApplications !== null &&
+    !isPositiveInteger(data.maxApplications)
+  ) {
+    return { error: "maxApplications must be 1 or more" };
+  }
+
+  const getProducts = Array.isArray(data.getProducts) ? data.getProducts.map(String) : [];
+  const getCategories = Array.isArray(data.getCategories) ? data.getCategories.map(String) : [];
+  const invalidIds = [...getProducts, ...getCategories].filter(
+    (id) => !mongoose.Types.ObjectId.isValid(id)
+  );
+  if (invalidIds.length > 0) {
+    return { error: `Invalid reward ID format: ${invalidIds.join(", ")}` };
+  }
+  if (
+    getProducts.length &&
+    (await Product.countDocuments({ _id: { $in: getProducts } })) !== getProducts.length
+  ) {
+    return { error: "Invalid getProducts IDs" };
+  }
+  if (
+    getCategories.length &&
+    (await Category.countDocuments({ _id: { $in: getCategories } })) !== getCategories.length
+  ) {
+    return { error: "Invalid getCategories IDs" };
+  }
+
+  return {
+    rules: {
+      buyQuantity: Number(data.buyQuantity),
+      getQuantity: Number(data.getQuantity),
+      getDiscountPercent: Number(getDiscountPercent),
+      getProducts,
+      getCategories,
+      maxApplications: data.maxApplications ? Number(data.maxApplications) : null,
+    },
+  };
+};
 
 // ---------------- CREATE DEAL ----------------
 exports.createDeal = catchAsync(async (req, res, next) => {
@@ -46,6 +150,7 @@ exports.createDeal = catchAsync(async (req, res, next) => {
     priority = 1,
     btnText,
     dealVariant = "MAIN",
+    stockCap = null,
   } = dealData;
 
   // Ensure arrays are actually arrays
@@ -53,24 +158,37 @@ exports.createDeal = catchAsync(async (req, res, next) => {
   const categoriesArray = Array.isArray(categories) ? categories : [];
   const subCategoriesArray = Array.isArray(subCategories) ? subCategories : [];
 
-  if (!title || !discountType || !discountValue || !startDate || !endDate) {
+  // Cart-level deals (buy X get Y, tiered) carry their own rules instead of a discountValue
+  const isCartDeal = CART_DEAL_TYPES.includes(discountType);
+
+  if (!title || !discountType || (!isCartDeal && !discountValue) || !startDate || !endDate) {
     return errorResponse(res, "Missing required fields", 400);
   }
 
   // Validate discountType
-  if (!["percentage", "fixed", "flat"].includes(discountType)) {
-    return errorResponse(
-      res,
-      "Invalid discountType. Must be 'percentage', 'fixed', or 'flat'",
-      400
-    );
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    return errorResponse(res, INVALID_DISCOUNT_TYPE, 400);
   }
 
   // Validate discountValue
-  if (isNaN(discountValue) || discountValue < 0) {
+  if (!isCartDeal && (isNaN(discountValue) || discountValue < 0)) {
     return errorResponse(res, "discountValue must be a positive number", 400);
   }
 
+  if (!isValidStockCap(stockCap)) {
+    return errorResponse(res, "stockCap must be a whole number of 1 or more", 400);
+  }
+  if (isCartDeal && parseStockCap(stockCap) !== null) {
+    return errorResponse(res, CART_DEAL_STOCK_CAP, 400);
+  }
+
+  let cartRules = {};
+  if (isCartDeal) {
+    const { error, rules } = await validateCartDealRules(discountType, dealData);
+    if (error) return errorResponse(res, error, 400);
+    cartRules = rules;
+  }
+
   // Validate dealVariant
   if (dealVariant && !["MAIN", "FLASH", "SUPER", "MEGA"].includes(dealVariant)) {
     return errorResponse(
@@ -232,7 +350,8 @@ exports.createDeal = catchAsync(async (req, res, next) => {
       title,
       description,
       discountType,
-      discountValue,
+      discountValue: isCartDeal ? undefined : discountValue,
+      ...cartRules,
       startDate: new Date(startDate),
       endDate: new Date(endDate),
       products: validProducts,
@@ -244,6 +363,7 @@ exports.createDeal = catchAsync(async (req, res, next) => {
       image,
       btnText,
       dealVariant: dealVariant || "MAIN",
+      stockCap: parseStockCap(stockCap),
       createdBy: req.user?._id,
     });
 
@@ -296,10 +416,10 @@ exports.getAllDeals = catchAsync(async (req, res) => {
       return { ...p, discountedPrice };
     });
 
-    // Add computed status field: "active" if both isActive and time window are valid, otherwise "inactive"
+    // Add computed status field: "active" if isActive, in its time window and not sold out, otherwise "inactive"
     const status = isDealActive(deal) ? "active" : "inactive";
 
-    formattedDeals.push({ ...deal, products: discountedProducts, status });
+    formattedDeals.push({ ...withStockStatus(deal), products: discountedProducts, status });
   }
 
   return successResponse(
@@ -319,11 +439,15 @@ exports.getDeal = catchAsync(async (req, res) => {
 
   if (!deal) return errorResponse(res, "Deal not found", 404);
   
-  // Add computed status field: "active" if both isActive and time window are valid, otherwise "inactive"
+  // Add computed status field: "active" if isActive, in its time window and not sold out, otherwise "inactive"
   const dealObj = deal.toObject();
   const status = isDealActive(dealObj) ? "active" : "inactive";
   
-  return successResponse(res, { deal: { ...dealObj, status } }, "Deal fetched successfully");
+  return successResponse(
+    res,
+    { deal: { ...withStockStatus(dealObj), status } },
+    "Deal fetched successfully"
+  );
 });
 
 // ---------------- UPDATE DEAL ----------------
@@ -367,18 +491,42 @@ exports.updateDeal = catchAsync(async (req, res) => {
     priority,
     btnText,
     dealVariant,
+    stockCap,
   } = dealData;
 
   // Validate required fields if provided
   if (title !== undefined && !title) {
     return errorResponse(res, "Title cannot be empty", 400);
   }
-  if (discountType !== undefined && !["percentage", "fixed", "flat"].includes(discountType)) {
-    return errorResponse(res, "Invalid discountType. Must be 'percentage', 'fixed', or 'flat'", 400);
+  if (discountType !== undefined && !DISCOUNT_TYPES.includes(discountType)) {
+    return errorResponse(res, INVALID_DISCOUNT_TYPE, 400);
   }
   if (discountValue !== undefined && (isNaN(discountValue) || discountValue < 0)) {
     return errorResponse(res, "discountValue must be a positive number", 400);
   }
+  if (stockCap !== undefined && !isValidStockCap(stockCap)) {
+    return errorResponse(res, "stockCap must be a whole number of 1 or more", 400);
+  }
+
+  // Cart-level rules: checked as a whole, the stored ones filling in what wasn't sent
+  const nextDiscountType = discountType ?? deal.discountType;
+  let cartRules = null;
+  if (CART_DEAL_TYPES.includes(nextDiscountType)) {
+    const nextStockCap = stockCap !== undefined ? parseStockCap(stockCap) : deal.stockCap;
+    if (nextStockCap !== null && nextStockCap !== undefined) {
+      return errorResponse(res, CART_DEAL_STOCK_CAP, 400);
+    }
+    const current = deal.toObject();
+    const merged = {};
+    for (const field of CART_RULE_FIELDS) {
+      merged[field] = dealData[field] !== undefined ? dealData[field] : current[field];
+    }
+    const { error, rules } = await validateCartDealRules(nextDiscountType, merged);
+    if (error) return errorResponse(res, error, 400);
+    cartRules = rules;
+  } else if (discountType !== undefined && discountValue === undefined && !deal.discountValue) {
+    return errorResponse(res, "discountValue is required for this discountType", 400);
+  }
   if (startDate && endDate && new Date(startDate) >= new Date(endDate)) {
     return errorResponse(res, "startDate must be before endDate", 400);
   }
@@ -500,6 +648,7 @@ exports.updateDeal = catchAsync(async (req, res) => {
   if (description !== undefined) updateData.description = description;
   if (discountType !== undefined) updateData.discountType = discountType;
   if (discountValue !== undefined) updateData.discountValue = discountValue;
+  if (cartRules) Object.assign(updateData, cartRules);
   if (startDate !== undefined) updateData.startDate = new Date(startDate);
   if (endDate !== undefined) updateData.endDate = new Date(endDate);
   if (products !== undefined) updateData.products = validProducts;
@@ -510,15 +659,27 @@ exports.updateDeal = catchAsync(async (req, res) => {
   if (priority !== undefined) updateData.priority = priority;
   if (btnText !== undefined) updateData.btnText = btnText;
   if (dealVariant !== undefined) updateData.dealVariant = dealVariant;
+  // Lowering the cap below unitsSold ends the deal price straight away
+  if (stockCap !== undefined) updateData.stockCap = parseStockCap(stockCap);
   if (req.files?.desktop?.[0] || req.files?.mobile?.[0]) {
     updateData.image = imageUpdate;
   }
 
-  // Update the deal
-  const updatedDeal = await Deal.findByIdAndUpdate(id, updateData, {
-    new: true,
-    runValidators: true,
-  })
+  // Switching between item-level and cart-level: drop what only the old type used.
+  // Saved through the document so `discountValue`'s required check sees the new type.
+  const previousType = deal.discountType;
+  deal.set(updateData);
+  if (discountType !== undefined && discountType !== previousType) {
+    if (CART_DEAL_TYPES.includes(discountType)) {
+      deal.discountValue = undefined;
+    }
+    for (const field of CART_RULE_FIELDS) {
+      if (!cartRules || !(field in cartRules)) deal.set(field, undefined);
+    }
+  }
+  await deal.save();
+
+  const updatedDeal = await Deal.findById(id)
     .populate("categories", "name slug")
     .populate("subCategories", "name slug")
     .populate("products", "name slug price sale_price category subCategory");
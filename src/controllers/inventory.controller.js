@@ -0,0 +1,136 @@
+const mongoose = require("mongoose");
+const Product = require("../models/product.model");
+const InventoryMovement = require("../models/inventoryMovement.model");
+const { ADJUSTMENT_CODES, MOVEMENT_REASONS } = require("../models/inventoryMovement.model");
+const catchAsync = require("../utils/catchAsync");
+const successResponse = require("../utils/successResponse");
+const errorResponse = require("../utils/errorResponse");
+const APIFeatures = require("../utils/apiFeatures");
+const { adjustStock } = require("../services/inventoryService");
+
+// Helper: current stock per variant (or the product quantity)
+const currentStock = (product) => ({
+  quantity: product.quantity || 0,
+  in_stock: product.in_stock,
+  variants: (product.variants || []).map((v) => ({
+    variantId: v._id.toString(),
+    sku: v.sku || null,
+    storage: v.storage,
+    ram: v.ram,
+    color: v.color,
+    stock: v.stock || 0,
+  })),
+});
+
+// Admin: stock movement history of a product (?variantId=&reason=&page=&limit=)
+exports.getStockHistory = catchAsync(async (req, res) => {
+  const { productId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    return errorResponse(res, "Invalid product ID", 400);
+  }
+
+  const product = await Product.findById(productId).select(
+    "name productName sku quantity in_stock product_type variants"
+  );
+  if (!product) return errorResponse(res, "Product not found", 404);
+
+  const filter = { product: product._id };
+  if (req.query.variantId) filter.variantId = String(req.query.variantId).split(".")[0];
+  if (req.query.reason) {
+    if (!MOVEMENT_REASONS.includes(req.query.reason)) {
+      return errorResponse(res, `reason must be one of: ${MOVEMENT_REASONS.join(", ")}`, 400);
+    }
+    filter.reason = req.query.reason;
+  }
+
+  const total = await InventoryMovement.countDocuments(filter);
+  const features = new APIFeatures(
+    InventoryMovement.find(filter)
+      .populate("createdBy", "name email role")
+      .populate("order", "orderNumber")
+      .populate("returnRequest", "rmaNumber"),
+    req.query
+  );
+
+  features.sort().paginate(total);
+  const movements = await features.query;
+
+  return successResponse(
+    res,
+    {
+      product: {
+        _id: product._id,
+        name: product.productName || product.name,
+        sku: product.sku,
+        product_type: product.product_type,
+      },
+      stock: currentStock(product),
+      movements,
+      pagination: features.pagination,
+    },
+    "Stock history fetched successfully"
+  );
+});
+
+// Admin: manual stock adjustment
+// Body: { variantId?, delta | newStock, reasonCode, note }
+exports.createAdjustment = catchAsync(async (req, res) => {
+  const { productId } = req.params;
+  const { variantId = null, delta, newStock, reasonCode, note = "" } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    return errorResponse(res, "Invalid product ID", 400);
+  }
+
+  if (!ADJUSTMENT_CODES.includes(reasonCode)) {
+    return errorResponse(res, `reasonCode must be one of: ${ADJUSTMENT_CODES.join(", ")}`, 400);
+  }
+
+  if ((delta === undefined) === (newStock === undefined)) {
+    return errorResponse(res, "Provide either delta or newStock", 400);
+  }
+
+  let change = Number(delta);
+
+  // A recount gives the counted stock; turn it into a delta
+  if (newStock !== undefined) {
+    const target = Number(newStock);
+    if (!Number.isInteger(target) || target < 0) {
+      return errorResponse(res, "newStock must be a non-negative integer", 400);
+    }
+
+    const product = await Product.findById(productId).select("quantity variants");
+    if (!product) return errorResponse(res, "Product not found", 404);
+
+    const variant = variantId
+      ? product.variants.find((v) => v._id.toString() === String(variantId).split(".")[0])
+      : null;
+    if (variantId && !variant) return errorResponse(res, "Variant not found", 404);
+
+    change = target - (variant ? variant.stock || 0 : product.quantity || 0);
+  }
+
+  if (!Number.isInteger(change)) {
+    return errorResponse(res, "delta must be an integer", 400);
+  }
+  if (change === 0) {
+    return errorResponse(res, "Stock is already at that level", 400);
+  }
+
+  const { product, movement } = await adjustStock({
+    productId,
+    variantId,
+    delta: change,
+    reason: "adjustment",
+    reasonCode,
+    user: req.user._id,
+    note,
+  });
+
+  return successResponse(
+    res,
+    { movement, stock: currentStock(product) },
+    "Stock adjusted successfully",
+    201
+  );
+});
@@ -1,21 +1,33 @@
-// make sure stripe is initialized
-const Stripe = require("stripe");
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 const mongoose = require("mongoose");
+const validator = require("validator");
 const Order = require("../models/order.model");
 const User = require("../models/user.model");
 const Cart = require("../models/cart.model");
 const BuyNow = require("../models/buyNow.model");
 const Product = require("../models/product.model");
 const catchAsync = require("../utils/catchAsync");
+const AppError = require("../utils/appError");
 const successResponse = require("../utils/successResponse");
 const errorResponse = require("../utils/errorResponse");
-const { redeemCoupon } = require("./coupon.controller");
 const APIFeatures = require("../utils/apiFeatures");
-const orderConfirmationEmail = require("../templates/emails/orderConfirmationEmail");
+const retryTransaction = require("../utils/retryTransaction");
 const sendEmail = require("../utils/email");
+const { signGuestClaimToken, verifyGuestClaimToken } = require("../utils/token");
+const guestClaimEmail = require("../templates/emails/guestClaimEmail");
 const calculateCartTotals = require("../utils/calculateCartTotals");
+const { getStripe } = require("../utils/stripeClient");
 const { applyDealsToProducts } = require("../services/dealEvaluationService");
+const { transitionOrder } = require("../services/orderLifecycleService");
+const { createRefund } = require("../services/refundService");
+const { recordMovement } = require("../services/inventoryService");
+const { createReservation } = require("../services/stockReservationService");
+const { sendOrderConfirmation } = require("../services/orderEmailService");
+const { renderInvoice } = require("../services/invoiceService");
+const { recordCartRecovery } = require("../services/abandonedCartService");
+const { assertPurchaseLimits } = require("../services/purchaseLimitService");
+const { isBuyNowExpired } = require("../services/buyNowService");
+const { redeemCoupon } = require("../services/couponRedemptionService");
+const { recordDealSales } = require("../services/dealStockService");
 
 // get All products
 exports.getAllOrders = catchAsync(async (req, res, next) => {
@@ -64,6 +76,12 @@ const findVariantById = (variants, variantId) => {
   return null;
 };
 
+// Helper: who is changing an order, for the status timeline
+const getStatusActor = (req) => ({
+  actor: req.user.role === "admin" ? "admin" : "customer",
+  actorUser: req.user._id,
+});
+
 // Helper function to create order from items (reusable for cart and buy-now)
 const createOrderFromItems = async (
   items,
@@ -77,13 +95,21 @@ const createOrderFromItems = async (
   codFee,
   finalTotal,
   metadata,
-  session
+  session,
+  guest = null,
+  pricing = {}
 ) => {
-  // Fetch user and address
-  const user = await User.findById(userId).populate("addresses").session(session);
-  if (!user) throw new Error("User not found");
-  const shippingAddress = user.addresses.id(addressId);
-  if (!shippingAddress) throw new Error("Address not found");
+  // Shipping address: from the user's address book, or given inline by a guest
+  let user = null;
+  let shippingAddress;
+  if (guest) {
+    shippingAddress = guest.address;
+  } else {
+    user = await User.findById(userId).populate("addresses").session(session);
+    if (!user) throw new Error("User not found");
+    shippingAddress = user.addresses.id(addressId);
+    if (!shippingAddress) throw new Error("Address not found");
+  }
 
   // Snapshot of shipping address
   const shippingSnapshot = {
@@ -96,9 +122,30 @@ const createOrderFromItems = async (
     streetAddress: shippingAddress.streetAddress,
     apartment: shippingAddress.apartment,
     postalCode: shippingAddress.postalCode,
-    label: shippingAddress.label,
+    label: shippingAddress.label || undefined,
   };
 
+  // Id up front so the inventory ledger can reference the order
+  const orderId = new mongoose.Types.ObjectId();
+  // Card payments only hold the stock until the webhook confirms the payment
+  const stockReason = paymentMethod === "stripe" ? "reservation" : "sale";
+
+  // Quantity limits and per-customer caps, counting orders the customer already placed
+  const limitProducts = await Product.find({
+    _id: { $in: items.map((item) => item.product._id) },
+  }).session(session);
+  await assertPurchaseLimits(
+    items
+      .map((item) => ({
+        product: limitProducts.find((p) => p._id.equals(item.product._id)),
+        variantId: item.variantId,
+        quantity: item.quantity,
+      }))
+      .filter((line) => line.product),
+    { userId: user ? user._id : null, email: guest ? guest.email : user.email },
+    { session }
+  );
+
   // Validate stock and update products
   for (const item of items) {
     const product = await Product.findById(item.product._id).session(session);
@@ -111,19 +158,18 @@ const createOrderFromItems = async (
       if (variant.stock === undefined || variant.stock === null || variant.stock < item.quantity) {
         throw new Error(`Insufficient variant stock for product ${product.productName || product.name || product.translations?.en?.productName || 'Unknown Product'}`);
       }
-      // Update variant stock - find the variant in the product's variants array and update it
-      const variantIdStr = String(item.variantId).trim();
-      const objectIdPart = variantIdStr.includes('.') ? variantIdStr.split('.')[0] : variantIdStr;
-      const variantIndex = product.variants.findIndex(
-        (v) => v._id && v._id.toString() === objectIdPart
-      );
-      if (variantIndex !== -1) {
-        product.variants[variantIndex].stock -= item.quantity;
-        product.salesCount = (product.salesCount || 0) + item.quantity;
-        await product.save({ session });
-      } else {
-        throw new Error(`Variant not found in product ${product.productName || product.name || product.translations?.en?.productName || 'Unknown Product'}`);
-      }
+      // Update variant stock (variant is the subdocument inside product.variants)
+      variant.stock -= item.quantity;
+      product.salesCount = (product.salesCount || 0) + item.quantity;
+      await product.save({ session });
+      await recordMovement(product, {
+        variantId: variant._id.toString(),
+        delta: -item.quantity,
+        reason: stockReason,
+        order: orderId,
+        user: userId,
+        session,
+      });
     } else {
       // Check product stock for simple products
       if (!product.in_stock || product.quantity < item.quantity) {
@@ -134,6 +180,13 @@ const createOrderFromItems = async (
         product.salesCount = (product.salesCount || 0) + item.quantity;
         if (product.quantity <= 0) product.in_stock = false;
         await product.save({ session });
+        await recordMovement(product, {
+          delta: -item.quantity,
+          reason: stockReason,
+          order: orderId,
+          user: userId,
+          session,
+        });
       }
     }
   }
@@ -151,10 +204,11 @@ const createOrderFromItems = async (
     
     // Use deal price if available, otherwise use original price
     let price = dealPrice !== null ? dealPrice : originalPrice;
+    let variant = null;
     
     // Use variant price if variant exists, applying deal discount if applicable
     if (item.variantId && product.variants && Array.isArray(product.variants)) {
-      const variant = findVariantById(product.variants, item.variantId);
+      variant = findVariantById(product.variants, item.variantId);
       if (variant && variant.price !== undefined && variant.price !== null) {
         // Apply deal discount to variant price if deal exists
         if (dealPrice !== null && originalPrice > 0) {
@@ -166,29 +220,68 @@ const createOrderFromItems = async (
       }
     }
     
+    // Tax percentage as used by calculateTotalsFromItems
+    const taxRate = Number(item.product.tax ?? product.tax);
+    // Buy X get Y / tiered deals priced on this line
+    const line = (pricing.lines || []).find(
+      (l) =>
+        String(l.product) === String(item.product._id) &&
+        (l.variantId || null) === (item.variantId || null)
+    );
+    // A capped deal with fewer units left than the line: charge the line's average price
+    const dealQuantity = appliedDealId && line ? line.dealQuantity : null;
+    if (dealQuantity !== null && dealQuantity < item.quantity) price = line.unitPrice;
+
     return {
       product: item.product._id,
       name: product.productName || product.name || product.translations?.en?.productName || 'Product',
+      // Store the real variant _id (cart ids may be "id.x" or an index) so stock goes back to it
+      variantId: variant ? variant._id.toString() : null,
+      variant: variant
+        ? {
+            storage: variant.storage,
+            ram: variant.ram,
+            color: variant.color,
+            bundle: variant.bundle,
+            warranty: variant.warranty,
+            sku: variant.sku,
+          }
+        : undefined,
       price,
       originalPrice: originalPrice,
       dealPrice: dealPrice,
       appliedDealId: appliedDealId,
       appliedDealVariant: appliedDealVariant,
+      dealQuantity: dealQuantity !== null && dealQuantity < item.quantity ? dealQuantity : null,
+      promotions: line ? line.promotions : [],
+      taxRate: isFinite(taxRate) && taxRate > 0 ? taxRate : 0,
       quantity: item.quantity,
       image: product.image || null,
       shippingFee: product.shippingFee ?? 0,
     };
   }));
 
+  // Units sold against each deal; fails the order when a capped deal has run out
+  await recordDealSales(orderItems, session);
+
   const orderData = {
+    _id: orderId,
     user: userId,
+    guest: guest
+      ? { email: guest.email, phone: guest.phone, name: guest.name || shippingSnapshot.fullName }
+      : undefined,
     items: orderItems,
     shippingAddress: shippingSnapshot,
     paymentMethod,
     subtotal,
     shippingFee,
     discount,
+    promotionDiscount: pricing.promotionDiscount || 0,
     codFee,
+    taxTotal: orderItems.reduce(
+      (sum, item) => sum + (item.price * item.quantity * item.taxRate) / 100,
+      0
+    ),
     coupon: couponId || null,
     totalAmount: finalTotal,
     metadata,
@@ -196,103 +289,116 @@ const createOrderFromItems = async (
     orderStatus: paymentMethod === "cod" ? "pending" : "processing",
   };
 
-  let clientSecret = null;
-
-  // Stripe payment
-  if (paymentMethod === "stripe") {
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(finalTotal * 100),
-      currency: "sar",
-      payment_method_types: ["card"],
-      shipping: {
-        name: shippingSnapshot.fullName,
-        phone: shippingSnapshot.phoneNumber,
-        address: {
-          line1: shippingSnapshot.streetAddress,
-          line2: shippingSnapshot.apartment || "",
-          city: shippingSnapshot.city,
-          state: shippingSnapshot.state || "",
-          country: shippingSnapshot.country,
-          postal_code: shippingSnapshot.postalCode,
-        },
-      },
-      metadata: {
-        userId: userId.toString(),
-        orderType: "product-order",
-        ...metadata,
-      },
-    });
-
-    orderData.paymentIntentId = paymentIntent.id;
-    clientSecret = paymentIntent.client_secret;
-  }
+  // Seed the status timeline with the initial states
+  orderData.statusHistory = [
+    {
+      type: "order",
+      to: orderData.orderStatus,
+      actor: "customer",
+      actorUser: userId,
+      note: "Order placed",
+    },
+    {
+      type: "payment",
+      to: orderData.paymentStatus,
+      actor: "customer",
+      actorUser: userId,
+      note: `Payment method: ${paymentMethod}`,
+    },
+  ];
 
   // Create order
   const [order] = await Order.create([orderData], { session });
 
-  // Redeem coupon if applied
-  if (couponId) await redeemCoupon(couponId, userId);
+  // Hold the stock until the payment succeeds, fails or times out
+  if (paymentMethod === "stripe") await createReservation(order, { session });
 
-  // Send confirmation email
-  try {
-    await sendEmail({
-      email: user.email,
-      subject: `Order Confirmation - ${order.orderNumber || order._id}`,
-      html: orderConfirmationEmail({
-        fullName: shippingSnapshot.fullName,
-        orderNumber: order.orderNumber || order._id,
-        trackingNumber: order.trackingNumber || "Not Assigned Yet",
-        totalAmount: order.totalAmount.toFixed(2),
-        paymentMethod: order.paymentMethod,
-        orderStatus: order.orderStatus,
-        streetAddress: shippingSnapshot.streetAddress,
-        city: shippingSnapshot.city,
-        country: shippingSnapshot.country,
-      }),
-    });
-  } catch (emailErr) {
-    console.error("Order confirmation email failed:", emailErr);
+  // Record the coupon use (limits are re-checked against the redemption ledger)
+  if (couponId) {
+    await redeemCoupon(
+      { couponId, order, userId, email: guest ? guest.email : user.email },
+      session
+    );
   }
 
-  return { order, clientSecret, user };
+  // The confirmation email and the PaymentIntent come once the transaction has committed
+  return { order, user };
 };
 
-// Helper function to retry transaction on write conflict
-const retryTransaction = async (operation, maxRetries = 3) => {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+/**
+ * Create the PaymentIntent of a committed card order and store its id on the order
+ * Runs once per order (outside the retried transaction), keyed on the order id. If Stripe
+ * fails, the order is cancelled so its stock, coupon use and deal units are given back.
+ * @param {Object} order - Committed order
+ * @param {Object} options - { guest, metadata } from checkout
+ * @returns {Promise<string>} - Client secret for the storefront
+ */
+const attachPaymentIntent = async (order, { guest, metadata }) => {
+  const address = order.shippingAddress;
+  let paymentIntent;
+  try {
+    paymentIntent = await getStripe().paymentIntents.create(
+      {
+        amount: Math.round(order.totalAmount * 100),
+        currency: "sar",
+        payment_method_types: ["card"],
+        shipping: {
+          name: address.fullName,
+          phone: address.phoneNumber,
+          address: {
+            line1: address.streetAddress,
+            line2: address.apartment || "",
+            city: address.city,
+            state: address.state || "",
+            country: address.country,
+            postal_code: address.postalCode,
+          },
+        },
+        ...(guest && { receipt_email: guest.email }),
+        metadata: {
+          userId: order.user ? order.user.toString() : "guest",
+          ...(guest && { guestEmail: guest.email }),
+          orderId: order._id.toString(),
+          orderType: "product-order",
+          ...metadata,
+        },
+      },
+      { idempotencyKey: `order-${order._id}` }
+    );
+  } catch (err) {
     try {
-      return await operation();
-    } catch (error) {
-      // Check if it's a write conflict error
-      if (error.code === 112 && error.codeName === "WriteConflict" && attempt < maxRetries) {
-        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000); // Exponential backoff, max 5s
-        console.warn(`⚠️  Write conflict detected (attempt ${attempt}/${maxRetries}). Retrying in ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        continue;
-      }
-      throw error; // Re-throw if not a write conflict or max retries reached
+      await transitionOrder(order, {
+        orderStatus: "cancelled",
+        actor: "system",
+        note: `Payment could not be started: ${err.message}`,
+      });
+    } catch (cancelErr) {
+      console.error(`Order ${order.orderNumber} not cancelled:`, cancelErr.message);
     }
+    throw err;
   }
-};
-
-// Create Order
-exports.createOrder = catchAsync(async (req, res) => {
-  const userId = req.user._id;
-  const { addressId, paymentMethod = "cod", metadata = {}, isBuyNow = false } = req.body;
 
-  // Validate required fields
-  if (!addressId) {
-    return errorResponse(res, 'Address ID is required', 400);
-  }
+  order.paymentIntentId = paymentIntent.id;
+  await order.save();
+  return paymentIntent.client_secret;
+};
 
-  if (!['cod', 'stripe', 'applepay'].includes(paymentMethod)) {
-    return errorResponse(res, 'Invalid payment method', 400);
-  }
+/**
+ * Turn the owner's cart (or buy-now item) into an order inside a transaction
+ * Shared by account and guest checkout; `owner` is shaped like req.cartOwner.
+ * @param {Object} owner - { user, guestToken, filter }
+ * @param {Object} options - { addressId, guest, paymentMethod, metadata, isBuyNow }
+ * @returns {Promise<{order, user, cartId, clientSecret, message}>}
+ *   cartId is null for buy-now orders
+ */
+const placeOrder = async (
+  owner,
+  { addressId = null, guest = null, paymentMethod, metadata, isBuyNow }
+) => {
+  const userId = owner.user;
 
   // Wrap the entire transaction in retry logic
-  let result;
-  try {
-    result = await retryTransaction(async () => {
+  const result = await retryTransaction(async () => {
     const session = await mongoose.startSession();
     session.startTransaction();
 
@@ -307,7 +413,7 @@ exports.createOrder = catchAsync(async (req, res) => {
 
     if (isBuyNow) {
       // Fetch buy-now item
-      let buyNow = await BuyNow.findOne({ user: userId })
+      let buyNow = await BuyNow.findOne(owner.filter)
         .populate("item.product")
         .populate("coupon")
         .session(session);
@@ -315,6 +421,9 @@ exports.createOrder = catchAsync(async (req, res) => {
       if (!buyNow || !buyNow.item) {
         throw new Error("Buy Now item not found");
       }
+      if (await isBuyNowExpired(buyNow)) {
+        throw new AppError("Buy Now item has expired, please choose the product again", 410);
+      }
 
       // Calculate totals
       const { calculateTotalsFromItems } = require("../utils/calculateCartTotals");
@@ -338,7 +447,7 @@ exports.createOrder = catchAsync(async (req, res) => {
       const finalPaymentMethod = buyNow.paymentMethod || paymentMethod;
 
       // Create order
-      const { order, clientSecret, user } = await createOrderFromItems(
+      const { order, user } = await createOrderFromItems(
         items,
         userId,
         addressId,
@@ -350,25 +459,28 @@ exports.createOrder = catchAsync(async (req, res) => {
         codFee,
         finalTotal,
         metadata,
-        session
+        session,
+        guest,
+        { promotionDiscount: totals.promotionDiscount, lines: totals.lines }
       );
 
       // Clear buy-now item
-      await BuyNow.findOneAndDelete({ user: userId }).session(session);
+      await BuyNow.findOneAndDelete(owner.filter).session(session);
 
       await session.commitTransaction();
       session.endSession();
 
       return {
         order,
-        clientSecret: finalPaymentMethod === "stripe" ? clientSecret : null,
+        user,
+        cartId: null,
         message: finalPaymentMethod === "cod"
           ? "COD order created successfully"
           : "Stripe order created successfully",
       };
     } else {
       // Original cart-based flow
-      let cart = await Cart.findOne({ user: userId })
+      let cart = await Cart.findOne(owner.filter)
         .populate("items.product")
         .populate("coupon")
         .session(session);
@@ -388,7 +500,7 @@ exports.createOrder = catchAsync(async (req, res) => {
       finalTotal = cart.finalTotal;
 
       // Create order
-      const { order, clientSecret, user } = await createOrderFromItems(
+      const { order, user } = await createOrderFromItems(
         items,
         userId,
         addressId,
@@ -400,13 +512,16 @@ exports.createOrder = catchAsync(async (req, res) => {
         codFee,
         finalTotal,
         metadata,
-        session
+        session,
+        guest,
+        { promotionDiscount: cart.promotionDiscount, lines: cart._computed.lines }
       );
 
       // Clear cart
       cart.items = [];
       cart.coupon = null;
       cart.discount = 0;
+      cart.promotionDiscount = 0;
       cart.total = 0;
       cart.finalTotal = 0;
       cart.codFee = 0;
@@ -417,7 +532,8 @@ exports.createOrder = catchAsync(async (req, res) => {
 
       return {
         order,
-        clientSecret: paymentMethod === "stripe" ? clientSecret : null,
+        user,
+        cartId: cart._id,
         message: paymentMethod === "cod"
           ? "COD order created successfully"
           : "Stripe order created successfully",
@@ -431,31 +547,75 @@ exports.createOrder = catchAsync(async (req, res) => {
         message: err.message,
         stack: err.stack,
         userId,
+        guestEmail: guest?.email,
         addressId,
         paymentMethod,
         isBuyNow,
       });
       throw err; // Re-throw to be caught by retry logic
     }
-    });
+  });
+
+  result.clientSecret =
+    result.order.paymentMethod === "stripe"
+      ? await attachPaymentIntent(result.order, { guest, metadata })
+      : null;
+  return result;
+};
+
+// Helper: failed checkout response (errors from placeOrder)
+const orderFailedResponse = (res, error, context) => {
+  console.error('❌ Order creation failed after retries:', {
+    message: error.message,
+    stack: error.stack,
+    ...context,
+  });
+
+  return errorResponse(
+    res,
+    error.message || 'Failed to create order. Please try again.',
+    error.statusCode || 500,
+    process.env.NODE_ENV === 'development' ? { error: error.stack } : undefined
+  );
+};
+
+// Create Order
+exports.createOrder = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+  const { addressId, paymentMethod = "cod", metadata = {}, isBuyNow = false } = req.body;
+
+  // Validate required fields
+  if (!addressId) {
+    return errorResponse(res, 'Address ID is required', 400);
+  }
+
+  if (!['cod', 'stripe', 'applepay'].includes(paymentMethod)) {
+    return errorResponse(res, 'Invalid payment method', 400);
+  }
+
+  let result;
+  try {
+    result = await placeOrder(
+      { user: userId, guestToken: null, filter: { user: userId } },
+      { addressId, paymentMethod, metadata, isBuyNow }
+    );
   } catch (error) {
-    // Handle errors from retryTransaction
-    console.error('❌ Order creation failed after retries:', {
-      message: error.message,
-      stack: error.stack,
+    return orderFailedResponse(res, error, {
       userId: userId.toString(),
       addressId,
       paymentMethod,
       isBuyNow,
     });
-    
-    // Return proper error response
-    return errorResponse(
-      res,
-      error.message || 'Failed to create order. Please try again.',
-      500,
-      process.env.NODE_ENV === 'development' ? { error: error.stack } : undefined
-    );
+  }
+
+  // Committed: now it's safe to email the customer
+  await sendOrderConfirmation(result.order, { email: result.user.email });
+
+  // Credit abandoned-cart reminders that brought the customer back to this cart
+  try {
+    await recordCartRecovery(result.order, { cart: result.cartId });
+  } catch (err) {
+    console.error("Cart recovery tracking failed:", err.message);
   }
 
   // Return success response
@@ -467,6 +627,172 @@ exports.createOrder = catchAsync(async (req, res) => {
   );
 });
 
+// Address fields a guest has to provide inline
+const GUEST_ADDRESS_FIELDS = ["fullName", "phoneNumber", "country", "city", "streetAddress", "postalCode"];
+const PHONE_PATTERN = /^[+]?[(]?[0-9]{1,4}[)]?[-\s./0-9]*$/;
+
+// Create Order as a guest (cart from the signed cart cookie, no account)
+exports.createGuestOrder = catchAsync(async (req, res) => {
+  if (req.user) {
+    return errorResponse(res, "You are logged in; use the regular checkout", 400);
+  }
+
+  const {
+    email,
+    phone,
+    name,
+    address,
+    paymentMethod = "cod",
+    metadata = {},
+    isBuyNow = false,
+  } = req.body;
+
+  if (!email || !validator.isEmail(String(email))) {
+    return errorResponse(res, "A valid email is required", 400);
+  }
+  if (!phone || !PHONE_PATTERN.test(String(phone))) {
+    return errorResponse(res, "A valid phone number is required", 400);
+  }
+  if (!address || typeof address !== "object") {
+    return errorResponse(res, "Shipping address is required", 400);
+  }
+  const missing = GUEST_ADDRESS_FIELDS.filter((field) => !String(address[field] || "").trim());
+  if (missing.length) {
+    return errorResponse(res, "Shipping address is incomplete", 400, missing);
+  }
+  if (!['cod', 'stripe', 'applepay'].includes(paymentMethod)) {
+    return errorResponse(res, 'Invalid payment method', 400);
+  }
+
+  const guest = {
+    email: String(email).trim().toLowerCase(),
+    phone: String(phone).trim(),
+    name: name ? String(name).trim() : null,
+    address,
+  };
+
+  let result;
+  try {
+    result = await placeOrder(req.cartOwner, { guest, paymentMethod, metadata, isBuyNow });
+  } catch (error) {
+    return orderFailedResponse(res, error, {
+      guestEmail: guest.email,
+      paymentMethod,
+      isBuyNow,
+    });
+  }
+
+  await sendOrderConfirmation(result.order, { email: guest.email });
+
+  return successResponse(
+    res,
+    { order: result.order, clientSecret: result.clientSecret },
+    result.message,
+    201
+  );
+});
+
+// Guest: look an order up by its number and the checkout email (public)
+exports.lookupGuestOrder = catchAsync(async (req, res) => {
+  const { orderNumber, email } = req.body;
+  if (!orderNumber || !email) {
+    return errorResponse(res, "Order number and email are required", 400);
+  }
+
+  const order = await Order.findOne({
+    orderNumber: String(orderNumber).trim(),
+    "guest.email": String(email).trim().toLowerCase(),
+  }).populate({
+    path: "items.product",
+    select: "name slug image mainImage tax",
+    populate: {
+      path: "image",
+      select: "original thumbnail",
+    },
+  });
+
+  // Same answer for unknown numbers and wrong emails
+  if (!order) return errorResponse(res, "Order not found", 404);
+
+  const orderData = order.toObject();
+  // Internal references stay private
+  delete orderData.paymentIntentId;
+  orderData.statusHistory = (orderData.statusHistory || []).map(
+    ({ actorUser, ...entry }) => entry
+  );
+
+  return successResponse(res, { order: orderData }, "Order fetched successfully");
+});
+
+/**
+ * Attach every guest order placed with the user's email to the user
+ * @param {Object} user - User document
+ * @returns {Promise<number>} - Number of orders claimed
+ */
+const claimGuestOrders = async (user) => {
+  const result = await Order.updateMany(
+    { user: null, "guest.email": user.email.toLowerCase() },
+    { $set: { user: user._id } }
+  );
+  return result.nModified ?? result.modifiedCount ?? 0;
+};
+exports.claimGuestOrders = claimGuestOrders;
+
+// Guest: email a claim link to the address an order was placed with (public)
+exports.requestGuestClaim = catchAsync(async (req, res) => {
+  const { orderNumber, email } = req.body;
+  if (!orderNumber || !email) {
+    return errorResponse(res, "Order number and email are required", 400);
+  }
+
+  const order = await Order.findOne({
+    orderNumber: String(orderNumber).trim(),
+    user: null,
+    "guest.email": String(email).trim().toLowerCase(),
+  });
+
+  // The link goes to the checkout inbox, never to an address from the request
+  if (order) {
+    const claimURL = `${process.env.CLIENT_URL}/claim-orders?token=${signGuestClaimToken(
+      order.guest.email
+    )}`;
+    try {
+      await sendEmail({
+        email: order.guest.email,
+        subject: "Add your orders to an account (valid for 1 hour)",
+        message: `Claim your guest orders using this link: ${claimURL}`,
+        html: guestClaimEmail(claimURL),
+      });
+    } catch (err) {
+      return errorResponse(res, "There was an error sending the email. Try again later!", 500);
+    }
+  }
+
+  // Same answer for unknown numbers and wrong emails
+  return successResponse(
+    res,
+    {},
+    "If a guest order matches, a claim link has been sent to its email"
+  );
+});
+
+// Claim past guest orders into the logged-in account, using the emailed claim token
+exports.claimOrders = catchAsync(async (req, res) => {
+  const { claimToken } = req.body;
+  if (!claimToken) return errorResponse(res, "Claim token is required", 400);
+
+  const email = verifyGuestClaimToken(claimToken);
+  if (!email) return errorResponse(res, "Claim token is invalid or has expired", 400);
+  // The token proves who owns the inbox; the account must be that same address
+  if (email !== req.user.email.toLowerCase()) {
+    return errorResponse(res, "This claim link was sent to a different email address", 403);
+  }
+
+  const claimed = await claimGuestOrders(req.user);
+
+  return successResponse(res, { claimed }, `${claimed} guest order(s) added to your account`);
+});
+
 //  Get user's all orders (paginated)
 exports.getOrders = catchAsync(async (req, res, next) => {
   const userId = req.user._id;
@@ -515,15 +841,43 @@ exports.getOrder = catchAsync(async (req, res, next) => {
 
   // Authorization check
   if (
-    order.user.toString() !== req.user._id.toString() &&
+    !order.isOwnedBy(req.user) &&
     req.user.role !== "admin"
   ) {
     return errorResponse(res, "Not authorized to view this order", 403);
   }
 
+  // Admins see who made each status change
+  if (req.user.role === "admin") {
+    await order.populate("statusHistory.actorUser", "name email role").execPopulate?.();
+  }
+
   return successResponse(res, { order }, "Order fetched successfully");
 });
 
+// Download the PDF invoice of an order (owner or admin)
+exports.getInvoice = catchAsync(async (req, res) => {
+  // Product tax is only needed for orders placed before tax rates were stored per item
+  const order = await Order.findById(req.params.id).populate("items.product", "tax");
+  if (!order) return errorResponse(res, "Order not found", 404);
+
+  if (
+    !order.isOwnedBy(req.user) &&
+    req.user.role !== "admin"
+  ) {
+    return errorResponse(res, "Not authorized to view this invoice", 403);
+  }
+
+  const { filename, content } = await renderInvoice(order);
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Content-Length": content.length,
+  });
+  return res.status(200).send(content);
+});
+
 //  Admin: update order status
 exports.updateOrderStatus = catchAsync(async (req, res, next) => {
   if (req.user.role !== "admin") return errorResponse(res, "Admin only", 403);
@@ -533,83 +887,93 @@ exports.updateOrderStatus = catchAsync(async (req, res, next) => {
   if (!allowed.includes(status))
     return errorResponse(res, "Invalid status", 400);
 
-  // Prepare update object
-  const updateData = { orderStatus: status };
-
-  // Auto-update payment status when order is delivered
-  if (status === "delivered") {
-    const currentOrder = await Order.findById(req.params.id);
-    if (currentOrder) {
-      // For COD orders, always set payment status to paid when delivered
-      if (currentOrder.paymentMethod === "cod" && currentOrder.paymentStatus !== "paid") {
-        updateData.paymentStatus = "paid";
-      }
-      // For Stripe/ApplePay orders, ensure payment status is paid (should already be, but ensure it)
-      // Only update if it's not already paid and not cancelled/failed
-      if (
-        (currentOrder.paymentMethod === "stripe" || currentOrder.paymentMethod === "applepay") &&
-        currentOrder.paymentStatus !== "paid" &&
-        currentOrder.paymentStatus !== "failed" &&
-        currentOrder.paymentStatus !== "refunded"
-      ) {
-        updateData.paymentStatus = "paid";
-      }
-    }
-  }
-
-  const order = await Order.findByIdAndUpdate(
-    req.params.id,
-    updateData,
-    { new: true }
-  ).populate("user", "name email");
-
+  const order = await Order.findById(req.params.id);
   if (!order) return errorResponse(res, "Order not found", 404);
 
+  // Delivered orders also settle their payment (handled by the lifecycle service)
+  await transitionOrder(order, {
+    orderStatus: status,
+    ...getStatusActor(req),
+    note: req.body.note,
+  });
+  await order.populate("user", "name email").execPopulate?.();
+
   return successResponse(res, { order }, "Order status updated successfully");
 });
 
 //  Cancel order (user or admin)
 exports.cancelOrder = catchAsync(async (req, res, next) => {
-  const order = await Order.findById(req.params.id).populate("items.product");
+  const order = await Order.findById(req.params.id);
 
   if (!order) return errorResponse(res, "Order not found", 404);
 
   // Authorization
   if (
-    order.user.toString() !== req.user._id.toString() &&
+    !order.isOwnedBy(req.user) &&
     req.user.role !== "admin"
   ) {
     return errorResponse(res, "Not authorized to cancel this order", 403);
   }
 
-  // Cannot cancel delivered
-  if (order.orderStatus === "delivered")
-    return errorResponse(res, "Cannot cancel a delivered order", 400);
-
-  order.orderStatus = "cancelled";
-  await order.save();
-
-  // ✅ Restore stock and rollback sales count
-  for (const item of order.items) {
-    const product = await Product.findById(item.product._id);
-    if (product && product.product_type === "simple") {
-      // 🔄 Restore stock
-      product.quantity += item.quantity;
-      product.in_stock = true;
-
-      // 🔄 Rollback salesCount
-      if (product.salesCount && product.salesCount > 0) {
-        product.salesCount = Math.max(0, product.salesCount - item.quantity);
-      }
+  // Cancelling doesn't give card payments back: paid orders go through an admin refund
+  if (req.user.role !== "admin" && ["paid", "partially_refunded"].includes(order.paymentStatus)) {
+    return errorResponse(
+      res,
+      "This order has already been paid. Please contact support to cancel it and get a refund.",
+      409
+    );
+  }
 
-      await product.save();
-    }
+  // Admins cancelling a paid order give the money back first; the cancel needs it refunded
+  if (["paid", "partially_refunded"].includes(order.paymentStatus) && order.refundableAmount > 0) {
+    await createRefund(order, {
+      reason: req.body.reason || "Order cancelled",
+      actorUser: req.user._id,
+    });
   }
 
+  // Stock restore and coupon rollback happen in the lifecycle service
+  await transitionOrder(order, {
+    orderStatus: "cancelled",
+    ...getStatusActor(req),
+    note: req.body.reason || "Order cancelled",
+  });
+
   return successResponse(res, { order }, "Order cancelled successfully");
 });
 
 
+// Admin: issue a full or per-item partial Stripe refund
+exports.createRefund = catchAsync(async (req, res, next) => {
+  if (req.user.role !== "admin") return errorResponse(res, "Admin only", 403);
+
+  const { amount, items = [], reason, restock = false } = req.body;
+  if (!Array.isArray(items)) return errorResponse(res, "Items must be an array", 400);
+
+  const order = await Order.findById(req.params.id);
+  if (!order) return errorResponse(res, "Order not found", 404);
+
+  const refund = await createRefund(order, {
+    amount,
+    items,
+    reason,
+    restock,
+    actorUser: req.user._id,
+  });
+
+  return successResponse(
+    res,
+    {
+      refund,
+      paymentStatus: order.paymentStatus,
+      refundedAmount: order.refundedAmount,
+      refundableAmount: order.refundableAmount,
+    },
+    "Refund issued successfully",
+    201
+  );
+});
+
 // Admin: delete order
 exports.deleteOrder = catchAsync(async (req, res, next) => {
   if (req.user.role !== "admin") return errorResponse(res, "Admin only", 403);
@@ -646,21 +1010,37 @@ exports.trackOrder = catchAsync(async (req, res, next) => {
     shippingAddress: order.shippingAddress,
     createdAt: order.createdAt,
     updatedAt: order.updatedAt,
+    // Public timeline: what happened and when, without actors or internal notes
+    timeline: order.statusHistory.map((entry) => ({
+      type: entry.type,
+      to: entry.to,
+      createdAt: entry.createdAt,
+    })),
   };
 
   return successResponse(res, { trackingInfo }, "Order tracking info fetched");
 });
 
+// Admin: set order and/or payment status
 exports.markOrderStatus = catchAsync(async (req, res, next) => {
+  if (req.user.role !== "admin") return errorResponse(res, "Admin only", 403);
+
   const { id } = req.params;
   const { paymentStatus, orderStatus } = req.body;
 
+  if (!paymentStatus && !orderStatus) {
+    return errorResponse(res, "orderStatus or paymentStatus is required", 400);
+  }
+
   const order = await Order.findById(id);
   if (!order) return errorResponse(res, "Order not found", 404);
 
-  if (paymentStatus) order.paymentStatus = paymentStatus;
-  if (orderStatus) order.orderStatus = orderStatus;
-  await order.save();
+  await transitionOrder(order, {
+    orderStatus,
+    paymentStatus,
+    ...getStatusActor(req),
+    note: req.body.note,
+  });
 
   return successResponse(res, order, "Order updated successfully");
-});
\ No newline at end of file
+});
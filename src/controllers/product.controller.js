@@ -6,6 +6,11 @@ const Variation = require("../models/variation.model");
 const VariationOption = require("../models/variationOption.model");
 const Category = require("../models/category.model");
 const { applyDealsToProducts } = require("../services/dealEvaluationService");
+const {
+  recordInitialStock,
+  snapshotStock,
+  recordStockChanges,
+} = require("../services/inventoryService");
 
 const catchAsync = require("../utils/catchAsync");
 const AppError = require("../utils/appError");
@@ -453,6 +458,47 @@ const parseAndValidateAdditionalInfo = (additionalInfo) => {
   return infoMap;
 };
 
+/**
+ * Parse minOrderQty, maxOrderQty and purchaseCap from a product or variant payload
+ * Only fields present in `source` are returned, so updates leave the others untouched;
+ * null or "" clears a limit.
+ * @param {Object} source - Product data or a single variant
+ * @param {string} [label] - Field prefix used in error messages
+ * @returns {Object} Parsed limits
+ * @throws {AppError} If a value is not a positive integer or min exceeds max
+ */
+const parsePurchaseLimits = (source, label = "") => {
+  const limits = {};
+  const toLimit = (value, field) => {
+    if (value === null || value === "" || value === "null") return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new AppError(`${label}${field} must be a positive whole number`, 400);
+    }
+    return number;
+  };
+
+  if (source.minOrderQty !== undefined) {
+    limits.minOrderQty = toLimit(source.minOrderQty, "minOrderQty");
+  }
+  if (source.maxOrderQty !== undefined) {
+    limits.maxOrderQty = toLimit(source.maxOrderQty, "maxOrderQty");
+  }
+  if (source.purchaseCap !== undefined) {
+    const cap = parseJSON(source.purchaseCap, `${label}purchaseCap`);
+    const quantity = cap ? toLimit(cap.quantity ?? null, "purchaseCap.quantity") : null;
+    limits.purchaseCap = quantity
+      ? { quantity, days: cap.days != null ? toLimit(cap.days, "purchaseCap.days") : 30 }
+      : null;
+  }
+
+  if (limits.minOrderQty && limits.maxOrderQty && limits.minOrderQty > limits.maxOrderQty) {
+    throw new AppError(`${label}minOrderQty cannot be greater than maxOrderQty`, 400);
+  }
+
+  return limits;
+};
+
 /**
  * Parse JSON string or return object
  */
@@ -686,6 +732,7 @@ exports.createProduct = catchAsync(async (req, res, next) => {
   }
 
   // ----------- PARSE ARRAYS & OBJECTS -----------
+  let purchaseLimits = {};
   try {
     tags = parseArray(tags, "tags");
     variations = parseArray(variations, "variations");
@@ -694,6 +741,7 @@ exports.createProduct = catchAsync(async (req, res, next) => {
     galleryImages = parseArray(galleryImages, "galleryImages");
     // Parse and validate additional_info (converts to Map<String, String>)
     additional_info = parseAndValidateAdditionalInfo(additional_info);
+    purchaseLimits = parsePurchaseLimits(productData);
   } catch (err) {
     return errorResponse(res, err.message, err.statusCode || 400);
   }
@@ -739,7 +787,7 @@ exports.createProduct = catchAsync(async (req, res, next) => {
     // Ensure variant images from JSON body are preserved (even if no file uploads)
     // Clean and validate image URLs - this ensures URLs sent in JSON are saved
     // Explicitly construct variant objects to ensure all fields (including image) are preserved
-    variants = variants.map((variant) => {
+    variants = variants.map((variant, index) => {
       // Get image URL - could be from file upload or JSON body
       let imageUrl = variant.image;
       
@@ -765,6 +813,7 @@ exports.createProduct = catchAsync(async (req, res, next) => {
         price: variant.price !== undefined ? Number(variant.price) : undefined,
         stock: variant.stock !== undefined ? Number(variant.stock) : 0,
         sku: variant.sku,
+        ...parsePurchaseLimits(variant, `variants[${index}].`),
       };
       
       // Only include image field if it has a valid, non-empty value
@@ -946,6 +995,9 @@ exports.createProduct = catchAsync(async (req, res, next) => {
     sale_price: finalSalePrice ? Number(finalSalePrice) : null,
     tax: tax ? Number(tax) : null,
 
+    // Purchase limits
+    ...purchaseLimits,
+
     // Optional media
     videoUrl: videoUrl || null,
 
@@ -1002,6 +1054,7 @@ exports.createProduct = catchAsync(async (req, res, next) => {
 
   product.variation_options = variationOptionIds;
   await product.save();
+  await recordInitialStock(product, { user: req.user?._id });
 
   // Return success response with consistent format
   return res.status(201).json({
@@ -1029,6 +1082,7 @@ exports.updateProduct = catchAsync(async (req, res, next) => {
 
   const product = await Product.findById(id);
   if (!product) return errorResponse(res, "Product not found", 404);
+  const stockBefore = snapshotStock(product);
 
   // Extract all fields from request
   let {
@@ -1122,6 +1176,7 @@ exports.updateProduct = catchAsync(async (req, res, next) => {
   }
 
   // ----------- PARSE ARRAYS & OBJECTS -----------
+  let purchaseLimits = {};
   try {
     tags = parseArray(tags, "tags");
     variations = parseArray(variations, "variations");
@@ -1130,6 +1185,7 @@ exports.updateProduct = catchAsync(async (req, res, next) => {
     galleryImages = parseArray(galleryImages, "galleryImages");
     // Parse and validate additional_info (converts to Map<String, String>)
     additional_info = parseAndValidateAdditionalInfo(additional_info);
+    purchaseLimits = parsePurchaseLimits(updateData);
   } catch (err) {
     return errorResponse(res, err.message, err.statusCode || 400);
   }
@@ -1179,7 +1235,7 @@ exports.updateProduct = catchAsync(async (req, res, next) => {
     // Ensure variant images from JSON body are preserved (even if no file uploads)
     // Clean and validate image URLs - this ensures URLs sent in JSON are saved
     // Explicitly construct variant objects to ensure all fields (including image) are preserved
-    variants = variants.map((variant) => {
+    variants = variants.map((variant, index) => {
       // Clean image URL if present
       let imageUrl = variant.image;
       
@@ -1205,6 +1261,7 @@ exports.updateProduct = catchAsync(async (req, res, next) => {
         price: variant.price !== undefined ? Number(variant.price) : undefined,
         stock: variant.stock !== undefined ? Number(variant.stock) : 0,
         sku: variant.sku,
+        ...parsePurchaseLimits(variant, `variants[${index}].`),
       };
       
       // Only include image field if it has a valid value
@@ -1381,6 +1438,10 @@ exports.updateProduct = catchAsync(async (req, res, next) => {
     product.sale_price = finalSalePrice ? Number(finalSalePrice) : null;
   }
   if (tax !== undefined) product.tax = tax ? Number(tax) : null;
+  Object.assign(product, purchaseLimits);
+  if (product.minOrderQty && product.maxOrderQty && product.minOrderQty > product.maxOrderQty) {
+    return errorResponse(res, "minOrderQty cannot be greater than maxOrderQty", 400);
+  }
   if (brand !== undefined) product.brand = brand;
   if (model !== undefined) product.model = model;
   if (quantity !== undefined) product.quantity = quantity !== null ? Number(quantity) : 0;
@@ -1439,6 +1500,7 @@ exports.updateProduct = catchAsync(async (req, res, next) => {
   }
 
   await product.save();
+  await recordStockChanges(stockBefore, product, { user: req.user?._id });
 
   return successResponse(res, { product }, "Product updated successfully", 200);
 });
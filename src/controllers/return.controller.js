@@ -0,0 +1,409 @@
+const ReturnRequest = require("../models/returnRequest.model");
+const Order = require("../models/order.model");
+const catchAsync = require("../utils/catchAsync");
+const successResponse = require("../utils/successResponse");
+const errorResponse = require("../utils/errorResponse");
+const AppError = require("../utils/appError");
+const APIFeatures = require("../utils/apiFeatures");
+const { restockItem } = require("../services/inventoryService");
+const { transitionOrder } = require("../services/orderLifecycleService");
+const { createRefund, getRefundedQuantity } = require("../services/refundService");
+
+const { RETURN_REASONS } = ReturnRequest;
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS || 14);
+
+// Return requests that still hold on to order quantities
+const OPEN_RETURN_STATUSES = ["requested", "approved", "received", "completed"];
+
+// Helper: product + variant key used to match return items to order items
+const itemKey = (productId, variantId) =>
+  `${String(productId)}:${variantId ? String(variantId).split(".")[0] : ""}`;
+
+// Helper: items may arrive as JSON string (multipart/form-data)
+const parseItems = (items) => {
+  if (typeof items === "string") {
+    try {
+      return JSON.parse(items);
+    } catch (err) {
+      return null;
+    }
+  }
+  return items;
+};
+
+// Helper: when the order was delivered (last "delivered" timeline entry)
+const getDeliveredAt = (order) => {
+  const entry = [...(order.statusHistory || [])]
+    .reverse()
+    .find((h) => h.type === "order" && h.to === "delivered");
+  return entry ? entry.createdAt : order.updatedAt;
+};
+
+// Helper: quantities already claimed by other return requests of this order
+const getClaimedQuantities = async (orderId) => {
+  const returns = await ReturnRequest.find({
+    order: orderId,
+    status: { $in: OPEN_RETURN_STATUSES },
+  }).select("items");
+
+  const claimed = new Map();
+  returns.forEach((rma) => {
+    rma.items.forEach((item) => {
+      const key = itemKey(item.product, item.variantId);
+      claimed.set(key, (claimed.get(key) || 0) + item.quantity);
+    });
+  });
+  return claimed;
+};
+
+const getActor = (req) => ({
+  actor: req.user.role === "admin" ? "admin" : "customer",
+  actorUser: req.user._id,
+});
+
+// Helper: move a return request and mirror the change on the order timeline
+const moveReturn = async (rma, to, req, note = "") => {
+  if (!rma.canMoveTo(to)) {
+    throw new AppError(
+      `Cannot change return status from "${rma.status}" to "${to}"`,
+      409
+    );
+  }
+
+  const from = rma.status;
+  const actor = getActor(req);
+
+  // Claim the move first: of two concurrent requests only one finds the return still in `from`
+  const claim = await ReturnRequest.updateOne({ _id: rma._id, status: from }, { $set: { status: to } });
+  if (!(claim.nModified ?? claim.modifiedCount)) {
+    throw new AppError(`Return request is no longer "${from}"`, 409);
+  }
+
+  rma.history.push({ from, to, ...actor, note });
+  rma.status = to;
+  if (["completed", "rejected", "cancelled"].includes(to)) rma.resolvedAt = new Date();
+  await rma.save();
+
+  const order = await Order.findById(rma.order);
+  if (order) {
+    order.recordStatusChange({
+      type: "return",
+      from,
+      to,
+      ...actor,
+      note: `${rma.rmaNumber}${note ? `: ${note}` : ""}`,
+    });
+    await order.save();
+  }
+
+  return order;
+};
+
+// Create return request (customer)
+exports.createReturn = catchAsync(async (req, res) => {
+  const { orderId, reason, description } = req.body;
+  const items = parseItems(req.body.items);
+
+  if (!orderId) return errorResponse(res, "Order ID is required", 400);
+  if (!RETURN_REASONS.includes(reason)) {
+    return errorResponse(res, `Reason must be one of: ${RETURN_REASONS.join(", ")}`, 400);
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    return errorResponse(res, "At least one item is required", 400);
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) return errorResponse(res, "Order not found", 404);
+
+  if (!order.isOwnedBy(req.user)) {
+    return errorResponse(res, "Not authorized to return this order", 403);
+  }
+
+  if (order.orderStatus !== "delivered") {
+    return errorResponse(res, "Only delivered orders can be returned", 400);
+  }
+
+  const deadline = new Date(getDeliveredAt(order));
+  deadline.setDate(deadline.getDate() + RETURN_WINDOW_DAYS);
+  if (deadline < new Date()) {
+    return errorResponse(
+      res,
+      `Return window of ${RETURN_WINDOW_DAYS} days has passed`,
+      400
+    );
+  }
+
+  // Validate requested quantities against what is still returnable
+  const claimed = await getClaimedQuantities(order._id);
+  const returnItems = [];
+
+  for (const requested of items) {
+    const quantity = parseInt(requested.quantity, 10);
+    const key = itemKey(requested.productId, requested.variantId);
+    const orderItem = order.items.find(
+      (i) => itemKey(i.product, i.variantId) === key
+    );
+
+    if (!orderItem) {
+      return errorResponse(res, `Product ${requested.productId} is not part of this order`, 400);
+    }
+    if (!quantity || quantity < 1) {
+      return errorResponse(res, "Quantity must be at least 1", 400);
+    }
+
+    // Units refunded without coming back can't be returned; return refunds are in `claimed`
+    const refunded = getRefundedQuantity(order, orderItem, { excludeReturns: true });
+    const returnable = Math.max(0, orderItem.quantity - refunded - (claimed.get(key) || 0));
+    if (quantity > returnable) {
+      return errorResponse(
+        res,
+        `Only ${returnable} unit(s) of ${orderItem.name || "this product"} can be returned`,
+        400
+      );
+    }
+
+    claimed.set(key, (claimed.get(key) || 0) + quantity);
+    returnItems.push({
+      product: orderItem.product,
+      variantId: orderItem.variantId || null,
+      name: orderItem.name,
+      quantity,
+      unitPrice: orderItem.price,
+    });
+  }
+
+  const photos = (req.files || [])
+    .map((file) => file.path || file.secure_url || file.url)
+    .filter(Boolean);
+
+  const actor = getActor(req);
+  const rma = await ReturnRequest.create({
+    order: order._id,
+    user: req.user._id,
+    items: returnItems,
+    reason,
+    description,
+    photos,
+    history: [{ to: "requested", ...actor, note: reason }],
+  });
+
+  order.recordStatusChange({
+    type: "return",
+    to: "requested",
+    ...actor,
+    note: `${rma.rmaNumber}: ${reason}`,
+  });
+  await order.save();
+
+  return successResponse(res, { returnRequest: rma }, "Return request submitted", 201);
+});
+
+// Get my return requests (paginated)
+exports.getMyReturns = catchAsync(async (req, res) => {
+  const filter = { user: req.user._id };
+  const total = await ReturnRequest.countDocuments(filter);
+
+  const features = new APIFeatures(
+    ReturnRequest.find(filter).populate("order", "orderNumber orderStatus"),
+    req.query
+  );
+  features.sort().limitFields().paginate(total);
+  const returns = await features.query;
+
+  return successResponse(
+    res,
+    { returns, pagination: features.pagination },
+    "Return requests fetched successfully"
+  );
+});
+
+// Get single return request (owner or admin)
+exports.getReturn = catchAsync(async (req, res) => {
+  const rma = await ReturnRequest.findById(req.params.id)
+    .populate("order", "orderNumber orderStatus paymentStatus totalAmount")
+    .populate("items.product", "name slug mainImage");
+
+  if (!rma) return errorResponse(res, "Return request not found", 404);
+
+  if (rma.user.toString() !== req.user._id.toString() && req.user.role !== "admin") {
+    return errorResponse(res, "Not authorized to view this return request", 403);
+  }
+
+  return successResponse(res, { returnRequest: rma }, "Return request fetched successfully");
+});
+
+// Withdraw return request (customer, before the goods are received)
+exports.cancelReturn = catchAsync(async (req, res) => {
+  const rma = await ReturnRequest.findById(req.params.id);
+  if (!rma) return errorResponse(res, "Return request not found", 404);
+
+  if (rma.user.toString() !== req.user._id.toString()) {
+    return errorResponse(res, "Not authorized to cancel this return request", 403);
+  }
+
+  await moveReturn(rma, "cancelled", req, req.body.note || "Withdrawn by customer");
+  return successResponse(res, { returnRequest: rma }, "Return request cancelled");
+});
+
+// Admin: list all return requests
+exports.getAllReturns = catchAsync(async (req, res) => {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+
+  const total = await ReturnRequest.countDocuments(filter);
+  const features = new APIFeatures(
+    ReturnRequest.find(filter)
+      .populate("user", "name email")
+      .populate("order", "orderNumber orderStatus paymentStatus"),
+    req.query
+  );
+  features.sort().limitFields().paginate(total);
+  const returns = await features.query;
+
+  return successResponse(
+    res,
+    { returns, pagination: features.pagination },
+    "Return requests fetched successfully"
+  );
+});
+
+// Admin: approve / reject / mark received
+exports.approveReturn = catchAsync(async (req, res) => {
+  const rma = await ReturnRequest.findById(req.params.id);
+  if (!rma) return errorResponse(res, "Return request not found", 404);
+
+  await moveReturn(rma, "approved", req, req.body.note);
+  return successResponse(res, { returnRequest: rma }, "Return request approved");
+});
+
+exports.rejectReturn = catchAsync(async (req, res) => {
+  const rma = await ReturnRequest.findById(req.params.id);
+  if (!rma) return errorResponse(res, "Return request not found", 404);
+  if (!req.body.note) return errorResponse(res, "A rejection note is required", 400);
+
+  rma.adminNotes = req.body.note;
+  await moveReturn(rma, "rejected", req, req.body.note);
+  return successResponse(res, { returnRequest: rma }, "Return request rejected");
+});
+
+exports.receiveReturn = catchAsync(async (req, res) => {
+  const rma = await ReturnRequest.findById(req.params.id);
+  if (!rma) return errorResponse(res, "Return request not found", 404);
+
+  await moveReturn(rma, "received", req, req.body.note);
+  return successResponse(res, { returnRequest: rma }, "Returned items received");
+});
+
+// Admin: inspect received items, restock or write them off, and complete the return
+exports.inspectReturn = catchAsync(async (req, res) => {
+  const rma = await ReturnRequest.findById(req.params.id);
+  if (!rma) return errorResponse(res, "Return request not found", 404);
+
+  if (!rma.canMoveTo("completed")) {
+    return errorResponse(res, "Items must be received before inspection", 409);
+  }
+
+  const decisions = parseItems(req.body.items);
+  if (!Array.isArray(decisions)) {
+    return errorResponse(res, "Inspection results are required for each item", 400);
+  }
+
+  for (const item of rma.items) {
+    const decision = decisions.find((d) => String(d.itemId) === item._id.toString());
+    if (!decision || !["restock", "write_off"].includes(decision.resolution)) {
+      return errorResponse(
+        res,
+        `Resolution (restock or write_off) is required for ${item.name || item._id}`,
+        400
+      );
+    }
+    item.resolution = decision.resolution;
+    item.inspectionNote = decision.inspectionNote || "";
+  }
+
+  const restocked = rma.items.filter((i) => i.resolution === "restock").length;
+  const order = await moveReturn(
+    rma,
+    "completed",
+    req,
+    req.body.note || `${restocked} restocked, ${rma.items.length - restocked} written off`
+  );
+
+  // Only the request that completed the return puts items back
+  for (const item of rma.items) {
+    if (item.resolution === "restock") {
+      await restockItem({
+        productId: item.product,
+        variantId: item.variantId,
+        quantity: item.quantity,
+        reason: "return",
+        order: rma.order,
+        returnRequest: rma._id,
+        user: req.user._id,
+      });
+    }
+  }
+
+  // Everything on the order came back: close it as returned
+  if (order && order.orderStatus === "delivered") {
+    const completed = await ReturnRequest.find({ order: order._id, status: "completed" });
+    const returnedQty = completed.reduce(
+      (sum, r) => sum + r.items.reduce((s, i) => s + i.quantity, 0),
+      0
+    );
+    const orderedQty = order.items.reduce((sum, i) => sum + i.quantity, 0);
+
+    if (returnedQty >= orderedQty) {
+      await transitionOrder(order, {
+        orderStatus: "returned",
+        ...getActor(req),
+        note: `All items returned (${rma.rmaNumber})`,
+      });
+    }
+  }
+
+  return successResponse(res, { returnRequest: rma }, "Return inspected and completed");
+});
+
+// Admin: refund a completed return (through Stripe, or recorded as paid back for COD orders)
+exports.refundReturn = catchAsync(async (req, res) => {
+  const rma = await ReturnRequest.findById(req.params.id);
+  if (!rma) return errorResponse(res, "Return request not found", 404);
+
+  if (rma.status !== "completed") {
+    return errorResponse(res, "Only completed returns can be refunded", 409);
+  }
+
+  const order = await Order.findById(rma.order);
+  if (!order) return errorResponse(res, "Order not found", 404);
+
+  const alreadyRefunded = order.refunds.some(
+    (r) =>
+      r.returnRequest &&
+      r.returnRequest.toString() === rma._id.toString() &&
+      !["failed", "canceled"].includes(r.status)
+  );
+  if (alreadyRefunded) {
+    return errorResponse(res, "This return has already been refunded", 409);
+  }
+
+  // Stock was already handled at inspection
+  const refund = await createRefund(order, {
+    items: rma.items.map((item) => ({
+      productId: item.product,
+      variantId: item.variantId,
+      quantity: item.quantity,
+    })),
+    amount: req.body.amount,
+    reason: `${rma.rmaNumber}: ${rma.reason}`,
+    returnRequest: rma._id,
+    actorUser: req.user._id,
+  });
+
+  return successResponse(
+    res,
+    { refund, returnRequest: rma, paymentStatus: order.paymentStatus },
+    "Return refunded successfully",
+    201
+  );
+});
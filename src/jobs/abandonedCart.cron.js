@@ -0,0 +1,15 @@
+const cron = require("node-cron");
+const { sendAbandonedCartReminders } = require("../services/abandonedCartService");
+
+// Remind owners of idle carts (thresholds and limits live in site settings)
+cron.schedule("*/15 * * * *", async () => {
+  try {
+    const { sent, skipped, failed } = await sendAbandonedCartReminders();
+
+    console.log(
+      `[${new Date().toISOString()}] Abandoned Carts → sent: ${sent}, skipped: ${skipped}, failed: ${failed}`
+    );
+  } catch (err) {
+    console.error("Abandoned Cart Reminder Error:", err.message);
+  }
+});
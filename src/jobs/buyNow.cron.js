@@ -0,0 +1,15 @@
+const cron = require("node-cron");
+const { expireBuyNowSessions } = require("../services/buyNowService");
+
+// Clear buy-now sessions older than BUY_NOW_EXPIRY_HOURS (site setting)
+cron.schedule("0 * * * *", async () => {
+  try {
+    const { expired, expiryHours } = await expireBuyNowSessions();
+
+    console.log(
+      `[${new Date().toISOString()}] Buy Now Expiry → expired: ${expired} (older than ${expiryHours}h)`
+    );
+  } catch (err) {
+    console.error("Buy Now Expiry Error:", err.message);
+  }
+});
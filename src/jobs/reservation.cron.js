@@ -0,0 +1,15 @@
+const cron = require("node-cron");
+const { sweepExpiredReservations } = require("../services/stockReservationService");
+
+// Release expired stock holds and cancel card orders that were never paid
+cron.schedule("*/5 * * * *", async () => {
+  try {
+    const { cancelled, skipped, released } = await sweepExpiredReservations();
+
+    console.log(
+      `[${new Date().toISOString()}] Reservation Sweep → cancelled: ${cancelled}, skipped: ${skipped}, released: ${released}`
+    );
+  } catch (err) {
+    console.error("Reservation Sweep Error:", err.message);
+  }
+});
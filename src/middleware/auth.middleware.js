@@ -1,13 +1,14 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const { promisify } = require("util");
 const User = require("../models/user.model");
 const catchAsync = require("../utils/catchAsync");
 const AppError = require("../utils/appError");
 
-// Protect routes (only logged in users)
-exports.protect = catchAsync(async (req, res, next) => {
+// Helper: JWT from the Authorization header or one of the auth cookies
+const getToken = (req) => {
   let token;
-  
+
   // Priority 1: Check Authorization header (Bearer token)
   if (
     req.headers.authorization &&
@@ -28,6 +29,13 @@ exports.protect = catchAsync(async (req, res, next) => {
     token = req.cookies.jwt;
   }
 
+  return token;
+};
+
+// Protect routes (only logged in users)
+exports.protect = catchAsync(async (req, res, next) => {
+  const token = getToken(req);
+
   if (!token) return next(new AppError("You are not logged in!", 401));
 
   const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
@@ -46,6 +54,25 @@ exports.protect = catchAsync(async (req, res, next) => {
   next();
 });
 
+// Attach req.user when a valid token is present, but let anonymous requests through
+// (guest checkout routes)
+exports.optionalAuth = async (req, res, next) => {
+  const token = getToken(req);
+  if (!token) return next();
+
+  try {
+    const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+    const currentUser = await User.findById(decoded.id);
+    if (currentUser && !currentUser.changedPasswordAfter(decoded.iat)) {
+      req.user = currentUser;
+      res.locals.user = currentUser;
+    }
+  } catch (err) {
+    // Invalid or expired token: continue as a guest
+  }
+  next();
+};
+
 // Restrict to roles
 exports.restrictTo = (...roles) => {
   return (req, res, next) => {
@@ -77,3 +104,16 @@ exports.isLoggedIn = async (req, res, next) => {
   }
   next();
 };
+
+// Scheduled-job endpoints: Vercel Cron sends "Authorization: Bearer <CRON_SECRET>"
+exports.protectCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return next(new AppError("Scheduled jobs are not configured", 503));
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.headers.authorization || "");
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return next(new AppError("Invalid cron secret", 401));
+  }
+  next();
+};
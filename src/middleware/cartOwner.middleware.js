@@ -0,0 +1,58 @@
+const crypto = require("crypto");
+
+const CART_COOKIE = "cart_token";
+const GUEST_CART_DAYS = Number(process.env.GUEST_CART_DAYS || 30);
+
+const cookieOptions = () => ({
+  maxAge: GUEST_CART_DAYS * 24 * 60 * 60 * 1000,
+  httpOnly: true,
+  signed: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "Lax",
+  path: "/",
+});
+
+// Guest token from the signed cookie, or null when missing / tampered with
+const readGuestToken = (req) => {
+  const token = req.signedCookies && req.signedCookies[CART_COOKIE];
+  return token && /^[a-f0-9]{48}$/.test(token) ? token : null;
+};
+
+/**
+ * Decide who owns the cart / buy-now item of this request
+ * Logged-in users own theirs by user id; everyone else gets a random guest token kept
+ * in a signed cookie. Sets req.cartOwner = { user, guestToken, filter } where `filter`
+ * is the query used to find the owner's Cart / BuyNow. Run after optionalAuth.
+ */
+exports.resolveCartOwner = (req, res, next) => {
+  if (req.user) {
+    req.cartOwner = {
+      user: req.user._id,
+      guestToken: null,
+      filter: { user: req.user._id },
+    };
+    return next();
+  }
+
+  let guestToken = readGuestToken(req);
+  if (!guestToken) {
+    guestToken = crypto.randomBytes(24).toString("hex");
+    res.cookie(CART_COOKIE, guestToken, cookieOptions());
+  }
+
+  req.cartOwner = {
+    user: null,
+    guestToken,
+    filter: { guestToken, user: null },
+  };
+  next();
+};
+
+// Forget the guest cart (after it was handed over to an account)
+exports.clearGuestCartCookie = (res) => {
+  const { maxAge, ...options } = cookieOptions();
+  res.clearCookie(CART_COOKIE, options);
+};
+
+exports.readGuestToken = readGuestToken;
+exports.CART_COOKIE = CART_COOKIE;
@@ -0,0 +1,118 @@
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/idempotencyKey.model");
+const catchAsync = require("../utils/catchAsync");
+const AppError = require("../utils/appError");
+
+const IDEMPOTENCY_WINDOW_HOURS = Number(process.env.IDEMPOTENCY_WINDOW_HOURS || 24);
+const IDEMPOTENCY_LEASE_SECONDS = Number(process.env.IDEMPOTENCY_LEASE_SECONDS || 60);
+const MAX_KEY_LENGTH = 255;
+
+// JSON.stringify with sorted keys so logically equal bodies hash the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const fingerprintRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path} ${stableStringify(req.body || {})}`)
+    .digest("hex");
+
+/**
+ * Honour an Idempotency-Key header on a mutating route
+ * The first request with a key runs normally and its response is stored; repeats with
+ * the same payload inside the window get the stored response replayed. Must run after protect
+ * (or resolveCartOwner for guest routes, which are scoped by their cart token).
+ * - same key, different payload → 422
+ * - same key while the first request is still running → 409; once its lease
+ *   (IDEMPOTENCY_LEASE_SECONDS) has run out, e.g. after a crash, the retry takes the key over
+ * - 5xx responses are not stored, so the client can retry with the same key
+ */
+exports.idempotent = catchAsync(async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return next(new AppError(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`, 400));
+  }
+
+  const scope = req.user ? req.user._id.toString() : `guest:${req.cartOwner.guestToken}`;
+  const fingerprint = fingerprintRequest(req);
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      scope,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      fingerprint,
+      lockedAt: new Date(),
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_WINDOW_HOURS * 60 * 60 * 1000),
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+
+    const existing = await IdempotencyKey.findOne({ scope, key });
+
+    // Expired but not swept by the TTL monitor yet: start over
+    if (!existing || existing.expiresAt < new Date()) {
+      if (existing) await existing.deleteOne();
+      return exports.idempotent(req, res, next);
+    }
+
+    if (existing.fingerprint !== fingerprint) {
+      return next(
+        new AppError("Idempotency-Key was already used with a different request", 422)
+      );
+    }
+
+    if (existing.status === "completed") {
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Only one retry can take a stale lock: the update matches the lock it saw
+    const lockedAt = existing.lockedAt || existing.createdAt;
+    const leaseEnd = new Date(lockedAt.getTime() + IDEMPOTENCY_LEASE_SECONDS * 1000);
+    record =
+      leaseEnd < new Date()
+        ? await IdempotencyKey.findOneAndUpdate(
+            { _id: existing._id, status: "processing", lockedAt: existing.lockedAt },
+            { lockedAt: new Date() },
+            { new: true }
+          )
+        : null;
+
+    if (!record) {
+      return next(
+        new AppError("A request with this Idempotency-Key is still being processed", 409)
+      );
+    }
+  }
+
+  // Capture the response for replays (unless a retry has taken the key over meanwhile)
+  const lock = { _id: record._id, lockedAt: record.lockedAt };
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const persist =
+      res.statusCode >= 500
+        ? IdempotencyKey.deleteOne(lock)
+        : IdempotencyKey.updateOne(
+            lock,
+            { status: "completed", responseStatus: res.statusCode, responseBody: body }
+          );
+
+    persist.catch((err) => console.error("Idempotency key update failed:", err.message));
+    return originalJson(body);
+  };
+
+  next();
+});
@@ -24,10 +24,10 @@ const buyNowSchema = new mongoose.Schema(
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
-      unique: true, // One buy-now item per user
-      index: true,
+      default: null,
     },
+    // Guest checkout: random token from the signed cart_token cookie
+    guestToken: { type: String, default: null },
     item: buyNowItemSchema, // Single item only
 
     coupon: {
@@ -36,6 +36,8 @@ const buyNowSchema = new mongoose.Schema(
       default: null,
     },
     discount: { type: Number, default: 0 },
+    // Buy X get Y and tiered deals
+    promotionDiscount: { type: Number, default: 0 },
     shippingFee: { type: Number, default: 0 },
     shippingMethod: {
       type: String,
@@ -51,11 +53,30 @@ const buyNowSchema = new mongoose.Schema(
 
     total: { type: Number, default: 0 },
     finalTotal: { type: Number, default: 0 },
+    // When the current item was picked; sessions expire relative to this
+    startedAt: { type: Date, default: Date.now },
   },
   { timestamps: true }
 );
 
-buyNowSchema.index({ user: 1 });
+// One buy-now item per user / guest
+buyNowSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: "objectId" } } }
+);
+buyNowSchema.index(
+  { guestToken: 1 },
+  { unique: true, partialFilterExpression: { guestToken: { $type: "string" } } }
+);
+
+buyNowSchema.index({ startedAt: 1 });
+
+buyNowSchema.pre("validate", function (next) {
+  if (!this.user && !this.guestToken) {
+    return next(new Error("Buy-now item must belong to a user or a guest"));
+  }
+  next();
+});
 
 module.exports = mongoose.model("BuyNow", buyNowSchema);
 
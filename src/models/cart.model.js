@@ -17,6 +17,23 @@ const cartItemSchema = new mongoose.Schema(
       default: null,
       index: true,
     },
+    // Unit price at the last totals calculation, to report price changes before checkout
+    unitPrice: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+// "Saved for later" lines keep their variant and quantity but never count towards totals
+const savedItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    quantity: { type: Number, required: true, min: 1, default: 1 },
+    variantId: { type: String, default: null },
+    savedAt: { type: Date, default: Date.now },
   },
   { _id: false }
 );
@@ -26,10 +43,13 @@ const cartSchema = new mongoose.Schema(
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      default: null,
       index: true,
     },
+    // Guest carts: random token from the signed cart_token cookie
+    guestToken: { type: String, default: null },
     items: [cartItemSchema],
+    savedItems: [savedItemSchema],
 
     coupon: {
       type: mongoose.Schema.Types.ObjectId,
@@ -37,6 +57,8 @@ const cartSchema = new mongoose.Schema(
       default: null,
     },
     discount: { type: Number, default: 0 },
+    // Buy X get Y and tiered deals
+    promotionDiscount: { type: Number, default: 0 },
     shippingFee: { type: Number, default: 0 },
     shippingMethod: {
       type: String,
@@ -52,10 +74,33 @@ const cartSchema = new mongoose.Schema(
 
     total: { type: Number, default: 0 },
     finalTotal: { type: Number, default: 0 },
+
+    // Abandoned-cart reminders sent for the current idle period (written without touching updatedAt)
+    recovery: {
+      remindersSent: { type: Number, default: 0 },
+      lastReminderAt: { type: Date, default: null },
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+        default: null,
+      },
+    },
   },
   { timestamps: true }
 );
 
 cartSchema.index({ user: 1 });
+cartSchema.index(
+  { guestToken: 1 },
+  { unique: true, partialFilterExpression: { guestToken: { $type: "string" } } }
+);
+
+// A cart belongs to a user or to a guest token
+cartSchema.pre("validate", function (next) {
+  if (!this.user && !this.guestToken) {
+    return next(new Error("Cart must belong to a user or a guest"));
+  }
+  next();
+});
 
 module.exports = mongoose.model("Cart", cartSchema);
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// One abandoned-cart reminder email, with what happened after it was sent
+const cartRecoverySchema = new mongoose.Schema(
+  {
+    cart: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Cart",
+      required: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    email: { type: String, required: true },
+    // Random token behind the restore link and the open-tracking pixel
+    token: { type: String, required: true, unique: true },
+    reminderNumber: { type: Number, required: true, min: 1 },
+    // Start of the idle period this reminder belongs to (cart.updatedAt when sent)
+    idleSince: { type: Date, required: true },
+
+    // Cart contents when the reminder went out, to restore an emptied cart
+    items: [
+      {
+        _id: false,
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        variantId: { type: String, default: null },
+        quantity: { type: Number, min: 1 },
+        unitPrice: { type: Number, default: null },
+      },
+    ],
+    cartTotal: { type: Number, default: 0 },
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      default: null,
+    },
+
+    sentAt: { type: Date, default: Date.now },
+    openedAt: { type: Date, default: null },
+    restoredAt: { type: Date, default: null },
+    recoveredAt: { type: Date, default: null },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    orderTotal: { type: Number, default: null },
+  },
+  { timestamps: true }
+);
+
+cartRecoverySchema.index({ user: 1, sentAt: -1 });
+cartRecoverySchema.index({ sentAt: -1 });
+
+module.exports = mongoose.model("CartRecovery", cartRecoverySchema);
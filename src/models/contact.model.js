@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const validator = require("validator");
+const { nextYearlyNumber } = require("../services/sequenceService");
 
 const CONTACT_PREFIX = process.env.CONTACT_PREFIX || "CT";
 
@@ -98,22 +99,7 @@ contactSchema.index({ contactId: 1 });
 // Auto-generate contactId before saving
 contactSchema.pre("validate", async function (next) {
   if (!this.contactId) {
-    const year = new Date().getFullYear();
-    const lastContact = await mongoose
-      .model("Contact")
-      .findOne()
-      .sort({ createdAt: -1 });
-
-    let nextSeq = 1;
-    if (lastContact && lastContact.contactId) {
-      const regex = new RegExp(`^${CONTACT_PREFIX}-${year}-(\\d+)$`);
-      const match = lastContact.contactId.match(regex);
-      if (match) {
-        nextSeq = parseInt(match[1], 10) + 1;
-      }
-    }
-
-    this.contactId = `${CONTACT_PREFIX}-${year}-${String(nextSeq).padStart(6, "0")}`;
+    this.contactId = await nextYearlyNumber("contact", CONTACT_PREFIX);
   }
   next();
 });
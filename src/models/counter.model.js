@@ -0,0 +1,12 @@
+const mongoose = require("mongoose");
+
+// One document per named sequence, e.g. "order:2026"
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+module.exports = mongoose.model("Counter", counterSchema);
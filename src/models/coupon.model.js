@@ -25,10 +25,43 @@ const couponSchema = new mongoose.Schema(
     startDate: { type: Date, default: Date.now },
     expiryDate: { type: Date, default: null },
     isActive: { type: Boolean, default: true },
+    // Listed publicly and suggested at checkout; private codes only work when typed in
+    isPublic: { type: Boolean, default: true },
+
+    // Product scope: empty inclusion lists cover everything, exclusions always win.
+    // Categories match a product's category or subcategory.
+    applicableProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    excludedProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    applicableCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+    excludedCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+    applicableBrands: [{ type: String, trim: true }],
+    excludedBrands: [{ type: String, trim: true }],
+
+    // Customer restrictions (need an account); empty lists = anyone
+    allowedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    allowedEmails: [{ type: String, trim: true, lowercase: true }],
+    firstOrderOnly: { type: Boolean, default: false },
+    // Stacking: don't discount lines already priced by a deal
+    excludeDealItems: { type: Boolean, default: false },
+    // Generated coupons (e.g. abandoned-cart reminders, batches) are not listed publicly
+    source: {
+      type: String,
+      enum: ["manual", "abandoned_cart", "batch"],
+      default: "manual",
+    },
+    // Batch codes: the batch they belong to and when one was handed out
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CouponBatch",
+      default: null,
+    },
+    assignedAt: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
+couponSchema.index({ batch: 1, assignedAt: 1 });
+
 couponSchema.virtual("isExpired").get(function () {
   return this.expiryDate && this.expiryDate < new Date();
 });
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// A run of unique single-use codes generated from a template coupon
+const couponBatchSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    // Coupon whose discount rules every code copies
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    prefix: { type: String, trim: true, uppercase: true, default: "" },
+    suffixLength: { type: Number, min: 4, max: 16, default: 8 },
+    quantity: { type: Number, required: true, min: 1 },
+    expiryDate: { type: Date, default: null },
+    isActive: { type: Boolean, default: true },
+    deactivatedAt: { type: Date, default: null },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("CouponBatch", couponBatchSchema);
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// One use of a coupon by an order; active redemptions count towards the coupon's limits
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      unique: true,
+    },
+    // Guests are identified by their checkout email
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    email: { type: String, lowercase: true, trim: true, default: null },
+
+    // Discount the coupon gave and what the order came to
+    discount: { type: Number, default: 0 },
+    orderTotal: { type: Number, default: 0 },
+
+    status: {
+      type: String,
+      enum: ["active", "released"],
+      default: "active",
+    },
+    releasedAt: { type: Date, default: null },
+    releaseReason: {
+      type: String,
+      enum: ["cancelled", "refunded", null],
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ coupon: 1, status: 1 });
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index({ coupon: 1, email: 1, status: 1 });
+
+module.exports = mongoose.model("CouponRedemption", couponRedemptionSchema);
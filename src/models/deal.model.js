@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
 
+// Deal types priced on the whole cart rather than on a single product
+const CART_DEAL_TYPES = ["buy_x_get_y", "tiered"];
+
 const dealSchema = new mongoose.Schema(
   {
     title: { type: String, required: true, trim: true },
@@ -22,12 +25,46 @@ const dealSchema = new mongoose.Schema(
     products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
 
     // Discount details
+    // percentage/fixed/flat lower a product's price; buy_x_get_y and tiered are
+    // cart-level rules evaluated on quantities at checkout
     discountType: {
       type: String,
-      enum: ["percentage", "fixed", "flat"],
+      enum: ["percentage", "fixed", "flat", ...CART_DEAL_TYPES],
       required: true,
     },
-    discountValue: { type: Number, required: true, min: 0 },
+    discountValue: {
+      type: Number,
+      min: 0,
+      required: function () {
+        return !CART_DEAL_TYPES.includes(this.discountType);
+      },
+    },
+
+    // buy_x_get_y: for every `buyQuantity` units of the deal's products, `getQuantity`
+    // units of the reward products get `getDiscountPercent` off (cheapest first).
+    // With no reward products or categories, rewards come from the deal's own products.
+    buyQuantity: { type: Number, min: 1, default: null },
+    getQuantity: { type: Number, min: 1, default: null },
+    getDiscountPercent: { type: Number, min: 0, max: 100, default: 100 },
+    getProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    getCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+    // Times the reward can be earned in one cart (null = no limit)
+    maxApplications: { type: Number, min: 1, default: null },
+
+    // tiered: percentage off every unit of the deal's products once the cart holds
+    // at least `minQuantity` of them; the highest tier reached applies
+    tiers: [
+      {
+        _id: false,
+        minQuantity: { type: Number, required: true, min: 1 },
+        discountPercent: { type: Number, required: true, min: 0, max: 100 },
+      },
+    ],
+
+    // Units that can be sold at the deal price ("first 100 units"); null = no cap. Price deals only.
+    // unitsSold counts units of placed orders priced by this deal, less cancellations.
+    stockCap: { type: Number, min: 1, default: null },
+    unitsSold: { type: Number, min: 0, default: 0 },
 
     // Time window
     startDate: { type: Date, required: true },
@@ -57,3 +94,4 @@ dealSchema.index({ isActive: 1 });
 dealSchema.index({ priority: -1 });
 
 module.exports = mongoose.model("Deal", dealSchema);
+module.exports.CART_DEAL_TYPES = CART_DEAL_TYPES;
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, trim: true },
+    // Who sent the request (user id); keys are only unique per scope
+    scope: { type: String, required: true },
+    method: { type: String, required: true },
+    path: { type: String, required: true },
+    // sha256 of method + path + body, to detect key reuse with another payload
+    fingerprint: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    // When the running request took the key; a stale lock can be taken over (crashed request)
+    lockedAt: { type: Date, default: null },
+    responseStatus: { type: Number, default: null },
+    responseBody: { type: mongoose.Schema.Types.Mixed, default: null },
+    // MongoDB TTL cleanup once the replay window is over
+    expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  },
+  { timestamps: true }
+);
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
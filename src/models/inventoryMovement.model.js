@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+// reservation / release: stock held for, and given back by, unpaid card checkouts
+const MOVEMENT_REASONS = [
+  "sale",
+  "reservation",
+  "release",
+  "cancel",
+  "return",
+  "adjustment",
+  "import",
+];
+
+// Reason codes for manual adjustments (reason "adjustment")
+const ADJUSTMENT_CODES = [
+  "recount",
+  "received",
+  "damaged",
+  "lost",
+  "found",
+  "product_edit",
+  "other",
+];
+
+// Append-only ledger: one entry per stock change of a product or variant
+const inventoryMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variantId: { type: String, default: null },
+    sku: { type: String, default: null },
+    delta: { type: Number, required: true },
+    // Stock of the product / variant right after this movement
+    balance: { type: Number, required: true },
+    reason: { type: String, enum: MOVEMENT_REASONS, required: true },
+    reasonCode: { type: String, enum: [...ADJUSTMENT_CODES, null], default: null },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    returnRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReturnRequest",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    note: { type: String, trim: true, default: "" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+inventoryMovementSchema.index({ product: 1, variantId: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+
+// Ledger entries are never edited or removed
+inventoryMovementSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Inventory movements are append-only"));
+  next();
+});
+
+["updateOne", "updateMany", "findOneAndUpdate", "deleteOne", "deleteMany", "findOneAndDelete"].forEach(
+  (op) => {
+    inventoryMovementSchema.pre(op, function (next) {
+      next(new Error("Inventory movements are append-only"));
+    });
+  }
+);
+
+const InventoryMovement = mongoose.model("InventoryMovement", inventoryMovementSchema);
+
+module.exports = InventoryMovement;
+module.exports.MOVEMENT_REASONS = MOVEMENT_REASONS;
+module.exports.ADJUSTMENT_CODES = ADJUSTMENT_CODES;
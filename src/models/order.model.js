@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const addressSchema = require("./address.model");
+const { nextYearlyNumber } = require("../services/sequenceService");
 
 const ORDER_PREFIX = process.env.ORDER_PREFIX || "ORD";
 const TRACKING_PREFIX = process.env.TRACKING_PREFIX || "EMB";
@@ -12,7 +13,41 @@ const orderItemSchema = new mongoose.Schema(
       required: true,
     },
     name: String,
+    // Variant bought (variable products); used to restock the exact variant
+    variantId: { type: String, default: null },
+    // Snapshot of the variant attributes at purchase time
+    variant: {
+      storage: String,
+      ram: String,
+      color: String,
+      bundle: String,
+      warranty: String,
+      sku: String,
+    },
     price: { type: Number, required: true },
+    originalPrice: { type: Number, default: null },
+    dealPrice: { type: Number, default: null },
+    appliedDealId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Deal",
+      default: null,
+    },
+    appliedDealVariant: { type: String, default: null },
+    // Units charged the deal price when its stock cap ran out mid-line; null = every unit
+    dealQuantity: { type: Number, min: 0, default: null },
+    // Cart-level deals (buy X get Y, tiered) applied to this line
+    promotions: [
+      {
+        _id: false,
+        deal: { type: mongoose.Schema.Types.ObjectId, ref: "Deal" },
+        title: String,
+        type: { type: String },
+        quantity: Number,
+        discount: Number,
+      },
+    ],
+    // Product tax percentage at purchase time (null on orders placed before it was stored)
+    taxRate: { type: Number, default: null },
     quantity: { type: Number, required: true, min: 1 },
     image: { type: mongoose.Schema.Types.ObjectId, ref: "Image" },
     shippingFee: { type: Number, default: 0 },
@@ -20,14 +55,86 @@ const orderItemSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Refund issued against the order's PaymentIntent, or paid back offline (COD) and recorded by an admin
+const refundSchema = new mongoose.Schema(
+  {
+    method: { type: String, enum: ["stripe", "manual"], default: "stripe" },
+    stripeRefundId: { type: String, default: null },
+    amount: { type: Number, required: true, min: 0 },
+    reason: { type: String, trim: true, default: "" },
+    status: {
+      type: String,
+      enum: ["pending", "requires_action", "succeeded", "failed", "canceled"],
+      default: "pending",
+    },
+    items: [
+      {
+        _id: false,
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        variantId: { type: String, default: null },
+        quantity: { type: Number, min: 1 },
+        amount: { type: Number, min: 0 },
+      },
+    ],
+    // Units go back into stock once the refund has succeeded (restock → restocked)
+    restock: { type: Boolean, default: false },
+    restocked: { type: Boolean, default: false },
+    returnRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReturnRequest",
+      default: null,
+    },
+    failureReason: { type: String, default: null },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// One entry per status transition (order or payment), newest last
+const statusHistorySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["order", "payment", "return", "refund"],
+      default: "order",
+    },
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    actor: {
+      type: String,
+      enum: ["admin", "customer", "webhook", "cron", "system"],
+      required: true,
+    },
+    actorUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    note: { type: String, trim: true, default: "" },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const orderSchema = new mongoose.Schema(
   {
+    // null for guest orders until the guest claims them with an account
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      default: null,
       index: true,
     },
+    // Contact details of guest checkouts
+    guest: {
+      email: { type: String, lowercase: true, trim: true, default: null },
+      phone: { type: String, trim: true, default: null },
+      name: { type: String, trim: true, default: null },
+    },
     items: [orderItemSchema],
     shippingAddress: addressSchema,
     orderNumber: {
@@ -48,18 +155,21 @@ const orderSchema = new mongoose.Schema(
     },
     paymentStatus: {
       type: String,
-      enum: ["pending", "paid", "failed", "refunded", "unpaid"],
+      enum: ["pending", "paid", "failed", "partially_refunded", "refunded", "unpaid"],
       default: "pending",
     },
     paymentIntentId: { type: String, default: null },
     orderStatus: {
       type: String,
-      enum: ["processing", "pending", "shipped", "delivered", "cancelled"],
+      enum: ["processing", "pending", "shipped", "delivered", "cancelled", "returned"],
       default: "processing",
     },
     subtotal: { type: Number, required: true, default: 0 },
     shippingFee: { type: Number, default: 0 },
     discount: { type: Number, default: 0 },
+    promotionDiscount: { type: Number, default: 0 },
+    codFee: { type: Number, default: 0 },
+    taxTotal: { type: Number, default: 0 },
     coupon: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Coupon",
@@ -67,8 +177,15 @@ const orderSchema = new mongoose.Schema(
     },
     totalAmount: { type: Number, required: true, default: 0 },
     metadata: { type: Object, default: {} },
+    refunds: [refundSchema],
+    statusHistory: [statusHistorySchema],
+    // Tax invoice, numbered from its own gap-free series on first issue
+    invoice: {
+      number: { type: String, default: null },
+      issuedAt: { type: Date, default: null },
+    },
   },
-  { timestamps: true }
+  { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
 );
 
 /* 
@@ -77,6 +194,11 @@ const orderSchema = new mongoose.Schema(
 -----------------------------------------
 */
 orderSchema.pre("validate", async function (next) {
+  // Orders belong to a user or carry guest contact details
+  if (!this.user && !(this.guest && this.guest.email)) {
+    return next(new Error("Order must belong to a user or have a guest email"));
+  }
+
   // Generate tracking number if not exists
   if (!this.trackingNumber) {
     const uniqueId = Math.random().toString(36).substring(2, 8).toUpperCase();
@@ -84,28 +206,93 @@ orderSchema.pre("validate", async function (next) {
     this.trackingNumber = `${TRACKING_PREFIX}-${timestamp}-${uniqueId}`;
   }
 
-  // Generate sequential order number if not exists
+  // Generate sequential order number if not exists.
+  // Taken outside the checkout transaction on purpose: concurrent checkouts would
+  // otherwise write-conflict on the counter, and a gap after an aborted order is fine.
   if (!this.orderNumber) {
-    const year = new Date().getFullYear();
-    const lastOrder = await mongoose
-      .model("Order")
-      .findOne()
-      .sort({ createdAt: -1 });
-
-    let nextSeq = 1;
-    if (lastOrder && lastOrder.orderNumber) {
-      const regex = new RegExp(`^${ORDER_PREFIX}-${year}-(\\d+)$`);
-      const match = lastOrder.orderNumber.match(regex);
-      if (match) nextSeq = parseInt(match[1], 10) + 1;
-    }
-
-    this.orderNumber = `${ORDER_PREFIX}-${year}-${String(nextSeq).padStart(
-      6,
-      "0"
-    )}`;
+    this.orderNumber = await nextYearlyNumber("order", ORDER_PREFIX);
   }
 
   next();
 });
 
+orderSchema.index({ "guest.email": 1 });
+orderSchema.index(
+  { "invoice.number": 1 },
+  { unique: true, partialFilterExpression: { "invoice.number": { $type: "string" } } }
+);
+
+// Money returned to the customer (succeeded refunds only)
+orderSchema.virtual("refundedAmount").get(function () {
+  return (this.refunds || [])
+    .filter((r) => r.status === "succeeded")
+    .reduce((sum, r) => sum + r.amount, 0);
+});
+
+// Money that can still be refunded: pending refunds already count against it
+orderSchema.virtual("refundableAmount").get(function () {
+  const committed = (this.refunds || [])
+    .filter((r) => !["failed", "canceled"].includes(r.status))
+    .reduce((sum, r) => sum + r.amount, 0);
+  return Math.max(0, Math.round((this.totalAmount - committed) * 100) / 100);
+});
+
+// Whether `user` placed (or claimed) this order; guest orders belong to nobody yet
+orderSchema.methods.isOwnedBy = function (user) {
+  if (!this.user || !user) return false;
+  return String(this.user._id || this.user) === String(user._id || user);
+};
+
+/*
+-----------------------------------------
+  🔹 STATUS TIMELINE
+-----------------------------------------
+*/
+orderSchema.methods.recordStatusChange = function ({
+  type = "order",
+  from = null,
+  to,
+  actor = "system",
+  actorUser = null,
+  note = "",
+}) {
+  this.statusHistory.push({ type, from, to, actor, actorUser, note });
+  return this;
+};
+
+// Apply orderStatus/paymentStatus changes and log each one that actually changed
+orderSchema.methods.changeStatus = function ({
+  orderStatus,
+  paymentStatus,
+  actor = "system",
+  actorUser = null,
+  note = "",
+}) {
+  if (orderStatus && orderStatus !== this.orderStatus) {
+    this.recordStatusChange({
+      type: "order",
+      from: this.orderStatus,
+      to: orderStatus,
+      actor,
+      actorUser,
+      note,
+    });
+    this.orderStatus = orderStatus;
+  }
+
+  if (paymentStatus && paymentStatus !== this.paymentStatus) {
+    this.recordStatusChange({
+      type: "payment",
+      from: this.paymentStatus,
+      to: paymentStatus,
+      actor,
+      actorUser,
+      note,
+    });
+    this.paymentStatus = paymentStatus;
+  }
+
+  return this;
+};
+
 module.exports = mongoose.model("Order", orderSchema);
@@ -1,6 +1,15 @@
 const mongoose = require("mongoose");
 const { createSlug, generateUniqueSlug } = require("../utils/slug");
 
+// Rolling per-customer purchase cap: at most `quantity` units every `days` days
+const purchaseCapSchema = new mongoose.Schema(
+  {
+    quantity: { type: Number, min: 1, default: null },
+    days: { type: Number, min: 1, default: 30 },
+  },
+  { _id: false }
+);
+
 // Variant Schema for mobile products
 const variantSchema = new mongoose.Schema(
   {
@@ -13,6 +22,10 @@ const variantSchema = new mongoose.Schema(
     stock: { type: Number, min: 0, default: 0 },
     sku: { type: String, trim: true },
     image: { type: String, trim: true }, // URL or cloudinary path
+    // Purchase limits for this variant; unset falls back to the product's
+    minOrderQty: { type: Number, min: 1, default: null },
+    maxOrderQty: { type: Number, min: 1, default: null },
+    purchaseCap: { type: purchaseCapSchema, default: null },
   },
   { _id: true }
 );
@@ -53,6 +66,11 @@ const productSchema = new mongoose.Schema(
     salePrice: { type: Number, min: 0, default: null },
     sale_price: { type: Number, min: 0, default: null }, // Legacy support
     tax: { type: Number, min: 0, default: null },
+
+    // Purchase limits (per order and per customer across all variants)
+    minOrderQty: { type: Number, min: 1, default: null },
+    maxOrderQty: { type: Number, min: 1, default: null },
+    purchaseCap: { type: purchaseCapSchema, default: null },
     
     // Product identifiers
     sku: { type: String, trim: true, uppercase: true, sparse: true, index: true },
@@ -0,0 +1,142 @@
+const mongoose = require("mongoose");
+const { nextYearlyNumber } = require("../services/sequenceService");
+
+const RMA_PREFIX = process.env.RMA_PREFIX || "RMA";
+
+const RETURN_REASONS = [
+  "defective",
+  "damaged",
+  "wrong_item",
+  "not_as_described",
+  "changed_mind",
+  "other",
+];
+
+// Allowed status moves for a return request
+const RETURN_TRANSITIONS = {
+  requested: ["approved", "rejected", "cancelled"],
+  approved: ["received", "cancelled"],
+  received: ["completed"],
+  rejected: [],
+  completed: [],
+  cancelled: [],
+};
+
+const returnItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variantId: { type: String, default: null },
+    name: String,
+    quantity: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    // Decided at inspection
+    resolution: {
+      type: String,
+      enum: ["restock", "write_off", null],
+      default: null,
+    },
+    inspectionNote: { type: String, trim: true, default: "" },
+  },
+  { _id: true }
+);
+
+const returnHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    actor: {
+      type: String,
+      enum: ["admin", "customer", "system"],
+      required: true,
+    },
+    actorUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    note: { type: String, trim: true, default: "" },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const returnRequestSchema = new mongoose.Schema(
+  {
+    rmaNumber: {
+      type: String,
+      unique: true,
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    items: {
+      type: [returnItemSchema],
+      validate: [(v) => v.length > 0, "At least one item is required"],
+    },
+    reason: {
+      type: String,
+      enum: RETURN_REASONS,
+      required: true,
+    },
+    description: { type: String, trim: true, maxlength: 2000, default: "" },
+    photos: [{ type: String, trim: true }],
+    status: {
+      type: String,
+      enum: Object.keys(RETURN_TRANSITIONS),
+      default: "requested",
+      index: true,
+    },
+    refundAmount: { type: Number, default: 0 },
+    adminNotes: { type: String, trim: true, default: "" },
+    history: [returnHistorySchema],
+    resolvedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+returnRequestSchema.index({ createdAt: -1 });
+
+/*
+-----------------------------------------
+  🔹 AUTO GENERATE rmaNumber
+-----------------------------------------
+*/
+returnRequestSchema.pre("validate", async function (next) {
+  if (!this.rmaNumber) {
+    this.rmaNumber = await nextYearlyNumber("rma", RMA_PREFIX);
+  }
+  next();
+});
+
+// Refund value follows the requested items
+returnRequestSchema.pre("save", function (next) {
+  if (this.isModified("items")) {
+    this.refundAmount = this.items.reduce(
+      (sum, item) => sum + item.unitPrice * item.quantity,
+      0
+    );
+  }
+  next();
+});
+
+returnRequestSchema.methods.canMoveTo = function (status) {
+  return (RETURN_TRANSITIONS[this.status] || []).includes(status);
+};
+
+module.exports = mongoose.model("ReturnRequest", returnRequestSchema);
+module.exports.RETURN_REASONS = RETURN_REASONS;
+module.exports.RETURN_TRANSITIONS = RETURN_TRANSITIONS;
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// Snapshot of a cart behind a short link that others can import
+const sharedCartSchema = new mongoose.Schema(
+  {
+    token: { type: String, required: true, unique: true },
+    // Staff member or customer who shared the cart (null for guests)
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    items: {
+      type: [
+        {
+          _id: false,
+          product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+          variantId: { type: String, default: null },
+          quantity: { type: Number, required: true, min: 1 },
+        },
+      ],
+      validate: [(items) => items.length > 0, "A shared cart needs at least one item"],
+    },
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      default: null,
+    },
+    note: { type: String, trim: true, maxlength: 500, default: null },
+
+    expiresAt: { type: Date, required: true },
+    // null = unlimited
+    maxRedemptions: { type: Number, min: 1, default: null },
+    redemptionCount: { type: Number, default: 0 },
+    lastRedeemedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+sharedCartSchema.virtual("isExpired").get(function () {
+  return this.expiresAt <= new Date();
+});
+
+module.exports = mongoose.model("SharedCart", sharedCartSchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// Stock held for an order while its card payment is pending
+const stockReservationSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    items: [
+      {
+        _id: false,
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        variantId: { type: String, default: null },
+        quantity: { type: Number, required: true, min: 1 },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["active", "converted", "released"],
+      default: "active",
+    },
+    expiresAt: { type: Date, required: true },
+    convertedAt: { type: Date, default: null },
+    releasedAt: { type: Date, default: null },
+    // payment_failed | expired | cancelled
+    releaseReason: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model("StockReservation", stockReservationSchema);
@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const userController = require("../controllers/user.controller");
 const cartController = require("../controllers/cart.controller");
+const inventoryController = require("../controllers/inventory.controller");
 const { protect, restrictTo } = require("../middleware/auth.middleware");
 
 // ============================================
@@ -18,5 +19,11 @@ router.get("/me", userController.getMe);
 // Get any user's cart by user ID
 router.get("/cart/:userId", cartController.getUserCart);
 
+// Inventory Ledger
+// Stock movement history of a product
+router.get("/inventory/:productId/history", inventoryController.getStockHistory);
+// Manual stock adjustment with a reason code
+router.post("/inventory/:productId/adjustments", inventoryController.createAdjustment);
+
 module.exports = router;
 
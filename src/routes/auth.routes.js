@@ -10,6 +10,7 @@ const router = express.Router();
 router.post("/signup", authController.signup);
 router.post("/login", authController.login);
 router.get("/logout", authController.logout);
+router.post("/guest/convert", authController.convertGuest);
 
 router.post("/forgot-password", authController.forgotPassword);
 router.patch("/update-password", protect, authController.updatePassword);
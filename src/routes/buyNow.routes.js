@@ -1,13 +1,16 @@
 const express = require("express");
 const router = express.Router();
 const buyNowController = require("../controllers/buyNow.controller");
-const { protect } = require("../middleware/auth.middleware");
+const { optionalAuth } = require("../middleware/auth.middleware");
+const { resolveCartOwner } = require("../middleware/cartOwner.middleware");
 
-router.use(protect);
+// Logged-in users and guests (signed cart cookie) alike
+router.use(optionalAuth, resolveCartOwner);
 
 router.get("/", buyNowController.getBuyNowItem);
 router.post("/", buyNowController.setBuyNowItem);
 router.delete("/", buyNowController.clearBuyNowItem);
+router.post("/to-cart", buyNowController.moveToCart);
 
 // Coupon routes
 router.post("/apply-coupon", buyNowController.applyCoupon);
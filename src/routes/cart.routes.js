@@ -1,17 +1,39 @@
 const express = require("express");
 const router = express.Router();
 const cartController = require("../controllers/cart.controller");
-const { protect } = require("../middleware/auth.middleware");
+const { optionalAuth } = require("../middleware/auth.middleware");
+const { resolveCartOwner } = require("../middleware/cartOwner.middleware");
 
-router.use(protect);
+// Links from abandoned-cart emails (public)
+router.get("/recover/:token", cartController.restoreAbandonedCart);
+router.get("/recover/:token/open.gif", cartController.trackReminderOpen);
+
+// Logged-in users and guests (signed cart cookie) alike
+router.use(optionalAuth, resolveCartOwner);
 
 router.get("/", cartController.getCart);
 router.post("/add", cartController.addToCart);
 router.patch("/update/:productId", cartController.updateCartItem);
 router.delete("/remove/:productId", cartController.removeFromCart);
 router.delete("/clear", cartController.clearCart);
+router.post("/merge", cartController.mergeCart);
+router.post("/validate", cartController.validateCart);
+
+// Shareable cart links
+router.post("/share", cartController.shareCart);
+router.get("/shares", cartController.getSharedCarts);
+router.get("/shared/:token", cartController.getSharedCart);
+router.post("/shared/:token/import", cartController.importSharedCart);
+
+// Saved for later
+router.get("/saved", cartController.getSavedItems);
+router.post("/saved/:productId", cartController.saveForLater);
+router.post("/saved/:productId/move-to-cart", cartController.moveSavedToCart);
+router.delete("/saved/:productId", cartController.removeSavedItem);
 
 // Coupon routes (user)
+router.get("/eligible-coupons", cartController.getEligibleCoupons);
+router.post("/apply-best-coupon", cartController.applyBestCoupon);
 router.post("/apply-coupon", cartController.applyCoupon);
 router.delete("/remove-coupon", cartController.removeCoupon);
 // Shipping method
@@ -13,6 +13,31 @@ router.delete(
   couponController.deleteCoupon
 );
 
+// Admin reports
+router.get("/report", protect, restrictTo("admin"), couponController.getRedemptionReport);
+router.get(
+  "/:id/redemptions",
+  protect,
+  restrictTo("admin"),
+  couponController.getCouponRedemptions
+);
+
+// Admin: single-use code batches
+router.post("/batches", protect, restrictTo("admin"), couponController.createCouponBatch);
+router.get("/batches", protect, restrictTo("admin"), couponController.getCouponBatches);
+router.get(
+  "/batches/:id/export",
+  protect,
+  restrictTo("admin"),
+  couponController.exportCouponBatch
+);
+router.patch(
+  "/batches/:id/deactivate",
+  protect,
+  restrictTo("admin"),
+  couponController.deactivateCouponBatch
+);
+
 // Public routes
 router.get("/", couponController.getCoupons);
 router.get("/:code", couponController.getCoupon);
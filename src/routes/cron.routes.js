@@ -0,0 +1,13 @@
+const express = require("express");
+const router = express.Router();
+const cronController = require("../controllers/cron.controller");
+const { protectCron } = require("../middleware/auth.middleware");
+
+// Vercel Cron calls these with GET and the CRON_SECRET bearer token
+router.use(protectCron);
+
+router.get("/reservations", cronController.sweepReservations);
+router.get("/abandoned-carts", cronController.remindAbandonedCarts);
+router.get("/buy-now", cronController.expireBuyNow);
+
+module.exports = router;
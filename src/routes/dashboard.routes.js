@@ -33,5 +33,8 @@ router.get("/top-customers", dashboardController.getTopCustomers);
 // Visitors Chart
 router.get("/visitors", dashboardController.getVisitorsChart);
 
+// Abandoned Cart Recovery
+router.get("/abandoned-carts", dashboardController.getAbandonedCartStats);
+
 module.exports = router;
 
@@ -1,13 +1,22 @@
 const express = require("express");
 const router = express.Router();
 const orderController = require("../controllers/order.controller");
-const { protect, restrictTo } = require("../middleware/auth.middleware");
+const { protect, restrictTo, optionalAuth } = require("../middleware/auth.middleware");
+const { idempotent } = require("../middleware/idempotency.middleware");
+const { resolveCartOwner } = require("../middleware/cartOwner.middleware");
+
+// Guest checkout (no account)
+router.post("/guest", optionalAuth, resolveCartOwner, idempotent, orderController.createGuestOrder);
+router.post("/guest/lookup", orderController.lookupGuestOrder);
+router.post("/guest/claim-link", orderController.requestGuestClaim);
 
 // User routes
 router.use(protect);
 router.get("/", orderController.getOrders);
-router.post("/", orderController.createOrder);
+router.post("/", idempotent, orderController.createOrder);
+router.post("/claim", orderController.claimOrders);
 router.get("/:id", orderController.getOrder);
+router.get("/:id/invoice", orderController.getInvoice);
 router.patch("/:id/cancel", orderController.cancelOrder);
 router.get("/track/:trackingNumber", orderController.trackOrder);
 
@@ -16,6 +25,7 @@ router.get("/track/:trackingNumber", orderController.trackOrder);
 router.use(restrictTo("admin"));
 router.get("/admin/all", orderController.getAllOrders);
 router.patch("/admin/:id/status", orderController.updateOrderStatus);
+router.post("/admin/:id/refunds", orderController.createRefund);
 router.delete("/admin/:id", orderController.deleteOrder);
 router.put("/:id/status", orderController.markOrderStatus);
 
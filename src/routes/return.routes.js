@@ -0,0 +1,23 @@
+const express = require("express");
+const router = express.Router();
+const returnController = require("../controllers/return.controller");
+const uploadReturn = require("../utils/uploadReturn");
+const { protect, restrictTo } = require("../middleware/auth.middleware");
+
+// User routes
+router.use(protect);
+router.post("/", uploadReturn.array("photos", 5), returnController.createReturn);
+router.get("/", returnController.getMyReturns);
+router.patch("/:id/cancel", returnController.cancelReturn);
+
+// Admin routes (must come before "/:id")
+router.get("/admin/all", restrictTo("admin"), returnController.getAllReturns);
+router.patch("/admin/:id/approve", restrictTo("admin"), returnController.approveReturn);
+router.patch("/admin/:id/reject", restrictTo("admin"), returnController.rejectReturn);
+router.patch("/admin/:id/receive", restrictTo("admin"), returnController.receiveReturn);
+router.patch("/admin/:id/inspect", restrictTo("admin"), returnController.inspectReturn);
+router.post("/admin/:id/refund", restrictTo("admin"), returnController.refundReturn);
+
+router.get("/:id", returnController.getReturn);
+
+module.exports = router;
@@ -1,10 +1,22 @@
 const express = require("express");
 const router = express.Router();
-const Stripe = require("stripe");
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const { getStripe } = require("../utils/stripeClient");
 const Order = require("../models/order.model");
-const sendEmail = require("../utils/email");
-const orderConfirmationEmail = require("../templates/emails/orderConfirmationEmail");
+const { sendOrderConfirmation } = require("../services/orderEmailService");
+const {
+  canTransition,
+  transitionOrder,
+} = require("../services/orderLifecycleService");
+const {
+  createRefund,
+  applyStripeRefund,
+  reconcileRefunds,
+  settleRefunds,
+} = require("../services/refundService");
+const {
+  convertReservation,
+  releaseReservation,
+} = require("../services/stockReservationService");
 
 /*
   ⚠️ IMPORTANT
@@ -27,7 +39,7 @@ router.post(
     }
 
     try {
-      event = stripe.webhooks.constructEvent(
+      event = getStripe().webhooks.constructEvent(
         req.body,
         sig,
         process.env.STRIPE_WEBHOOK_SECRET
@@ -44,15 +56,9 @@ router.post(
           const paymentIntent = event.data.object;
           console.log(" PaymentIntent succeeded:", paymentIntent.id);
 
-          const order = await Order.findOneAndUpdate(
-            { paymentIntentId: paymentIntent.id },
-            {
-              paymentStatus: "paid",
-              orderStatus: "processing", // or "confirmed" if you want manual ship after this
-              updatedAt: new Date(),
-            },
-            { new: true }
-          );
+          const order = await Order.findOne({
+            paymentIntentId: paymentIntent.id,
+          }).populate("user", "email");
 
           if (!order) {
             console.warn(
@@ -61,29 +67,39 @@ router.post(
             break;
           }
 
-          // Optional: send confirmation email after successful payment
-          try {
-            await sendEmail({
-              email: order.user.email || paymentIntent.receipt_email,
-              subject: `Payment Received - Order ${order.orderNumber}`,
-              html: orderConfirmationEmail({
-                fullName: order.shippingAddress.fullName,
-                orderNumber: order.orderNumber,
-                trackingNumber:
-                  order.trackingNumber || "Tracking will be shared soon",
-                totalAmount: order.totalAmount.toFixed(2),
-                paymentMethod: order.paymentMethod,
-                orderStatus: order.orderStatus,
-                streetAddress: order.shippingAddress.streetAddress,
-                city: order.shippingAddress.city,
-                country: order.shippingAddress.country,
-              }),
+          // Paid after the order was cancelled: record the payment and give it straight back
+          if (order.orderStatus === "cancelled") {
+            await transitionOrder(order, {
+              paymentStatus: "paid",
+              actor: "webhook",
+              note: `Stripe ${event.type} (${paymentIntent.id}) on a cancelled order`,
             });
-            console.log(` Confirmation email sent for ${order.orderNumber}`);
-          } catch (emailErr) {
-            console.error(" Email sending failed:", emailErr.message);
+            if (order.refundableAmount > 0) {
+              await createRefund(order, { reason: "Paid after the order was cancelled" });
+            }
+            console.warn(`Order ${order.orderNumber} was paid after cancellation and refunded`);
+            break;
           }
 
+          await transitionOrder(order, {
+            paymentStatus: "paid",
+            // Stripe orders are already "processing"; only move if still pending
+            orderStatus: canTransition("order", order.orderStatus, "processing")
+              ? "processing"
+              : undefined,
+            actor: "webhook",
+            note: `Stripe ${event.type} (${paymentIntent.id})`,
+          });
+
+          // Reserved stock becomes a sale
+          await convertReservation(order);
+
+          // Confirmation email after successful payment (invoice attached when enabled)
+          await sendOrderConfirmation(order, {
+            email: order.user?.email || order.guest?.email || paymentIntent.receipt_email,
+            subject: `Payment Received - Order ${order.orderNumber}`,
+          });
+
           break;
         }
 
@@ -92,24 +108,52 @@ router.post(
           const paymentIntent = event.data.object;
           console.log("PaymentIntent failed:", paymentIntent.id);
 
-          await Order.findOneAndUpdate(
-            { paymentIntentId: paymentIntent.id },
-            { paymentStatus: "failed", updatedAt: new Date() },
-            { new: true }
-          );
+          const order = await Order.findOne({
+            paymentIntentId: paymentIntent.id,
+          });
+          if (order) {
+            await transitionOrder(order, {
+              paymentStatus: "failed",
+              actor: "webhook",
+              note:
+                paymentIntent.last_payment_error?.message ||
+                `Stripe ${event.type} (${paymentIntent.id})`,
+            });
+
+            // Give the held stock back; a successful retry takes it again
+            await releaseReservation(order, { reason: "payment_failed" });
+          }
           break;
         }
 
-        // Refunds (optional)
+        // Refunds: reconcile refund records, fulfilment status is left alone
         case "charge.refunded": {
           const charge = event.data.object;
           console.log("Payment refunded:", charge.payment_intent);
 
-          await Order.findOneAndUpdate(
-            { paymentIntentId: charge.payment_intent },
-            { paymentStatus: "refunded", orderStatus: "cancelled" },
-            { new: true }
-          );
+          const order = await Order.findOne({
+            paymentIntentId: charge.payment_intent,
+          });
+          if (order) {
+            // Charge payloads may omit or truncate refunds; fetch them in that case
+            await reconcileRefunds(
+              order,
+              charge.refunds && !charge.refunds.has_more ? charge.refunds.data : undefined
+            );
+          }
+          break;
+        }
+
+        case "charge.refund.updated":
+        case "refund.updated": {
+          const refund = event.data.object;
+
+          const order = await Order.findOne({
+            paymentIntentId: refund.payment_intent,
+          });
+          if (order && applyStripeRefund(order, refund)) {
+            await settleRefunds(order, { actor: "webhook" });
+          }
           break;
         }
 
@@ -120,6 +164,11 @@ router.post(
       // Always acknowledge Stripe webhook receipt
       res.status(200).json({ received: true });
     } catch (err) {
+      // Illegal lifecycle moves will never succeed on retry, so acknowledge them
+      if (err.statusCode === 409) {
+        console.warn(`Webhook ${event.type} ignored: ${err.message}`);
+        return res.status(200).json({ received: true, ignored: err.message });
+      }
       console.error("Webhook handler error:", err);
       res.status(500).send("Webhook handler error");
     }
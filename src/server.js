@@ -7,6 +7,11 @@ const logger = require("./utils/logger");
   try {
     await connectDB();
     if (process.env.VERCEL !== "1") {
+      // Scheduled jobs need a long-running process; on Vercel, vercel.json crons call /api/v1/cron
+      require("./jobs/reservation.cron");
+      require("./jobs/abandonedCart.cron");
+      require("./jobs/buyNow.cron");
+
       const PORT = process.env.PORT || 5000;
       app.listen(PORT, () => {
         logger.info(
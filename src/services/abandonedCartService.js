@@ -0,0 +1,406 @@
+const crypto = require("crypto");
+const Cart = require("../models/cart.model");
+const CartRecovery = require("../models/cartRecovery.model");
+const Coupon = require("../models/coupon.model");
+const Order = require("../models/order.model");
+const SiteSetting = require("../models/siteSetting.model");
+const sendEmail = require("../utils/email");
+const calculateCartTotals = require("../utils/calculateCartTotals");
+const { getCouponLimitIssue } = require("./couponRedemptionService");
+const { claimBatchCoupon } = require("./couponBatchService");
+const abandonedCartEmail = require("../templates/emails/abandonedCartEmail");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const SWEEP_BATCH_SIZE = 200;
+
+// Site settings (admin → settings) and their defaults
+const SETTING_DEFAULTS = {
+  ABANDONED_CART_ENABLED: true,
+  // Hours of inactivity before the 1st, 2nd, 3rd... reminder
+  ABANDONED_CART_REMINDER_HOURS: [1, 24, 72],
+  // Defaults to one reminder per threshold above
+  ABANDONED_CART_MAX_REMINDERS: null,
+  // 0 disables the single-use recovery coupon
+  ABANDONED_CART_COUPON_PERCENT: 0,
+  ABANDONED_CART_COUPON_DAYS: 7,
+  // Coupon batch id: hand out its pre-generated codes instead of creating percentage coupons
+  ABANDONED_CART_COUPON_BATCH: null,
+  // Orders placed this long after a reminder count as recovered
+  ABANDONED_CART_ATTRIBUTION_DAYS: 7,
+};
+
+// 1x1 transparent GIF for open tracking
+const TRACKING_PIXEL = Buffer.from("R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7", "base64");
+
+/**
+ * Current abandoned-cart settings, defaults filled in
+ * @returns {Promise<{enabled, reminderHours, maxReminders, couponPercent, couponDays, couponBatch, attributionDays}>}
+ */
+const getRecoverySettings = async () => {
+  const rows = await SiteSetting.find({ key: { $in: Object.keys(SETTING_DEFAULTS) } }).lean();
+  const values = { ...SETTING_DEFAULTS };
+  for (const row of rows) {
+    if (row.value !== null && row.value !== undefined && row.value !== "") values[row.key] = row.value;
+  }
+
+  // Accept [1, 24] as well as "1,24"
+  const hours = (Array.isArray(values.ABANDONED_CART_REMINDER_HOURS)
+    ? values.ABANDONED_CART_REMINDER_HOURS
+    : String(values.ABANDONED_CART_REMINDER_HOURS).split(",")
+  )
+    .map(Number)
+    .filter((h) => isFinite(h) && h > 0)
+    .sort((a, b) => a - b);
+  const reminderHours = hours.length ? hours : SETTING_DEFAULTS.ABANDONED_CART_REMINDER_HOURS;
+
+  return {
+    enabled: values.ABANDONED_CART_ENABLED === true || values.ABANDONED_CART_ENABLED === "true",
+    reminderHours,
+    maxReminders:
+      values.ABANDONED_CART_MAX_REMINDERS === null
+        ? reminderHours.length
+        : Math.max(0, Number(values.ABANDONED_CART_MAX_REMINDERS) || 0),
+    couponPercent: Math.min(100, Math.max(0, Number(values.ABANDONED_CART_COUPON_PERCENT) || 0)),
+    couponDays: Number(values.ABANDONED_CART_COUPON_DAYS) || SETTING_DEFAULTS.ABANDONED_CART_COUPON_DAYS,
+    couponBatch: values.ABANDONED_CART_COUPON_BATCH ? String(values.ABANDONED_CART_COUPON_BATCH) : null,
+    attributionDays:
+      Number(values.ABANDONED_CART_ATTRIBUTION_DAYS) || SETTING_DEFAULTS.ABANDONED_CART_ATTRIBUTION_DAYS,
+  };
+};
+
+// Helper: public base URL of this API, for links inside emails
+const apiUrl = (path) =>
+  `${(process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, "")}${path}`;
+
+// Helper: single-use coupon for one cart owner, from the configured batch when there is one
+const createRecoveryCoupon = async (settings) => {
+  if (settings.couponBatch) {
+    const coupon = await claimBatchCoupon(settings.couponBatch);
+    // Batch used up or deactivated: fall back to a percentage coupon if one is configured
+    if (coupon || !(settings.couponPercent > 0)) return coupon;
+  }
+
+  return Coupon.create({
+    code: `COMEBACK-${crypto.randomBytes(4).toString("hex").toUpperCase()}`,
+    description: "Abandoned cart reminder",
+    discountType: "percentage",
+    discountValue: settings.couponPercent,
+    usageLimit: 1,
+    perUserLimit: 1,
+    expiryDate: new Date(Date.now() + settings.couponDays * DAY),
+    source: "abandoned_cart",
+  });
+};
+
+// Helper: email lines from a cart with populated products
+const buildEmailItems = (cart) =>
+  cart.items
+    .filter((item) => item.product && typeof item.product === "object")
+    .map((item) => {
+      const product = item.product;
+      const variant = item.variantId
+        ? (product.variants || []).find((v) => v._id && v._id.toString() === String(item.variantId).split(".")[0])
+        : null;
+      return {
+        name: product.productName || product.name,
+        variantLabel: variant
+          ? [variant.storage, variant.ram, variant.color].filter(Boolean).join(" / ")
+          : null,
+        image: (variant && variant.image) || product.mainImage || null,
+        quantity: item.quantity,
+        price: item.unitPrice ?? (variant && variant.price) ?? product.sale_price ?? product.price ?? null,
+      };
+    });
+
+/**
+ * Email the owners of carts that have been idle past the configured thresholds
+ * A cart gets at most `maxReminders` reminders per idle period; any change to the cart
+ * starts a new period. Carts whose owner ordered in the meantime are left alone.
+ * @returns {Promise<{sent: number, skipped: number, failed: number}>}
+ */
+const sendAbandonedCartReminders = async () => {
+  const summary = { sent: 0, skipped: 0, failed: 0 };
+  const settings = await getRecoverySettings();
+  if (!settings.enabled || settings.maxReminders === 0) return summary;
+
+  const now = Date.now();
+  const { reminderHours, maxReminders } = settings;
+  const idleBefore = (sent) =>
+    new Date(now - reminderHours[Math.min(sent, reminderHours.length - 1)] * HOUR);
+
+  // Only carts whose next reminder is due, so waiting carts can't fill the batch
+  const due = [
+    // New idle period: never reminded, or touched again after the last reminder
+    { "recovery.lastReminderAt": null, updatedAt: { $lt: idleBefore(0) } },
+    {
+      $expr: { $gt: ["$updatedAt", "$recovery.lastReminderAt"] },
+      updatedAt: { $lt: idleBefore(0) },
+    },
+  ];
+  for (let sent = 1; sent < maxReminders; sent++) {
+    // Reminders past the last threshold all wait for that threshold
+    const last = sent >= reminderHours.length - 1;
+    due.push({
+      "recovery.remindersSent": last ? { $gte: sent, $lt: maxReminders } : sent,
+      $expr: { $lte: ["$updatedAt", "$recovery.lastReminderAt"] },
+      updatedAt: { $lt: idleBefore(sent) },
+    });
+    if (last) break;
+  }
+
+  const carts = await Cart.find({
+    user: { $ne: null },
+    "items.0": { $exists: true },
+    $or: due,
+  })
+    .sort({ updatedAt: 1 })
+    .limit(SWEEP_BATCH_SIZE)
+    .populate("user", "name email")
+    .populate("items.product", "productName name mainImage price sale_price variants");
+
+  // Close a cart's idle period without touching updatedAt; a change to the cart reopens it
+  const closeIdlePeriod = (cart) =>
+    Cart.updateOne(
+      { _id: cart._id },
+      {
+        $set: {
+          "recovery.remindersSent": maxReminders,
+          "recovery.lastReminderAt": new Date(),
+        },
+      },
+      { timestamps: false }
+    );
+
+  for (const cart of carts) {
+    const recovery = cart.recovery || {};
+    const newPeriod = !recovery.lastReminderAt || cart.updatedAt > recovery.lastReminderAt;
+    const alreadySent = newPeriod ? 0 : recovery.remindersSent || 0;
+
+    // Nobody to email (account deleted or without an address): stop picking the cart up
+    if (!cart.user || !cart.user.email) {
+      await closeIdlePeriod(cart);
+      summary.skipped += 1;
+      continue;
+    }
+
+    try {
+      // Ordered since the cart went idle (e.g. through Buy Now): close this idle period
+      if (await Order.exists({ user: cart.user._id, createdAt: { $gt: cart.updatedAt } })) {
+        await closeIdlePeriod(cart);
+        summary.skipped += 1;
+        continue;
+      }
+
+      // One coupon per idle period, repeated in later reminders while it is unused
+      let coupon = null;
+      if (settings.couponPercent > 0 || settings.couponBatch) {
+        if (!newPeriod && recovery.coupon) {
+          coupon = await Coupon.findOne({ _id: recovery.coupon, isActive: true, usedCount: 0 });
+        }
+        if (!coupon) coupon = await createRecoveryCoupon(settings);
+      }
+
+      const reminder = await CartRecovery.create({
+        cart: cart._id,
+        user: cart.user._id,
+        email: cart.user.email,
+        token: crypto.randomBytes(24).toString("hex"),
+        reminderNumber: alreadySent + 1,
+        idleSince: cart.updatedAt,
+        items: cart.items.map((item) => ({
+          product: item.product?._id || item.product,
+          variantId: item.variantId || null,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice ?? null,
+        })),
+        cartTotal: cart.finalTotal || 0,
+        coupon: coupon ? coupon._id : null,
+      });
+
+      const info = await sendEmail({
+        email: cart.user.email,
+        subject:
+          reminder.reminderNumber === 1
+            ? "You left something in your cart"
+            : "Your cart is still waiting for you",
+        html: abandonedCartEmail({
+          fullName: cart.user.name,
+          reminderNumber: reminder.reminderNumber,
+          items: buildEmailItems(cart),
+          coupon,
+          restoreUrl: apiUrl(`/api/v1/cart/recover/${reminder.token}`),
+          openPixelUrl: apiUrl(`/api/v1/cart/recover/${reminder.token}/open.gif`),
+        }),
+      });
+
+      if (!info) {
+        // Not sent (mail not configured or SMTP error): try again on the next run
+        await CartRecovery.deleteOne({ _id: reminder._id });
+        summary.failed += 1;
+        continue;
+      }
+
+      // Keep updatedAt: it marks the start of the idle period
+      await Cart.updateOne(
+        { _id: cart._id },
+        {
+          $set: {
+            "recovery.remindersSent": reminder.reminderNumber,
+            "recovery.lastReminderAt": reminder.sentAt,
+            "recovery.coupon": coupon ? coupon._id : null,
+          },
+        },
+        { timestamps: false }
+      );
+      summary.sent += 1;
+    } catch (err) {
+      summary.failed += 1;
+      console.error(`Abandoned cart reminder for cart ${cart._id} failed:`, err.message);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Record that a reminder email was opened (tracking pixel)
+ * @param {string} token - Reminder token
+ * @returns {Promise<void>}
+ */
+const recordReminderOpen = async (token) => {
+  await CartRecovery.updateOne({ token, openedAt: null }, { $set: { openedAt: new Date() } });
+};
+
+/**
+ * Handle a click on the restore link of a reminder
+ * Puts the reminded items back if the cart was emptied meanwhile and applies the
+ * reminder's coupon when the cart has none.
+ * @param {string} token - Reminder token
+ * @returns {Promise<string>} - Storefront URL to send the customer to
+ */
+const restoreAbandonedCart = async (token) => {
+  const cartUrl = `${process.env.CLIENT_URL || ""}/cart`;
+
+  const reminder = await CartRecovery.findOne({ token });
+  if (!reminder) return cartUrl;
+
+  if (!reminder.restoredAt) {
+    reminder.restoredAt = new Date();
+    await reminder.save();
+  }
+  // Already bought: nothing to restore
+  if (reminder.recoveredAt) return cartUrl;
+
+  const cart = await Cart.findById(reminder.cart);
+  if (!cart) return cartUrl;
+
+  if (cart.items.length === 0) {
+    cart.items = reminder.items.map((item) => ({
+      product: item.product,
+      quantity: item.quantity,
+      ...(item.variantId && { variantId: item.variantId }),
+    }));
+  }
+
+  if (reminder.coupon && !cart.coupon) {
+    const coupon = await Coupon.findOne({ _id: reminder.coupon, isActive: true });
+    // Same limits as applying a coupon from the cart
+    if (
+      coupon &&
+      !coupon.isExpired &&
+      !(await getCouponLimitIssue(coupon, { userId: reminder.user, email: reminder.email }))
+    ) {
+      cart.coupon = coupon._id;
+    }
+  }
+
+  await calculateCartTotals(cart, reminder.user);
+  await cart.save();
+
+  return `${cartUrl}?restored=1`;
+};
+
+/**
+ * Attribute an order to the latest reminder sent for the cart it was checked out from
+ * Called after cart checkout (restore links bring the customer back to that cart); buy-now
+ * orders and orders outside the attribution window are not credited.
+ * @param {Object} order - Newly placed order
+ * @param {Object} [source]
+ * @param {ObjectId} [source.cart] - Cart the order was checked out from
+ * @returns {Promise<Object|null>} - The recovered reminder
+ */
+const recordCartRecovery = async (order, { cart = null } = {}) => {
+  if (!order.user || !cart) return null;
+  const settings = await getRecoverySettings();
+
+  return CartRecovery.findOneAndUpdate(
+    {
+      cart,
+      user: order.user._id || order.user,
+      recoveredAt: null,
+      sentAt: { $gte: new Date(Date.now() - settings.attributionDays * DAY) },
+    },
+    { $set: { recoveredAt: new Date(), order: order._id, orderTotal: order.totalAmount } },
+    { sort: { sentAt: -1 }, new: true }
+  );
+};
+
+/**
+ * Reminder funnel for a period: sent → opened → restored → recovered
+ * Conversion rate = recovered carts / carts that received at least one reminder.
+ * @param {Object} [range]
+ * @param {Date} [range.from]
+ * @param {Date} [range.to]
+ * @returns {Promise<Object>}
+ */
+const getRecoveryStats = async ({ from = null, to = null } = {}) => {
+  const match = {};
+  if (from || to) {
+    match.sentAt = {};
+    if (from) match.sentAt.$gte = from;
+    if (to) match.sentAt.$lte = to;
+  }
+
+  const [totals] = await CartRecovery.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        remindersSent: { $sum: 1 },
+        opened: { $sum: { $cond: [{ $ne: ["$openedAt", null] }, 1, 0] } },
+        restored: { $sum: { $cond: [{ $ne: ["$restoredAt", null] }, 1, 0] } },
+        recovered: { $sum: { $cond: [{ $ne: ["$recoveredAt", null] }, 1, 0] } },
+        recoveredRevenue: { $sum: { $ifNull: ["$orderTotal", 0] } },
+        // An abandoned cart = one cart in one idle period
+        carts: { $addToSet: { cart: "$cart", idleSince: "$idleSince" } },
+      },
+    },
+  ]);
+
+  const remindersSent = totals?.remindersSent || 0;
+  const cartsReminded = totals?.carts.length || 0;
+  const recovered = totals?.recovered || 0;
+  const percent = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 100 : 0);
+
+  return {
+    remindersSent,
+    cartsReminded,
+    opened: totals?.opened || 0,
+    restored: totals?.restored || 0,
+    recovered,
+    recoveredRevenue: totals?.recoveredRevenue || 0,
+    openRate: percent(totals?.opened || 0, remindersSent),
+    conversionRate: percent(recovered, cartsReminded),
+  };
+};
+
+module.exports = {
+  TRACKING_PIXEL,
+  getRecoverySettings,
+  sendAbandonedCartReminders,
+  recordReminderOpen,
+  restoreAbandonedCart,
+  recordCartRecovery,
+  getRecoveryStats,
+};
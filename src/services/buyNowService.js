@@ -0,0 +1,177 @@
+const BuyNow = require("../models/buyNow.model");
+const Cart = require("../models/cart.model");
+const Coupon = require("../models/coupon.model");
+const Product = require("../models/product.model");
+const SiteSetting = require("../models/siteSetting.model");
+const AppError = require("../utils/appError");
+const calculateCartTotals = require("../utils/calculateCartTotals");
+const { calculateTotalsFromItems } = require("../utils/calculateCartTotals");
+const { getAvailableStock } = require("./cartMergeService");
+const { assertPurchaseLimits } = require("./purchaseLimitService");
+const { getCouponLimitIssue } = require("./couponRedemptionService");
+
+const HOUR = 60 * 60 * 1000;
+// Site setting (admin → settings): hours a buy-now session lives, 0 disables expiry
+const DEFAULT_EXPIRY_HOURS = 24;
+
+const normalizeVariantId = (variantId) =>
+  variantId ? String(variantId).trim().split(".")[0] : null;
+
+/**
+ * Configured buy-now session lifetime in hours (0 = never expire)
+ * @returns {Promise<number>}
+ */
+const getBuyNowExpiryHours = async () => {
+  const setting = await SiteSetting.findOne({ key: "BUY_NOW_EXPIRY_HOURS" }).lean();
+  if (!setting || setting.value === null || setting.value === "") return DEFAULT_EXPIRY_HOURS;
+  const hours = Number(setting.value);
+  return isFinite(hours) && hours >= 0 ? hours : DEFAULT_EXPIRY_HOURS;
+};
+
+// Sessions started before the cutoff; older documents without startedAt use createdAt
+const staleFilter = (cutoff) => ({
+  $or: [
+    { startedAt: { $lt: cutoff } },
+    { startedAt: null, createdAt: { $lt: cutoff } },
+  ],
+});
+
+/**
+ * Whether a buy-now session is past the configured lifetime
+ * @param {Object} buyNow
+ * @param {number} [expiryHours] - Looked up when omitted
+ * @returns {Promise<boolean>}
+ */
+const isBuyNowExpired = async (buyNow, expiryHours) => {
+  const hours = expiryHours ?? (await getBuyNowExpiryHours());
+  if (!hours) return false;
+  const startedAt = buyNow.startedAt || buyNow.createdAt;
+  return !!startedAt && startedAt.getTime() < Date.now() - hours * HOUR;
+};
+
+/**
+ * Delete buy-now sessions older than the configured lifetime
+ * Run by the buy-now cron so stale coupons and shipping choices are not picked up later.
+ * @returns {Promise<{expired: number, expiryHours: number}>}
+ */
+const expireBuyNowSessions = async () => {
+  const expiryHours = await getBuyNowExpiryHours();
+  if (!expiryHours) return { expired: 0, expiryHours };
+
+  const { deletedCount } = await BuyNow.deleteMany(
+    staleFilter(new Date(Date.now() - expiryHours * HOUR))
+  );
+  return { expired: deletedCount || 0, expiryHours };
+};
+
+// Cart coupon checks for a coupon carried over from buy-now
+const getCouponProblem = async (coupon, customer) => {
+  if (!coupon || !coupon.isActive || coupon.isExpired) return "Coupon is no longer valid";
+  if (coupon.startDate && coupon.startDate > new Date()) return "Coupon not yet active";
+  return getCouponLimitIssue(coupon, customer);
+};
+
+/**
+ * Move the buy-now item into the cart and end the buy-now session
+ * The item joins an existing cart line for the same product/variant. Its coupon is
+ * applied to the cart unless the cart already has one, and the cart takes over the
+ * buy-now shipping method.
+ * @param {Object} owner - req.cartOwner ({ user, guestToken, filter })
+ * @param {Object} [options]
+ * @param {Object} [options.customer] - { userId, email } for per-customer caps
+ * @returns {Promise<{cart: Object, coupon: Object|null}>} coupon: { code, applied, reason }
+ */
+const moveBuyNowToCart = async (owner, { customer = {} } = {}) => {
+  const buyNow = await BuyNow.findOne(owner.filter);
+  if (!buyNow || !buyNow.item) throw new AppError("Buy Now item not found", 404);
+  if (await isBuyNowExpired(buyNow)) {
+    await BuyNow.deleteOne({ _id: buyNow._id });
+    throw new AppError("Buy Now item has expired", 410);
+  }
+
+  const { item } = buyNow;
+  const variantId = normalizeVariantId(item.variantId);
+  const product = await Product.findOne({
+    _id: item.product,
+    deletedAt: null,
+    is_active: { $ne: false },
+  });
+  if (!product) throw new AppError("Product is no longer available", 400);
+
+  let cart = await Cart.findOne(owner.filter);
+  if (!cart) cart = new Cart({ user: owner.user, guestToken: owner.guestToken, items: [] });
+
+  const existing = cart.items.find(
+    (i) =>
+      String(i.product) === String(product._id) &&
+      normalizeVariantId(i.variantId) === variantId
+  );
+  const quantity = item.quantity + (existing ? existing.quantity : 0);
+
+  // Same stock rules as adding to the cart
+  const available = getAvailableStock(product, variantId);
+  if (available === null) throw new AppError("Variant not found for this product", 404);
+  if (available < quantity) {
+    throw new AppError(variantId ? "Insufficient variant stock" : "Insufficient stock", 400);
+  }
+
+  if (existing) {
+    existing.quantity = quantity;
+  } else {
+    cart.items.push({
+      product: product._id,
+      quantity: item.quantity,
+      ...(variantId && { variantId }),
+    });
+  }
+
+  await assertPurchaseLimits(
+    cart.items
+      .filter((i) => String(i.product) === String(product._id))
+      .map((i) => ({ product, variantId: i.variantId, quantity: i.quantity })),
+    customer
+  );
+
+  let coupon = null;
+  if (buyNow.coupon) {
+    const couponDoc = await Coupon.findById(buyNow.coupon);
+    coupon = { code: couponDoc ? couponDoc.code : null, applied: false };
+
+    if (cart.coupon) {
+      coupon.reason = "Your cart already has a coupon";
+    } else {
+      coupon.reason = await getCouponProblem(couponDoc, customer);
+      if (!coupon.reason) {
+        // Product scope, customer restrictions and minimum value, on the whole cart
+        const totals = await calculateTotalsFromItems(
+          cart.items.map((i) => ({ product: i.product, quantity: i.quantity, variantId: i.variantId })),
+          couponDoc,
+          buyNow.shippingMethod,
+          cart.paymentMethod,
+          owner.user
+        );
+        if (!totals.validCoupon) coupon.reason = totals.couponIssue?.message;
+      }
+      if (!coupon.reason) {
+        cart.coupon = couponDoc._id;
+        coupon.applied = true;
+        delete coupon.reason;
+      }
+    }
+  }
+
+  cart.shippingMethod = buyNow.shippingMethod;
+
+  await calculateCartTotals(cart, owner.user);
+  await cart.save();
+  await BuyNow.deleteOne({ _id: buyNow._id });
+
+  return { cart, coupon };
+};
+
+module.exports = {
+  getBuyNowExpiryHours,
+  isBuyNowExpired,
+  expireBuyNowSessions,
+  moveBuyNowToCart,
+};
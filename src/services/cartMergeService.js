@@ -0,0 +1,244 @@
+const Cart = require("../models/cart.model");
+const Product = require("../models/product.model");
+const calculateCartTotals = require("../utils/calculateCartTotals");
+const {
+  getPurchaseLimits,
+  getPurchasedQuantity,
+  assertPurchaseLimits,
+} = require("./purchaseLimitService");
+
+// Helper: cart variant ids may carry a ".x" suffix
+const normalizeVariantId = (variantId) =>
+  variantId ? String(variantId).trim().split(".")[0] : null;
+
+const lineKey = (item) => `${item.product}:${normalizeVariantId(item.variantId) || ""}`;
+
+// Units of a cart line that can still be bought; null when the variant no longer exists
+const getAvailableStock = (product, variantId) => {
+  if (variantId) {
+    const variant = (product.variants || []).find(
+      (v) => v._id && v._id.toString() === variantId
+    );
+    return variant ? variant.stock || 0 : null;
+  }
+  return product.in_stock ? product.quantity || 0 : 0;
+};
+
+const findVariant = (product, variantId) =>
+  variantId
+    ? (product.variants || []).find((v) => v._id && v._id.toString() === variantId) || null
+    : null;
+
+// Most units of a line that maxOrderQty and the purchase cap still allow next to `kept`
+// (the lines of the same product already in the merged cart)
+const getPurchaseCeiling = async (product, variantId, kept, customer) => {
+  const { maxOrderQty, purchaseCap } = getPurchaseLimits(product, findVariant(product, variantId));
+  const keptQuantity = (scope) =>
+    kept
+      .filter((l) => scope === "product" || normalizeVariantId(l.variantId) === variantId)
+      .reduce((sum, l) => sum + l.quantity, 0);
+
+  let ceiling = Infinity;
+  if (maxOrderQty) ceiling = Math.min(ceiling, maxOrderQty.value - keptQuantity(maxOrderQty.scope));
+  if (purchaseCap) {
+    const purchased = await getPurchasedQuantity({
+      customer,
+      productId: product._id,
+      variantId: purchaseCap.scope === "variant" ? variantId : null,
+      days: purchaseCap.days,
+    });
+    ceiling = Math.min(ceiling, purchaseCap.value - purchased - keptQuantity(purchaseCap.scope));
+  }
+  return ceiling;
+};
+
+/**
+ * Fit a merged line into the product's purchase limits
+ * Lines over maxOrderQty or the purchase cap are lowered; lines that still break a limit
+ * (e.g. minOrderQty) come back with quantity 0.
+ * @returns {Promise<{quantity: number, problem: AppError|null}>}
+ */
+const fitPurchaseLimits = async (product, line, kept, customer) => {
+  const check = (quantity) =>
+    assertPurchaseLimits(
+      [...kept, { product, variantId: line.variantId, quantity }],
+      customer
+    ).then(
+      () => null,
+      (err) => err
+    );
+
+  let problem = await check(line.quantity);
+  if (!problem) return { quantity: line.quantity, problem: null };
+
+  const ceiling = await getPurchaseCeiling(product, line.variantId, kept, customer);
+  if (ceiling > 0 && ceiling < line.quantity) {
+    const retry = await check(ceiling);
+    if (!retry) return { quantity: ceiling, problem };
+    problem = retry;
+  }
+  return { quantity: 0, problem };
+};
+
+// Saved-for-later lines reserve nothing, so they are only de-duplicated
+const mergeSavedItems = (userItems = [], guestItems = []) => {
+  const lines = new Map();
+  for (const item of [...userItems, ...guestItems]) {
+    const key = lineKey(item);
+    const line = lines.get(key);
+    if (line) {
+      line.quantity += item.quantity;
+    } else {
+      lines.set(key, {
+        product: item.product,
+        quantity: item.quantity,
+        variantId: normalizeVariantId(item.variantId),
+        savedAt: item.savedAt,
+      });
+    }
+  }
+  return [...lines.values()];
+};
+
+/**
+ * Fold a guest cart into the user's cart
+ * Duplicate product/variant lines are combined, deleted or inactive products are dropped,
+ * every line is capped at the stock available now and at the user's purchase limits, and
+ * saved-for-later lines are carried over. The guest cart is removed, or becomes the user's
+ * cart if they had none.
+ * @param {ObjectId} userId - User logging in
+ * @param {string|null} guestToken - Token from the signed cart cookie
+ * @param {Object} [options]
+ * @param {string} [options.email] - User's email, for purchase caps on earlier guest orders
+ * @returns {Promise<{merged: boolean, itemCount: number, adjustments: Array}>}
+ *   adjustments: { product, variantId, name, requested, quantity, status: combined | capped | removed,
+ *   reason: duplicate_line | insufficient_stock | out_of_stock | unavailable | purchase_limit, message? }
+ */
+const mergeGuestCart = async (userId, guestToken, { email = null } = {}) => {
+  const report = { merged: false, itemCount: 0, adjustments: [] };
+  if (!guestToken) return report;
+
+  const guestCart = await Cart.findOne({ guestToken, user: null });
+  if (!guestCart) return report;
+  if (guestCart.items.length === 0 && guestCart.savedItems.length === 0) {
+    await Cart.deleteOne({ _id: guestCart._id });
+    return report;
+  }
+
+  const userCart = await Cart.findOne({ user: userId });
+
+  // Combine lines, the user's own lines first so their order is kept
+  const lines = new Map();
+  for (const item of [...(userCart ? userCart.items : []), ...guestCart.items]) {
+    const key = lineKey(item);
+    const line = lines.get(key);
+    if (line) {
+      line.quantity += item.quantity;
+      line.combined = true;
+    } else {
+      lines.set(key, {
+        product: item.product,
+        variantId: normalizeVariantId(item.variantId),
+        quantity: item.quantity,
+        combined: false,
+      });
+    }
+  }
+
+  const productIds = [...new Set([...lines.values()].map((line) => String(line.product)))];
+  const products = await Product.find({
+    _id: { $in: productIds },
+    deletedAt: null,
+    is_active: { $ne: false },
+  });
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const items = [];
+  for (const line of lines.values()) {
+    const product = productMap.get(String(line.product));
+    const available = product ? getAvailableStock(product, line.variantId) : null;
+    const entry = {
+      product: line.product,
+      variantId: line.variantId,
+      name: product ? product.productName || product.name : null,
+      requested: line.quantity,
+    };
+
+    if (!available) {
+      report.adjustments.push({
+        ...entry,
+        quantity: 0,
+        status: "removed",
+        reason: available === null ? "unavailable" : "out_of_stock",
+      });
+      continue;
+    }
+
+    const stockQuantity = Math.min(line.quantity, available);
+    const kept = items
+      .filter((i) => String(i.product) === String(line.product))
+      .map((i) => ({ product, variantId: i.variantId || null, quantity: i.quantity }));
+    const { quantity, problem } = await fitPurchaseLimits(
+      product,
+      { variantId: line.variantId, quantity: stockQuantity },
+      kept,
+      { userId, email }
+    );
+
+    if (!quantity) {
+      report.adjustments.push({
+        ...entry,
+        quantity: 0,
+        status: "removed",
+        reason: "purchase_limit",
+        message: problem.message,
+      });
+      continue;
+    }
+
+    if (problem) {
+      report.adjustments.push({
+        ...entry,
+        quantity,
+        status: "capped",
+        reason: "purchase_limit",
+        message: problem.message,
+      });
+    } else if (quantity < line.quantity) {
+      report.adjustments.push({ ...entry, quantity, status: "capped", reason: "insufficient_stock" });
+    } else if (line.combined) {
+      report.adjustments.push({ ...entry, quantity, status: "combined", reason: "duplicate_line" });
+    }
+    items.push({
+      product: line.product,
+      quantity,
+      ...(line.variantId && { variantId: line.variantId }),
+    });
+  }
+
+  // The user's cart wins; without one the guest cart simply changes hands
+  const cart = userCart || guestCart;
+  if (userCart) {
+    // Uses are only counted at checkout, so a dropped guest coupon needs no bookkeeping
+    if (guestCart.coupon && !userCart.coupon) userCart.coupon = guestCart.coupon;
+  } else {
+    cart.user = userId;
+    cart.guestToken = null;
+  }
+
+  cart.items = items;
+  cart.savedItems = mergeSavedItems(userCart ? userCart.savedItems : [], guestCart.savedItems);
+  await calculateCartTotals(cart, userId);
+  await cart.save();
+
+  if (userCart) await Cart.deleteOne({ _id: guestCart._id });
+
+  report.merged = true;
+  report.itemCount = items.length;
+  return report;
+};
+
+module.exports = {
+  getAvailableStock,
+  mergeGuestCart,
+};
@@ -0,0 +1,171 @@
+const Product = require("../models/product.model");
+const calculateCartTotals = require("../utils/calculateCartTotals");
+const { calculateTotalsFromItems } = calculateCartTotals;
+const { getCouponLimitIssue } = require("./couponRedemptionService");
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const normalizeVariantId = (variantId) =>
+  variantId ? String(variantId).trim().split(".")[0] : null;
+
+const lineKey = (productId, variantId) => `${productId}:${variantId || ""}`;
+
+const findVariant = (product, variantId) =>
+  (product.variants || []).find(
+    (v) => v._id && v._id.toString() === normalizeVariantId(variantId)
+  ) || null;
+
+/**
+ * Check a cart against current catalogue data before checkout
+ * Reports, per line: product inactive / deleted, variant gone, out of stock, quantity
+ * reduced to what is available and unit price changed since the cart was last priced;
+ * plus a cart-level issue when the applied coupon no longer qualifies or its usage limits are reached.
+ * With autoFix the cart is corrected (lines removed / capped, prices and coupon refreshed) and saved.
+ * @param {Object} cart - Cart document (items not populated)
+ * @param {Object} [options]
+ * @param {boolean} [options.autoFix] - Apply the fixes to the cart
+ * @param {ObjectId} [options.userId] - Cart owner, for totals
+ * @param {string} [options.email] - Owner's email, for per-customer coupon limits
+ * @returns {Promise<{valid: boolean, fixed: boolean, issues: Array, totals: Object}>}
+ */
+const validateCart = async (cart, { autoFix = false, userId = null, email = null } = {}) => {
+  const issues = [];
+
+  const productIds = cart.items.map((item) => item.product?._id || item.product);
+  const products = await Product.find({ _id: { $in: productIds } }).lean();
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  // Lines as they would be after fixing
+  const fixedItems = [];
+  const previousPrices = new Map();
+
+  for (const item of cart.items) {
+    const productId = String(item.product?._id || item.product);
+    const product = productMap.get(productId);
+    const issue = {
+      product: productId,
+      variantId: item.variantId || null,
+      name: product ? product.productName || product.name : null,
+    };
+
+    if (!product || product.deletedAt || product.is_active === false) {
+      issues.push({ ...issue, type: "product_unavailable", message: "Product is no longer available" });
+      continue;
+    }
+
+    let available;
+    if (item.variantId) {
+      const variant = findVariant(product, item.variantId);
+      if (!variant) {
+        issues.push({ ...issue, type: "variant_unavailable", message: "Selected variant is no longer available" });
+        continue;
+      }
+      available = variant.stock || 0;
+    } else if (product.product_type === "variable" && product.variants?.length) {
+      issues.push({ ...issue, type: "variant_required", message: "A variant has to be selected for this product" });
+      continue;
+    } else {
+      available = product.in_stock ? product.quantity || 0 : 0;
+    }
+
+    if (available <= 0) {
+      issues.push({ ...issue, type: "out_of_stock", message: "Product is out of stock" });
+      continue;
+    }
+
+    let quantity = item.quantity;
+    if (available < quantity) {
+      issues.push({
+        ...issue,
+        type: "quantity_reduced",
+        from: quantity,
+        to: available,
+        message: `Only ${available} left; quantity reduced from ${quantity} to ${available}`,
+      });
+      quantity = available;
+    }
+
+    previousPrices.set(lineKey(productId, item.variantId), item.unitPrice);
+    fixedItems.push({
+      product: item.product?._id || item.product,
+      quantity,
+      ...(item.variantId && { variantId: item.variantId }),
+    });
+  }
+
+  const totals = await calculateTotalsFromItems(
+    fixedItems.map((item) => ({ ...item })),
+    cart.coupon,
+    cart.shippingMethod,
+    cart.paymentMethod,
+    userId
+  );
+
+  for (const line of totals.lines) {
+    const key = lineKey(String(line.product), line.variantId);
+    const previous = previousPrices.get(key);
+    const current = roundMoney(line.unitPrice);
+    if (previous !== null && previous !== undefined && previous !== current) {
+      const product = productMap.get(String(line.product));
+      issues.push({
+        product: String(line.product),
+        variantId: line.variantId,
+        name: product.productName || product.name,
+        type: "price_changed",
+        from: previous,
+        to: current,
+        message: `Price changed from ${previous} to ${current}`,
+      });
+    }
+  }
+
+  // Same reasons as applying the coupon would give: rules first, then usage limits
+  let couponIssue = null;
+  if (cart.coupon && !totals.validCoupon) {
+    couponIssue = {
+      message: totals.couponIssue?.message || "The applied coupon is no longer valid for this cart",
+      items: totals.couponIssue?.items || [],
+    };
+  } else if (totals.validCoupon) {
+    const limitIssue = await getCouponLimitIssue(totals.validCoupon, { userId, email });
+    if (limitIssue) couponIssue = { message: limitIssue, items: [] };
+  }
+  if (couponIssue) {
+    issues.push({
+      product: null,
+      variantId: null,
+      type: "coupon_invalid",
+      message: couponIssue.message,
+      items: couponIssue.items,
+    });
+  }
+
+  const fixed = autoFix && issues.length > 0;
+  if (fixed) {
+    cart.items = fixedItems;
+    // A coupon that still qualifies but is used up isn't dropped by the totals
+    if (couponIssue) cart.coupon = null;
+    // Refreshes line prices and drops the invalid coupon
+    await calculateCartTotals(cart, userId);
+    await cart.save();
+  }
+
+  return {
+    valid: issues.length === 0,
+    fixed,
+    issues,
+    totals: {
+      total: totals.total,
+      taxTotal: totals.taxTotal,
+      discount: totals.discount,
+      promotionDiscount: totals.promotionDiscount,
+      shippingFee: totals.shippingFee,
+      codFee: totals.codFee,
+      finalTotal: totals.finalTotal,
+    },
+  };
+};
+
+module.exports = {
+  validateCart,
+};
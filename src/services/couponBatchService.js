@@ -0,0 +1,272 @@
+const crypto = require("crypto");
+const Coupon = require("../models/coupon.model");
+const CouponBatch = require("../models/couponBatch.model");
+const CouponRedemption = require("../models/couponRedemption.model");
+const AppError = require("../utils/appError");
+
+const MAX_BATCH_SIZE = 10000;
+const INSERT_CHUNK_SIZE = 1000;
+// No 0/O or 1/I/L, so codes survive being read out or typed from a screenshot
+const CODE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+
+// Discount rules copied from the template onto every code
+const TEMPLATE_FIELDS = [
+  "description",
+  "discountType",
+  "discountValue",
+  "minCartValue",
+  "maxDiscount",
+  "startDate",
+  "expiryDate",
+  "applicableProducts",
+  "excludedProducts",
+  "applicableCategories",
+  "excludedCategories",
+  "applicableBrands",
+  "excludedBrands",
+  "allowedUsers",
+  "allowedEmails",
+  "firstOrderOnly",
+];
+
+const randomSuffix = (length) => {
+  const bytes = crypto.randomBytes(length);
+  let suffix = "";
+  for (let i = 0; i < length; i++) suffix += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  return suffix;
+};
+
+const formatCode = (prefix, length) => (prefix ? `${prefix}-${randomSuffix(length)}` : randomSuffix(length));
+
+// `count` codes that exist neither in the batch so far nor in the coupons collection
+const generateUniqueCodes = async (prefix, length, count) => {
+  const codes = new Set();
+  // Give up rather than spin when the prefix/length space is nearly exhausted
+  for (let round = 0; codes.size < count && round < 10; round++) {
+    const candidates = new Set();
+    while (candidates.size < count - codes.size) {
+      const code = formatCode(prefix, length);
+      if (!codes.has(code)) candidates.add(code);
+    }
+    const taken = await Coupon.find({ code: { $in: [...candidates] } }).distinct("code");
+    const takenSet = new Set(taken);
+    for (const code of candidates) if (!takenSet.has(code)) codes.add(code);
+  }
+  if (codes.size < count) {
+    throw new AppError("Could not generate enough unique codes; use a longer suffix", 400);
+  }
+  return [...codes];
+};
+
+/**
+ * Generate unique single-use codes from a template coupon
+ * Each code copies the template's discount rules and can be used once, by one customer.
+ * @param {Object} params
+ * @param {ObjectId|string} params.templateId - Coupon to copy
+ * @param {number} params.quantity - Codes to create (max 10,000)
+ * @param {string} [params.name] - Campaign name, e.g. "Influencer X - March"
+ * @param {string} [params.prefix] - Code prefix; codes look like PREFIX-7K3MQ2XD
+ * @param {number} [params.suffixLength] - Random characters per code (4-16)
+ * @param {Date|string|null} [params.expiryDate] - Overrides the template's expiry
+ * @param {ObjectId|null} [params.createdBy]
+ * @returns {Promise<Object>} - The CouponBatch
+ */
+const generateCouponBatch = async ({
+  templateId,
+  quantity,
+  name,
+  prefix = "",
+  suffixLength = 8,
+  expiryDate,
+  createdBy = null,
+}) => {
+  const count = Number(quantity);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH_SIZE) {
+    throw new AppError(`quantity must be between 1 and ${MAX_BATCH_SIZE}`, 400);
+  }
+  const length = Number(suffixLength);
+  if (!Number.isInteger(length) || length < 4 || length > 16) {
+    throw new AppError("suffixLength must be between 4 and 16", 400);
+  }
+  const cleanPrefix = String(prefix || "").trim().toUpperCase();
+  if (cleanPrefix && !/^[A-Z0-9]{1,20}$/.test(cleanPrefix)) {
+    throw new AppError("prefix may only contain letters and digits (max 20)", 400);
+  }
+
+  const template = await Coupon.findById(templateId).lean();
+  if (!template) throw new AppError("Template coupon not found", 404);
+
+  const batch = await CouponBatch.create({
+    name: name || `${template.code} batch`,
+    template: template._id,
+    prefix: cleanPrefix,
+    suffixLength: length,
+    quantity: count,
+    expiryDate: expiryDate !== undefined ? expiryDate || null : template.expiryDate,
+    createdBy,
+  });
+
+  const rules = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (template[field] !== undefined) rules[field] = template[field];
+  }
+
+  try {
+    const codes = await generateUniqueCodes(cleanPrefix, length, count);
+    for (let i = 0; i < codes.length; i += INSERT_CHUNK_SIZE) {
+      await Coupon.insertMany(
+        codes.slice(i, i + INSERT_CHUNK_SIZE).map((code) => ({
+          ...rules,
+          code,
+          expiryDate: batch.expiryDate,
+          usageLimit: 1,
+          perUserLimit: 1,
+          isActive: true,
+          source: "batch",
+          batch: batch._id,
+        })),
+        { ordered: false }
+      );
+    }
+  } catch (err) {
+    // Don't leave a half-made batch behind
+    await Coupon.deleteMany({ batch: batch._id });
+    await CouponBatch.deleteOne({ _id: batch._id });
+    throw err;
+  }
+
+  return batch;
+};
+
+/**
+ * Batches with how many of their codes were handed out and redeemed
+ * @returns {Promise<Array>}
+ */
+const listCouponBatches = async () => {
+  const batches = await CouponBatch.find()
+    .sort({ createdAt: -1 })
+    .populate("template", "code discountType discountValue")
+    .lean();
+
+  const stats = await Coupon.aggregate([
+    { $match: { batch: { $in: batches.map((b) => b._id) } } },
+    {
+      $group: {
+        _id: "$batch",
+        codes: { $sum: 1 },
+        assigned: { $sum: { $cond: [{ $ne: ["$assignedAt", null] }, 1, 0] } },
+        redeemed: { $sum: { $cond: [{ $gt: ["$usedCount", 0] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  return batches.map((batch) => {
+    const row = stats.find((s) => s._id.equals(batch._id));
+    return {
+      ...batch,
+      codes: row ? row.codes : 0,
+      assigned: row ? row.assigned : 0,
+      redeemed: row ? row.redeemed : 0,
+    };
+  });
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV of a batch: one row per code with its redemption, if any
+ * @param {ObjectId|string} batchId
+ * @returns {Promise<{batch: Object, csv: string}>}
+ */
+const exportCouponBatchCsv = async (batchId) => {
+  const batch = await CouponBatch.findById(batchId).lean();
+  if (!batch) throw new AppError("Coupon batch not found", 404);
+
+  const coupons = await Coupon.find({ batch: batch._id })
+    .select("code isActive expiryDate assignedAt usedCount")
+    .sort({ code: 1 })
+    .lean();
+  const redemptions = await CouponRedemption.find({
+    coupon: { $in: coupons.map((c) => c._id) },
+    status: "active",
+  })
+    .populate("order", "orderNumber")
+    .lean();
+  const redemptionByCoupon = new Map(redemptions.map((r) => [String(r.coupon), r]));
+
+  const rows = [["code", "status", "expiry_date", "assigned_at", "redeemed_at", "order_number", "email"]];
+  for (const coupon of coupons) {
+    const redemption = redemptionByCoupon.get(String(coupon._id));
+    let status = "available";
+    if (redemption) status = "redeemed";
+    else if (!coupon.isActive) status = "inactive";
+    else if (coupon.expiryDate && coupon.expiryDate < new Date()) status = "expired";
+    else if (coupon.assignedAt) status = "assigned";
+
+    rows.push([
+      coupon.code,
+      status,
+      coupon.expiryDate ? coupon.expiryDate.toISOString() : "",
+      coupon.assignedAt ? coupon.assignedAt.toISOString() : "",
+      redemption ? redemption.createdAt.toISOString() : "",
+      redemption?.order?.orderNumber || "",
+      redemption?.email || "",
+    ]);
+  }
+
+  return { batch, csv: rows.map((row) => row.map(csvCell).join(",")).join("\n") };
+};
+
+/**
+ * Switch off every code of a batch (codes already redeemed keep their orders)
+ * @param {ObjectId|string} batchId
+ * @returns {Promise<{batch: Object, deactivated: number}>}
+ */
+const deactivateCouponBatch = async (batchId) => {
+  const batch = await CouponBatch.findById(batchId);
+  if (!batch) throw new AppError("Coupon batch not found", 404);
+
+  const { nModified = 0 } = await Coupon.updateMany(
+    { batch: batch._id, isActive: true },
+    { $set: { isActive: false } }
+  );
+  batch.isActive = false;
+  batch.deactivatedAt = batch.deactivatedAt || new Date();
+  await batch.save();
+
+  return { batch, deactivated: nModified };
+};
+
+/**
+ * Hand out the next unused code of an active batch (e.g. for an abandoned-cart email)
+ * @param {ObjectId|string} batchId
+ * @returns {Promise<Object|null>} - The coupon, or null when the batch has run out
+ */
+const claimBatchCoupon = async (batchId) => {
+  const batch = await CouponBatch.findOne({ _id: batchId, isActive: true }).lean();
+  if (!batch) return null;
+
+  return Coupon.findOneAndUpdate(
+    {
+      batch: batch._id,
+      isActive: true,
+      assignedAt: null,
+      usedCount: 0,
+      $or: [{ expiryDate: null }, { expiryDate: { $gt: new Date() } }],
+    },
+    { $set: { assignedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  generateCouponBatch,
+  listCouponBatches,
+  exportCouponBatchCsv,
+  deactivateCouponBatch,
+  claimBatchCoupon,
+};
@@ -0,0 +1,165 @@
+const Category = require("../models/category.model");
+const Order = require("../models/order.model");
+const User = require("../models/user.model");
+
+const idIn = (list, id) => !!id && (list || []).some((entry) => String(entry) === String(id));
+
+const brandIn = (list, brand) =>
+  !!brand && (list || []).some((entry) => entry.toLowerCase() === String(brand).trim().toLowerCase());
+
+const hasEntries = (list) => Array.isArray(list) && list.length > 0;
+
+const INELIGIBLE_REASONS = {
+  excluded: "Excluded from this coupon",
+  out_of_scope: "Not covered by this coupon",
+  on_deal: "Already discounted by a deal",
+};
+
+/**
+ * Whether a coupon's product scope covers a product
+ * Every non-empty inclusion list must match (so brand + category means "brand X in
+ * category Y"); any exclusion wins. Categories match the product's category or subcategory.
+ * @param {Object} coupon
+ * @param {Object} product - Product with category, subCategory and brand
+ * @returns {"excluded"|"out_of_scope"|null} null when the product is eligible
+ */
+const getProductScopeIssue = (coupon, product) => {
+  const categories = [product.category, product.subCategory].map((c) => c?._id || c);
+
+  if (
+    idIn(coupon.excludedProducts, product._id) ||
+    categories.some((c) => idIn(coupon.excludedCategories, c)) ||
+    brandIn(coupon.excludedBrands, product.brand)
+  ) {
+    return "excluded";
+  }
+
+  if (hasEntries(coupon.applicableProducts) && !idIn(coupon.applicableProducts, product._id)) {
+    return "out_of_scope";
+  }
+  if (
+    hasEntries(coupon.applicableCategories) &&
+    !categories.some((c) => idIn(coupon.applicableCategories, c))
+  ) {
+    return "out_of_scope";
+  }
+  if (hasEntries(coupon.applicableBrands) && !brandIn(coupon.applicableBrands, product.brand)) {
+    return "out_of_scope";
+  }
+  return null;
+};
+
+// "This coupon only applies to Samsung products in Accessories"
+const describeCouponScope = async (coupon) => {
+  let subject = "products";
+  if (hasEntries(coupon.applicableProducts)) subject = "selected products";
+  else if (hasEntries(coupon.applicableBrands)) subject = `${coupon.applicableBrands.join(", ")} products`;
+
+  if (hasEntries(coupon.applicableCategories)) {
+    const categories = await Category.find({ _id: { $in: coupon.applicableCategories } })
+      .select("name")
+      .lean();
+    if (categories.length) subject += ` in ${categories.map((c) => c.name).join(", ")}`;
+  }
+  return `This coupon only applies to ${subject}`;
+};
+
+/**
+ * Why a customer can't use a coupon (allowed users / emails, first order only)
+ * These restrictions need an account, so guests are asked to log in.
+ * @param {Object} coupon
+ * @param {ObjectId|null} userId
+ * @returns {Promise<string|null>} null when the customer may use it
+ */
+const getCustomerIssue = async (coupon, userId) => {
+  const restricted =
+    hasEntries(coupon.allowedUsers) || hasEntries(coupon.allowedEmails) || coupon.firstOrderOnly;
+  if (!restricted) return null;
+  if (!userId) return "Please log in to use this coupon";
+
+  const user = await User.findById(userId).select("email").lean();
+  if (!user) return "Please log in to use this coupon";
+
+  if (hasEntries(coupon.allowedUsers) || hasEntries(coupon.allowedEmails)) {
+    const allowed =
+      idIn(coupon.allowedUsers, user._id) ||
+      (coupon.allowedEmails || []).includes(String(user.email).toLowerCase());
+    if (!allowed) return "This coupon is not available for your account";
+  }
+
+  if (coupon.firstOrderOnly) {
+    const previousOrder = await Order.exists({
+      $or: [{ user: user._id }, { "guest.email": String(user.email).toLowerCase() }],
+      orderStatus: { $ne: "cancelled" },
+    });
+    if (previousOrder) return "This coupon is only valid on your first order";
+  }
+  return null;
+};
+
+/**
+ * Check a coupon against priced lines and the customer
+ * The discount base is the subtotal of eligible lines only; minCartValue applies to it.
+ * @param {Object} coupon - Coupon document
+ * @param {Array<{product: Object, lineTotal: number, onDeal?: boolean}>} lines - product: lean product
+ * @param {Object} [options]
+ * @param {ObjectId|null} [options.userId]
+ * @returns {Promise<{eligible: boolean, message: string|null, eligibleSubtotal: number, eligibleProducts: string[], ineligibleItems: Array}>}
+ *   ineligibleItems: { product, name, reason }
+ */
+const evaluateCoupon = async (coupon, lines, { userId = null } = {}) => {
+  const result = {
+    eligible: false,
+    message: null,
+    eligibleSubtotal: 0,
+    eligibleProducts: [],
+    ineligibleItems: [],
+  };
+
+  result.message = await getCustomerIssue(coupon, userId);
+  if (result.message) return result;
+
+  for (const line of lines) {
+    let issue = getProductScopeIssue(coupon, line.product);
+    if (!issue && coupon.excludeDealItems && line.onDeal) issue = "on_deal";
+    if (issue) {
+      result.ineligibleItems.push({
+        product: line.product._id,
+        name: line.product.productName || line.product.name,
+        reason: INELIGIBLE_REASONS[issue],
+      });
+    } else {
+      result.eligibleSubtotal += line.lineTotal;
+      result.eligibleProducts.push(String(line.product._id));
+    }
+  }
+
+  if (result.eligibleProducts.length === 0) {
+    const reasons = new Set(result.ineligibleItems.map((i) => i.reason));
+    if (reasons.size === 1 && reasons.has(INELIGIBLE_REASONS.excluded)) {
+      result.message = "The items in your cart are excluded from this coupon";
+    } else if (reasons.size === 1 && reasons.has(INELIGIBLE_REASONS.on_deal)) {
+      result.message = "This coupon can't be combined with deals on the items in your cart";
+    } else {
+      result.message = await describeCouponScope(coupon);
+    }
+    return result;
+  }
+
+  if (result.eligibleSubtotal < (coupon.minCartValue || 0)) {
+    result.message = result.ineligibleItems.length
+      ? `Eligible items must total at least ${coupon.minCartValue}`
+      : `Cart total must be at least ${coupon.minCartValue}`;
+    return result;
+  }
+
+  result.eligible = true;
+  return result;
+};
+
+module.exports = {
+  getProductScopeIssue,
+  describeCouponScope,
+  getCustomerIssue,
+  evaluateCoupon,
+};
@@ -0,0 +1,192 @@
+const mongoose = require("mongoose");
+const Coupon = require("../models/coupon.model");
+const CouponRedemption = require("../models/couponRedemption.model");
+const AppError = require("../utils/appError");
+
+// Redemptions of one customer: by account and by the email they check out with
+const customerFilter = ({ userId = null, email = null }) => {
+  const owners = [];
+  if (userId) owners.push({ user: userId });
+  if (email) owners.push({ email: String(email).toLowerCase() });
+  return owners.length ? { $or: owners } : null;
+};
+
+/**
+ * Active redemptions of a coupon, overall and for one customer
+ * @param {ObjectId} couponId
+ * @param {Object} [customer] - { userId, email }
+ * @param {ClientSession} [session] - Optional mongoose session
+ * @returns {Promise<{total: number, customer: number}>}
+ */
+const countRedemptions = async (couponId, customer = {}, session = null) => {
+  const base = { coupon: couponId, status: "active" };
+  const owner = customerFilter(customer);
+
+  // Sequential: a transaction session can't run operations in parallel
+  const total = await CouponRedemption.countDocuments(base).session(session);
+  const mine = owner
+    ? await CouponRedemption.countDocuments({ ...base, ...owner }).session(session)
+    : 0;
+  return { total, customer: mine };
+};
+
+/**
+ * Why a coupon's usage limits stop this customer from using it
+ * @param {Object} coupon - Coupon document
+ * @param {Object} [customer] - { userId, email }; per-customer limits need one of them
+ * @param {ClientSession} [session] - Optional mongoose session
+ * @returns {Promise<string|null>} null when the coupon can be used
+ */
+const getCouponLimitIssue = async (coupon, customer = {}, session = null) => {
+  if (coupon.perUserLimit && !customer.userId && !customer.email) {
+    return "Please log in to use this coupon";
+  }
+  if (!coupon.usageLimit && !coupon.perUserLimit) return null;
+
+  const used = await countRedemptions(coupon._id, customer, session);
+  if (coupon.usageLimit && used.total >= coupon.usageLimit) return "Coupon usage limit reached";
+  if (coupon.perUserLimit && used.customer >= coupon.perUserLimit) {
+    return "You have already used this coupon";
+  }
+  return null;
+};
+
+/**
+ * Record a coupon use for a new order
+ * Limits are checked against the ledger inside the order's transaction; usedCount and
+ * userUsage on the coupon are kept as counters of active redemptions.
+ * @param {Object} params
+ * @param {ObjectId} params.couponId
+ * @param {Object} params.order - Order being placed
+ * @param {ObjectId|null} [params.userId]
+ * @param {string|null} [params.email] - Account or guest checkout email
+ * @param {ClientSession} [session] - Optional mongoose session
+ * @returns {Promise<Object>} - The redemption
+ * @throws {AppError} 400 when a limit has been reached
+ */
+const redeemCoupon = async ({ couponId, order, userId = null, email = null }, session = null) => {
+  const coupon = await Coupon.findById(couponId).session(session);
+  if (!coupon) throw new AppError("Coupon not found", 404);
+
+  const issue = await getCouponLimitIssue(coupon, { userId, email }, session);
+  if (issue) throw new AppError(issue, 400);
+
+  const [redemption] = await CouponRedemption.create(
+    [
+      {
+        coupon: coupon._id,
+        order: order._id,
+        user: userId,
+        email,
+        discount: order.discount || 0,
+        orderTotal: order.totalAmount || 0,
+      },
+    ],
+    { session }
+  );
+
+  await Coupon.updateOne(
+    { _id: coupon._id },
+    { $inc: { usedCount: 1, ...(userId && { [`userUsage.${userId}`]: 1 }) } },
+    { session }
+  );
+
+  return redemption;
+};
+
+/**
+ * Give back the coupon use of a cancelled or fully refunded order
+ * Safe to call more than once: only an active redemption is released.
+ * @param {Object} order - Order document
+ * @param {"cancelled"|"refunded"} reason
+ * @param {ClientSession} [session] - Optional mongoose session
+ * @returns {Promise<Object|null>} - The released redemption
+ */
+const releaseCouponRedemption = async (order, reason, session = null) => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { order: order._id, status: "active" },
+    { $set: { status: "released", releasedAt: new Date(), releaseReason: reason } },
+    { new: true, session }
+  );
+  if (!redemption) return null;
+
+  await Coupon.updateOne(
+    { _id: redemption.coupon, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+  if (redemption.user) {
+    const key = `userUsage.${redemption.user}`;
+    await Coupon.updateOne(
+      { _id: redemption.coupon, [key]: { $gt: 0 } },
+      { $inc: { [key]: -1 } },
+      { session }
+    );
+  }
+  return redemption;
+};
+
+/**
+ * Redemptions and revenue per coupon
+ * Revenue is the total of orders placed with the coupon that still stand.
+ * @param {Object} [options]
+ * @param {ObjectId|string} [options.couponId] - Only this coupon
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @returns {Promise<Array>} - One row per coupon, most redeemed first
+ */
+const getRedemptionReport = async ({ couponId = null, from = null, to = null } = {}) => {
+  const match = {};
+  if (couponId) match.coupon = mongoose.Types.ObjectId(String(couponId));
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const isActive = { $eq: ["$status", "active"] };
+  const rows = await CouponRedemption.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$coupon",
+        redemptions: { $sum: { $cond: [isActive, 1, 0] } },
+        released: { $sum: { $cond: [isActive, 0, 1] } },
+        discountGiven: { $sum: { $cond: [isActive, "$discount", 0] } },
+        revenue: { $sum: { $cond: [isActive, "$orderTotal", 0] } },
+        customers: { $addToSet: { $cond: [isActive, { $ifNull: ["$user", "$email"] }, null] } },
+        lastRedeemedAt: { $max: "$createdAt" },
+      },
+    },
+    { $lookup: { from: "coupons", localField: "_id", foreignField: "_id", as: "coupon" } },
+    { $unwind: { path: "$coupon", preserveNullAndEmptyArrays: true } },
+    { $sort: { redemptions: -1, revenue: -1 } },
+  ]);
+
+  const round = (value) => Math.round(value * 100) / 100;
+  return rows.map((row) => ({
+    coupon: {
+      _id: row._id,
+      code: row.coupon?.code ?? null,
+      discountType: row.coupon?.discountType ?? null,
+      discountValue: row.coupon?.discountValue ?? null,
+      usageLimit: row.coupon?.usageLimit ?? null,
+      isActive: row.coupon?.isActive ?? false,
+    },
+    redemptions: row.redemptions,
+    released: row.released,
+    uniqueCustomers: row.customers.filter((c) => c !== null).length,
+    discountGiven: round(row.discountGiven),
+    revenue: round(row.revenue),
+    averageOrderValue: row.redemptions ? round(row.revenue / row.redemptions) : 0,
+    lastRedeemedAt: row.lastRedeemedAt,
+  }));
+};
+
+module.exports = {
+  countRedemptions,
+  getCouponLimitIssue,
+  redeemCoupon,
+  releaseCouponRedemption,
+  getRedemptionReport,
+};
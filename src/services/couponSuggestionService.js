@@ -0,0 +1,79 @@
+const Coupon = require("../models/coupon.model");
+const { calculateTotalsFromItems } = require("../utils/calculateCartTotals");
+const { getCouponLimitIssue } = require("./couponRedemptionService");
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Coupons anyone may be told about: listed by the admin, not generated, not reserved
+const publicCouponFilter = () => {
+  const now = new Date();
+  return {
+    isActive: true,
+    isPublic: { $ne: false },
+    source: { $in: ["manual", null] },
+    "allowedUsers.0": { $exists: false },
+    "allowedEmails.0": { $exists: false },
+    startDate: { $not: { $gt: now } },
+    $or: [{ expiryDate: null }, { expiryDate: { $gt: now } }],
+  };
+};
+
+// Fresh copies: calculateTotalsFromItems replaces item.product on what it is given
+const copyItems = (items) =>
+  items.map((i) => ({ product: i.product?._id || i.product, quantity: i.quantity, variantId: i.variantId }));
+
+/**
+ * Every active public coupon priced against a cart, best saving first
+ * Uses the checkout totals (scope, customer restrictions, minimum value, dates) plus the
+ * usage limits, so an eligible coupon is one the customer could apply right now.
+ * @param {Object} cart - Cart with items, shippingMethod and paymentMethod
+ * @param {Object} [customer] - { userId, email }
+ * @returns {Promise<{finalTotal: number, coupons: Array}>} coupons:
+ *   { coupon, eligible, savings, finalTotal, message, items }
+ */
+const getEligibleCoupons = async (cart, customer = {}) => {
+  const userId = customer.userId || null;
+  const price = (coupon) =>
+    calculateTotalsFromItems(copyItems(cart.items), coupon, cart.shippingMethod, cart.paymentMethod, userId);
+
+  const baseline = await price(null);
+  const coupons = await Coupon.find(publicCouponFilter())
+    .select("-allowedUsers -allowedEmails -userUsage")
+    .lean();
+
+  const results = [];
+  for (const coupon of coupons) {
+    const summary = {
+      _id: coupon._id,
+      code: coupon.code,
+      description: coupon.description || null,
+      discountType: coupon.discountType,
+      discountValue: coupon.discountValue,
+      minCartValue: coupon.minCartValue,
+      maxDiscount: coupon.maxDiscount,
+      expiryDate: coupon.expiryDate,
+    };
+
+    // Priced one at a time; the filter above already dropped inactive and expired coupons
+    const totals = await price(coupon);
+    let message = totals.validCoupon ? null : totals.couponIssue?.message || "Coupon cannot be applied";
+    if (!message) message = await getCouponLimitIssue(coupon, customer);
+
+    const savings = message ? 0 : round(baseline.finalTotal - totals.finalTotal);
+    results.push({
+      coupon: summary,
+      eligible: !message && savings > 0,
+      savings,
+      finalTotal: message ? round(baseline.finalTotal) : round(totals.finalTotal),
+      message: message || (savings > 0 ? null : "No saving on this cart"),
+      items: message ? totals.couponIssue?.items || [] : [],
+    });
+  }
+
+  results.sort((a, b) => b.eligible - a.eligible || b.savings - a.savings);
+  return { finalTotal: round(baseline.finalTotal), coupons: results };
+};
+
+module.exports = {
+  getEligibleCoupons,
+};
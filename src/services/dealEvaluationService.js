@@ -1,14 +1,34 @@
 const Deal = require("../models/deal.model");
 const Product = require("../models/product.model");
 const Category = require("../models/category.model");
+const { CART_DEAL_TYPES } = Deal;
+
+/**
+ * Check if a deal is a cart-level rule (buy X get Y, tiered) rather than a price reduction
+ * @param {Object} deal - Deal document
+ * @returns {boolean}
+ */
+const isCartDeal = (deal) => CART_DEAL_TYPES.includes(deal.discountType);
+
+/**
+ * Units still available at the deal price
+ * @param {Object} deal - Deal document
+ * @returns {number|null} - null when the deal has no stock cap
+ */
+const getRemainingQuantity = (deal) => {
+  if (deal.stockCap === null || deal.stockCap === undefined) return null;
+  return Math.max(0, deal.stockCap - (deal.unitsSold || 0));
+};
 
 /**
  * Check if a deal is currently active
+ * A deal whose stock cap has been sold counts as inactive.
  * @param {Object} deal - Deal document
  * @returns {boolean} - True if deal is active
  */
 const isDealActive = (deal) => {
   if (!deal || !deal.isActive) return false;
+  if (getRemainingQuantity(deal) === 0) return false;
   
   const now = new Date();
   const startDate = new Date(deal.startDate);
@@ -18,7 +38,7 @@ const isDealActive = (deal) => {
 };
 
 /**
- * Get all currently active deals
+ * Get all currently active deals (sold-out deals excluded)
  * @returns {Promise<Array>} - Array of active deal documents
  */
 const getActiveDeals = async () => {
@@ -27,6 +47,7 @@ const getActiveDeals = async () => {
     isActive: true,
     startDate: { $lte: now },
     endDate: { $gte: now },
+    $or: [{ stockCap: null }, { $expr: { $lt: ["$unitsSold", "$stockCap"] } }],
   })
     .populate({
       path: "products",
@@ -185,6 +206,9 @@ const findBestDealForProduct = (product, activeDeals, dealTargetsCache) => {
   let bestDealPrice = originalPrice;
   
   for (const deal of activeDeals) {
+    // Cart-level deals don't change the product's price
+    if (isCartDeal(deal)) continue;
+
     // Get resolved targets for this deal (from cache)
     const dealId = deal._id ? String(deal._id) : String(deal);
     const dealTargets = dealTargetsCache.get(dealId);
@@ -214,6 +238,7 @@ const findBestDealForProduct = (product, activeDeals, dealTargetsCache) => {
  * @param {Array} activeDeals - Array of active deal documents
  * @param {Map} dealTargetsCache - Cache of resolved deal targets
  * @returns {Object} - Pricing object with originalPrice, dealPrice, appliedDealId, appliedDealVariant
+ *   and dealRemainingQuantity (units left under the deal's stock cap; null when uncapped)
  */
 const calculateProductPricing = (product, activeDeals, dealTargetsCache) => {
   // Use sale_price if available, otherwise use regular price
@@ -247,6 +272,7 @@ const calculateProductPricing = (product, activeDeals, dealTargetsCache) => {
     dealPrice,
     appliedDealId: bestDeal._id ? String(bestDeal._id) : null,
     appliedDealVariant: bestDeal.dealVariant || "MAIN",
+    dealRemainingQuantity: getRemainingQuantity(bestDeal),
   };
 };
 
@@ -281,8 +307,8 @@ const applyDealsToProducts = async (products) => {
     return [];
   }
   
-  // Get active deals
-  const activeDeals = await getActiveDeals();
+  // Get active deals (cart-level deals are applied by evaluateCartDeals)
+  const activeDeals = (await getActiveDeals()).filter((deal) => !isCartDeal(deal));
   
   // Batch resolve all deal targets (efficient - avoids N+1)
   let dealTargetsCache = new Map();
@@ -303,6 +329,7 @@ const applyDealsToProducts = async (products) => {
         dealPrice: null,
         appliedDealId: null,
         appliedDealVariant: null,
+        dealRemainingQuantity: null,
       };
     }
     
@@ -316,13 +343,155 @@ const applyDealsToProducts = async (products) => {
       dealPrice: pricing.dealPrice ?? null,
       appliedDealId: pricing.appliedDealId ?? null,
       appliedDealVariant: pricing.appliedDealVariant ?? null,
+      dealRemainingQuantity: pricing.dealRemainingQuantity ?? null,
     };
   });
   
   return productsWithPricing;
 };
 
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Units left on the lines a deal covers, one entry per unit
+ * @param {Array} lines - Cart lines
+ * @param {Array<number>} used - Units per line already taken by other deals
+ * @param {Function} matches - (line) => boolean
+ * @returns {Array<{index: number, price: number, taken: boolean}>}
+ */
+const collectUnits = (lines, used, matches) => {
+  const units = [];
+  lines.forEach((line, index) => {
+    if (!matches(line)) return;
+    for (let i = used[index]; i < line.quantity; i++) {
+      units.push({ index, price: line.unitPrice, taken: false });
+    }
+  });
+  return units;
+};
+
+/**
+ * Buy X get Y: pair the dearest qualifying units with the cheapest reward units
+ * @returns {{taken: Array, rewards: Array}} - Units consumed, and those discounted
+ */
+const applyBuyXGetY = (deal, lines, used, inBuySet, inRewardSet) => {
+  const taken = [];
+  const rewards = [];
+  if (!deal.buyQuantity || !deal.getQuantity || !deal.getDiscountPercent) return { taken, rewards };
+
+  // Both pools share unit objects, so a unit is never both bought and rewarded
+  const units = collectUnits(lines, used, (line) => inBuySet(line) || inRewardSet(line));
+  const buyPool = units.filter((u) => inBuySet(lines[u.index])).sort((a, b) => b.price - a.price);
+  const rewardPool = units
+    .filter((u) => inRewardSet(lines[u.index]))
+    .sort((a, b) => a.price - b.price);
+
+  for (let applied = 0; !deal.maxApplications || applied < deal.maxApplications; applied++) {
+    const buyUnits = buyPool.filter((u) => !u.taken).slice(0, deal.buyQuantity);
+    if (buyUnits.length < deal.buyQuantity) break;
+    buyUnits.forEach((u) => (u.taken = true));
+
+    const rewardUnits = rewardPool.filter((u) => !u.taken).slice(0, deal.getQuantity);
+    if (!rewardUnits.length) {
+      // Qualified, but no reward item in the cart yet
+      buyUnits.forEach((u) => (u.taken = false));
+      break;
+    }
+    rewardUnits.forEach((u) => (u.taken = true));
+    taken.push(...buyUnits, ...rewardUnits);
+    rewards.push(...rewardUnits);
+  }
+
+  return { taken, rewards };
+};
+
+/**
+ * Tiered: every qualifying unit gets the percentage of the highest tier reached
+ * @returns {{taken: Array, rewards: Array, percent: number}}
+ */
+const applyTiered = (deal, lines, used, inBuySet) => {
+  const units = collectUnits(lines, used, inBuySet);
+  const tier = [...(deal.tiers || [])]
+    .sort((a, b) => b.minQuantity - a.minQuantity)
+    .find((t) => units.length >= t.minQuantity);
+  if (!tier || !tier.discountPercent) return { taken: [], rewards: [], percent: 0 };
+  return { taken: units, rewards: units, percent: tier.discountPercent };
+};
+
+/**
+ * Apply cart-level deals (buy X get Y, tiered quantity discounts) to priced cart lines
+ * Deals are applied by priority, and a unit counts towards at most one of them. Unit
+ * prices are the ones after product deals.
+ * @param {Array<{product: ObjectId|string, quantity: number, unitPrice: number}>} lines
+ * @returns {Promise<Array<Array<Object>>>} - Promotions per line, in the order of `lines`:
+ *   { deal, title, type, quantity, discount }
+ */
+const evaluateCartDeals = async (lines) => {
+  const promotions = lines.map(() => []);
+  if (!lines.length) return promotions;
+
+  const cartDeals = (await getActiveDeals())
+    .filter(isCartDeal)
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  if (!cartDeals.length) return promotions;
+
+  const targetsCache = await batchResolveDealTargets(cartDeals);
+  const used = lines.map(() => 0);
+
+  for (const deal of cartDeals) {
+    const buyTargets = targetsCache.get(String(deal._id));
+    const inBuySet = (line) => isProductAffectedByDeal({ _id: line.product }, deal, buyTargets);
+
+    let result;
+    let percent;
+    if (deal.discountType === "buy_x_get_y") {
+      // Reward products or categories (a category also matches as subcategory)
+      const hasRewardSet = (deal.getProducts || []).length || (deal.getCategories || []).length;
+      const rewardTargets = hasRewardSet
+        ? await resolveDealTargets({
+            products: deal.getProducts,
+            categories: deal.getCategories,
+            subCategories: deal.getCategories,
+          })
+        : null;
+      const inRewardSet = hasRewardSet
+        ? (line) => !!rewardTargets && rewardTargets.has(String(line.product))
+        : inBuySet;
+      result = applyBuyXGetY(deal, lines, used, inBuySet, inRewardSet);
+      percent = deal.getDiscountPercent;
+    } else {
+      result = applyTiered(deal, lines, used, inBuySet);
+      percent = result.percent;
+    }
+
+    result.taken.forEach((unit) => (used[unit.index] += 1));
+
+    // One entry per line: units discounted and the amount taken off
+    const byLine = new Map();
+    for (const unit of result.rewards) {
+      const entry = byLine.get(unit.index) || { quantity: 0, discount: 0 };
+      entry.quantity += 1;
+      entry.discount += (unit.price * percent) / 100;
+      byLine.set(unit.index, entry);
+    }
+    for (const [index, entry] of byLine) {
+      promotions[index].push({
+        deal: deal._id,
+        title: deal.title,
+        type: deal.discountType,
+        quantity: entry.quantity,
+        discount: roundMoney(entry.discount),
+      });
+    }
+  }
+
+  return promotions;
+};
+
 module.exports = {
+  isCartDeal,
+  evaluateCartDeals,
+  getRemainingQuantity,
   isDealActive,
   getActiveDeals,
   resolveDealTargets,
@@ -0,0 +1,77 @@
+const Deal = require("../models/deal.model");
+const AppError = require("../utils/appError");
+const { getRemainingQuantity } = require("./dealEvaluationService");
+
+// Units per deal across order items priced by a deal (dealQuantity when only some units were)
+const unitsByDeal = (items) => {
+  const units = new Map();
+  for (const item of items) {
+    const quantity = item.dealQuantity ?? item.quantity;
+    if (!item.appliedDealId || !quantity) continue;
+    const dealId = String(item.appliedDealId);
+    units.set(dealId, (units.get(dealId) || 0) + quantity);
+  }
+  return units;
+};
+
+/**
+ * Count an order's units against the deals that priced them
+ * The increment is conditional on the stock cap, so two checkouts can't both take the
+ * last units; the order fails instead and the next cart refresh drops the deal price.
+ * @param {Array<{appliedDealId, dealQuantity, quantity}>} items - Order items
+ * @param {ClientSession} [session] - Optional mongoose session
+ * @throws {AppError} 409 when a deal has fewer units left than the order needs
+ */
+const recordDealSales = async (items, session = null) => {
+  // Sequential: a transaction session can't run operations in parallel
+  for (const [dealId, quantity] of unitsByDeal(items)) {
+    const updated = await Deal.findOneAndUpdate(
+      {
+        _id: dealId,
+        $or: [
+          { stockCap: null },
+          {
+            $expr: {
+              $lte: [{ $add: [{ $ifNull: ["$unitsSold", 0] }, quantity] }, "$stockCap"],
+            },
+          },
+        ],
+      },
+      { $inc: { unitsSold: quantity } },
+      { new: true, session }
+    );
+    if (updated) continue;
+
+    // Deleted since the cart was priced: nothing to count against
+    const deal = await Deal.findById(dealId).session(session).lean();
+    if (!deal) continue;
+
+    const remaining = getRemainingQuantity(deal);
+    throw new AppError(
+      remaining > 0
+        ? `Only ${remaining} left at the "${deal.title}" price, please update your cart`
+        : `"${deal.title}" has sold out, please review your cart`,
+      409
+    );
+  }
+};
+
+/**
+ * Give back the deal units of a cancelled order
+ * @param {Object} order - Order document
+ * @param {ClientSession} [session] - Optional mongoose session
+ */
+const releaseDealSales = async (order, session = null) => {
+  for (const [dealId, quantity] of unitsByDeal(order.items || [])) {
+    await Deal.updateOne(
+      { _id: dealId, unitsSold: { $gte: quantity } },
+      { $inc: { unitsSold: -quantity } },
+      { session }
+    );
+  }
+};
+
+module.exports = {
+  recordDealSales,
+  releaseDealSales,
+};
@@ -0,0 +1,401 @@
+const Product = require("../models/product.model");
+const InventoryMovement = require("../models/inventoryMovement.model");
+const ReturnRequest = require("../models/returnRequest.model");
+const AppError = require("../utils/appError");
+
+// Helper: variant subdocument by _id ("id.x" cart ids are tolerated)
+const findVariant = (product, variantId) =>
+  (product.variants || []).find(
+    (v) => v._id && v._id.toString() === String(variantId).split(".")[0]
+  ) || null;
+
+/**
+ * Append a ledger entry for a stock change that was already applied to the product
+ * The balance is read from the (saved) product, so call this after the mutation.
+ * @param {Object} product - Product document after the change
+ * @param {Object} movement
+ * @param {string|null} [movement.variantId] - Variant _id for variable products
+ * @param {number} movement.delta - Units added (positive) or removed (negative)
+ * @param {string} movement.reason - sale | reservation | release | cancel | return | adjustment | import
+ * @param {string} [movement.reasonCode] - Adjustment reason code
+ * @param {ObjectId} [movement.order] - Related order
+ * @param {ObjectId} [movement.returnRequest] - Related return request
+ * @param {ObjectId} [movement.user] - Admin / customer behind the change
+ * @param {string} [movement.note] - Free text
+ * @param {ClientSession} [movement.session] - Optional mongoose session
+ * @returns {Promise<Object>} - Created movement
+ */
+const recordMovement = async (
+  product,
+  {
+    variantId = null,
+    delta,
+    reason,
+    reasonCode = null,
+    order = null,
+    returnRequest = null,
+    user = null,
+    note = "",
+    session = null,
+  }
+) => {
+  const variant = variantId ? findVariant(product, variantId) : null;
+
+  const [movement] = await InventoryMovement.create(
+    [
+      {
+        product: product._id,
+        variantId: variant ? variant._id.toString() : null,
+        sku: variant ? variant.sku || null : product.sku || null,
+        delta,
+        balance: variant ? variant.stock || 0 : product.quantity || 0,
+        reason,
+        reasonCode,
+        order,
+        returnRequest,
+        createdBy: user,
+        note,
+      },
+    ],
+    { session }
+  );
+
+  return movement;
+};
+
+/**
+ * Change the stock of a product or variant by `delta` and record it in the ledger
+ * Used for manual adjustments; orders go through the sale / restock paths.
+ * @param {Object} params
+ * @param {ObjectId|string} params.productId - Product to adjust
+ * @param {string|null} [params.variantId] - Variant _id for variable products
+ * @param {number} params.delta - Units to add (positive) or remove (negative)
+ * @param {string} [params.reason] - Ledger reason (default adjustment)
+ * @param {ClientSession} [params.session] - Optional mongoose session
+ * @returns {Promise<{product: Object, movement: Object}>}
+ * @throws {AppError} 404 for unknown product/variant, 400 when stock would go negative
+ */
+const adjustStock = async ({
+  productId,
+  variantId = null,
+  delta,
+  reason = "adjustment",
+  reasonCode = null,
+  user = null,
+  note = "",
+  session = null,
+}) => {
+  const product = await Product.findById(productId).session(session);
+  if (!product) throw new AppError("Product not found", 404);
+
+  if (variantId) {
+    const variant = findVariant(product, variantId);
+    if (!variant) throw new AppError("Variant not found", 404);
+    if ((variant.stock || 0) + delta < 0) {
+      throw new AppError(`Adjustment would make stock negative (current: ${variant.stock || 0})`, 400);
+    }
+    variant.stock = (variant.stock || 0) + delta;
+  } else {
+    if (product.product_type !== "simple" && product.variants?.length) {
+      throw new AppError("variantId is required for products with variants", 400);
+    }
+    if ((product.quantity || 0) + delta < 0) {
+      throw new AppError(`Adjustment would make stock negative (current: ${product.quantity || 0})`, 400);
+    }
+    product.quantity = (product.quantity || 0) + delta;
+    // Simple products sell on the flag, so it follows the count
+    if (product.product_type === "simple") product.in_stock = product.quantity > 0;
+  }
+
+  await product.save({ session });
+
+  const movement = await recordMovement(product, {
+    variantId,
+    delta,
+    reason,
+    reasonCode,
+    user,
+    note,
+    session,
+  });
+
+  return { product, movement };
+};
+
+/**
+ * Take units of a product (or one of its variants) out of stock
+ * Counterpart of restockItem: bumps salesCount and records the movement.
+ * @param {Object} params
+ * @param {ObjectId|string} params.productId - Product to take from
+ * @param {string|null} [params.variantId] - Variant _id for variable products
+ * @param {number} params.quantity - Units to take
+ * @param {string} [params.reason] - Ledger reason (default sale)
+ * @param {ObjectId} [params.order] - Order the units go to
+ * @param {ObjectId} [params.user] - User behind the change
+ * @param {ClientSession} [params.session] - Optional mongoose session
+ * @returns {Promise<void>}
+ * @throws {AppError} 404 for unknown product/variant, 409 when stock is insufficient
+ */
+const deductItem = async ({
+  productId,
+  variantId = null,
+  quantity,
+  reason = "sale",
+  order = null,
+  user = null,
+  session = null,
+}) => {
+  const product = await Product.findById(productId).session(session);
+  if (!product) throw new AppError("Product not found", 404);
+
+  if (variantId) {
+    const variant = findVariant(product, variantId);
+    if (!variant) throw new AppError("Variant not found", 404);
+    if ((variant.stock || 0) < quantity) {
+      throw new AppError(`Insufficient stock for ${product.productName || product.name}`, 409);
+    }
+    variant.stock -= quantity;
+  } else {
+    if (!product.in_stock || (product.quantity || 0) < quantity) {
+      throw new AppError(`Insufficient stock for ${product.productName || product.name}`, 409);
+    }
+    product.quantity -= quantity;
+    if (product.quantity <= 0) product.in_stock = false;
+  }
+
+  product.salesCount = (product.salesCount || 0) + quantity;
+  await product.save({ session });
+
+  await recordMovement(product, {
+    variantId,
+    delta: -quantity,
+    reason,
+    order,
+    user,
+    session,
+  });
+};
+
+/**
+ * Put units of a product (or one of its variants) back into stock
+ * Also rolls back salesCount by the same amount and records the movement.
+ * @param {Object} params
+ * @param {ObjectId|string} params.productId - Product to restock
+ * @param {string|null} [params.variantId] - Variant _id for variable products
+ * @param {number} params.quantity - Units to put back
+ * @param {string} [params.reason] - Ledger reason: cancel (default), return or release
+ * @param {ObjectId} [params.order] - Order the units came from
+ * @param {ObjectId} [params.returnRequest] - Return request the units came from
+ * @param {ObjectId} [params.user] - User behind the restock
+ * @param {ClientSession} [params.session] - Optional mongoose session
+ * @returns {Promise<boolean>} - False when nothing could be restocked
+ */
+const restockItem = async ({
+  productId,
+  variantId = null,
+  quantity,
+  reason = "cancel",
+  order = null,
+  returnRequest = null,
+  user = null,
+  session = null,
+}) => {
+  const product = await Product.findById(productId).session(session);
+  if (!product) return false;
+
+  if (variantId) {
+    const variant = findVariant(product, variantId);
+    if (!variant) return false;
+    variant.stock = (variant.stock || 0) + quantity;
+  } else if (product.product_type === "simple") {
+    product.quantity += quantity;
+    product.in_stock = true;
+  } else {
+    // Variable product without a known variant: nothing safe to restock
+    return false;
+  }
+
+  // 🔄 Rollback salesCount
+  if (product.salesCount && product.salesCount > 0) {
+    product.salesCount = Math.max(0, product.salesCount - quantity);
+  }
+
+  await product.save({ session });
+
+  await recordMovement(product, {
+    variantId,
+    delta: quantity,
+    reason,
+    order,
+    returnRequest,
+    user,
+    session,
+  });
+
+  return true;
+};
+
+// Helper: key of an order line for per-line tallies ("id.x" variant ids are tolerated)
+const lineKey = (productId, variantId) =>
+  `${productId}|${String(variantId || "").split(".")[0]}`;
+
+// Units of each line already put back by restocking refunds or completed return inspections
+const getRestockedQuantities = async (order, session) => {
+  const restocked = new Map();
+  const add = (item) => {
+    const key = lineKey(item.product?._id || item.product, item.variantId);
+    restocked.set(key, (restocked.get(key) || 0) + item.quantity);
+  };
+
+  (order.refunds || []).filter((r) => r.restocked).forEach((r) => r.items.forEach(add));
+
+  const returns = await ReturnRequest.find({ order: order._id, status: "completed" }).session(
+    session
+  );
+  returns.forEach((r) => r.items.filter((i) => i.resolution === "restock").forEach(add));
+
+  return restocked;
+};
+
+/**
+ * Put the stock of a cancelled order back on the shelf and roll back salesCount
+ * Units already restocked by a refund or a return inspection are skipped.
+ * @param {Object} order - Order document (items.product may be populated)
+ * @param {Object} [options]
+ * @param {ObjectId} [options.user] - User who cancelled the order
+ * @param {ClientSession} [options.session] - Optional mongoose session
+ * @returns {Promise<void>}
+ */
+const restoreOrderStock = async (order, { user = null, session = null } = {}) => {
+  const restocked = await getRestockedQuantities(order, session);
+
+  for (const item of order.items) {
+    const productId = item.product?._id || item.product;
+    const key = lineKey(productId, item.variantId);
+    const alreadyBack = Math.min(item.quantity, restocked.get(key) || 0);
+    // Several lines of the same product share the tally
+    restocked.set(key, (restocked.get(key) || 0) - alreadyBack);
+
+    const quantity = item.quantity - alreadyBack;
+    if (quantity <= 0) continue;
+
+    await restockItem({
+      productId,
+      variantId: item.variantId || null,
+      quantity,
+      reason: "cancel",
+      order: order._id,
+      user,
+      session,
+    });
+  }
+};
+
+/**
+ * Record the opening stock of a newly created / imported product
+ * One movement per stocked variant, or one for the product quantity.
+ * @param {Object} product - Saved product document
+ * @param {Object} [options]
+ * @param {ObjectId} [options.user] - Creator
+ * @param {string} [options.note] - Free text
+ * @returns {Promise<void>}
+ */
+const recordInitialStock = async (product, { user = null, note = "Initial stock" } = {}) => {
+  if (product.variants && product.variants.length > 0) {
+    for (const variant of product.variants) {
+      if (!variant.stock) continue;
+      await recordMovement(product, {
+        variantId: variant._id.toString(),
+        delta: variant.stock,
+        reason: "import",
+        user,
+        note,
+      });
+    }
+  } else if (product.quantity) {
+    await recordMovement(product, {
+      delta: product.quantity,
+      reason: "import",
+      user,
+      note,
+    });
+  }
+};
+
+// Helper: identity of a variant that survives updateProduct replacing the array
+const variantSignature = (v) =>
+  v.sku || [v.storage, v.ram, v.color, v.bundle, v.warranty].map((x) => x || "").join("|");
+
+/**
+ * Stock levels of a product before an edit, for recordStockChanges
+ * @param {Object} product - Product document
+ * @returns {{quantity: number, variants: Array<{signature, stock}>}}
+ */
+const snapshotStock = (product) => ({
+  quantity: product.quantity || 0,
+  variants: (product.variants || []).map((v) => ({
+    signature: variantSignature(v),
+    variantId: v._id ? v._id.toString() : null,
+    sku: v.sku || null,
+    stock: v.stock || 0,
+  })),
+});
+
+/**
+ * Record the stock differences introduced by an admin product edit
+ * Variants are matched by SKU (or their attributes) since edits replace the variants array.
+ * @param {Object} before - Result of snapshotStock taken before the edit
+ * @param {Object} product - Saved product document
+ * @param {Object} [options]
+ * @param {ObjectId} [options.user] - Admin who edited the product
+ * @returns {Promise<void>}
+ */
+const recordStockChanges = async (before, product, { user = null } = {}) => {
+  const edit = { reason: "adjustment", reasonCode: "product_edit", user };
+
+  const quantityDelta = (product.quantity || 0) - before.quantity;
+  if (quantityDelta !== 0 && !(product.variants && product.variants.length)) {
+    await recordMovement(product, { ...edit, delta: quantityDelta, note: "Product edited" });
+  }
+
+  const previous = new Map(before.variants.map((v) => [v.signature, v]));
+  for (const variant of product.variants || []) {
+    const signature = variantSignature(variant);
+    const delta = (variant.stock || 0) - (previous.get(signature)?.stock || 0);
+    previous.delete(signature);
+    if (delta === 0) continue;
+    await recordMovement(product, {
+      ...edit,
+      variantId: variant._id.toString(),
+      delta,
+      note: "Product edited",
+    });
+  }
+
+  // Variants removed by the edit take their stock with them
+  for (const removed of previous.values()) {
+    if (!removed.stock) continue;
+    await InventoryMovement.create({
+      product: product._id,
+      variantId: removed.variantId,
+      sku: removed.sku,
+      delta: -removed.stock,
+      balance: 0,
+      reason: edit.reason,
+      reasonCode: edit.reasonCode,
+      createdBy: user,
+      note: "Variant removed",
+    });
+  }
+};
+
+module.exports = {
+  recordMovement,
+  adjustStock,
+  deductItem,
+  restockItem,
+  restoreOrderStock,
+  recordInitialStock,
+  snapshotStock,
+  recordStockChanges,
+};
@@ -0,0 +1,138 @@
+const mongoose = require("mongoose");
+const Order = require("../models/order.model");
+const AppError = require("../utils/appError");
+const invoicePdf = require("../templates/invoices/invoicePdf");
+const { nextYearlyNumber } = require("./sequenceService");
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || "INV";
+
+// Card orders only get an invoice once the payment went through
+const UNSETTLED_CARD_STATUSES = ["pending", "failed"];
+
+/**
+ * Make sure an order has an invoice number, assigning the next one if needed
+ * The number is taken inside a transaction together with the order update, so an
+ * aborted issue rolls the counter back and the series stays gap-free.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} - Order with `invoice.number` set
+ * @throws {AppError} 409 when the order can't be invoiced (yet)
+ */
+const issueInvoice = async (order) => {
+  if (order.invoice && order.invoice.number) return order;
+
+  if (order.orderStatus === "cancelled") {
+    throw new AppError("Cancelled orders can't be invoiced", 409);
+  }
+  if (order.paymentMethod !== "cod" && UNSETTLED_CARD_STATUSES.includes(order.paymentStatus)) {
+    throw new AppError("The invoice is available once the payment is completed", 409);
+  }
+
+  const session = await mongoose.startSession();
+  let invoice;
+  try {
+    await session.withTransaction(async () => {
+      // Re-read inside the transaction: a concurrent request may have issued it already
+      const current = await Order.findById(order._id).select("invoice").session(session);
+      if (current.invoice && current.invoice.number) {
+        invoice = current.invoice;
+        return;
+      }
+
+      invoice = {
+        number: await nextYearlyNumber("invoice", INVOICE_PREFIX, { session }),
+        issuedAt: new Date(),
+      };
+      await Order.updateOne({ _id: order._id }, { invoice }, { session });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  order.invoice = invoice;
+  return order;
+};
+
+// Helper: "128GB / 8GB / Black" from the variant snapshot
+const variantLabel = (variant) =>
+  variant
+    ? [variant.storage, variant.ram, variant.color, variant.bundle].filter(Boolean).join(" / ")
+    : "";
+
+/**
+ * Per-line amounts for the invoice
+ * Uses the tax rate stored on the item, falling back to the product's current `tax`
+ * for orders placed before rates were stored (items.product populated with `tax`).
+ * @param {Object} order - Order document
+ * @returns {{lines: Array<Object>, totals: Object}}
+ */
+const buildInvoiceLines = (order) => {
+  const lines = order.items.map((item) => {
+    const storedRate = item.taxRate;
+    const productRate = item.product && item.product.tax;
+    const rate = Number(storedRate !== null && storedRate !== undefined ? storedRate : productRate);
+    const taxRate = isFinite(rate) && rate > 0 ? rate : 0;
+    const net = item.price * item.quantity;
+    const tax = (net * taxRate) / 100;
+
+    return {
+      name: item.name || "Product",
+      variantLabel: variantLabel(item.variant),
+      quantity: item.quantity,
+      price: item.price,
+      taxRate,
+      tax,
+      total: net + tax,
+    };
+  });
+
+  const subtotal = lines.reduce((sum, l) => sum + l.price * l.quantity, 0);
+  const taxTotal = lines.reduce((sum, l) => sum + l.tax, 0);
+
+  return {
+    lines,
+    totals: {
+      subtotal,
+      taxTotal,
+      promotionDiscount: order.promotionDiscount || 0,
+      discount: order.discount || 0,
+      shippingFee: order.shippingFee || 0,
+      codFee: order.codFee || 0,
+      totalAmount: order.totalAmount,
+      refunded: order.refundedAmount || 0,
+    },
+  };
+};
+
+/**
+ * Issue (if needed) and render the invoice of an order
+ * @param {Object} order - Order document, items.product may be populated with `tax`
+ * @returns {Promise<{filename: string, content: Buffer}>}
+ */
+const renderInvoice = async (order) => {
+  await issueInvoice(order);
+  const { lines, totals } = buildInvoiceLines(order);
+  const content = await invoicePdf({ order, lines, totals });
+  return { filename: `${order.invoice.number}.pdf`, content };
+};
+
+/**
+ * Invoice as a nodemailer attachment, or null when the order can't be invoiced yet
+ * @param {Object} order - Order document
+ * @returns {Promise<Object|null>}
+ */
+const buildInvoiceAttachment = async (order) => {
+  try {
+    const { filename, content } = await renderInvoice(order);
+    return { filename, content, contentType: "application/pdf" };
+  } catch (err) {
+    if (err.statusCode !== 409) console.error("Invoice attachment failed:", err.message);
+    return null;
+  }
+};
+
+module.exports = {
+  issueInvoice,
+  buildInvoiceLines,
+  renderInvoice,
+  buildInvoiceAttachment,
+};
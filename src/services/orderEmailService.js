@@ -0,0 +1,42 @@
+const sendEmail = require("../utils/email");
+const orderConfirmationEmail = require("../templates/emails/orderConfirmationEmail");
+const { buildInvoiceAttachment } = require("./invoiceService");
+
+const ATTACH_INVOICE = process.env.ATTACH_INVOICE_TO_CONFIRMATION === "true";
+
+/**
+ * Send the order confirmation email, with the PDF invoice attached when enabled
+ * Orders that can't be invoiced yet (unpaid card orders) are sent without it.
+ * Failures are logged, never thrown.
+ * @param {Object} order - Order document
+ * @param {Object} options
+ * @param {string} options.email - Recipient
+ * @param {string} [options.subject] - Defaults to "Order Confirmation - <orderNumber>"
+ * @returns {Promise<void>}
+ */
+const sendOrderConfirmation = async (order, { email, subject }) => {
+  try {
+    const attachment = ATTACH_INVOICE ? await buildInvoiceAttachment(order) : null;
+
+    await sendEmail({
+      email,
+      subject: subject || `Order Confirmation - ${order.orderNumber || order._id}`,
+      html: orderConfirmationEmail({
+        fullName: order.shippingAddress.fullName,
+        orderNumber: order.orderNumber || order._id,
+        trackingNumber: order.trackingNumber || "Not Assigned Yet",
+        totalAmount: order.totalAmount.toFixed(2),
+        paymentMethod: order.paymentMethod,
+        orderStatus: order.orderStatus,
+        streetAddress: order.shippingAddress.streetAddress,
+        city: order.shippingAddress.city,
+        country: order.shippingAddress.country,
+      }),
+      attachments: attachment ? [attachment] : undefined,
+    });
+  } catch (err) {
+    console.error("Order confirmation email failed:", err.message);
+  }
+};
+
+module.exports = { sendOrderConfirmation };
@@ -0,0 +1,247 @@
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+const AppError = require("../utils/appError");
+const retryTransaction = require("../utils/retryTransaction");
+const { getStripe } = require("../utils/stripeClient");
+const sendEmail = require("../utils/email");
+const orderStatusUpdateEmail = require("../templates/emails/orderStatusUpdateEmail");
+const { releaseCouponRedemption } = require("./couponRedemptionService");
+const { releaseOrderStock } = require("./stockReservationService");
+const { releaseDealSales } = require("./dealStockService");
+
+/**
+ * Allowed orderStatus moves (anything not listed is illegal)
+ */
+const ORDER_TRANSITIONS = {
+  pending: ["processing", "shipped", "cancelled"],
+  processing: ["shipped", "delivered", "cancelled"],
+  shipped: ["delivered"],
+  delivered: ["returned"],
+  cancelled: [],
+  returned: [],
+};
+
+/**
+ * Allowed paymentStatus moves (anything not listed is illegal)
+ */
+const PAYMENT_TRANSITIONS = {
+  unpaid: ["paid", "failed"],
+  pending: ["paid", "failed"],
+  failed: ["pending", "paid"],
+  paid: ["partially_refunded", "refunded"],
+  partially_refunded: ["refunded"],
+  refunded: [],
+};
+
+// Customers get an email when the order reaches one of these
+const NOTIFY_ORDER_STATUSES = ["shipped", "delivered", "cancelled", "returned"];
+
+/**
+ * Check whether a status move is allowed
+ * @param {"order"|"payment"} type - Which status field
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+const canTransition = (type, from, to) => {
+  const map = type === "payment" ? PAYMENT_TRANSITIONS : ORDER_TRANSITIONS;
+  return Array.isArray(map[from]) && map[from].includes(to);
+};
+
+const assertTransition = (type, from, to) => {
+  if (!to || to === from) return;
+
+  const map = type === "payment" ? PAYMENT_TRANSITIONS : ORDER_TRANSITIONS;
+  if (!Object.prototype.hasOwnProperty.call(map, to)) {
+    throw new AppError(`Invalid ${type} status: ${to}`, 400);
+  }
+
+  if (!canTransition(type, from, to)) {
+    const allowed = map[from] || [];
+    throw new AppError(
+      `Cannot change ${type} status from "${from}" to "${to}"`,
+      409,
+      [
+        allowed.length
+          ? `Allowed next ${type} statuses: ${allowed.join(", ")}`
+          : `"${from}" is a final ${type} status`,
+      ]
+    );
+  }
+};
+
+// Derived changes: delivering an order settles its payment
+const withDerivedChanges = (order, { orderStatus, paymentStatus }) => {
+  const changes = { orderStatus, paymentStatus };
+
+  if (orderStatus === "delivered" && !paymentStatus) {
+    // For COD orders, always set payment status to paid when delivered
+    if (order.paymentMethod === "cod" && order.paymentStatus !== "paid") {
+      changes.paymentStatus = "paid";
+    }
+    // For Stripe/ApplePay orders, ensure payment status is paid unless it failed or was refunded
+    if (
+      (order.paymentMethod === "stripe" || order.paymentMethod === "applepay") &&
+      ["pending", "unpaid"].includes(order.paymentStatus)
+    ) {
+      changes.paymentStatus = "paid";
+    }
+  }
+
+  return changes;
+};
+
+const notifyCustomer = async (order, note) => {
+  try {
+    // Guest orders are emailed at the checkout address until claimed
+    const user = order.user
+      ? await User.findById(order.user._id || order.user).select("email name")
+      : null;
+    const email = user ? user.email : order.guest?.email;
+    if (!email) return;
+
+    await sendEmail({
+      email,
+      subject: `Order ${order.orderNumber} is ${order.orderStatus}`,
+      html: orderStatusUpdateEmail({
+        fullName: order.shippingAddress?.fullName || user?.name || order.guest?.name,
+        orderNumber: order.orderNumber,
+        trackingNumber: order.trackingNumber,
+        orderStatus: order.orderStatus,
+        paymentStatus: order.paymentStatus,
+        note,
+      }),
+    });
+  } catch (err) {
+    console.error("Order status email failed:", err.message);
+  }
+};
+
+// Side effects per transition (run after the new status is saved, in the same transaction)
+const runSideEffects = async (order, previous, { actorUser, session }) => {
+  const cancelled = order.orderStatus !== previous.orderStatus && order.orderStatus === "cancelled";
+  const refunded = order.paymentStatus !== previous.paymentStatus && order.paymentStatus === "refunded";
+
+  if (cancelled) {
+    // Releases the checkout hold, or restocks items of orders without one
+    await releaseOrderStock(order, { user: actorUser, session });
+    if (order.coupon) await releaseCouponRedemption(order, "cancelled", session);
+  }
+
+  // A full refund gives the coupon use back, like a cancellation
+  if (refunded && order.coupon) {
+    await releaseCouponRedemption(order, "refunded", session);
+  }
+
+  // Deal units go back once: on cancellation or on a full refund, whichever comes first
+  if (
+    (cancelled && previous.paymentStatus !== "refunded") ||
+    (refunded && previous.orderStatus !== "cancelled")
+  ) {
+    await releaseDealSales(order, session);
+  }
+};
+
+// Save the order and its side effects in one transaction (retried on write conflicts)
+const saveWithSideEffects = (order, previous, { actorUser }) => {
+  // An aborted attempt leaves the document looking saved; put its changes back before retrying
+  const changedPaths = order.directModifiedPaths();
+  const version = order.get("__v");
+
+  return retryTransaction(async () => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      await order.save({ session });
+      await runSideEffects(order, previous, { actorUser, session });
+      await session.commitTransaction();
+    } catch (err) {
+      await session.abortTransaction();
+      order.set("__v", version);
+      changedPaths.forEach((path) => order.markModified(path));
+      throw err;
+    } finally {
+      session.endSession();
+    }
+  });
+};
+
+// Money that would stay with the shop if the order were cancelled now
+const isPaidWithoutRefund = (order) =>
+  ["paid", "partially_refunded"].includes(order.paymentStatus) && order.refundableAmount > 0;
+
+// Card orders: stop the PaymentIntent so a cancelled order can't be paid afterwards
+const cancelPaymentIntent = async (order) => {
+  if (order.paymentMethod === "cod" || !order.paymentIntentId) return;
+
+  const intent = await getStripe().paymentIntents.retrieve(order.paymentIntentId);
+  if (intent.status === "canceled") return;
+  if (["succeeded", "processing"].includes(intent.status)) {
+    throw new AppError(
+      "The payment for this order has already gone through; refund it before cancelling",
+      409
+    );
+  }
+  await getStripe().paymentIntents.cancel(order.paymentIntentId);
+};
+
+/**
+ * Move an order through its lifecycle
+ * Validates both status changes, records them on the timeline, then saves the order and runs
+ * its stock / coupon / deal side effects in one transaction (the caller's, when a session is given).
+ * @param {Object} order - Order document
+ * @param {Object} changes
+ * @param {string} [changes.orderStatus] - Target order status
+ * @param {string} [changes.paymentStatus] - Target payment status
+ * @param {string} [changes.actor] - admin | customer | webhook | cron | system
+ * @param {ObjectId} [changes.actorUser] - User making the change
+ * @param {string} [changes.note] - Free text shown on the timeline
+ * @param {ClientSession} [changes.session] - Optional mongoose session
+ * @returns {Promise<Object>} - Saved order
+ * @throws {AppError} 409 for illegal moves, for cancelling a paid order that hasn't been refunded
+ *   and when Stripe has already taken the payment; 400 for unknown statuses
+ */
+const transitionOrder = async (
+  order,
+  { orderStatus, paymentStatus, actor = "system", actorUser = null, note = "", session = null }
+) => {
+  const changes = withDerivedChanges(order, { orderStatus, paymentStatus });
+
+  assertTransition("order", order.orderStatus, changes.orderStatus);
+  assertTransition("payment", order.paymentStatus, changes.paymentStatus);
+
+  if (changes.orderStatus === "cancelled" && order.orderStatus !== "cancelled") {
+    if (isPaidWithoutRefund(order)) {
+      throw new AppError("Refund the payment before cancelling this order", 409);
+    }
+    await cancelPaymentIntent(order);
+  }
+
+  const previous = {
+    orderStatus: order.orderStatus,
+    paymentStatus: order.paymentStatus,
+  };
+
+  order.changeStatus({ ...changes, actor, actorUser, note });
+  if (session) {
+    // The caller's transaction covers both
+    await order.save({ session });
+    await runSideEffects(order, previous, { actorUser, session });
+  } else {
+    await saveWithSideEffects(order, previous, { actorUser });
+  }
+
+  // Emails only go out for changes that were committed
+  if (order.orderStatus !== previous.orderStatus && NOTIFY_ORDER_STATUSES.includes(order.orderStatus)) {
+    await notifyCustomer(order, note);
+  }
+
+  return order;
+};
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  PAYMENT_TRANSITIONS,
+  canTransition,
+  transitionOrder,
+};
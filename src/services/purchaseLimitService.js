@@ -0,0 +1,175 @@
+const mongoose = require("mongoose");
+const Order = require("../models/order.model");
+const AppError = require("../utils/appError");
+
+// Rolling window used when a cap has no `days`
+const DEFAULT_CAP_DAYS = 30;
+
+const normalizeVariantId = (variantId) =>
+  variantId ? String(variantId).trim().split(".")[0] : null;
+
+const findVariant = (product, variantId) =>
+  variantId
+    ? (product.variants || []).find(
+        (v) => v._id && v._id.toString() === normalizeVariantId(variantId)
+      ) || null
+    : null;
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+/**
+ * Limits that apply to a product line; each one set on the variant overrides the product's
+ * scope tells whether the limit counts units of the variant or of the whole product.
+ * @param {Object} product - Product document / lean object
+ * @param {Object|null} variant - Variant subdocument
+ * @returns {{minOrderQty, maxOrderQty, purchaseCap}} - each null or { value, scope }
+ */
+const getPurchaseLimits = (product, variant = null) => {
+  const pick = (field) => {
+    if (variant && hasValue(variant[field])) return { value: variant[field], scope: "variant" };
+    if (hasValue(product[field])) return { value: product[field], scope: "product" };
+    return null;
+  };
+
+  let purchaseCap = null;
+  if (variant && hasValue(variant.purchaseCap?.quantity)) {
+    purchaseCap = {
+      value: variant.purchaseCap.quantity,
+      days: variant.purchaseCap.days || DEFAULT_CAP_DAYS,
+      scope: "variant",
+    };
+  } else if (hasValue(product.purchaseCap?.quantity)) {
+    purchaseCap = {
+      value: product.purchaseCap.quantity,
+      days: product.purchaseCap.days || DEFAULT_CAP_DAYS,
+      scope: "product",
+    };
+  }
+
+  return {
+    minOrderQty: pick("minOrderQty"),
+    maxOrderQty: pick("maxOrderQty"),
+    purchaseCap,
+  };
+};
+
+/**
+ * Units of a product (or one variant) a customer ordered within the last `days`
+ * Cancelled orders don't count. Orders are matched by account and by checkout email,
+ * so switching between guest and account checkout doesn't reset the cap.
+ * @param {Object} params
+ * @param {Object} params.customer - { userId, email }
+ * @param {ObjectId|string} params.productId
+ * @param {string|null} [params.variantId] - Only count this variant
+ * @param {number} params.days - Rolling window
+ * @param {ClientSession} [params.session] - Optional mongoose session
+ * @returns {Promise<number>}
+ */
+const getPurchasedQuantity = async ({ customer, productId, variantId = null, days, session = null }) => {
+  const owners = [];
+  if (customer.userId) owners.push({ user: customer.userId });
+  if (customer.email) owners.push({ "guest.email": String(customer.email).toLowerCase() });
+  if (owners.length === 0) return 0;
+
+  const itemMatch = { "items.product": mongoose.Types.ObjectId(String(productId)) };
+  if (variantId) itemMatch["items.variantId"] = normalizeVariantId(variantId);
+
+  const [result] = await Order.aggregate([
+    {
+      $match: {
+        $or: owners,
+        orderStatus: { $ne: "cancelled" },
+        createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+        "items.product": itemMatch["items.product"],
+      },
+    },
+    { $unwind: "$items" },
+    { $match: itemMatch },
+    { $group: { _id: null, quantity: { $sum: "$items.quantity" } } },
+  ]).session(session);
+
+  return result ? result.quantity : 0;
+};
+
+/**
+ * Enforce minOrderQty, maxOrderQty and the per-customer purchase cap on a set of lines
+ * Pass every line of the cart / order for the products involved: product-level limits
+ * add up all variants of a product, variant-level limits count the variant only.
+ * @param {Array<{product: Object, variantId: string|null, quantity: number}>} lines - product with variants loaded
+ * @param {Object} [customer] - { userId, email }; with neither, caps only see these lines
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Optional mongoose session
+ * @returns {Promise<void>}
+ * @throws {AppError} 400 with a message naming the product and the limit
+ */
+const assertPurchaseLimits = async (lines, customer = {}, { session = null } = {}) => {
+  const checked = new Set();
+
+  const quantityFor = (productId, variantId, scope) =>
+    lines
+      .filter(
+        (l) =>
+          String(l.product._id) === productId &&
+          (scope === "product" || normalizeVariantId(l.variantId) === variantId)
+      )
+      .reduce((sum, l) => sum + Number(l.quantity || 0), 0);
+
+  for (const line of lines) {
+    const product = line.product;
+    const productId = String(product._id);
+    const variant = findVariant(product, line.variantId);
+    const variantId = variant ? variant._id.toString() : null;
+    const limits = getPurchaseLimits(product, variant);
+
+    const name = product.productName || product.name || "this product";
+    const label = (scope) =>
+      scope === "variant" && variant
+        ? `${name} (${[variant.storage, variant.ram, variant.color].filter(Boolean).join(" / ") || variant.sku})`
+        : name;
+
+    for (const limitName of ["minOrderQty", "maxOrderQty", "purchaseCap"]) {
+      const limit = limits[limitName];
+      if (!limit) continue;
+
+      const key = `${limitName}:${productId}:${limit.scope === "variant" ? variantId : ""}`;
+      if (checked.has(key)) continue;
+      checked.add(key);
+
+      const quantity = quantityFor(productId, variantId, limit.scope);
+
+      if (limitName === "minOrderQty" && quantity < limit.value) {
+        throw new AppError(`Minimum order quantity for ${label(limit.scope)} is ${limit.value}`, 400);
+      }
+      if (limitName === "maxOrderQty" && quantity > limit.value) {
+        throw new AppError(
+          `You can order at most ${limit.value} of ${label(limit.scope)} at a time`,
+          400
+        );
+      }
+      if (limitName === "purchaseCap") {
+        const purchased = await getPurchasedQuantity({
+          customer,
+          productId,
+          variantId: limit.scope === "variant" ? variantId : null,
+          days: limit.days,
+          session,
+        });
+        if (purchased + quantity > limit.value) {
+          const remaining = Math.max(0, limit.value - purchased);
+          throw new AppError(
+            `${label(limit.scope)} is limited to ${limit.value} per customer every ${limit.days} days; ` +
+              (remaining > 0 ? `you can buy ${remaining} more` : "you have reached this limit"),
+            400
+          );
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  DEFAULT_CAP_DAYS,
+  getPurchaseLimits,
+  getPurchasedQuantity,
+  assertPurchaseLimits,
+};
@@ -0,0 +1,382 @@
+const mongoose = require("mongoose");
+const Order = require("../models/order.model");
+const AppError = require("../utils/appError");
+const { getStripe } = require("../utils/stripeClient");
+const { restockItem } = require("./inventoryService");
+const { transitionOrder } = require("./orderLifecycleService");
+
+const REFUNDABLE_PAYMENT_STATUSES = ["paid", "partially_refunded"];
+const ACTIVE_REFUND_STATUSES = ["pending", "requires_action", "succeeded"];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Refund money already committed on the order (every refund that did not fail), as an expression
+const COMMITTED_REFUNDS = {
+  $sum: {
+    $map: {
+      input: {
+        $filter: {
+          input: { $ifNull: ["$refunds", []] },
+          cond: { $not: [{ $in: ["$$this.status", ["failed", "canceled"]] }] },
+        },
+      },
+      in: "$$this.amount",
+    },
+  },
+};
+
+/**
+ * Add a pending refund record to the order only if the amount still fits under the total
+ * The check and the write are one update, so two refunds racing for the same money can't
+ * both pass. Reloads `order` with the stored document on success.
+ * @param {Object} order - Order document
+ * @param {Object} record - Refund record to push
+ * @returns {Promise<Object>} - The refund subdocument on `order`
+ * @throws {AppError} 409 when another refund took the money first
+ */
+const claimRefund = async (order, record) => {
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      paymentStatus: { $in: REFUNDABLE_PAYMENT_STATUSES },
+      $expr: {
+        $lte: [{ $add: [COMMITTED_REFUNDS, record.amount] }, { $add: ["$totalAmount", 0.005] }],
+      },
+    },
+    { $push: { refunds: record } },
+    { new: true, lean: true }
+  );
+  if (!claimed) {
+    throw new AppError("The order was refunded in the meantime; reload it and try again", 409);
+  }
+
+  order.init(claimed);
+  return order.refunds.id(record._id);
+};
+
+const sameVariant = (a, b) =>
+  String(a || "").split(".")[0] === String(b || "").split(".")[0];
+
+const findOrderItem = (order, productId, variantId) =>
+  order.items.find(
+    (i) => i.product.toString() === String(productId) && sameVariant(i.variantId, variantId)
+  );
+
+/**
+ * Share of the paid total that belongs to some units of an order line
+ * Spreads tax and coupon discount proportionally; shipping and COD fees are excluded.
+ * @param {Object} order - Order document
+ * @param {Object} orderItem - Line from order.items
+ * @param {number} quantity - Units being refunded
+ * @returns {number}
+ */
+const getItemRefundAmount = (order, orderItem, quantity) => {
+  const merchandiseTotal = order.totalAmount - (order.shippingFee || 0) - (order.codFee || 0);
+  if (!order.subtotal || merchandiseTotal <= 0) return 0;
+  return roundMoney(((orderItem.price * quantity) / order.subtotal) * merchandiseTotal);
+};
+
+/**
+ * Units of an order line already covered by active refunds
+ * @param {Object} order - Order document
+ * @param {Object} orderItem - Line from order.items
+ * @param {Object} [options]
+ * @param {boolean} [options.excludeReturns] - Leave out refunds that settle a return request
+ * @returns {number}
+ */
+const getRefundedQuantity = (order, orderItem, { excludeReturns = false } = {}) =>
+  (order.refunds || [])
+    .filter((r) => ACTIVE_REFUND_STATUSES.includes(r.status))
+    .filter((r) => !excludeReturns || !r.returnRequest)
+    .reduce(
+      (sum, r) =>
+        sum +
+        r.items
+          .filter(
+            (i) =>
+              String(i.product) === orderItem.product.toString() &&
+              sameVariant(i.variantId, orderItem.variantId)
+          )
+          .reduce((s, i) => s + i.quantity, 0),
+      0
+    );
+
+/**
+ * Bring paymentStatus in line with the succeeded refunds
+ * @param {Object} order - Order document
+ * @param {Object} [actor] - { actor, actorUser, note } for the timeline, and an optional session
+ * @returns {Promise<Object>} - Saved order
+ */
+const syncRefundPaymentStatus = async (
+  order,
+  { actor = "system", actorUser = null, note = "", session = null } = {}
+) => {
+  const refunded = roundMoney(order.refundedAmount);
+  let paymentStatus;
+
+  if (refunded > 0 && refunded >= roundMoney(order.totalAmount)) {
+    paymentStatus = "refunded";
+  } else if (refunded > 0) {
+    paymentStatus = "partially_refunded";
+  }
+
+  if (!paymentStatus || paymentStatus === order.paymentStatus) {
+    await order.save({ session });
+    return order;
+  }
+
+  return transitionOrder(order, {
+    paymentStatus,
+    actor,
+    actorUser,
+    note: note || `Refunded ${refunded.toFixed(2)} of ${order.totalAmount.toFixed(2)}`,
+    session,
+  });
+};
+
+/**
+ * Save refund changes: restock the units of refunds that have succeeded since the last save
+ * and settle paymentStatus, in one transaction
+ * Pending refunds keep their units off the shelf until Stripe confirms them.
+ * @param {Object} order - Order document
+ * @param {Object} [actor] - { actor, actorUser, note } for the timeline
+ * @returns {Promise<Object>} - Saved order
+ */
+const settleRefunds = async (order, actor = {}) => {
+  const toRestock = order.refunds.filter(
+    (r) => r.restock && !r.restocked && r.status === "succeeded"
+  );
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    for (const refund of toRestock) {
+      for (const item of refund.items) {
+        await restockItem({
+          productId: item.product,
+          variantId: item.variantId,
+          quantity: item.quantity,
+          reason: "return",
+          order: order._id,
+          returnRequest: refund.returnRequest,
+          user: refund.createdBy,
+          session,
+        });
+      }
+      refund.restocked = true;
+    }
+
+    await syncRefundPaymentStatus(order, { ...actor, session });
+    await session.commitTransaction();
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+  return order;
+};
+
+const isCardPayment = (order) => ["stripe", "applepay"].includes(order.paymentMethod);
+
+/**
+ * Issue a full or partial refund and record it on the order
+ * Card orders are refunded through Stripe. Other orders (COD) have no payment to reverse:
+ * the refund is recorded as manual and succeeded, for money the admin paid back offline.
+ * With no items and no amount, refunds everything that is still refundable.
+ * @param {Object} order - Order document
+ * @param {Object} params
+ * @param {Array<{productId, variantId, quantity}>} [params.items] - Lines to refund
+ * @param {number} [params.amount] - Explicit amount (defaults to the items' share)
+ * @param {string} [params.reason] - Reason stored on the refund
+ * @param {boolean} [params.restock] - Put refunded units back into stock once the refund succeeds
+ * @param {ObjectId} [params.returnRequest] - Return request this refund settles
+ * @param {Object} [params.actorUser] - Admin issuing the refund
+ * @returns {Promise<Object>} - The refund record
+ * @throws {AppError}
+ */
+const createRefund = async (
+  order,
+  { items = [], amount, reason = "", restock = false, returnRequest = null, actorUser = null }
+) => {
+  const manual = !isCardPayment(order);
+  if (!manual && !order.paymentIntentId) {
+    throw new AppError("This order has no Stripe payment to refund", 400);
+  }
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw new AppError(
+      `Cannot refund an order with payment status "${order.paymentStatus}"`,
+      409
+    );
+  }
+
+  // Resolve per-item refund lines
+  const refundItems = [];
+  for (const requested of items) {
+    const quantity = parseInt(requested.quantity, 10);
+    const orderItem = findOrderItem(order, requested.productId, requested.variantId);
+
+    if (!orderItem) {
+      throw new AppError(`Product ${requested.productId} is not part of this order`, 400);
+    }
+    if (!quantity || quantity < 1) {
+      throw new AppError("Refund quantity must be at least 1", 400);
+    }
+
+    const remaining = orderItem.quantity - getRefundedQuantity(order, orderItem);
+    if (quantity > remaining) {
+      throw new AppError(
+        `Only ${remaining} unit(s) of ${orderItem.name || "this product"} can still be refunded`,
+        400
+      );
+    }
+
+    refundItems.push({
+      product: orderItem.product,
+      variantId: orderItem.variantId || null,
+      quantity,
+      amount: getItemRefundAmount(order, orderItem, quantity),
+    });
+  }
+
+  const refundable = order.refundableAmount;
+  let refundAmount;
+  if (amount !== undefined && amount !== null && amount !== "") {
+    refundAmount = roundMoney(Number(amount));
+  } else if (refundItems.length > 0) {
+    refundAmount = roundMoney(refundItems.reduce((sum, i) => sum + i.amount, 0));
+  } else {
+    refundAmount = refundable;
+  }
+
+  if (!refundAmount || refundAmount <= 0 || Number.isNaN(refundAmount)) {
+    throw new AppError("Refund amount must be greater than 0", 400);
+  }
+  if (refundAmount > refundable) {
+    throw new AppError(`Refund amount exceeds the refundable ${refundable.toFixed(2)}`, 400);
+  }
+
+  const refund = await claimRefund(order, {
+    _id: new mongoose.Types.ObjectId(),
+    method: manual ? "manual" : "stripe",
+    amount: refundAmount,
+    reason,
+    status: "pending",
+    items: refundItems,
+    restock: Boolean(restock && refundItems.length),
+    returnRequest,
+    createdBy: actorUser,
+  });
+
+  let stripeRefund = { id: null, status: "succeeded" };
+  if (!manual) {
+    try {
+      // Keyed on the claimed record, so a retried request can't refund twice
+      stripeRefund = await getStripe().refunds.create(
+        {
+          payment_intent: order.paymentIntentId,
+          amount: Math.round(refundAmount * 100),
+          reason: "requested_by_customer",
+          metadata: {
+            orderId: order._id.toString(),
+            orderNumber: order.orderNumber,
+            refundId: refund._id.toString(),
+            ...(returnRequest && { returnRequestId: String(returnRequest) }),
+          },
+        },
+        { idempotencyKey: `refund-${refund._id}` }
+      );
+    } catch (err) {
+      // Give the claimed amount back; a refund Stripe did create still arrives by webhook
+      refund.status = "failed";
+      refund.failureReason = err.message;
+      await order.save();
+      throw err;
+    }
+  }
+
+  refund.stripeRefundId = stripeRefund.id;
+  refund.status = stripeRefund.status || "pending";
+  refund.failureReason = stripeRefund.failure_reason || null;
+
+  order.recordStatusChange({
+    type: "refund",
+    to: refund.status,
+    actor: "admin",
+    actorUser,
+    note: `${manual ? "Manual refund" : "Refund"} ${refundAmount.toFixed(2)}${
+      reason ? `: ${reason}` : ""
+    }`,
+  });
+
+  await settleRefunds(order, { actor: "admin", actorUser });
+  return refund;
+};
+
+/**
+ * Update the matching refund record from a Stripe Refund object
+ * Refunds issued outside the API (e.g. Stripe dashboard) are added as new records.
+ * @param {Object} order - Order document
+ * @param {Object} stripeRefund - Stripe Refund object
+ * @returns {boolean} - True if the order changed
+ */
+const applyStripeRefund = (order, stripeRefund) => {
+  const amount = roundMoney((stripeRefund.amount || 0) / 100);
+  // Refunds created here carry their record id, in case the Stripe id was never saved
+  let refund =
+    order.refunds.find((r) => r.stripeRefundId === stripeRefund.id) ||
+    (stripeRefund.metadata?.refundId && order.refunds.id(stripeRefund.metadata.refundId));
+  const previousStatus = refund ? refund.status : null;
+
+  if (refund && refund.stripeRefundId === stripeRefund.id && previousStatus === stripeRefund.status) {
+    return false;
+  }
+
+  if (!refund) {
+    order.refunds.push({
+      stripeRefundId: stripeRefund.id,
+      amount,
+      reason: stripeRefund.reason || "Issued from Stripe",
+      status: stripeRefund.status,
+    });
+    refund = order.refunds[order.refunds.length - 1];
+  }
+
+  refund.stripeRefundId = stripeRefund.id;
+  refund.status = stripeRefund.status;
+  refund.failureReason = stripeRefund.failure_reason || null;
+
+  order.recordStatusChange({
+    type: "refund",
+    from: previousStatus,
+    to: stripeRefund.status,
+    actor: "webhook",
+    note: `Refund ${amount.toFixed(2)} (${stripeRefund.id})`,
+  });
+  return true;
+};
+
+/**
+ * Reconcile an order's refund records with Stripe's view of its PaymentIntent
+ * @param {Object} order - Order document
+ * @param {Array<Object>} [stripeRefunds] - Refund objects; fetched from Stripe when omitted
+ * @returns {Promise<Object>} - Saved order
+ */
+const reconcileRefunds = async (order, stripeRefunds) => {
+  const refunds =
+    stripeRefunds ||
+    (await getStripe().refunds.list({ payment_intent: order.paymentIntentId, limit: 100 })).data;
+
+  refunds.forEach((stripeRefund) => applyStripeRefund(order, stripeRefund));
+
+  return settleRefunds(order, { actor: "webhook" });
+};
+
+module.exports = {
+  getItemRefundAmount,
+  getRefundedQuantity,
+  createRefund,
+  applyStripeRefund,
+  reconcileRefunds,
+  settleRefunds,
+};
@@ -0,0 +1,60 @@
+const Counter = require("../models/counter.model");
+
+/**
+ * Atomically increment and return the next value of a named sequence
+ * The counter document is created on first use. Pass a session to make the
+ * increment part of a transaction (rolled back with it, so no gaps).
+ */
+const nextSequence = async (name, { session } = {}) => {
+  const options = { new: true, upsert: true, session };
+
+  try {
+    const counter = await Counter.findOneAndUpdate(
+      { _id: name },
+      { $inc: { seq: 1 } },
+      options
+    );
+    return counter.seq;
+  } catch (err) {
+    // Two first-ever upserts racing on the same _id: the loser retries against the existing doc
+    if (err.code !== 11000) throw err;
+    const counter = await Counter.findOneAndUpdate(
+      { _id: name },
+      { $inc: { seq: 1 } },
+      options
+    );
+    return counter.seq;
+  }
+};
+
+/**
+ * Next "PREFIX-YYYY-000123" style number
+ * Each year has its own counter ("<name>:<year>"), so numbering restarts at 1 every January.
+ */
+const nextYearlyNumber = async (
+  name,
+  prefix,
+  { year = new Date().getFullYear(), pad = 6, session } = {}
+) => {
+  const seq = await nextSequence(`${name}:${year}`, { session });
+  return `${prefix}-${year}-${String(seq).padStart(pad, "0")}`;
+};
+
+/**
+ * Raise a counter to at least `value` (never lowers it)
+ * Used when seeding counters from existing documents.
+ */
+const ensureSequenceAtLeast = async (name, value) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $max: { seq: value } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = {
+  nextSequence,
+  nextYearlyNumber,
+  ensureSequenceAtLeast,
+};
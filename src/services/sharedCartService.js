@@ -0,0 +1,367 @@
+const crypto = require("crypto");
+const SharedCart = require("../models/sharedCart.model");
+const Cart = require("../models/cart.model");
+const BuyNow = require("../models/buyNow.model");
+const Coupon = require("../models/coupon.model");
+const Product = require("../models/product.model");
+const AppError = require("../utils/appError");
+const calculateCartTotals = require("../utils/calculateCartTotals");
+const { calculateTotalsFromItems } = require("../utils/calculateCartTotals");
+const { getAvailableStock } = require("./cartMergeService");
+const { assertPurchaseLimits } = require("./purchaseLimitService");
+const { getCouponLimitIssue } = require("./couponRedemptionService");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const normalizeVariantId = (variantId) =>
+  variantId ? String(variantId).trim().split(".")[0] : null;
+
+const isSameLine = (item, productId, variantId) =>
+  String(item.product) === String(productId) &&
+  normalizeVariantId(item.variantId) === normalizeVariantId(variantId);
+
+// Plain copies: calculateTotalsFromItems may rewrite item.product
+const toPlainItems = (items) =>
+  items.map((item) => ({
+    product: item.product,
+    quantity: item.quantity,
+    variantId: item.variantId || null,
+  }));
+
+// 8 URL-safe characters, short enough to paste into a chat message
+const generateToken = () => crypto.randomBytes(6).toString("base64url");
+
+// Live link, or an AppError saying why it can't be used
+const findUsableSharedCart = async (token) => {
+  const sharedCart = await SharedCart.findOne({ token });
+  if (!sharedCart) throw new AppError("Shared cart not found", 404);
+  if (sharedCart.isExpired) throw new AppError("This shared cart link has expired", 410);
+  if (sharedCart.maxRedemptions && sharedCart.redemptionCount >= sharedCart.maxRedemptions) {
+    throw new AppError("This shared cart link has already been used", 410);
+  }
+  return sharedCart;
+};
+
+// Attach the shared coupon with the same checks as applying it by hand
+const applySharedCoupon = async (target, couponId, customer) => {
+  const userId = customer.userId || null;
+  const coupon = await Coupon.findOne({ _id: couponId, isActive: true });
+  if (!coupon || coupon.isExpired) return { applied: false, reason: "Coupon is no longer valid" };
+
+  const result = { code: coupon.code, applied: false };
+  if (target.coupon) return { ...result, reason: "Another coupon is already applied" };
+  if (coupon.startDate && coupon.startDate > new Date()) {
+    return { ...result, reason: "Coupon not yet active" };
+  }
+  const limitIssue = await getCouponLimitIssue(coupon, customer);
+  if (limitIssue) return { ...result, reason: limitIssue };
+  // Product scope, customer restrictions and minimum value
+  const totals = await calculateTotalsFromItems(
+    toPlainItems(target.items || [target.item]),
+    coupon,
+    target.shippingMethod,
+    target.paymentMethod,
+    userId
+  );
+  if (!totals.validCoupon) return { ...result, reason: totals.couponIssue?.message };
+
+  target.coupon = coupon._id;
+
+  return { ...result, applied: true };
+};
+
+/**
+ * Snapshot a cart into a shareable link
+ * @param {Object} cart - Cart document to share
+ * @param {Object} [options]
+ * @param {ObjectId|null} [options.createdBy] - Sharing user
+ * @param {number} [options.expiresInDays] - Defaults to SHARED_CART_DAYS, capped at SHARED_CART_MAX_DAYS
+ * @param {number|null} [options.maxRedemptions] - null = unlimited
+ * @param {boolean} [options.includeCoupon] - Carry the cart's coupon over
+ * @param {string|null} [options.note] - Message shown to the recipient
+ * @returns {Promise<Object>} SharedCart document
+ */
+const createSharedCart = async (
+  cart,
+  { createdBy = null, expiresInDays, maxRedemptions = null, includeCoupon = true, note = null } = {}
+) => {
+  if (!cart || cart.items.length === 0) throw new AppError("Cart is empty", 400);
+
+  const maxDays = Number(process.env.SHARED_CART_MAX_DAYS) || 30;
+  const days = Number(expiresInDays) || Number(process.env.SHARED_CART_DAYS) || 7;
+  if (days <= 0 || days > maxDays) {
+    throw new AppError(`expiresInDays must be between 1 and ${maxDays}`, 400);
+  }
+  if (maxRedemptions !== null && (!Number.isInteger(Number(maxRedemptions)) || Number(maxRedemptions) < 1)) {
+    throw new AppError("maxRedemptions must be a positive whole number", 400);
+  }
+
+  const data = {
+    createdBy,
+    items: cart.items.map((item) => ({
+      product: item.product?._id || item.product,
+      variantId: normalizeVariantId(item.variantId),
+      quantity: item.quantity,
+    })),
+    coupon: includeCoupon ? cart.coupon?._id || cart.coupon || null : null,
+    note: note || null,
+    expiresAt: new Date(Date.now() + days * DAY),
+    maxRedemptions: maxRedemptions !== null ? Number(maxRedemptions) : null,
+  };
+
+  // Tokens are short, so retry on the rare collision
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await SharedCart.create({ ...data, token: generateToken() });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= 3) throw err;
+    }
+  }
+};
+
+/**
+ * Shared cart contents with prices re-evaluated now
+ * @param {string} token
+ * @param {ObjectId|null} [userId] - Viewer, for user-specific pricing
+ * @returns {Promise<{sharedCart, items, totals}>}
+ */
+const getSharedCartPreview = async (token, userId = null) => {
+  const sharedCart = await findUsableSharedCart(token);
+
+  const products = await Product.find({ _id: { $in: sharedCart.items.map((i) => i.product) } })
+    .select("productName name slug mainImage price sale_price variants in_stock quantity is_active deletedAt")
+    .lean();
+
+  const totals = await calculateTotalsFromItems(
+    toPlainItems(sharedCart.items),
+    sharedCart.coupon,
+    "standard",
+    "stripe",
+    userId
+  );
+
+  const items = sharedCart.items.map((item) => {
+    const product = products.find((p) => p._id.equals(item.product));
+    const line = totals.lines.find((l) => isSameLine(l, item.product, item.variantId));
+    const available =
+      product && !product.deletedAt && product.is_active !== false
+        ? getAvailableStock(product, item.variantId)
+        : null;
+    return {
+      product: product
+        ? {
+            _id: product._id,
+            name: product.productName || product.name,
+            slug: product.slug,
+            mainImage: product.mainImage,
+          }
+        : { _id: item.product },
+      variantId: item.variantId,
+      quantity: item.quantity,
+      unitPrice: line ? Math.round(line.unitPrice * 100) / 100 : null,
+      promotions: line ? line.promotions : [],
+      available: available !== null && available >= item.quantity,
+    };
+  });
+
+  return {
+    sharedCart: {
+      token: sharedCart.token,
+      note: sharedCart.note,
+      expiresAt: sharedCart.expiresAt,
+      hasCoupon: !!sharedCart.coupon,
+    },
+    items,
+    totals: {
+      total: totals.total,
+      taxTotal: totals.taxTotal,
+      discount: totals.discount,
+      promotionDiscount: totals.promotionDiscount,
+      shippingFee: totals.shippingFee,
+      finalTotal: totals.finalTotal,
+      coupon: totals.validCoupon ? totals.validCoupon.code : null,
+    },
+  };
+};
+
+// Shared lines sized to what can be bought now; `existing` lines count against stock
+const resolveImportLines = async (sharedItems, existing = []) => {
+  const products = await Product.find({
+    _id: { $in: sharedItems.map((i) => i.product) },
+    deletedAt: null,
+    is_active: { $ne: false },
+  });
+
+  const lines = [];
+  const adjustments = [];
+  for (const item of sharedItems) {
+    const product = products.find((p) => p._id.equals(item.product));
+    const name = product ? product.productName || product.name : null;
+    const available = product ? getAvailableStock(product, item.variantId) : null;
+    const adjust = (quantity, status, reason) =>
+      adjustments.push({
+        product: item.product,
+        variantId: item.variantId,
+        name,
+        requested: item.quantity,
+        quantity,
+        status,
+        reason,
+      });
+
+    if (available === null) {
+      adjust(0, "removed", "No longer available");
+      continue;
+    }
+
+    const inCart = existing.find((i) => isSameLine(i, item.product, item.variantId));
+    const quantity = Math.min(item.quantity, available - (inCart ? inCart.quantity : 0));
+    if (quantity <= 0) {
+      adjust(0, "removed", "Out of stock");
+      continue;
+    }
+    if (quantity < item.quantity) adjust(quantity, "capped", `Only ${quantity} more available`);
+    lines.push({ product, variantId: item.variantId, quantity });
+  }
+
+  if (lines.length === 0) throw new AppError("None of the shared items are available anymore", 400);
+  return { lines, adjustments };
+};
+
+const importIntoCart = async (sharedCart, owner, { replace, customer }) => {
+  let cart = await Cart.findOne(owner.filter);
+  if (!cart) cart = new Cart({ user: owner.user, guestToken: owner.guestToken, items: [] });
+  if (replace) cart.items = [];
+
+  const { lines, adjustments } = await resolveImportLines(sharedCart.items, cart.items);
+  for (const line of lines) {
+    const existing = cart.items.find((i) => isSameLine(i, line.product._id, line.variantId));
+    if (existing) {
+      existing.quantity += line.quantity;
+    } else {
+      cart.items.push({
+        product: line.product._id,
+        quantity: line.quantity,
+        ...(line.variantId && { variantId: line.variantId }),
+      });
+    }
+  }
+
+  for (const { product } of lines) {
+    await assertPurchaseLimits(
+      cart.items
+        .filter((i) => String(i.product) === String(product._id))
+        .map((i) => ({ product, variantId: i.variantId, quantity: i.quantity })),
+      customer
+    );
+  }
+
+  const coupon = sharedCart.coupon ? await applySharedCoupon(cart, sharedCart.coupon, customer) : null;
+
+  await calculateCartTotals(cart, owner.user);
+  await cart.save();
+
+  return { cart, adjustments, coupon };
+};
+
+const importIntoBuyNow = async (sharedCart, owner, { customer }) => {
+  if (sharedCart.items.length !== 1) {
+    throw new AppError("This link has several items; import it into your cart instead", 400);
+  }
+
+  const { lines, adjustments } = await resolveImportLines(sharedCart.items);
+  const [line] = lines;
+  await assertPurchaseLimits([line], customer);
+
+  let buyNow = await BuyNow.findOne(owner.filter);
+  if (!buyNow) buyNow = new BuyNow({ user: owner.user, guestToken: owner.guestToken });
+  // Same as picking a new buy-now item: the previous coupon doesn't carry over
+  buyNow.item = {
+    product: line.product._id,
+    quantity: line.quantity,
+    ...(line.variantId && { variantId: line.variantId }),
+  };
+  buyNow.coupon = null;
+  buyNow.discount = 0;
+  buyNow.startedAt = new Date();
+
+  const coupon = sharedCart.coupon ? await applySharedCoupon(buyNow, sharedCart.coupon, customer) : null;
+
+  const totals = await calculateTotalsFromItems(
+    toPlainItems([buyNow.item]),
+    buyNow.coupon,
+    buyNow.shippingMethod,
+    buyNow.paymentMethod,
+    owner.user
+  );
+  buyNow.total = totals.total;
+  buyNow.discount = totals.discount;
+  buyNow.promotionDiscount = totals.promotionDiscount;
+  buyNow.shippingFee = totals.shippingFee;
+  buyNow.codFee = totals.codFee;
+  buyNow.finalTotal = totals.finalTotal;
+  if (!totals.validCoupon) buyNow.coupon = null;
+  await buyNow.save();
+
+  return { buyNow, adjustments, coupon };
+};
+
+/**
+ * Copy a shared cart into the caller's cart or buy-now session
+ * Items are re-checked against current stock and purchase limits; the redemption
+ * is only counted when the import succeeds.
+ * @param {string} token
+ * @param {Object} owner - req.cartOwner ({ user, guestToken, filter })
+ * @param {Object} [options]
+ * @param {"cart"|"buy-now"} [options.target]
+ * @param {boolean} [options.replace] - Empty the cart first instead of adding to it
+ * @param {Object} [options.customer] - { userId, email } for per-customer caps
+ * @returns {Promise<{target, cart|buyNow, adjustments, coupon}>}
+ */
+const importSharedCart = async (token, owner, { target = "cart", replace = false, customer = {} } = {}) => {
+  if (!["cart", "buy-now"].includes(target)) {
+    throw new AppError('target must be "cart" or "buy-now"', 400);
+  }
+  await findUsableSharedCart(token);
+
+  // Claim a redemption up front so limited links can't be over-redeemed
+  const sharedCart = await SharedCart.findOneAndUpdate(
+    {
+      token,
+      expiresAt: { $gt: new Date() },
+      $or: [{ maxRedemptions: null }, { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } }],
+    },
+    { $inc: { redemptionCount: 1 }, $set: { lastRedeemedAt: new Date() } },
+    { new: true }
+  );
+  if (!sharedCart) throw new AppError("This shared cart link has already been used", 410);
+
+  try {
+    const result =
+      target === "buy-now"
+        ? await importIntoBuyNow(sharedCart, owner, { customer })
+        : await importIntoCart(sharedCart, owner, { replace, customer });
+    return { target, ...result };
+  } catch (err) {
+    await SharedCart.updateOne({ _id: sharedCart._id }, { $inc: { redemptionCount: -1 } });
+    throw err;
+  }
+};
+
+/**
+ * Links a user created, newest first, with their redemption counts
+ * @param {ObjectId} userId
+ * @returns {Promise<Array>}
+ */
+const listSharedCarts = (userId) =>
+  SharedCart.find({ createdBy: userId })
+    .sort({ createdAt: -1 })
+    .populate("coupon", "code")
+    .lean();
+
+module.exports = {
+  createSharedCart,
+  getSharedCartPreview,
+  importSharedCart,
+  listSharedCarts,
+};
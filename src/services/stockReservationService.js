@@ -0,0 +1,231 @@
+const Order = require("../models/order.model");
+const StockReservation = require("../models/stockReservation.model");
+const { getStripe } = require("../utils/stripeClient");
+const { deductItem, restockItem, restoreOrderStock } = require("./inventoryService");
+
+const STOCK_RESERVATION_MINUTES = Number(process.env.STOCK_RESERVATION_MINUTES || 30);
+const SWEEP_BATCH_SIZE = 100;
+
+// PaymentIntent states that may still turn into a payment on their own
+const PENDING_INTENT_STATUSES = ["processing", "succeeded"];
+
+/**
+ * Hold the stock taken by a card checkout until the payment settles
+ * The stock itself is already deducted by checkout; this records the hold and its expiry.
+ * @param {Object} order - Newly created order
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Optional mongoose session
+ * @returns {Promise<Object>} - Reservation
+ */
+const createReservation = async (order, { session = null } = {}) => {
+  const [reservation] = await StockReservation.create(
+    [
+      {
+        order: order._id,
+        user: order.user,
+        items: order.items.map((item) => ({
+          product: item.product,
+          variantId: item.variantId || null,
+          quantity: item.quantity,
+        })),
+        expiresAt: new Date(Date.now() + STOCK_RESERVATION_MINUTES * 60 * 1000),
+      },
+    ],
+    { session }
+  );
+  return reservation;
+};
+
+/**
+ * Give reserved stock back (payment failed, timed out or order cancelled)
+ * Only active reservations are released, so stock never comes back twice.
+ * @param {Object} order - Order document
+ * @param {Object} [options]
+ * @param {string} [options.reason] - payment_failed | expired | cancelled
+ * @param {ObjectId} [options.user] - User behind the release
+ * @param {ClientSession} [options.session] - Optional mongoose session
+ * @returns {Promise<boolean>} - True when stock was released
+ */
+const releaseReservation = async (order, { reason = "expired", user = null, session = null } = {}) => {
+  // Claim the reservation atomically so concurrent releases can't both restock
+  const reservation = await StockReservation.findOneAndUpdate(
+    { order: order._id, status: "active" },
+    { status: "released", releasedAt: new Date(), releaseReason: reason },
+    { new: true, session }
+  );
+  if (!reservation) return false;
+
+  for (const item of reservation.items) {
+    await restockItem({
+      productId: item.product,
+      variantId: item.variantId,
+      quantity: item.quantity,
+      reason: "release",
+      order: order._id,
+      user,
+      session,
+    });
+  }
+  return true;
+};
+
+/**
+ * Turn the reservation of a paid order into a sale
+ * If the hold was already released (failed attempt, then a successful retry), the stock
+ * is taken again; when that is no longer possible the order timeline says so.
+ * @param {Object} order - Paid order
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Optional mongoose session
+ * @returns {Promise<Object|null>} - Reservation, or null for orders without one
+ */
+const convertReservation = async (order, { session = null } = {}) => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { order: order._id, status: "active" },
+    { status: "converted", convertedAt: new Date() },
+    { new: true, session }
+  );
+  if (reservation) return reservation;
+
+  const released = await StockReservation.findOne({ order: order._id, status: "released" }).session(
+    session
+  );
+  if (!released || order.orderStatus === "cancelled") return released;
+
+  try {
+    for (const item of released.items) {
+      await deductItem({
+        productId: item.product,
+        variantId: item.variantId,
+        quantity: item.quantity,
+        reason: "sale",
+        order: order._id,
+        session,
+      });
+    }
+  } catch (err) {
+    order.recordStatusChange({
+      type: "order",
+      from: order.orderStatus,
+      to: order.orderStatus,
+      actor: "system",
+      note: `Paid after the stock hold was released; stock could not be taken again: ${err.message}`,
+    });
+    await order.save({ session });
+  }
+
+  released.status = "converted";
+  released.convertedAt = new Date();
+  await released.save({ session });
+  return released;
+};
+
+/**
+ * Put back the stock of a cancelled order exactly once
+ * Reserved orders release their hold; everything else restocks the order items.
+ * @param {Object} order - Cancelled order
+ * @param {Object} [options]
+ * @param {ObjectId} [options.user] - User who cancelled
+ * @param {ClientSession} [options.session] - Optional mongoose session
+ * @returns {Promise<void>}
+ */
+const releaseOrderStock = async (order, { user = null, session = null } = {}) => {
+  const reservation = await StockReservation.findOne({ order: order._id }).session(session);
+
+  if (!reservation || reservation.status === "converted") {
+    await restoreOrderStock(order, { user, session });
+  } else if (reservation.status === "active") {
+    await releaseReservation(order, { reason: "cancelled", user, session });
+  }
+  // released: the stock is already back
+};
+
+// Walk every match in _id order a batch at a time, so documents left in place (skipped)
+// can't fill every batch and hide the ones behind them
+const forEachInBatches = async (findBatch, handle) => {
+  let lastId = null;
+  for (;;) {
+    const batch = await findBatch(lastId ? { _id: { $gt: lastId } } : {});
+    for (const doc of batch) await handle(doc);
+    if (batch.length < SWEEP_BATCH_SIZE) return;
+    lastId = batch[batch.length - 1]._id;
+  }
+};
+
+/**
+ * Cancel card orders whose payment did not complete within the reservation window
+ * The PaymentIntent is cancelled first so it can't be paid afterwards.
+ * @returns {Promise<{cancelled: number, skipped: number, released: number}>}
+ */
+const sweepExpiredReservations = async () => {
+  // Required here: orderLifecycleService depends on this module
+  const { transitionOrder } = require("./orderLifecycleService");
+  const cutoff = new Date(Date.now() - STOCK_RESERVATION_MINUTES * 60 * 1000);
+  const summary = { cancelled: 0, skipped: 0, released: 0 };
+
+  const findStaleOrders = (cursor) =>
+    Order.find({
+      paymentMethod: "stripe",
+      paymentStatus: { $in: ["pending", "failed"] },
+      orderStatus: { $in: ["pending", "processing"] },
+      createdAt: { $lt: cutoff },
+      ...cursor,
+    })
+      .populate("user", "email")
+      .sort({ _id: 1 })
+      .limit(SWEEP_BATCH_SIZE);
+
+  await forEachInBatches(findStaleOrders, async (order) => {
+    try {
+      if (order.paymentIntentId) {
+        const intent = await getStripe().paymentIntents.retrieve(order.paymentIntentId);
+        // Paid or settling: the webhook will take care of it
+        if (PENDING_INTENT_STATUSES.includes(intent.status)) {
+          summary.skipped += 1;
+          return;
+        }
+        if (intent.status !== "canceled") {
+          await getStripe().paymentIntents.cancel(order.paymentIntentId);
+        }
+      }
+
+      await transitionOrder(order, {
+        orderStatus: "cancelled",
+        actor: "cron",
+        note: `Payment not completed within ${STOCK_RESERVATION_MINUTES} minutes`,
+      });
+      summary.cancelled += 1;
+    } catch (err) {
+      summary.skipped += 1;
+      console.error(`Stale order ${order.orderNumber} not cancelled:`, err.message);
+    }
+  });
+
+  // Holds left behind by orders that moved on without settling them
+  const now = new Date();
+  const findLeftovers = (cursor) =>
+    StockReservation.find({ status: "active", expiresAt: { $lt: now }, ...cursor })
+      .sort({ _id: 1 })
+      .limit(SWEEP_BATCH_SIZE);
+
+  await forEachInBatches(findLeftovers, async (reservation) => {
+    const order = await Order.findById(reservation.order);
+    if (order && ["paid", "partially_refunded", "refunded"].includes(order.paymentStatus)) {
+      await convertReservation(order);
+    } else if (!order || order.paymentStatus !== "pending") {
+      if (await releaseReservation(order || { _id: reservation.order }, { reason: "expired" })) {
+        summary.released += 1;
+      }
+    }
+  });
+
+  return summary;
+};
+
+module.exports = {
+  STOCK_RESERVATION_MINUTES,
+  createReservation,
+  releaseReservation,
+  convertReservation,
+  releaseOrderStock,
+  sweepExpiredReservations,
+};
@@ -0,0 +1,71 @@
+const HEADLINES = [
+  "You left something in your cart",
+  "Your cart is still waiting for you",
+  "Last chance to complete your order",
+];
+
+const describeDiscount = (coupon) => {
+  if (coupon.discountType === "free_shipping") return "free shipping";
+  if (coupon.discountType === "fixed") return `SAR ${Number(coupon.discountValue).toFixed(2)} off`;
+  return `${coupon.discountValue}% off`;
+};
+
+module.exports = function abandonedCartEmail(data) {
+  const headline = HEADLINES[Math.min(data.reminderNumber, HEADLINES.length) - 1];
+
+  const rows = data.items
+    .map(
+      (item) => `
+            <tr>
+              <td style="padding: 8px 0; border-bottom: 1px solid #eee;">
+                ${item.image ? `<img src="${item.image}" alt="" width="56" style="vertical-align: middle; margin-right: 10px; border-radius: 4px;" />` : ""}
+                ${item.name}${item.variantLabel ? ` <span style="color: #888;">(${item.variantLabel})</span>` : ""}
+              </td>
+              <td style="padding: 8px 0; border-bottom: 1px solid #eee; text-align: center;">× ${item.quantity}</td>
+              <td style="padding: 8px 0; border-bottom: 1px solid #eee; text-align: right;">${item.price != null ? `SAR ${item.price.toFixed(2)}` : ""}</td>
+            </tr>`
+    )
+    .join("");
+
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <meta charset="UTF-8" />
+        <title>Your Cart</title>
+      </head>
+      <body style="font-family: 'Segoe UI', Arial, sans-serif; background-color: #f7f7f7; padding: 30px; margin: 0;">
+        <div style="background-color: #ffffff; border-radius: 10px; max-width: 600px; margin: 0 auto; padding: 30px;">
+          <div style="text-align: center; border-bottom: 2px solid #ff6600; padding-bottom: 10px; margin-bottom: 20px;">
+            <h2 style="color: #ff6600; margin-bottom: 5px;">Hi ${data.fullName},</h2>
+            <p>${headline}</p>
+          </div>
+
+          <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+            ${rows}
+          </table>
+
+          ${
+            data.coupon
+              ? `<p style="margin-top: 20px; padding: 12px; background-color: #fff4ec; border-radius: 5px;">
+            Use code <strong>${data.coupon.code}</strong> for ${describeDiscount(data.coupon)}
+            ${data.coupon.expiryDate ? `until ${new Date(data.coupon.expiryDate).toDateString()}` : ""}.
+            It is applied automatically when you restore your cart.
+          </p>`
+              : ""
+          }
+
+          <a href="${data.restoreUrl}"
+             style="display: inline-block; background-color: #ff6600; color: #fff; padding: 10px 20px; border-radius: 5px; text-decoration: none; margin-top: 20px;">
+            Restore My Cart
+          </a>
+
+          <div style="margin-top: 30px; text-align: center; font-size: 12px; color: #888;">
+            <p>© ${new Date().getFullYear()} Pak Mobile Store. All rights reserved.</p>
+          </div>
+        </div>
+        <img src="${data.openPixelUrl}" alt="" width="1" height="1" style="display: none;" />
+      </body>
+    </html>
+    `;
+};
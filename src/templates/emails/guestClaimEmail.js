@@ -0,0 +1,12 @@
+module.exports = (claimURL) => `
+  <div style="font-family: Arial, sans-serif; color: #333;">
+    <h2>Add your orders to an account</h2>
+    <p>Use the button below to create an account or add your guest orders to the account you are logged in to:</p>
+    <a href="${claimURL}" 
+      style="background:#4CAF50; color:#fff; padding:10px 20px; text-decoration:none; border-radius:5px;">
+      Claim My Orders
+    </a>
+    <p>If not you, please ignore this email.</p>
+    <small>This link expires in 1 hour.</small>
+  </div>
+`;
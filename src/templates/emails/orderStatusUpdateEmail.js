@@ -0,0 +1,43 @@
+const STATUS_MESSAGES = {
+  processing: "We're preparing your order.",
+  shipped: "Good news! Your order is on its way.",
+  delivered: "Your order has been delivered. Enjoy your purchase!",
+  cancelled: "Your order has been cancelled.",
+  returned: "Your return has been processed.",
+};
+
+module.exports = function orderStatusUpdateEmail(data) {
+  const headline = STATUS_MESSAGES[data.orderStatus] || "Your order has been updated.";
+
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <meta charset="UTF-8" />
+        <title>Order Update</title>
+      </head>
+      <body style="font-family: 'Segoe UI', Arial, sans-serif; background-color: #f7f7f7; padding: 30px; margin: 0;">
+        <div style="background-color: #ffffff; border-radius: 10px; max-width: 600px; margin: 0 auto; padding: 30px;">
+          <div style="text-align: center; border-bottom: 2px solid #ff6600; padding-bottom: 10px; margin-bottom: 20px;">
+            <h2 style="color: #ff6600; margin-bottom: 5px;">Hi ${data.fullName},</h2>
+            <p>${headline}</p>
+          </div>
+
+          <p><strong>Order Number:</strong> ${data.orderNumber}</p>
+          <p><strong>Order Status:</strong> ${data.orderStatus}</p>
+          <p><strong>Payment Status:</strong> ${data.paymentStatus}</p>
+          ${data.note ? `<p><strong>Note:</strong> ${data.note}</p>` : ""}
+
+          <a href="https://pakmobilestore.com/track/${data.trackingNumber}"
+             style="display: inline-block; background-color: #ff6600; color: #fff; padding: 10px 20px; border-radius: 5px; text-decoration: none; margin-top: 20px;">
+            Track My Order
+          </a>
+
+          <div style="margin-top: 30px; text-align: center; font-size: 12px; color: #888;">
+            <p>© ${new Date().getFullYear()} Pak Mobile Store. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+    </html>
+    `;
+};
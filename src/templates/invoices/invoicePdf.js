@@ -0,0 +1,138 @@
+const PDFDocument = require("pdfkit");
+
+const STORE_NAME = process.env.INVOICE_STORE_NAME || "Pak Mobile Store";
+const STORE_ADDRESS = process.env.INVOICE_STORE_ADDRESS || "";
+const STORE_TAX_ID = process.env.INVOICE_TAX_ID || "";
+const CURRENCY = "SAR";
+
+const money = (value) => `${CURRENCY} ${(Number(value) || 0).toFixed(2)}`;
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Column x positions / widths of the line item table
+const COLUMNS = [
+  { key: "name", label: "Item", x: 50, width: 190, align: "left" },
+  { key: "quantity", label: "Qty", x: 240, width: 40, align: "right" },
+  { key: "price", label: "Unit Price", x: 280, width: 75, align: "right" },
+  { key: "taxRate", label: "Tax %", x: 355, width: 45, align: "right" },
+  { key: "tax", label: "Tax", x: 400, width: 65, align: "right" },
+  { key: "total", label: "Total", x: 465, width: 80, align: "right" },
+];
+
+/**
+ * Render an order invoice as a PDF
+ * @param {Object} data
+ * @param {Object} data.order - Order (plain object or document)
+ * @param {Array<Object>} data.lines - [{name, variantLabel, quantity, price, taxRate, tax, total}]
+ * @param {Object} data.totals - {subtotal, taxTotal, promotionDiscount, discount, shippingFee, codFee, totalAmount, refunded}
+ * @returns {Promise<Buffer>}
+ */
+module.exports = function invoicePdf({ order, lines, totals }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    // 🔹 Header
+    doc.fillColor("#ff6600").fontSize(20).text(STORE_NAME, 50, 50);
+    doc.fillColor("#333333").fontSize(9);
+    if (STORE_ADDRESS) doc.text(STORE_ADDRESS);
+    if (STORE_TAX_ID) doc.text(`Tax ID: ${STORE_TAX_ID}`);
+
+    doc.fontSize(16).text("TAX INVOICE", 350, 50, { width: 195, align: "right" });
+    doc
+      .fontSize(9)
+      .text(`Invoice No: ${order.invoice.number}`, 350, 75, { width: 195, align: "right" })
+      .text(`Invoice Date: ${formatDate(order.invoice.issuedAt)}`, { width: 195, align: "right" })
+      .text(`Order No: ${order.orderNumber}`, { width: 195, align: "right" })
+      .text(`Order Date: ${formatDate(order.createdAt)}`, { width: 195, align: "right" })
+      .text(`Payment: ${order.paymentMethod.toUpperCase()} (${order.paymentStatus})`, {
+        width: 195,
+        align: "right",
+      });
+
+    // 🔹 Bill to (shipping address snapshot)
+    const address = order.shippingAddress || {};
+    doc.fontSize(10).fillColor("#000000").text("Bill To", 50, 150, { underline: true });
+    doc.fontSize(9).fillColor("#333333");
+    [
+      address.fullName,
+      address.phoneNumber,
+      [address.streetAddress, address.apartment].filter(Boolean).join(", "),
+      [address.area, address.city, address.state].filter(Boolean).join(", "),
+      [address.country, address.postalCode].filter(Boolean).join(" "),
+    ]
+      .filter(Boolean)
+      .forEach((line) => doc.text(line));
+
+    // 🔹 Line items
+    let y = 240;
+    doc.fontSize(9).fillColor("#000000");
+    COLUMNS.forEach((c) => doc.text(c.label, c.x, y, { width: c.width, align: c.align }));
+    doc.moveTo(50, y + 14).lineTo(545, y + 14).strokeColor("#cccccc").stroke();
+    y += 22;
+
+    doc.fillColor("#333333");
+    for (const line of lines) {
+      const name = line.variantLabel ? `${line.name}\n${line.variantLabel}` : line.name;
+      const row = {
+        name,
+        quantity: String(line.quantity),
+        price: money(line.price),
+        taxRate: `${line.taxRate}%`,
+        tax: money(line.tax),
+        total: money(line.total),
+      };
+      const rowHeight = Math.max(doc.heightOfString(name, { width: COLUMNS[0].width }), 12);
+
+      if (y + rowHeight > doc.page.height - 150) {
+        doc.addPage();
+        y = 50;
+      }
+
+      COLUMNS.forEach((c) => doc.text(row[c.key], c.x, y, { width: c.width, align: c.align }));
+      y += rowHeight + 6;
+    }
+
+    doc.moveTo(50, y).lineTo(545, y).strokeColor("#cccccc").stroke();
+    y += 10;
+
+    // 🔹 Totals
+    const totalRows = [
+      ["Subtotal (excl. tax)", money(totals.subtotal)],
+      ["Tax", money(totals.taxTotal)],
+      totals.promotionDiscount ? ["Promotions", `- ${money(totals.promotionDiscount)}`] : null,
+      totals.discount ? ["Discount", `- ${money(totals.discount)}`] : null,
+      ["Shipping", money(totals.shippingFee)],
+      totals.codFee ? ["COD Fee", money(totals.codFee)] : null,
+    ].filter(Boolean);
+
+    for (const [label, value] of totalRows) {
+      doc.text(label, 330, y, { width: 120, align: "right" });
+      doc.text(value, 455, y, { width: 90, align: "right" });
+      y += 14;
+    }
+
+    doc.fontSize(11).fillColor("#000000");
+    doc.text("Total", 330, y + 4, { width: 120, align: "right" });
+    doc.text(money(totals.totalAmount), 455, y + 4, { width: 90, align: "right" });
+    y += 22;
+
+    if (totals.refunded) {
+      doc.fontSize(9).fillColor("#333333");
+      doc.text("Refunded", 330, y, { width: 120, align: "right" });
+      doc.text(`- ${money(totals.refunded)}`, 455, y, { width: 90, align: "right" });
+    }
+
+    doc
+      .fontSize(8)
+      .fillColor("#777777")
+      .text(`Thank you for shopping with ${STORE_NAME}.`, 50, doc.page.height - 80, {
+        width: 495,
+        align: "center",
+      });
+
+    doc.end();
+  });
+};
@@ -2,7 +2,8 @@ const Product = require("../models/product.model");
 const Coupon = require("../models/coupon.model");
 const ShippingZone = require("../models/shippingZone.model");
 const SiteSetting = require("../models/siteSetting.model");
-const { applyDealsToProducts } = require("../services/dealEvaluationService");
+const { applyDealsToProducts, evaluateCartDeals } = require("../services/dealEvaluationService");
+const { evaluateCoupon } = require("../services/couponEligibilityService");
 
 const {
   EXPRESS_MULTIPLIER,
@@ -13,6 +14,20 @@ const {
 } = require("../../config/constants");
 const siteSettingModel = require("../models/siteSetting.model");
 
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Site setting MAX_COMBINED_DISCOUNT_PERCENT: most a line may be discounted by its deal and
+ * a coupon together, as a percentage of its price before the deal
+ * @returns {Promise<number|null>} null when there is no limit
+ */
+const getMaxCombinedDiscountPercent = async () => {
+  const setting = await SiteSetting.findOne({ key: "MAX_COMBINED_DISCOUNT_PERCENT" }).lean();
+  if (!setting || setting.value === null || setting.value === "") return null;
+  const percent = Number(setting.value);
+  return isFinite(percent) && percent >= 0 ? Math.min(percent, 100) : null;
+};
+
 // Helper function to calculate totals from items array (reusable for cart and buy-now)
 const calculateTotalsFromItems = async (
   items,
@@ -34,8 +49,12 @@ const calculateTotalsFromItems = async (
 
   // Calculate subtotal + tax + total weight
   let subtotal = 0;
+  // Per-line unit prices as charged (deal and variant pricing applied)
+  const lines = [];
   let taxTotal = 0;
   let totalWeight = 0;
+  // Units still sellable at each capped deal's price, shared by every line of that deal
+  const dealUnitsLeft = new Map();
 
   for (const item of items) {
     // Preserve tax from originally populated product before replacing
@@ -60,6 +79,8 @@ const calculateTotalsFromItems = async (
 
     // Use variant price if variantId is present, otherwise use the base price (deal or original)
     let price = basePrice;
+    // Price before any deal, for the per-line discount breakdown
+    let listPrice = product.originalPrice ?? basePrice;
     
     // Check if this item has a variant and use variant price
     // Note: Variants don't have deals applied to them individually, so we use variant price directly
@@ -79,6 +100,7 @@ const calculateTotalsFromItems = async (
         );
       }
       if (variant && variant.price !== undefined && variant.price !== null) {
+        listPrice = variant.price;
         // For variants, apply deal discount to variant price if deal exists
         if (product.dealPrice !== null && product.dealPrice !== undefined && product.originalPrice) {
           // Calculate discount percentage from deal
@@ -91,9 +113,36 @@ const calculateTotalsFromItems = async (
       }
     }
     
+    // A stock-capped deal prices only the units it has left; the rest of the line pays listPrice
+    let dealQuantity = price < listPrice ? item.quantity : 0;
+    const dealKey = product.appliedDealId ? String(product.appliedDealId) : null;
+    if (dealQuantity > 0 && dealKey && product.dealRemainingQuantity != null) {
+      const left = dealUnitsLeft.has(dealKey)
+        ? dealUnitsLeft.get(dealKey)
+        : product.dealRemainingQuantity;
+      dealQuantity = Math.min(item.quantity, left);
+      dealUnitsLeft.set(dealKey, left - dealQuantity);
+    }
+
     // Base line total (without tax)
-    const lineBaseTotal = price * item.quantity;
+    const lineBaseTotal = price * dealQuantity + listPrice * (item.quantity - dealQuantity);
     subtotal += lineBaseTotal;
+    const dealDiscount = Math.max(0, (listPrice - price) * dealQuantity);
+    lines.push({
+      product: product._id,
+      variantId: item.variantId || null,
+      quantity: item.quantity,
+      // Average when only some units get the deal price
+      unitPrice: dealQuantity > 0 && dealQuantity < item.quantity ? lineBaseTotal / item.quantity : price,
+      lineTotal: lineBaseTotal,
+      // Discounts applied to this line (promotions and couponDiscount are filled in below)
+      listPrice,
+      dealId: dealDiscount > 0 ? product.appliedDealId ?? null : null,
+      dealQuantity: dealDiscount > 0 ? dealQuantity : 0,
+      dealDiscount: roundMoney(dealDiscount),
+      couponDiscount: 0,
+      couponCapped: false,
+    });
 
     // ---- TAX CALCULATION ----
     // Treat tax as a percentage (e.g. 10 = 10%)
@@ -130,12 +179,25 @@ const calculateTotalsFromItems = async (
       dealPrice: product.dealPrice ?? null,
       appliedDealId: product.appliedDealId ?? null,
       appliedDealVariant: product.appliedDealVariant ?? null,
+      dealRemainingQuantity: product.dealRemainingQuantity ?? null,
     };
   }
 
-  // Coupon logic
+  // Cart-level deals (buy X get Y, tiered) on top of the prices above
+  const linePromotions = await evaluateCartDeals(lines);
+  let promotionDiscount = 0;
+  lines.forEach((line, index) => {
+    line.promotions = linePromotions[index];
+    line.promotionDiscount = roundMoney(line.promotions.reduce((sum, p) => sum + p.discount, 0));
+    promotionDiscount += line.promotionDiscount;
+  });
+  promotionDiscount = Math.min(roundMoney(promotionDiscount), subtotal);
+
+  // Coupon logic: the discount only covers lines in the coupon's scope
   let discount = 0;
   let validCoupon = null;
+  // Why the coupon doesn't apply: { message, items }
+  let couponIssue = null;
 
   if (coupon) {
     const couponDoc = typeof coupon === "object" && coupon._id 
@@ -146,24 +208,63 @@ const calculateTotalsFromItems = async (
       couponDoc.isActive &&
       (!couponDoc.expiryDate || couponDoc.expiryDate > new Date())
     ) {
-      const eligible =
-        subtotal >= (couponDoc.minCartValue || 0) &&
-        (!couponDoc.startDate || couponDoc.startDate <= new Date());
-
-      if (eligible) {
-        validCoupon = couponDoc;
-        if (couponDoc.discountType === "percentage") {
-          discount = (subtotal * couponDoc.discountValue) / 100;
-          if (couponDoc.maxDiscount)
-            discount = Math.min(discount, couponDoc.maxDiscount);
-        } else if (couponDoc.discountType === "fixed") {
-          discount = couponDoc.discountValue;
+      if (couponDoc.startDate && couponDoc.startDate > new Date()) {
+        couponIssue = { message: "Coupon not yet active", items: [] };
+      } else {
+        const evaluation = await evaluateCoupon(
+          couponDoc,
+          lines.map((line) => ({
+            product: productsWithDeals.find((p) => p._id.toString() === line.product.toString()),
+            lineTotal: line.lineTotal - line.promotionDiscount,
+            onDeal: line.dealDiscount > 0 || line.promotionDiscount > 0,
+          })),
+          { userId }
+        );
+
+        if (evaluation.eligible) {
+          validCoupon = couponDoc;
+          let couponTotal = 0;
+          if (couponDoc.discountType === "percentage") {
+            couponTotal = (evaluation.eligibleSubtotal * couponDoc.discountValue) / 100;
+            if (couponDoc.maxDiscount)
+              couponTotal = Math.min(couponTotal, couponDoc.maxDiscount);
+          } else if (couponDoc.discountType === "fixed") {
+            couponTotal = Math.min(couponDoc.discountValue, evaluation.eligibleSubtotal);
+          }
+
+          // Spread the coupon over its eligible lines by value, then hold each line to the
+          // combined deal + promotion + coupon limit. Deals stand; only the coupon share is cut.
+          const maxCombinedPercent = couponTotal > 0 ? await getMaxCombinedDiscountPercent() : null;
+          for (const line of lines) {
+            if (!evaluation.eligibleSubtotal) break;
+            if (!evaluation.eligibleProducts.includes(String(line.product))) continue;
+            const lineNet = line.lineTotal - line.promotionDiscount;
+            let lineDiscount = (couponTotal * lineNet) / evaluation.eligibleSubtotal;
+            if (maxCombinedPercent !== null) {
+              const allowed = Math.max(
+                0,
+                (line.listPrice * line.quantity * maxCombinedPercent) / 100 -
+                  line.dealDiscount -
+                  line.promotionDiscount
+              );
+              if (lineDiscount > allowed) {
+                lineDiscount = allowed;
+                line.couponCapped = true;
+              }
+            }
+            line.couponDiscount = roundMoney(lineDiscount);
+            discount += line.couponDiscount;
+          }
+        } else {
+          couponIssue = { message: evaluation.message, items: evaluation.ineligibleItems };
         }
       }
+    } else {
+      couponIssue = { message: "Coupon is no longer valid", items: [] };
     }
   }
 
-  discount = Math.min(discount, subtotal);
+  discount = Math.min(discount, subtotal - promotionDiscount);
 
   // Shipping zone + weight rates
   const pincode = userAddress.pincode || "";
@@ -274,10 +375,16 @@ const calculateTotalsFromItems = async (
     total: subtotal,
     taxTotal,
     discount,
+    promotionDiscount,
     shippingFee,
     codFee,
-    finalTotal: Math.max(subtotal + taxTotal - discount + shippingFee + codFee, 0),
+    finalTotal: Math.max(
+      subtotal + taxTotal - promotionDiscount - discount + shippingFee + codFee,
+      0
+    ),
     validCoupon,
+    couponIssue,
+    lines,
     _computed: { totalWeight },
   };
 };
@@ -298,10 +405,21 @@ const calculateCartTotals = async (cart, userId, userAddress = {}) => {
   // Optional: expose total tax on cart document (not required by schema)
   cart.taxTotal = totals.taxTotal;
   cart.discount = totals.discount;
+  cart.promotionDiscount = totals.promotionDiscount;
   cart.shippingFee = totals.shippingFee;
   cart.codFee = totals.codFee;
   cart.finalTotal = totals.finalTotal;
-  cart._computed = totals._computed;
+  // Per-line prices and discounts, for responses and the order (not stored on the cart)
+  cart._computed = { ...totals._computed, lines: totals.lines };
+
+  // Remember the price each line was last shown at (used to report price drift)
+  for (const item of cart.items) {
+    const productId = String(item.product?._id || item.product);
+    const line = totals.lines.find(
+      (l) => String(l.product) === productId && (l.variantId || null) === (item.variantId || null)
+    );
+    if (line) item.unitPrice = Math.round(line.unitPrice * 100) / 100;
+  }
 
   // Update coupon if it became invalid
   if (!totals.validCoupon && cart.coupon) {
@@ -76,6 +76,8 @@ const sendEmail = async (options) => {
     },
     // Add reply-to if provided
     replyTo: options.replyTo || process.env.EMAIL_REPLY_TO || process.env.EMAIL_USERNAME,
+    // Optional nodemailer attachments, e.g. [{ filename, content, contentType }]
+    ...(options.attachments && { attachments: options.attachments }),
   };
 
   // 3) Send the email (non-blocking - don't fail the main operation)
@@ -0,0 +1,24 @@
+/**
+ * Run a transactional operation, retrying it on MongoDB write conflicts
+ * @param {Function} operation - Async function that starts, commits and aborts its own session
+ * @param {number} [maxRetries] - Attempts before giving up (default 3)
+ * @returns {Promise<*>} - Whatever the operation resolves to
+ */
+const retryTransaction = async (operation, maxRetries = 3) => {
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      // Check if it's a write conflict error
+      if (error.code === 112 && error.codeName === "WriteConflict" && attempt < maxRetries) {
+        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000); // Exponential backoff, max 5s
+        console.warn(`⚠️  Write conflict detected (attempt ${attempt}/${maxRetries}). Retrying in ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+      throw error; // Re-throw if not a write conflict or max retries reached
+    }
+  }
+};
+
+module.exports = retryTransaction;
@@ -0,0 +1,23 @@
+const Stripe = require("stripe");
+
+let client = null;
+
+/**
+ * Shared Stripe client (created lazily from STRIPE_SECRET_KEY)
+ * @returns {Stripe}
+ */
+const getStripe = () => {
+  if (!client) client = new Stripe(process.env.STRIPE_SECRET_KEY);
+  return client;
+};
+
+/**
+ * Swap the Stripe client, e.g. for an offline stub in tests
+ * Pass null to go back to the real client.
+ * @param {Object|null} stripeClient - Object exposing the Stripe APIs in use
+ */
+const setStripeClient = (stripeClient) => {
+  client = stripeClient;
+};
+
+module.exports = { getStripe, setStripeClient };
@@ -10,7 +10,14 @@ exports.signToken = (user) =>
     }
   );
 
-exports.createSendToken = (user, statusCode, res, message = "Success", cookieName = "jwt") => {
+exports.createSendToken = (
+  user,
+  statusCode,
+  res,
+  message = "Success",
+  cookieName = "jwt",
+  extra = {}
+) => {
   const token = this.signToken(user);
 
   const cookieOptions = {
@@ -25,5 +32,23 @@ exports.createSendToken = (user, statusCode, res, message = "Success", cookieNam
   res.cookie(cookieName, token, cookieOptions);
   user.password = undefined;
 
-  return successResponse(res, { token, user }, message, statusCode);
+  return successResponse(res, { token, user, ...extra }, message, statusCode);
+};
+
+// Proof of a guest checkout email: only the inbox owner receives this token
+const GUEST_CLAIM_PURPOSE = "guest_claim";
+
+exports.signGuestClaimToken = (email) =>
+  jwt.sign({ email, purpose: GUEST_CLAIM_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: "1h",
+  });
+
+// The email the token was sent to, or null when it is invalid or expired
+exports.verifyGuestClaimToken = (token) => {
+  try {
+    const payload = jwt.verify(String(token), process.env.JWT_SECRET);
+    return payload.purpose === GUEST_CLAIM_PURPOSE && payload.email ? payload.email : null;
+  } catch (err) {
+    return null;
+  }
 };
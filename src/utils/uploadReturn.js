@@ -0,0 +1,11 @@
+const multer = require("multer");
+const { getCloudinaryStorage } = require("../../config/cloudinary");
+const imageFileFilter = require("./multerFileFilter");
+
+const uploadReturn = multer({
+  storage: getCloudinaryStorage("ecommerce/returns"),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: imageFileFilter,
+});
+
+module.exports = uploadReturn;
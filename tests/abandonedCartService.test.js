@@ -0,0 +1,147 @@
+jest.mock("../src/utils/email");
+jest.mock("../src/utils/calculateCartTotals");
+jest.mock("../src/services/couponRedemptionService");
+jest.mock("../src/services/couponBatchService");
+
+const mongoose = require("mongoose");
+const Cart = require("../src/models/cart.model");
+const CartRecovery = require("../src/models/cartRecovery.model");
+const Coupon = require("../src/models/coupon.model");
+const Order = require("../src/models/order.model");
+const SiteSetting = require("../src/models/siteSetting.model");
+const sendEmail = require("../src/utils/email");
+const { getCouponLimitIssue } = require("../src/services/couponRedemptionService");
+const {
+  sendAbandonedCartReminders,
+  restoreAbandonedCart,
+  recordCartRecovery,
+} = require("../src/services/abandonedCartService");
+const { mockQuery, productId } = require("./helpers");
+
+const HOUR = 60 * 60 * 1000;
+const userId = new mongoose.Types.ObjectId();
+
+describe("abandonedCartService", () => {
+  beforeEach(() => {
+    jest.spyOn(SiteSetting, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(Cart, "updateOne").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe("sendAbandonedCartReminders", () => {
+    let cart;
+
+    beforeEach(() => {
+      cart = {
+        _id: new mongoose.Types.ObjectId(),
+        user: { _id: userId, name: "Ana", email: "ana@example.com" },
+        items: [{ product: { _id: productId, productName: "Phone case", price: 40 }, quantity: 1 }],
+        finalTotal: 40,
+        updatedAt: new Date(Date.now() - 2 * HOUR),
+        recovery: {},
+      };
+      jest.spyOn(Cart, "find").mockReturnValue(mockQuery([cart]));
+      jest.spyOn(Order, "exists").mockResolvedValue(null);
+      jest.spyOn(CartRecovery, "create").mockImplementation(async (data) => ({
+        ...data,
+        _id: new mongoose.Types.ObjectId(),
+        sentAt: new Date(),
+      }));
+      jest.spyOn(CartRecovery, "deleteOne").mockResolvedValue({});
+    });
+
+    it("emails the owner of an idle cart and records the reminder", async () => {
+      sendEmail.mockResolvedValue({ messageId: "m1" });
+
+      const summary = await sendAbandonedCartReminders();
+
+      expect(summary).toEqual({ sent: 1, skipped: 0, failed: 0 });
+      expect(CartRecovery.create).toHaveBeenCalledWith(
+        expect.objectContaining({ cart: cart._id, reminderNumber: 1, cartTotal: 40 })
+      );
+      expect(sendEmail.mock.calls[0][0].html).toContain("/api/v1/cart/recover/");
+      expect(Cart.updateOne).toHaveBeenCalledWith(
+        { _id: cart._id },
+        { $set: expect.objectContaining({ "recovery.remindersSent": 1 }) },
+        { timestamps: false }
+      );
+    });
+
+    it("leaves carts alone whose owner ordered since", async () => {
+      Order.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      const summary = await sendAbandonedCartReminders();
+
+      expect(summary.skipped).toBe(1);
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    it("drops the reminder record when the email could not be sent", async () => {
+      sendEmail.mockResolvedValue(undefined);
+
+      const summary = await sendAbandonedCartReminders();
+
+      expect(summary.failed).toBe(1);
+      expect(CartRecovery.deleteOne).toHaveBeenCalled();
+    });
+  });
+
+  describe("restoreAbandonedCart", () => {
+    it("puts the reminded items back into an emptied cart with the reminder coupon", async () => {
+      const coupon = { _id: new mongoose.Types.ObjectId(), isExpired: false };
+      const reminder = {
+        cart: new mongoose.Types.ObjectId(),
+        user: userId,
+        email: "ana@example.com",
+        items: [{ product: productId, quantity: 2, variantId: null }],
+        coupon: coupon._id,
+        restoredAt: null,
+        recoveredAt: null,
+        save: jest.fn().mockResolvedValue(),
+      };
+      const cart = new Cart({ user: userId, items: [] });
+      jest.spyOn(cart, "save").mockResolvedValue(cart);
+      jest.spyOn(CartRecovery, "findOne").mockResolvedValue(reminder);
+      jest.spyOn(Cart, "findById").mockResolvedValue(cart);
+      jest.spyOn(Coupon, "findOne").mockResolvedValue(coupon);
+      getCouponLimitIssue.mockResolvedValue(null);
+
+      const url = await restoreAbandonedCart("token");
+
+      expect(url).toMatch(/\/cart\?restored=1$/);
+      expect(reminder.restoredAt).toBeInstanceOf(Date);
+      expect(cart.items[0]).toMatchObject({ quantity: 2 });
+      expect(String(cart.coupon)).toBe(coupon._id.toString());
+    });
+  });
+
+  describe("recordCartRecovery", () => {
+    beforeEach(() => {
+      jest.spyOn(CartRecovery, "findOneAndUpdate").mockResolvedValue(null);
+    });
+
+    it("credits the latest reminder of the cart the order was checked out from", async () => {
+      const cartId = new mongoose.Types.ObjectId();
+      const order = { _id: new mongoose.Types.ObjectId(), user: userId, totalAmount: 40 };
+
+      await recordCartRecovery(order, { cart: cartId });
+
+      expect(CartRecovery.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ cart: cartId, user: userId, recoveredAt: null }),
+        { $set: expect.objectContaining({ order: order._id, orderTotal: 40 }) },
+        expect.objectContaining({ sort: { sentAt: -1 } })
+      );
+    });
+
+    it("does not credit orders placed without the cart (buy-now)", async () => {
+      const order = { _id: new mongoose.Types.ObjectId(), user: userId, totalAmount: 40 };
+
+      expect(await recordCartRecovery(order)).toBeNull();
+      expect(CartRecovery.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
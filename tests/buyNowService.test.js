@@ -0,0 +1,137 @@
+jest.mock("../src/utils/calculateCartTotals");
+jest.mock("../src/services/purchaseLimitService");
+jest.mock("../src/services/couponRedemptionService");
+
+const mongoose = require("mongoose");
+const BuyNow = require("../src/models/buyNow.model");
+const Cart = require("../src/models/cart.model");
+const Coupon = require("../src/models/coupon.model");
+const Product = require("../src/models/product.model");
+const SiteSetting = require("../src/models/siteSetting.model");
+const calculateCartTotals = require("../src/utils/calculateCartTotals");
+const { assertPurchaseLimits } = require("../src/services/purchaseLimitService");
+const { getCouponLimitIssue } = require("../src/services/couponRedemptionService");
+const { expireBuyNowSessions, moveBuyNowToCart } = require("../src/services/buyNowService");
+const { mockQuery, productId } = require("./helpers");
+
+const HOUR = 60 * 60 * 1000;
+
+const { calculateTotalsFromItems } = calculateCartTotals;
+
+describe("buyNowService", () => {
+  const owner = { user: null, guestToken: "guest-token", filter: { guestToken: "guest-token" } };
+  let expiryHours;
+
+  beforeEach(() => {
+    expiryHours = null;
+    jest
+      .spyOn(SiteSetting, "findOne")
+      .mockImplementation(() =>
+        mockQuery(expiryHours === null ? null : { key: "BUY_NOW_EXPIRY_HOURS", value: expiryHours })
+      );
+    jest.spyOn(BuyNow, "deleteOne").mockResolvedValue({ deletedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe("expireBuyNowSessions", () => {
+    it("deletes sessions started before the configured lifetime", async () => {
+      expiryHours = "6";
+      jest.spyOn(BuyNow, "deleteMany").mockResolvedValue({ deletedCount: 3 });
+
+      const result = await expireBuyNowSessions();
+
+      expect(result).toEqual({ expired: 3, expiryHours: 6 });
+      const [{ $or }] = BuyNow.deleteMany.mock.calls[0];
+      const cutoff = $or[0].startedAt.$lt.getTime();
+      expect(Math.abs(cutoff - (Date.now() - 6 * HOUR))).toBeLessThan(60000);
+      // Sessions from before startedAt existed go by createdAt
+      expect($or[1]).toEqual({ startedAt: null, createdAt: { $lt: $or[0].startedAt.$lt } });
+    });
+
+    it("keeps every session when expiry is switched off", async () => {
+      expiryHours = 0;
+      jest.spyOn(BuyNow, "deleteMany");
+
+      expect(await expireBuyNowSessions()).toEqual({ expired: 0, expiryHours: 0 });
+      expect(BuyNow.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("moveBuyNowToCart", () => {
+    let buyNow;
+    let cart;
+    let coupon;
+
+    beforeEach(() => {
+      coupon = new Coupon({ code: "SAVE10", isActive: true, discountType: "fixed", value: 10 });
+      buyNow = new BuyNow({
+        guestToken: "guest-token",
+        item: { product: productId, quantity: 2 },
+        coupon: coupon._id,
+        shippingMethod: "express",
+        startedAt: new Date(),
+      });
+      jest.spyOn(BuyNow, "findOne").mockResolvedValue(buyNow);
+      cart = new Cart({ guestToken: "guest-token", items: [{ product: productId, quantity: 1 }] });
+      jest.spyOn(cart, "save").mockResolvedValue(cart);
+      jest.spyOn(Cart, "findOne").mockResolvedValue(cart);
+      jest
+        .spyOn(Product, "findOne")
+        .mockResolvedValue(
+          new Product({ _id: productId, product_type: "simple", in_stock: true, quantity: 5 })
+        );
+      jest.spyOn(Coupon, "findById").mockResolvedValue(coupon);
+      calculateTotalsFromItems.mockResolvedValue({ validCoupon: coupon });
+      calculateCartTotals.mockImplementation(async (c) => c);
+      assertPurchaseLimits.mockResolvedValue();
+      getCouponLimitIssue.mockResolvedValue(null);
+    });
+
+    it("joins the cart line, carries coupon and shipping over and ends the session", async () => {
+      const result = await moveBuyNowToCart(owner);
+
+      expect([...cart.items].map((i) => [String(i.product), i.quantity])).toEqual([
+        [String(productId), 3],
+      ]);
+      expect(cart.coupon).toEqual(coupon._id);
+      expect(cart.shippingMethod).toBe("express");
+      expect(result.coupon).toEqual({ code: "SAVE10", applied: true });
+      expect(cart.save).toHaveBeenCalled();
+      expect(BuyNow.deleteOne).toHaveBeenCalledWith({ _id: buyNow._id });
+    });
+
+    it("leaves the cart's own coupon in place", async () => {
+      const cartCoupon = new mongoose.Types.ObjectId();
+      cart.coupon = cartCoupon;
+
+      const result = await moveBuyNowToCart(owner);
+
+      expect(cart.coupon).toEqual(cartCoupon);
+      expect(result.coupon).toEqual({
+        code: "SAVE10",
+        applied: false,
+        reason: "Your cart already has a coupon",
+      });
+    });
+
+    it("refuses the move when the cart line would exceed the stock", async () => {
+      buyNow.item.quantity = 5;
+
+      await expect(moveBuyNowToCart(owner)).rejects.toMatchObject({ statusCode: 400 });
+      expect(cart.save).not.toHaveBeenCalled();
+      expect(BuyNow.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it("drops an expired session instead of moving it", async () => {
+      buyNow.startedAt = new Date(Date.now() - 25 * HOUR);
+
+      await expect(moveBuyNowToCart(owner)).rejects.toMatchObject({ statusCode: 410 });
+      expect(BuyNow.deleteOne).toHaveBeenCalledWith({ _id: buyNow._id });
+      expect(cart.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,156 @@
+jest.mock("../src/services/dealEvaluationService");
+
+const mongoose = require("mongoose");
+const Product = require("../src/models/product.model");
+const SiteSetting = require("../src/models/siteSetting.model");
+const { applyDealsToProducts, evaluateCartDeals } = require("../src/services/dealEvaluationService");
+const { calculateTotalsFromItems } = require("../src/utils/calculateCartTotals");
+const { mockQuery } = require("./helpers");
+
+// Products priced 100, on a 20%-off deal with `remaining` units left under its cap
+const onDeal = (products, remaining) =>
+  products.map((p) => ({
+    ...p,
+    originalPrice: 100,
+    dealPrice: 80,
+    appliedDealId: "deal1",
+    appliedDealVariant: "FLASH",
+    dealRemainingQuantity: remaining,
+  }));
+
+describe("calculateTotalsFromItems with deal stock caps", () => {
+  const phone = { _id: new mongoose.Types.ObjectId(), name: "Phone", price: 100, product_type: "simple" };
+  const tablet = { _id: new mongoose.Types.ObjectId(), name: "Tablet", price: 100, product_type: "simple" };
+
+  beforeEach(() => {
+    jest.spyOn(Product, "find").mockImplementation(() => mockQuery([phone, tablet]));
+    jest.spyOn(SiteSetting, "findOne").mockImplementation(() => mockQuery(null));
+    evaluateCartDeals.mockImplementation(async (lines) => lines.map(() => []));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.resetAllMocks();
+  });
+
+  it("prices every unit at the deal price while the cap covers the line", async () => {
+    applyDealsToProducts.mockImplementation(async (products) => onDeal(products, 5));
+
+    const totals = await calculateTotalsFromItems([{ product: phone._id, quantity: 3 }], null);
+
+    expect(totals.total).toBe(240);
+    expect(totals.lines[0]).toMatchObject({ dealQuantity: 3, unitPrice: 80, dealDiscount: 60 });
+  });
+
+  it("charges units beyond the remaining cap at the regular price", async () => {
+    applyDealsToProducts.mockImplementation(async (products) => onDeal(products, 2));
+
+    const totals = await calculateTotalsFromItems([{ product: phone._id, quantity: 3 }], null);
+
+    expect(totals.total).toBe(260);
+    expect(totals.lines[0]).toMatchObject({ dealQuantity: 2, dealDiscount: 40, lineTotal: 260 });
+    expect(totals.lines[0].unitPrice).toBeCloseTo(86.67, 2);
+  });
+
+  it("shares the remaining cap between lines of the same deal", async () => {
+    applyDealsToProducts.mockImplementation(async (products) => onDeal(products, 2));
+
+    const totals = await calculateTotalsFromItems(
+      [
+        { product: phone._id, quantity: 1 },
+        { product: tablet._id, quantity: 2 },
+      ],
+      null
+    );
+
+    expect(totals.lines.map((l) => l.dealQuantity)).toEqual([1, 1]);
+    expect(totals.total).toBe(80 + 80 + 100);
+  });
+
+  it("leaves uncapped deals alone", async () => {
+    applyDealsToProducts.mockImplementation(async (products) => onDeal(products, null));
+
+    const totals = await calculateTotalsFromItems([{ product: phone._id, quantity: 50 }], null);
+
+    expect(totals.lines[0]).toMatchObject({ dealQuantity: 50, unitPrice: 80 });
+  });
+});
+
+describe("calculateTotalsFromItems coupon and deal stacking", () => {
+  const phone = { _id: new mongoose.Types.ObjectId(), name: "Phone", price: 100, product_type: "simple" };
+  const tablet = { _id: new mongoose.Types.ObjectId(), name: "Tablet", price: 100, product_type: "simple" };
+  const items = [
+    { product: phone._id, quantity: 1 },
+    { product: tablet._id, quantity: 1 },
+  ];
+  let maxCombinedPercent;
+
+  // 20% off everything in the cart
+  const coupon = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    code: "SAVE20",
+    isActive: true,
+    discountType: "percentage",
+    discountValue: 20,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    maxCombinedPercent = null;
+    jest.spyOn(Product, "find").mockImplementation(() => mockQuery([phone, tablet]));
+    jest.spyOn(SiteSetting, "findOne").mockImplementation(({ key }) =>
+      mockQuery(
+        key === "MAX_COMBINED_DISCOUNT_PERCENT" && maxCombinedPercent !== null
+          ? { key, value: maxCombinedPercent }
+          : null
+      )
+    );
+    // Only the phone is on a deal: 100 → 80
+    applyDealsToProducts.mockImplementation(async (products) =>
+      products.map((p) => (p._id.equals(phone._id) ? onDeal([p], null)[0] : p))
+    );
+    evaluateCartDeals.mockImplementation(async (lines) => lines.map(() => []));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.resetAllMocks();
+  });
+
+  const breakdown = (totals) =>
+    totals.lines.map(({ dealDiscount, couponDiscount, couponCapped }) => ({
+      dealDiscount,
+      couponDiscount,
+      couponCapped,
+    }));
+
+  it("stacks the coupon on deal prices when there is no combined limit", async () => {
+    const totals = await calculateTotalsFromItems(items, coupon());
+
+    expect(totals.discount).toBe(36);
+    expect(breakdown(totals)).toEqual([
+      { dealDiscount: 20, couponDiscount: 16, couponCapped: false },
+      { dealDiscount: 0, couponDiscount: 20, couponCapped: false },
+    ]);
+  });
+
+  it("cuts the coupon share of a deal line down to the combined limit", async () => {
+    maxCombinedPercent = "25";
+
+    const totals = await calculateTotalsFromItems(items, coupon());
+
+    // The phone may lose 25 of its 100 list price: 20 went to the deal, 5 is left
+    expect(breakdown(totals)).toEqual([
+      { dealDiscount: 20, couponDiscount: 5, couponCapped: true },
+      { dealDiscount: 0, couponDiscount: 20, couponCapped: false },
+    ]);
+    expect(totals.discount).toBe(25);
+  });
+
+  it("keeps deal lines out of a coupon that excludes deal items", async () => {
+    const totals = await calculateTotalsFromItems(items, coupon({ excludeDealItems: true }));
+
+    expect(breakdown(totals).map((l) => l.couponDiscount)).toEqual([0, 20]);
+    expect(totals.discount).toBe(20);
+  });
+});
@@ -0,0 +1,126 @@
+const mongoose = require("mongoose");
+const Deal = require("../src/models/deal.model");
+const { evaluateCartDeals } = require("../src/services/dealEvaluationService");
+const { mockQuery, productId, otherProductId } = require("./helpers");
+
+describe("dealEvaluationService.evaluateCartDeals", () => {
+  const cableId = new mongoose.Types.ObjectId();
+  let deals;
+
+  const deal = (overrides) => ({
+    _id: new mongoose.Types.ObjectId(),
+    title: "Cart deal",
+    isActive: true,
+    priority: 1,
+    products: [{ _id: productId }, { _id: otherProductId }],
+    categories: [],
+    subCategories: [],
+    ...overrides,
+  });
+
+  // 2 cases at 40, 1 charger at 20
+  const lines = () => [
+    { product: productId, quantity: 2, unitPrice: 40 },
+    { product: otherProductId, quantity: 1, unitPrice: 20 },
+  ];
+
+  beforeEach(() => {
+    deals = [];
+    jest.spyOn(Deal, "find").mockImplementation(() => mockQuery(deals));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const discounts = (promotions) => promotions.map((p) => p.map((x) => [x.quantity, x.discount]));
+
+  it("buy 2 get 1 free: the dearest units qualify and the cheapest one is free", async () => {
+    deals = [
+      deal({
+        discountType: "buy_x_get_y",
+        buyQuantity: 2,
+        getQuantity: 1,
+        getDiscountPercent: 100,
+      }),
+    ];
+
+    const promotions = await evaluateCartDeals(lines());
+
+    expect(discounts(promotions)).toEqual([[], [[1, 20]]]);
+    expect(promotions[1][0]).toEqual(expect.objectContaining({ type: "buy_x_get_y" }));
+  });
+
+  it("applies buy X get Y as often as the cart allows, up to maxApplications", async () => {
+    const buyOneGetOneHalf = {
+      discountType: "buy_x_get_y",
+      buyQuantity: 1,
+      getQuantity: 1,
+      getDiscountPercent: 50,
+      products: [{ _id: productId }],
+    };
+    const cart = [{ product: productId, quantity: 4, unitPrice: 40 }];
+
+    deals = [deal(buyOneGetOneHalf)];
+    expect(discounts(await evaluateCartDeals(cart))).toEqual([[[2, 40]]]);
+
+    deals = [deal({ ...buyOneGetOneHalf, maxApplications: 1 })];
+    expect(discounts(await evaluateCartDeals(cart))).toEqual([[[1, 20]]]);
+  });
+
+  it("gives nothing until a reward product is in the cart", async () => {
+    deals = [
+      deal({
+        discountType: "buy_x_get_y",
+        buyQuantity: 1,
+        getQuantity: 1,
+        getDiscountPercent: 100,
+        products: [{ _id: productId }],
+        getProducts: [cableId],
+        getCategories: [],
+      }),
+    ];
+
+    expect(discounts(await evaluateCartDeals(lines()))).toEqual([[], []]);
+    expect(
+      discounts(
+        await evaluateCartDeals([...lines(), { product: cableId, quantity: 1, unitPrice: 10 }])
+      )
+    ).toEqual([[], [], [[1, 10]]]);
+  });
+
+  it("tiered: every unit gets the highest tier the cart reaches", async () => {
+    deals = [
+      deal({
+        discountType: "tiered",
+        tiers: [
+          { minQuantity: 2, discountPercent: 5 },
+          { minQuantity: 3, discountPercent: 10 },
+          { minQuantity: 5, discountPercent: 20 },
+        ],
+      }),
+    ];
+
+    expect(discounts(await evaluateCartDeals(lines()))).toEqual([[[2, 8]], [[1, 2]]]);
+  });
+
+  it("counts each unit towards one deal only, the higher priority first", async () => {
+    deals = [
+      deal({
+        discountType: "buy_x_get_y",
+        buyQuantity: 2,
+        getQuantity: 1,
+        getDiscountPercent: 100,
+      }),
+      deal({
+        discountType: "tiered",
+        priority: 5,
+        tiers: [{ minQuantity: 3, discountPercent: 10 }],
+      }),
+    ];
+
+    const promotions = await evaluateCartDeals(lines());
+
+    expect(promotions.flat().map((p) => p.type)).toEqual(["tiered", "tiered"]);
+  });
+});
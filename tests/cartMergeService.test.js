@@ -0,0 +1,131 @@
+jest.mock("../src/utils/calculateCartTotals");
+
+const mongoose = require("mongoose");
+const Cart = require("../src/models/cart.model");
+const Order = require("../src/models/order.model");
+const Product = require("../src/models/product.model");
+const { mergeGuestCart } = require("../src/services/cartMergeService");
+const { mockQuery, productId, otherProductId } = require("./helpers");
+
+const userId = new mongoose.Types.ObjectId();
+
+const buildCart = (fields) => {
+  const cart = new Cart(fields);
+  jest.spyOn(cart, "save").mockResolvedValue(cart);
+  return cart;
+};
+
+const buildProduct = (fields) =>
+  new Product({ product_type: "simple", in_stock: true, quantity: 10, price: 40, ...fields });
+
+describe("cartMergeService.mergeGuestCart", () => {
+  let guestCart;
+  let userCart;
+  let purchased;
+
+  const setup = ({ guestItems, userItems, products }) => {
+    guestCart = buildCart({ guestToken: "guest-token", items: guestItems });
+    userCart = userItems ? buildCart({ user: userId, items: userItems }) : null;
+    jest
+      .spyOn(Cart, "findOne")
+      .mockImplementation((filter) => mockQuery(filter.guestToken ? guestCart : userCart));
+    jest.spyOn(Product, "find").mockReturnValue(mockQuery(products));
+  };
+
+  beforeEach(() => {
+    purchased = 0;
+    jest.spyOn(Cart, "deleteOne").mockResolvedValue({});
+    jest.spyOn(Order, "aggregate").mockImplementation(() => ({
+      session: async () => (purchased ? [{ quantity: purchased }] : []),
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const merge = () => mergeGuestCart(userId, "guest-token", { email: "buyer@example.com" });
+
+  it("combines duplicate lines and caps them at the stock left", async () => {
+    setup({
+      userItems: [{ product: productId, quantity: 2 }],
+      guestItems: [{ product: productId, quantity: 3 }],
+      products: [buildProduct({ _id: productId, quantity: 4 })],
+    });
+
+    const report = await merge();
+
+    expect(userCart.items[0].quantity).toBe(4);
+    expect(report.adjustments).toEqual([
+      expect.objectContaining({ requested: 5, quantity: 4, reason: "insufficient_stock" }),
+    ]);
+    expect(Cart.deleteOne).toHaveBeenCalledWith({ _id: guestCart._id });
+  });
+
+  it("drops products that were deleted or switched off since they were added", async () => {
+    setup({
+      guestItems: [
+        { product: productId, quantity: 1 },
+        { product: otherProductId, quantity: 1 },
+      ],
+      products: [buildProduct({ _id: productId })],
+    });
+
+    const report = await merge();
+
+    expect(Product.find).toHaveBeenCalledWith(
+      expect.objectContaining({ deletedAt: null, is_active: { $ne: false } })
+    );
+    expect(guestCart.items).toHaveLength(1);
+    expect(guestCart.user).toEqual(userId);
+    expect(report.adjustments).toEqual([
+      expect.objectContaining({ status: "removed", reason: "unavailable" }),
+    ]);
+  });
+
+  it("lowers a combined line to the product's maxOrderQty", async () => {
+    setup({
+      userItems: [{ product: productId, quantity: 2 }],
+      guestItems: [{ product: productId, quantity: 3 }],
+      products: [buildProduct({ _id: productId, maxOrderQty: 4 })],
+    });
+
+    const report = await merge();
+
+    expect(userCart.items[0].quantity).toBe(4);
+    expect(report.adjustments[0]).toMatchObject({
+      status: "capped",
+      reason: "purchase_limit",
+      quantity: 4,
+    });
+  });
+
+  it("counts what the customer already bought against the purchase cap", async () => {
+    purchased = 2;
+    setup({
+      guestItems: [{ product: productId, quantity: 2 }],
+      products: [buildProduct({ _id: productId, purchaseCap: { quantity: 3, days: 30 } })],
+    });
+
+    const report = await merge();
+
+    expect(guestCart.items[0].quantity).toBe(1);
+    expect(report.adjustments[0]).toMatchObject({ status: "capped", reason: "purchase_limit" });
+  });
+
+  it("removes a line that can't meet the minimum order quantity", async () => {
+    setup({
+      guestItems: [{ product: productId, quantity: 1 }],
+      products: [buildProduct({ _id: productId, minOrderQty: 2, quantity: 1 })],
+    });
+
+    const report = await merge();
+
+    expect(guestCart.items).toHaveLength(0);
+    expect(report.adjustments[0]).toMatchObject({
+      status: "removed",
+      reason: "purchase_limit",
+      message: expect.stringContaining("Minimum order quantity"),
+    });
+  });
+});
@@ -0,0 +1,122 @@
+jest.mock("../src/utils/calculateCartTotals");
+jest.mock("../src/services/couponRedemptionService");
+
+const mongoose = require("mongoose");
+const Cart = require("../src/models/cart.model");
+const Product = require("../src/models/product.model");
+const calculateCartTotals = require("../src/utils/calculateCartTotals");
+const { getCouponLimitIssue } = require("../src/services/couponRedemptionService");
+const { validateCart } = require("../src/services/cartValidationService");
+const { mockQuery, productId, otherProductId } = require("./helpers");
+
+const { calculateTotalsFromItems } = calculateCartTotals;
+
+describe("cartValidationService.validateCart", () => {
+  const goneProductId = new mongoose.Types.ObjectId();
+  let cart;
+  let products;
+  let prices;
+
+  beforeEach(() => {
+    cart = new Cart({
+      guestToken: "guest-token",
+      items: [
+        { product: productId, quantity: 2, unitPrice: 40 },
+        { product: otherProductId, quantity: 1, unitPrice: 20 },
+      ],
+    });
+    jest.spyOn(cart, "save").mockResolvedValue(cart);
+    products = [
+      { _id: productId, name: "Phone case", product_type: "simple", in_stock: true, quantity: 5 },
+      { _id: otherProductId, name: "Charger", product_type: "simple", in_stock: true, quantity: 5 },
+    ];
+    jest.spyOn(Product, "find").mockImplementation(() => mockQuery(products));
+    prices = { [productId]: 40, [otherProductId]: 20 };
+    calculateTotalsFromItems.mockImplementation(async (items, coupon) => ({
+      lines: items.map((i) => ({
+        product: i.product,
+        variantId: null,
+        unitPrice: prices[i.product],
+      })),
+      validCoupon: coupon || null,
+      finalTotal: items.reduce((sum, i) => sum + prices[i.product] * i.quantity, 0),
+    }));
+    calculateCartTotals.mockImplementation(async (c) => c);
+    getCouponLimitIssue.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  const issueTypes = (result) => result.issues.map((i) => i.type);
+
+  it("passes a cart that still matches the catalogue", async () => {
+    const result = await validateCart(cart);
+
+    expect(result).toEqual(expect.objectContaining({ valid: true, fixed: false, issues: [] }));
+    expect(result.totals.finalTotal).toBe(100);
+  });
+
+  it("reports stock and price drift without changing the cart", async () => {
+    products[0].quantity = 1;
+    products[1].in_stock = false;
+    prices[productId] = 35;
+
+    const result = await validateCart(cart);
+
+    expect(result.valid).toBe(false);
+    expect(result.issues).toEqual([
+      expect.objectContaining({ type: "quantity_reduced", from: 2, to: 1 }),
+      expect.objectContaining({ type: "out_of_stock", product: String(otherProductId) }),
+      expect.objectContaining({ type: "price_changed", from: 40, to: 35 }),
+    ]);
+    expect(cart.items).toHaveLength(2);
+    expect(cart.save).not.toHaveBeenCalled();
+  });
+
+  it("reports products that were removed from the catalogue", async () => {
+    cart.items.push({ product: goneProductId, quantity: 1, unitPrice: 10 });
+    products[1].is_active = false;
+
+    const result = await validateCart(cart);
+
+    expect(issueTypes(result)).toEqual(["product_unavailable", "product_unavailable"]);
+    expect(result.issues.map((i) => i.product)).toEqual([
+      String(otherProductId),
+      String(goneProductId),
+    ]);
+  });
+
+  it("fixes the cart on request: drops and caps lines, then reprices it", async () => {
+    products[0].quantity = 1;
+    products[1].in_stock = false;
+
+    const result = await validateCart(cart, { autoFix: true });
+
+    expect(result.fixed).toBe(true);
+    expect([...cart.items].map((i) => [String(i.product), i.quantity])).toEqual([
+      [String(productId), 1],
+    ]);
+    expect(calculateCartTotals).toHaveBeenCalledWith(cart, null);
+    expect(cart.save).toHaveBeenCalled();
+  });
+
+  it("reports a coupon whose usage limit was reached and drops it when fixing", async () => {
+    const couponId = new mongoose.Types.ObjectId();
+    cart.coupon = couponId;
+    getCouponLimitIssue.mockResolvedValue("Coupon usage limit reached");
+
+    const result = await validateCart(cart, { autoFix: true, email: "buyer@example.com" });
+
+    expect(result.issues).toEqual([
+      expect.objectContaining({ type: "coupon_invalid", message: "Coupon usage limit reached" }),
+    ]);
+    expect(getCouponLimitIssue).toHaveBeenCalledWith(couponId, {
+      userId: null,
+      email: "buyer@example.com",
+    });
+    expect(cart.coupon).toBeNull();
+  });
+});
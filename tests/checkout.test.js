@@ -0,0 +1,143 @@
+jest.mock("../src/utils/email");
+jest.mock("../src/utils/calculateCartTotals");
+jest.mock("../src/services/inventoryService");
+jest.mock("../src/services/stockReservationService");
+jest.mock("../src/services/orderEmailService");
+jest.mock("../src/services/purchaseLimitService");
+jest.mock("../src/services/dealStockService");
+jest.mock("../src/services/couponRedemptionService");
+jest.mock("../src/services/abandonedCartService");
+jest.mock("../src/services/orderLifecycleService");
+
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const Cart = require("../src/models/cart.model");
+const Order = require("../src/models/order.model");
+const Product = require("../src/models/product.model");
+const calculateCartTotals = require("../src/utils/calculateCartTotals");
+const { setStripeClient } = require("../src/utils/stripeClient");
+const { transitionOrder } = require("../src/services/orderLifecycleService");
+const orderController = require("../src/controllers/order.controller");
+const errorHandler = require("../src/middleware/error");
+const { mockQuery, mockSession, createStripeStub, productId } = require("./helpers");
+
+const guestToken = "guest-token";
+const app = express();
+app.use(express.json());
+app.post(
+  "/api/v1/orders/guest",
+  (req, res, next) => {
+    req.cartOwner = { user: null, guestToken, filter: { guestToken } };
+    next();
+  },
+  orderController.createGuestOrder
+);
+app.use(errorHandler);
+
+const checkout = {
+  email: "guest@example.com",
+  phone: "+34 600 000 000",
+  paymentMethod: "stripe",
+  address: {
+    fullName: "Guest Buyer",
+    phoneNumber: "+34 600 000 000",
+    country: "ES",
+    city: "Madrid",
+    streetAddress: "Calle Mayor 1",
+    postalCode: "28013",
+  },
+};
+
+describe("guest card checkout", () => {
+  let stripe;
+  let session;
+  let product;
+
+  beforeEach(() => {
+    stripe = createStripeStub();
+    setStripeClient(stripe);
+    session = mockSession();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    product = new Product({
+      _id: productId,
+      productName: "Phone case",
+      product_type: "simple",
+      price: 50,
+      quantity: 5,
+      in_stock: true,
+    });
+    jest.spyOn(product, "save").mockResolvedValue(product);
+    jest.spyOn(Product, "find").mockReturnValue(mockQuery([product]));
+    jest.spyOn(Product, "findById").mockReturnValue(mockQuery(product));
+
+    const cart = {
+      items: [{ product: { _id: productId, originalPrice: 50 }, quantity: 1 }],
+      save: jest.fn().mockResolvedValue(),
+    };
+    jest.spyOn(Cart, "findOne").mockReturnValue(mockQuery(cart));
+    calculateCartTotals.mockImplementation(async (c) =>
+      Object.assign(c, {
+        total: 50,
+        shippingFee: 10,
+        discount: 0,
+        codFee: 0,
+        finalTotal: 60,
+        promotionDiscount: 0,
+        _computed: { lines: [] },
+      })
+    );
+
+    jest.spyOn(Order, "create").mockImplementation(async ([data]) => {
+      const order = new Order({ ...data, orderNumber: "ORD-2026-000002" });
+      jest.spyOn(order, "save").mockResolvedValue(order);
+      return [order];
+    });
+    stripe.paymentIntents.create.mockResolvedValue({ id: "pi_new", client_secret: "pi_new_secret" });
+  });
+
+  afterEach(() => {
+    setStripeClient(null);
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it("creates one PaymentIntent after the order commits, even when the transaction is retried", async () => {
+    const conflict = Object.assign(new Error("Write conflict"), {
+      code: 112,
+      codeName: "WriteConflict",
+    });
+    Order.create.mockRejectedValueOnce(conflict);
+
+    const res = await request(app).post("/api/v1/orders/guest").send(checkout);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.clientSecret).toBe("pi_new_secret");
+    expect(session.commitTransaction).toHaveBeenCalledTimes(1);
+    expect(stripe.paymentIntents.create).toHaveBeenCalledTimes(1);
+    expect(session.commitTransaction.mock.invocationCallOrder[0]).toBeLessThan(
+      stripe.paymentIntents.create.mock.invocationCallOrder[0]
+    );
+
+    const [params, options] = stripe.paymentIntents.create.mock.calls[0];
+    const orderId = res.body.data.order._id;
+    expect(params).toMatchObject({ amount: 6000, receipt_email: "guest@example.com" });
+    expect(params.metadata.orderId).toBe(orderId);
+    expect(options).toEqual({ idempotencyKey: `order-${orderId}` });
+    expect(res.body.data.order.paymentIntentId).toBe("pi_new");
+  }, 10000);
+
+  it("cancels the committed order when Stripe can't start the payment", async () => {
+    stripe.paymentIntents.create.mockRejectedValue(new Error("Stripe is down"));
+
+    const res = await request(app).post("/api/v1/orders/guest").send(checkout);
+
+    expect(res.status).toBe(500);
+    expect(transitionOrder).toHaveBeenCalledWith(
+      expect.any(mongoose.Model),
+      expect.objectContaining({ orderStatus: "cancelled", actor: "system" })
+    );
+  });
+});
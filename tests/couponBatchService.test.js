@@ -0,0 +1,143 @@
+const mongoose = require("mongoose");
+const Coupon = require("../src/models/coupon.model");
+const CouponBatch = require("../src/models/couponBatch.model");
+const CouponRedemption = require("../src/models/couponRedemption.model");
+const {
+  generateCouponBatch,
+  exportCouponBatchCsv,
+  claimBatchCoupon,
+} = require("../src/services/couponBatchService");
+const { mockQuery } = require("./helpers");
+
+describe("couponBatchService", () => {
+  const batchId = new mongoose.Types.ObjectId();
+  const template = {
+    _id: new mongoose.Types.ObjectId(),
+    code: "SPRING",
+    discountType: "percentage",
+    discountValue: 15,
+    minCartValue: 50,
+    usageLimit: 500,
+    expiryDate: new Date("2027-01-01"),
+  };
+  let inserted;
+
+  beforeEach(() => {
+    inserted = [];
+    jest.spyOn(Coupon, "findById").mockReturnValue(mockQuery(template));
+    jest.spyOn(Coupon, "find").mockReturnValue({ distinct: async () => [] });
+    jest.spyOn(Coupon, "insertMany").mockImplementation(async (docs) => {
+      inserted.push(...docs);
+      return docs;
+    });
+    jest.spyOn(Coupon, "deleteMany").mockResolvedValue({});
+    jest
+      .spyOn(CouponBatch, "create")
+      .mockImplementation(async (data) => ({ _id: batchId, ...data }));
+    jest.spyOn(CouponBatch, "deleteOne").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("generateCouponBatch", () => {
+    it("creates unique single-use codes carrying the template's rules", async () => {
+      await generateCouponBatch({ templateId: template._id, quantity: 1500, prefix: "inf" });
+
+      expect(inserted).toHaveLength(1500);
+      expect(new Set(inserted.map((c) => c.code)).size).toBe(1500);
+      expect(inserted.every((c) => /^INF-[2-9A-HJKMNP-Z]{8}$/.test(c.code))).toBe(true);
+      expect(inserted[0]).toEqual(
+        expect.objectContaining({
+          discountType: "percentage",
+          discountValue: 15,
+          minCartValue: 50,
+          usageLimit: 1,
+          perUserLimit: 1,
+          batch: batchId,
+        })
+      );
+      // Inserted in chunks of 1000
+      expect(Coupon.insertMany).toHaveBeenCalledTimes(2);
+    });
+
+    it("replaces codes that already exist", async () => {
+      const taken = [];
+      Coupon.find.mockImplementationOnce(({ code }) => {
+        taken.push(code.$in[0]);
+        return { distinct: async () => [code.$in[0]] };
+      });
+
+      await generateCouponBatch({ templateId: template._id, quantity: 3, suffixLength: 4 });
+
+      expect(inserted).toHaveLength(3);
+      expect(inserted.map((c) => c.code)).not.toContain(taken[0]);
+      expect(Coupon.find).toHaveBeenCalledTimes(2);
+    });
+
+    it("removes the batch and its codes when inserting fails", async () => {
+      Coupon.insertMany.mockRejectedValue(new Error("write failed"));
+
+      await expect(generateCouponBatch({ templateId: template._id, quantity: 10 })).rejects.toThrow(
+        "write failed"
+      );
+
+      expect(Coupon.deleteMany).toHaveBeenCalledWith({ batch: batchId });
+      expect(CouponBatch.deleteOne).toHaveBeenCalledWith({ _id: batchId });
+    });
+
+    it("rejects bad sizes and prefixes before creating anything", async () => {
+      for (const params of [{ quantity: 10001 }, { quantity: 5, prefix: "NO-DASH" }]) {
+        await expect(
+          generateCouponBatch({ templateId: template._id, ...params })
+        ).rejects.toMatchObject({ statusCode: 400 });
+      }
+      expect(CouponBatch.create).not.toHaveBeenCalled();
+    });
+  });
+
+  it("exports one CSV row per code with its status and redemption", async () => {
+    const redeemedId = new mongoose.Types.ObjectId();
+    jest.spyOn(CouponBatch, "findById").mockReturnValue(mockQuery({ _id: batchId }));
+    Coupon.find.mockReturnValue(
+      mockQuery([
+        { _id: redeemedId, code: "INF-AAAA", isActive: true, usedCount: 1 },
+        { _id: new mongoose.Types.ObjectId(), code: "INF-BBBB", isActive: false },
+        {
+          _id: new mongoose.Types.ObjectId(),
+          code: "INF-CCCC",
+          isActive: true,
+          assignedAt: new Date("2026-03-01T00:00:00Z"),
+        },
+      ])
+    );
+    jest.spyOn(CouponRedemption, "find").mockReturnValue(
+      mockQuery([
+        {
+          coupon: redeemedId,
+          createdAt: new Date("2026-03-02T00:00:00Z"),
+          order: { orderNumber: "ORD-2026-000001" },
+          email: "a,b@example.com",
+        },
+      ])
+    );
+
+    const { csv } = await exportCouponBatchCsv(batchId);
+
+    expect(csv.split("\n")).toEqual([
+      "code,status,expiry_date,assigned_at,redeemed_at,order_number,email",
+      'INF-AAAA,redeemed,,,2026-03-02T00:00:00.000Z,ORD-2026-000001,"a,b@example.com"',
+      "INF-BBBB,inactive,,,,,",
+      "INF-CCCC,assigned,,2026-03-01T00:00:00.000Z,,,",
+    ]);
+  });
+
+  it("hands out no codes from a deactivated batch", async () => {
+    jest.spyOn(CouponBatch, "findOne").mockReturnValue(mockQuery(null));
+    jest.spyOn(Coupon, "findOneAndUpdate");
+
+    expect(await claimBatchCoupon(batchId)).toBeNull();
+    expect(Coupon.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
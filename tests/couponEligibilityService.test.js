@@ -0,0 +1,129 @@
+const mongoose = require("mongoose");
+const Category = require("../src/models/category.model");
+const Order = require("../src/models/order.model");
+const User = require("../src/models/user.model");
+const {
+  getProductScopeIssue,
+  evaluateCoupon,
+} = require("../src/services/couponEligibilityService");
+const { mockQuery, productId, otherProductId } = require("./helpers");
+
+describe("couponEligibilityService", () => {
+  const accessories = new mongoose.Types.ObjectId();
+  const cables = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+
+  const caseProduct = {
+    _id: productId,
+    name: "Phone case",
+    category: accessories,
+    subCategory: null,
+    brand: "Samsung",
+  };
+  const charger = {
+    _id: otherProductId,
+    name: "Charger",
+    category: accessories,
+    subCategory: cables,
+    brand: "Anker",
+  };
+  const lines = [
+    { product: caseProduct, lineTotal: 80 },
+    { product: charger, lineTotal: 20 },
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("getProductScopeIssue", () => {
+    it("needs every inclusion list to match, brands compared without case", () => {
+      const coupon = { applicableCategories: [accessories], applicableBrands: ["samsung"] };
+
+      expect(getProductScopeIssue(coupon, caseProduct)).toBeNull();
+      expect(getProductScopeIssue(coupon, charger)).toBe("out_of_scope");
+    });
+
+    it("lets an exclusion win, also through the subcategory", () => {
+      const coupon = { applicableCategories: [accessories], excludedCategories: [cables] };
+
+      expect(getProductScopeIssue(coupon, charger)).toBe("excluded");
+      expect(getProductScopeIssue({ excludedProducts: [productId] }, caseProduct)).toBe("excluded");
+    });
+  });
+
+  describe("evaluateCoupon", () => {
+    it("discounts only the eligible lines and checks the minimum against them", async () => {
+      const coupon = { applicableBrands: ["Anker"], minCartValue: 50 };
+
+      const result = await evaluateCoupon(coupon, lines);
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          eligible: false,
+          eligibleSubtotal: 20,
+          eligibleProducts: [String(otherProductId)],
+          message: "Eligible items must total at least 50",
+        })
+      );
+      expect(result.ineligibleItems).toEqual([
+        { product: productId, name: "Phone case", reason: "Not covered by this coupon" },
+      ]);
+    });
+
+    it("names the scope when nothing in the cart qualifies", async () => {
+      jest.spyOn(Category, "find").mockReturnValue(mockQuery([{ name: "Tablets" }]));
+
+      const result = await evaluateCoupon(
+        { applicableBrands: ["Apple"], applicableCategories: [new mongoose.Types.ObjectId()] },
+        lines
+      );
+
+      expect(result.message).toBe("This coupon only applies to Apple products in Tablets");
+    });
+
+    it("leaves deal items out when the coupon says so", async () => {
+      const result = await evaluateCoupon({ excludeDealItems: true }, [
+        { product: caseProduct, lineTotal: 80, onDeal: true },
+      ]);
+
+      expect(result.message).toBe(
+        "This coupon can't be combined with deals on the items in your cart"
+      );
+    });
+
+    it("asks guests to log in for customer-restricted coupons", async () => {
+      const result = await evaluateCoupon({ allowedEmails: ["vip@example.com"] }, lines);
+
+      expect(result.message).toBe("Please log in to use this coupon");
+    });
+
+    it("accepts allowed customers by email and refuses everyone else", async () => {
+      const coupon = { allowedEmails: ["vip@example.com"] };
+      jest
+        .spyOn(User, "findById")
+        .mockReturnValueOnce(mockQuery({ _id: userId, email: "VIP@example.com" }))
+        .mockReturnValueOnce(mockQuery({ _id: userId, email: "someone@example.com" }));
+
+      expect((await evaluateCoupon(coupon, lines, { userId })).eligible).toBe(true);
+      expect((await evaluateCoupon(coupon, lines, { userId })).message).toBe(
+        "This coupon is not available for your account"
+      );
+    });
+
+    it("refuses first-order coupons to customers who ordered before, also as a guest", async () => {
+      jest
+        .spyOn(User, "findById")
+        .mockReturnValue(mockQuery({ _id: userId, email: "buyer@example.com" }));
+      jest.spyOn(Order, "exists").mockResolvedValue(true);
+
+      const result = await evaluateCoupon({ firstOrderOnly: true }, lines, { userId });
+
+      expect(result.message).toBe("This coupon is only valid on your first order");
+      expect(Order.exists).toHaveBeenCalledWith({
+        $or: [{ user: userId }, { "guest.email": "buyer@example.com" }],
+        orderStatus: { $ne: "cancelled" },
+      });
+    });
+  });
+});
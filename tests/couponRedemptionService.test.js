@@ -0,0 +1,124 @@
+const mongoose = require("mongoose");
+const Coupon = require("../src/models/coupon.model");
+const CouponRedemption = require("../src/models/couponRedemption.model");
+const {
+  getCouponLimitIssue,
+  redeemCoupon,
+  releaseCouponRedemption,
+} = require("../src/services/couponRedemptionService");
+const { mockQuery, buildOrder } = require("./helpers");
+
+describe("couponRedemptionService", () => {
+  const userId = new mongoose.Types.ObjectId();
+  const session = { id: "session" };
+  let coupon;
+  let counts;
+
+  beforeEach(() => {
+    coupon = new Coupon({ code: "SAVE10", usageLimit: 100, perUserLimit: 1 });
+    // Active redemptions: overall, and for the customer filter (the second count)
+    counts = { total: 0, customer: 0 };
+    jest
+      .spyOn(CouponRedemption, "countDocuments")
+      .mockImplementation((filter) => mockQuery(filter.$or ? counts.customer : counts.total));
+    jest.spyOn(Coupon, "findById").mockReturnValue(mockQuery(coupon));
+    jest.spyOn(Coupon, "updateOne").mockResolvedValue({});
+    jest
+      .spyOn(CouponRedemption, "create")
+      .mockImplementation(async ([data]) => [{ _id: new mongoose.Types.ObjectId(), ...data }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("getCouponLimitIssue", () => {
+    it("counts the customer's active redemptions by account and checkout email", async () => {
+      counts.customer = 1;
+
+      const issue = await getCouponLimitIssue(coupon, { userId, email: "Buyer@Example.com" });
+
+      expect(issue).toBe("You have already used this coupon");
+      expect(CouponRedemption.countDocuments).toHaveBeenCalledWith({
+        coupon: coupon._id,
+        status: "active",
+        $or: [{ user: userId }, { email: "buyer@example.com" }],
+      });
+    });
+
+    it("stops everyone once the overall limit is reached", async () => {
+      counts.total = 100;
+
+      expect(await getCouponLimitIssue(coupon, { userId })).toBe("Coupon usage limit reached");
+    });
+
+    it("needs a customer for per-customer limits", async () => {
+      expect(await getCouponLimitIssue(coupon)).toBe("Please log in to use this coupon");
+      expect(CouponRedemption.countDocuments).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("redeemCoupon", () => {
+    it("records the use in the order's session and bumps the coupon counters", async () => {
+      const order = buildOrder({ discount: 10, totalAmount: 100 });
+
+      const redemption = await redeemCoupon(
+        { couponId: coupon._id, order, userId, email: "buyer@example.com" },
+        session
+      );
+
+      expect(redemption).toEqual(
+        expect.objectContaining({ order: order._id, user: userId, discount: 10, orderTotal: 100 })
+      );
+      expect(CouponRedemption.create).toHaveBeenCalledWith(expect.any(Array), { session });
+      expect(Coupon.updateOne).toHaveBeenCalledWith(
+        { _id: coupon._id },
+        { $inc: { usedCount: 1, [`userUsage.${userId}`]: 1 } },
+        { session }
+      );
+    });
+
+    it("refuses a use beyond the limits without recording it", async () => {
+      counts.customer = 1;
+
+      await expect(
+        redeemCoupon({ couponId: coupon._id, order: buildOrder(), userId }, session)
+      ).rejects.toMatchObject({ statusCode: 400, message: "You have already used this coupon" });
+      expect(CouponRedemption.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("releaseCouponRedemption", () => {
+    it("releases the active redemption and rolls the counters back", async () => {
+      const order = buildOrder();
+      jest
+        .spyOn(CouponRedemption, "findOneAndUpdate")
+        .mockResolvedValue({ coupon: coupon._id, user: userId });
+
+      await releaseCouponRedemption(order, "cancelled", session);
+
+      const [filter, update] = CouponRedemption.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ order: order._id, status: "active" });
+      expect(update.$set).toEqual(
+        expect.objectContaining({ status: "released", releaseReason: "cancelled" })
+      );
+      expect(Coupon.updateOne).toHaveBeenCalledWith(
+        { _id: coupon._id, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } },
+        { session }
+      );
+      expect(Coupon.updateOne).toHaveBeenCalledWith(
+        { _id: coupon._id, [`userUsage.${userId}`]: { $gt: 0 } },
+        { $inc: { [`userUsage.${userId}`]: -1 } },
+        { session }
+      );
+    });
+
+    it("does nothing for an order whose use was already released", async () => {
+      jest.spyOn(CouponRedemption, "findOneAndUpdate").mockResolvedValue(null);
+
+      expect(await releaseCouponRedemption(buildOrder(), "refunded")).toBeNull();
+      expect(Coupon.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
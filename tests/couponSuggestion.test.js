@@ -0,0 +1,104 @@
+jest.mock("../src/utils/calculateCartTotals");
+jest.mock("../src/services/couponRedemptionService");
+
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const Cart = require("../src/models/cart.model");
+const Coupon = require("../src/models/coupon.model");
+const calculateCartTotals = require("../src/utils/calculateCartTotals");
+const { getCouponLimitIssue } = require("../src/services/couponRedemptionService");
+const cartController = require("../src/controllers/cart.controller");
+const errorHandler = require("../src/middleware/error");
+const { mockQuery, productId } = require("./helpers");
+
+const { calculateTotalsFromItems } = calculateCartTotals;
+
+const app = express();
+app.use((req, res, next) => {
+  req.cartOwner = { user: null, guestToken: "guest-token", filter: { guestToken: "guest-token" } };
+  next();
+});
+app.get("/api/v1/cart/eligible-coupons", cartController.getEligibleCoupons);
+app.post("/api/v1/cart/apply-best-coupon", cartController.applyBestCoupon);
+app.use(errorHandler);
+
+const coupon = (code) => ({ _id: new mongoose.Types.ObjectId(), code, discountType: "fixed" });
+const TEN = coupon("TEN");
+const FIVE = coupon("FIVE");
+const MINIMUM = coupon("MINIMUM");
+
+// 100 without a coupon; each coupon takes its saving off, MINIMUM needs a bigger cart
+const totalsFor = (couponDoc) => {
+  if (!couponDoc) return { finalTotal: 100, validCoupon: false };
+  const code = couponDoc.code || [TEN, FIVE, MINIMUM].find((c) => c._id.equals(couponDoc)).code;
+  if (code === "MINIMUM") {
+    return {
+      finalTotal: 100,
+      validCoupon: false,
+      couponIssue: { message: "Minimum cart value is 200" },
+    };
+  }
+  return { finalTotal: code === "TEN" ? 90 : 95, validCoupon: true };
+};
+
+describe("coupon suggestions", () => {
+  let cart;
+
+  beforeEach(() => {
+    cart = new Cart({ guestToken: "guest-token", items: [{ product: productId, quantity: 1 }] });
+    jest.spyOn(cart, "save").mockResolvedValue(cart);
+    jest.spyOn(Cart, "findOne").mockReturnValue(mockQuery(cart));
+    jest.spyOn(Coupon, "find").mockReturnValue(mockQuery([FIVE, MINIMUM, TEN]));
+    calculateTotalsFromItems.mockImplementation(async (items, couponDoc) => totalsFor(couponDoc));
+    calculateCartTotals.mockImplementation(async (c) => c);
+    getCouponLimitIssue.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it("ranks eligible coupons by saving and explains the rest, without touching the cart", async () => {
+    const res = await request(app).get("/api/v1/cart/eligible-coupons?autoApply=true");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.coupons.map((c) => [c.coupon.code, c.eligible, c.savings])).toEqual([
+      ["TEN", true, 10],
+      ["FIVE", true, 5],
+      ["MINIMUM", false, 0],
+    ]);
+    expect(res.body.data.coupons[2].message).toBe("Minimum cart value is 200");
+    expect(res.body.data.best.coupon.code).toBe("TEN");
+    expect(cart.save).not.toHaveBeenCalled();
+  });
+
+  it("leaves out coupons the customer has used up", async () => {
+    getCouponLimitIssue.mockImplementation(async (c) =>
+      c.code === "TEN" ? "You have already used this coupon" : null
+    );
+
+    const res = await request(app).get("/api/v1/cart/eligible-coupons");
+
+    expect(res.body.data.best.coupon.code).toBe("FIVE");
+  });
+
+  it("applies the best coupon on POST", async () => {
+    const res = await request(app).post("/api/v1/cart/apply-best-coupon");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.applied).toBe("TEN");
+    expect(String(cart.coupon)).toBe(TEN._id.toString());
+    expect(cart.save).toHaveBeenCalled();
+  });
+
+  it("keeps a coupon on the cart that already saves as much", async () => {
+    cart.coupon = TEN._id;
+
+    const res = await request(app).post("/api/v1/cart/apply-best-coupon");
+
+    expect(res.body.data.applied).toBeNull();
+    expect(cart.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,73 @@
+jest.mock("../src/services/stockReservationService");
+jest.mock("../src/services/abandonedCartService");
+jest.mock("../src/services/buyNowService");
+
+const express = require("express");
+const request = require("supertest");
+const cronRoutes = require("../src/routes/cron.routes");
+const errorHandler = require("../src/middleware/error");
+const { sweepExpiredReservations } = require("../src/services/stockReservationService");
+const { sendAbandonedCartReminders } = require("../src/services/abandonedCartService");
+const { expireBuyNowSessions } = require("../src/services/buyNowService");
+
+const app = express();
+app.use("/api/v1/cron", cronRoutes);
+app.use(errorHandler);
+
+describe("cron endpoints", () => {
+  const secret = process.env.CRON_SECRET;
+
+  beforeEach(() => {
+    process.env.CRON_SECRET = "test-cron-secret";
+  });
+
+  afterEach(() => {
+    if (secret === undefined) delete process.env.CRON_SECRET;
+    else process.env.CRON_SECRET = secret;
+    jest.clearAllMocks();
+  });
+
+  it("runs the reservation sweep for Vercel Cron", async () => {
+    sweepExpiredReservations.mockResolvedValue({ cancelled: 2, skipped: 1, released: 3 });
+
+    const res = await request(app)
+      .get("/api/v1/cron/reservations")
+      .set("Authorization", "Bearer test-cron-secret");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ cancelled: 2, skipped: 1, released: 3 });
+  });
+
+  it("runs the abandoned-cart and buy-now jobs", async () => {
+    sendAbandonedCartReminders.mockResolvedValue({ sent: 1, skipped: 0, failed: 0 });
+    expireBuyNowSessions.mockResolvedValue({ expired: 4, expiryHours: 24 });
+
+    const carts = await request(app)
+      .get("/api/v1/cron/abandoned-carts")
+      .set("Authorization", "Bearer test-cron-secret");
+    const buyNow = await request(app)
+      .get("/api/v1/cron/buy-now")
+      .set("Authorization", "Bearer test-cron-secret");
+
+    expect(carts.status).toBe(200);
+    expect(buyNow.body.data.expired).toBe(4);
+  });
+
+  it("rejects calls without the secret", async () => {
+    const res = await request(app)
+      .get("/api/v1/cron/reservations")
+      .set("Authorization", "Bearer wrong");
+
+    expect(res.status).toBe(401);
+    expect(sweepExpiredReservations).not.toHaveBeenCalled();
+  });
+
+  it("stays closed when no secret is configured", async () => {
+    delete process.env.CRON_SECRET;
+
+    const res = await request(app).get("/api/v1/cron/buy-now").set("Authorization", "Bearer ");
+
+    expect(res.status).toBe(503);
+    expect(expireBuyNowSessions).not.toHaveBeenCalled();
+  });
+});
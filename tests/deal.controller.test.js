@@ -0,0 +1,106 @@
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const Deal = require("../src/models/deal.model");
+const dealController = require("../src/controllers/deal.controller");
+const errorHandler = require("../src/middleware/error");
+const { mockQuery } = require("./helpers");
+
+const app = express();
+app.use(express.json());
+app.put("/api/v1/deals/:id", dealController.updateDeal);
+app.use(errorHandler);
+
+describe("updateDeal", () => {
+  let deal;
+
+  const buildDeal = (overrides = {}) =>
+    Deal.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      __v: 0,
+      title: "Weekend deal",
+      startDate: new Date("2026-01-01"),
+      endDate: new Date("2027-01-01"),
+      dealVariant: "MAIN",
+      ...overrides,
+    });
+
+  const updateDeal = (body) => {
+    jest
+      .spyOn(Deal, "findById")
+      .mockResolvedValueOnce(deal)
+      .mockImplementationOnce(() => mockQuery(deal));
+    // The document must still pass the schema's own checks once the type has changed
+    jest.spyOn(Deal.prototype, "save").mockImplementation(async function save() {
+      const error = this.validateSync();
+      if (error) throw error;
+      return this;
+    });
+    return request(app).put(`/api/v1/deals/${deal._id}`).send(body);
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("drops discountValue when an item-level deal becomes a cart-level one", async () => {
+    deal = buildDeal({ discountType: "percentage", discountValue: 20 });
+
+    const res = await updateDeal({
+      discountType: "tiered",
+      tiers: [{ minQuantity: 3, discountPercent: 10 }],
+    });
+
+    expect(res.status).toBe(200);
+    expect(deal.discountType).toBe("tiered");
+    expect(deal.discountValue).toBeUndefined();
+    expect(deal.toObject().tiers).toEqual([{ minQuantity: 3, discountPercent: 10 }]);
+    expect(deal.buyQuantity).toBeUndefined();
+  });
+
+  it("drops the cart rules when a cart-level deal becomes an item-level one", async () => {
+    deal = buildDeal({
+      discountType: "tiered",
+      tiers: [{ minQuantity: 3, discountPercent: 10 }],
+    });
+
+    const res = await updateDeal({ discountType: "flat", discountValue: 5 });
+
+    expect(res.status).toBe(200);
+    expect(deal.discountValue).toBe(5);
+    expect(deal.tiers).toBeUndefined();
+    expect(deal.getDiscountPercent).toBeUndefined();
+  });
+
+  it("keeps the stored rules when the type does not change", async () => {
+    deal = buildDeal({
+      discountType: "tiered",
+      tiers: [{ minQuantity: 3, discountPercent: 10 }],
+    });
+
+    const res = await updateDeal({ title: "Bulk deal" });
+
+    expect(res.status).toBe(200);
+    expect(deal.title).toBe("Bulk deal");
+    expect(deal.toObject().tiers).toEqual([{ minQuantity: 3, discountPercent: 10 }]);
+  });
+
+  it("checks cart rules together with the stored ones", async () => {
+    deal = buildDeal({ discountType: "buy_x_get_y", buyQuantity: 2, getQuantity: 1 });
+
+    const duplicateTiers = await updateDeal({
+      discountType: "tiered",
+      tiers: [
+        { minQuantity: 3, discountPercent: 10 },
+        { minQuantity: 3, discountPercent: 15 },
+      ],
+    });
+    const noReward = await updateDeal({ getQuantity: 0 });
+
+    expect(duplicateTiers.status).toBe(400);
+    expect(duplicateTiers.body.message).toBe("Tiers must have different minQuantity values");
+    expect(noReward.status).toBe(400);
+    expect(deal.discountType).toBe("buy_x_get_y");
+    expect(Deal.prototype.save).not.toHaveBeenCalled();
+  });
+});
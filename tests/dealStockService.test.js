@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+const Deal = require("../src/models/deal.model");
+const { recordDealSales, releaseDealSales } = require("../src/services/dealStockService");
+const { mockQuery } = require("./helpers");
+
+describe("dealStockService", () => {
+  const dealId = new mongoose.Types.ObjectId();
+  const otherDealId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("recordDealSales", () => {
+    it("counts each deal's units once, only up to its stock cap", async () => {
+      jest.spyOn(Deal, "findOneAndUpdate").mockResolvedValue({ _id: dealId });
+
+      await recordDealSales([
+        { appliedDealId: dealId, quantity: 2 },
+        { appliedDealId: dealId, quantity: 1 },
+        { appliedDealId: otherDealId, quantity: 5, dealQuantity: 2 },
+        { appliedDealId: null, quantity: 4 },
+      ]);
+
+      expect(Deal.findOneAndUpdate).toHaveBeenCalledTimes(2);
+      const [filter, update] = Deal.findOneAndUpdate.mock.calls[0];
+      expect(filter._id).toBe(String(dealId));
+      // The conditional increment is what stops two checkouts taking the same last units
+      expect(filter.$or[1].$expr.$lte[0].$add[1]).toBe(3);
+      expect(update).toEqual({ $inc: { unitsSold: 3 } });
+      // Only the units charged the deal price count against a capped deal
+      expect(Deal.findOneAndUpdate.mock.calls[1][1]).toEqual({ $inc: { unitsSold: 2 } });
+    });
+
+    it("fails with 409 and the units left when the cap has been reached meanwhile", async () => {
+      jest.spyOn(Deal, "findOneAndUpdate").mockResolvedValue(null);
+      jest
+        .spyOn(Deal, "findById")
+        .mockImplementation(() => mockQuery({ title: "Flash sale", stockCap: 10, unitsSold: 8 }));
+
+      await expect(recordDealSales([{ appliedDealId: dealId, quantity: 3 }])).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Only 2 left at the "Flash sale" price, please update your cart',
+      });
+    });
+
+    it("reports a sold-out deal", async () => {
+      jest.spyOn(Deal, "findOneAndUpdate").mockResolvedValue(null);
+      jest
+        .spyOn(Deal, "findById")
+        .mockImplementation(() => mockQuery({ title: "Flash sale", stockCap: 10, unitsSold: 10 }));
+
+      await expect(recordDealSales([{ appliedDealId: dealId, quantity: 1 }])).rejects.toThrow(
+        "has sold out"
+      );
+    });
+
+    it("ignores deals deleted since the cart was priced", async () => {
+      jest.spyOn(Deal, "findOneAndUpdate").mockResolvedValue(null);
+      jest.spyOn(Deal, "findById").mockImplementation(() => mockQuery(null));
+
+      await expect(recordDealSales([{ appliedDealId: dealId, quantity: 1 }])).resolves.toBeUndefined();
+    });
+  });
+
+  describe("releaseDealSales", () => {
+    it("gives back the units of a cancelled order", async () => {
+      jest.spyOn(Deal, "updateOne").mockResolvedValue({ nModified: 1 });
+      const session = {};
+
+      await releaseDealSales(
+        { items: [{ appliedDealId: dealId, quantity: 4, dealQuantity: 3 }] },
+        session
+      );
+
+      expect(Deal.updateOne).toHaveBeenCalledWith(
+        { _id: String(dealId), unitsSold: { $gte: 3 } },
+        { $inc: { unitsSold: -3 } },
+        { session }
+      );
+    });
+  });
+});
@@ -0,0 +1,146 @@
+jest.mock("../src/utils/email");
+
+const express = require("express");
+const request = require("supertest");
+const cookieParser = require("cookie-parser");
+const Order = require("../src/models/order.model");
+const sendEmail = require("../src/utils/email");
+const orderController = require("../src/controllers/order.controller");
+const errorHandler = require("../src/middleware/error");
+const { resolveCartOwner } = require("../src/middleware/cartOwner.middleware");
+const { signGuestClaimToken } = require("../src/utils/token");
+const { mockQuery, buildOrder } = require("./helpers");
+
+const guestEmail = "guest@example.com";
+const account = { _id: "64b000000000000000000001", email: "Guest@Example.com" };
+
+const app = express();
+app.use(express.json());
+app.post("/api/v1/orders/guest/lookup", orderController.lookupGuestOrder);
+app.post("/api/v1/orders/guest/claim-link", orderController.requestGuestClaim);
+app.post(
+  "/api/v1/orders/claim",
+  (req, res, next) => {
+    req.user = account;
+    next();
+  },
+  orderController.claimOrders
+);
+app.use(errorHandler);
+
+describe("guest orders", () => {
+  const secret = process.env.JWT_SECRET;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = "test-jwt-secret";
+  });
+
+  afterAll(() => {
+    if (secret === undefined) delete process.env.JWT_SECRET;
+    else process.env.JWT_SECRET = secret;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  const guestOrder = () =>
+    buildOrder({
+      user: null,
+      guest: { email: guestEmail, phone: "+34 600 000 000" },
+      statusHistory: [{ type: "order", to: "processing", actor: "system", actorUser: null }],
+    });
+
+  it("looks an order up by number and checkout email, keeping payment ids private", async () => {
+    jest.spyOn(Order, "findOne").mockReturnValue(mockQuery(guestOrder()));
+
+    const res = await request(app)
+      .post("/api/v1/orders/guest/lookup")
+      .send({ orderNumber: " ORD-2026-000001 ", email: "Guest@Example.com" });
+
+    expect(res.status).toBe(200);
+    expect(Order.findOne).toHaveBeenCalledWith({
+      orderNumber: "ORD-2026-000001",
+      "guest.email": guestEmail,
+    });
+    expect(res.body.data.order.paymentIntentId).toBeUndefined();
+    expect(res.body.data.order.statusHistory[0]).not.toHaveProperty("actorUser");
+  });
+
+  it("emails the claim link to the checkout address only", async () => {
+    jest.spyOn(Order, "findOne").mockResolvedValue(guestOrder());
+
+    const res = await request(app)
+      .post("/api/v1/orders/guest/claim-link")
+      .send({ orderNumber: "ORD-2026-000001", email: guestEmail });
+
+    expect(res.status).toBe(200);
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ email: guestEmail }));
+  });
+
+  it("answers the same for an order that does not match, without emailing", async () => {
+    jest.spyOn(Order, "findOne").mockResolvedValue(null);
+
+    const res = await request(app)
+      .post("/api/v1/orders/guest/claim-link")
+      .send({ orderNumber: "ORD-2026-000001", email: "someone@example.com" });
+
+    expect(res.status).toBe(200);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it("claims the guest orders of the address the token was sent to", async () => {
+    jest.spyOn(Order, "updateMany").mockResolvedValue({ nModified: 2 });
+
+    const res = await request(app)
+      .post("/api/v1/orders/claim")
+      .send({ claimToken: signGuestClaimToken(guestEmail) });
+
+    expect(res.status).toBe(200);
+    expect(Order.updateMany).toHaveBeenCalledWith(
+      { user: null, "guest.email": guestEmail },
+      { $set: { user: account._id } }
+    );
+  });
+
+  it("refuses a token sent to another address, or a forged one", async () => {
+    jest.spyOn(Order, "updateMany");
+
+    const other = await request(app)
+      .post("/api/v1/orders/claim")
+      .send({ claimToken: signGuestClaimToken("someone@example.com") });
+    const forged = await request(app).post("/api/v1/orders/claim").send({ claimToken: "nope" });
+
+    expect(other.status).toBe(403);
+    expect(forged.status).toBe(400);
+    expect(Order.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe("guest cart cookie", () => {
+  const cookieApp = express();
+  cookieApp.use(cookieParser("test-cookie-secret"));
+  cookieApp.get("/owner", resolveCartOwner, (req, res) => res.json(req.cartOwner));
+
+  it("gives a new guest a token in a signed cookie and recognises it afterwards", async () => {
+    const first = await request(cookieApp).get("/owner");
+    const [cookie] = first.headers["set-cookie"];
+
+    const again = await request(cookieApp).get("/owner").set("Cookie", cookie.split(";")[0]);
+
+    expect(cookie).toMatch(/HttpOnly/);
+    expect(again.headers["set-cookie"]).toBeUndefined();
+    expect(again.body.guestToken).toBe(first.body.guestToken);
+    expect(again.body.filter).toEqual({ guestToken: first.body.guestToken, user: null });
+  });
+
+  it("starts a new cart when the cookie was tampered with", async () => {
+    const res = await request(cookieApp)
+      .get("/owner")
+      .set("Cookie", `cart_token=s%3A${"a".repeat(48)}.forged`);
+
+    expect(res.headers["set-cookie"]).toBeDefined();
+    expect(res.body.guestToken).not.toBe("a".repeat(48));
+  });
+});
@@ -0,0 +1,104 @@
+// Offline stand-ins for MongoDB and Stripe shared by the test suites
+const mongoose = require("mongoose");
+const Order = require("../src/models/order.model");
+
+// Chainable query stub resolving to `result` (find/findOne/findById... with lean, populate, etc.)
+const mockQuery = (result) => {
+  const query = {
+    lean: () => query,
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    populate: () => query,
+    session: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return query;
+};
+
+// Transaction session stub; mongoose.startSession resolves to it
+const mockSession = () => {
+  const session = {
+    startTransaction: jest.fn(),
+    commitTransaction: jest.fn().mockResolvedValue(),
+    abortTransaction: jest.fn().mockResolvedValue(),
+    endSession: jest.fn(),
+  };
+  session.withTransaction = jest.fn(async (fn) => fn(session));
+  jest.spyOn(mongoose, "startSession").mockResolvedValue(session);
+  return session;
+};
+
+// Stripe client with only the APIs the order and refund code uses
+const createStripeStub = () => ({
+  paymentIntents: {
+    create: jest.fn(),
+    retrieve: jest.fn().mockResolvedValue({ status: "requires_payment_method" }),
+    cancel: jest.fn().mockResolvedValue({ status: "canceled" }),
+  },
+  refunds: {
+    create: jest.fn(),
+    list: jest.fn(),
+  },
+  webhooks: {
+    // Tests post the event itself as the body
+    constructEvent: jest.fn((body) => JSON.parse(body.toString())),
+  },
+});
+
+// Orders built below, by id, so stubbed queries can find them again
+const builtOrders = new Map();
+
+const productId = new mongoose.Types.ObjectId();
+const otherProductId = new mongoose.Types.ObjectId();
+
+/**
+ * A saved card order: 2 x 40 + 1 x 20 = 100 merchandise, 10 shipping, 110 paid
+ * Saves are stubbed, so the document never leaves memory.
+ */
+const buildOrder = (overrides = {}) => {
+  const order = Order.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    __v: 0,
+    orderNumber: "ORD-2026-000001",
+    trackingNumber: "TRK-00001-ABCDEF",
+    user: new mongoose.Types.ObjectId(),
+    paymentMethod: "stripe",
+    paymentIntentId: "pi_test_123",
+    paymentStatus: "paid",
+    orderStatus: "processing",
+    items: [
+      { product: productId, name: "Phone case", price: 40, quantity: 2 },
+      { product: otherProductId, name: "Charger", price: 20, quantity: 1 },
+    ],
+    subtotal: 100,
+    shippingFee: 10,
+    totalAmount: 110,
+    refunds: [],
+    statusHistory: [],
+    ...overrides,
+  });
+  jest.spyOn(order, "save").mockResolvedValue(order);
+  builtOrders.set(order._id.toString(), order);
+  return order;
+};
+
+// Refund claims ($push onto a built order) succeed unless the test says otherwise
+const mockRefundClaim = () =>
+  jest.spyOn(Order, "findOneAndUpdate").mockImplementation((filter, update) => {
+    const order = builtOrders.get(String(filter._id));
+    if (!order) return mockQuery(null);
+    const stored = order.toObject({ depopulate: true, virtuals: false });
+    stored.refunds.push(update.$push.refunds);
+    return mockQuery(stored);
+  });
+
+module.exports = {
+  mockQuery,
+  mockSession,
+  createStripeStub,
+  buildOrder,
+  mockRefundClaim,
+  productId,
+  otherProductId,
+};
@@ -0,0 +1,135 @@
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const IdempotencyKey = require("../src/models/idempotencyKey.model");
+const { idempotent } = require("../src/middleware/idempotency.middleware");
+const errorHandler = require("../src/middleware/error");
+const { mockQuery } = require("./helpers");
+
+const userId = new mongoose.Types.ObjectId();
+
+// In-memory stand-in for the idempotency key collection
+const createKeyStore = () => {
+  const docs = [];
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(
+      ([field, value]) => String(doc[field] ?? null) === String(value ?? null)
+    );
+  const find = (filter) => docs.find((doc) => matches(doc, filter)) || null;
+
+  jest.spyOn(IdempotencyKey, "create").mockImplementation(async (data) => {
+    if (find({ scope: data.scope, key: data.key })) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    const doc = {
+      _id: new mongoose.Types.ObjectId(),
+      status: "processing",
+      createdAt: new Date(),
+      ...data,
+    };
+    docs.push(doc);
+    return doc;
+  });
+  jest.spyOn(IdempotencyKey, "findOne").mockImplementation((filter) => {
+    const doc = find(filter);
+    return mockQuery(doc && { ...doc, deleteOne: async () => docs.splice(docs.indexOf(doc), 1) });
+  });
+  jest.spyOn(IdempotencyKey, "findOneAndUpdate").mockImplementation((filter, update) => {
+    const doc = find(filter);
+    if (doc) Object.assign(doc, update);
+    return mockQuery(doc && { ...doc });
+  });
+  jest.spyOn(IdempotencyKey, "updateOne").mockImplementation(async (filter, update) => {
+    const doc = find(filter);
+    if (doc) Object.assign(doc, update);
+  });
+  jest.spyOn(IdempotencyKey, "deleteOne").mockImplementation(async (filter) => {
+    const doc = find(filter);
+    if (doc) docs.splice(docs.indexOf(doc), 1);
+  });
+
+  return docs;
+};
+
+describe("idempotency middleware", () => {
+  let app;
+  let handler;
+  let keys;
+
+  beforeEach(() => {
+    keys = createKeyStore();
+    handler = jest.fn((req, res) => res.status(201).json({ order: handler.mock.calls.length }));
+    app = express();
+    app.use(express.json());
+    app.post(
+      "/api/v1/orders",
+      (req, res, next) => {
+        req.user = { _id: userId };
+        next();
+      },
+      idempotent,
+      (req, res) => handler(req, res)
+    );
+    app.use(errorHandler);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const placeOrder = (key, body = { addressId: "a1" }) =>
+    request(app).post("/api/v1/orders").set("Idempotency-Key", key).send(body);
+
+  it("replays the stored response for a repeated key", async () => {
+    const first = await placeOrder("k-1");
+    const second = await placeOrder("k-1");
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(second.status).toBe(201);
+    expect(second.headers["idempotent-replayed"]).toBe("true");
+    expect(second.body).toEqual(first.body);
+  });
+
+  it("rejects a key reused with another payload", async () => {
+    await placeOrder("k-2");
+    const res = await placeOrder("k-2", { addressId: "a2" });
+
+    expect(res.status).toBe(422);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  // The first request got the key but has not answered (still running, or crashed)
+  const leaveProcessing = async (key, lockedAt) => {
+    await placeOrder(key);
+    Object.assign(keys[0], { status: "processing", lockedAt });
+  };
+
+  it("refuses a retry while the first request still holds the key", async () => {
+    await leaveProcessing("k-3", new Date());
+
+    const res = await placeOrder("k-3");
+
+    expect(res.status).toBe(409);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("lets a retry take over a key whose request died", async () => {
+    await leaveProcessing("k-4", new Date(Date.now() - 120 * 1000));
+
+    const res = await placeOrder("k-4");
+
+    expect(res.status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(keys[0]).toMatchObject({ status: "completed", responseStatus: 201 });
+  });
+
+  it("forgets 5xx responses so the client can retry", async () => {
+    handler.mockImplementationOnce((req, res) => res.status(500).json({ error: "boom" }));
+
+    await placeOrder("k-5");
+    expect(keys).toHaveLength(0);
+
+    const res = await placeOrder("k-5");
+    expect(res.status).toBe(201);
+  });
+});
@@ -0,0 +1,181 @@
+const mongoose = require("mongoose");
+const Product = require("../src/models/product.model");
+const InventoryMovement = require("../src/models/inventoryMovement.model");
+const ReturnRequest = require("../src/models/returnRequest.model");
+const { restoreOrderStock, adjustStock, deductItem } = require("../src/services/inventoryService");
+const { mockQuery, buildOrder, productId, otherProductId } = require("./helpers");
+
+describe("inventoryService.restoreOrderStock", () => {
+  let products;
+
+  beforeEach(() => {
+    products = new Map(
+      [productId, otherProductId].map((id) => {
+        const product = new Product({ _id: id, product_type: "simple", quantity: 5 });
+        jest.spyOn(product, "save").mockResolvedValue(product);
+        return [id.toString(), product];
+      })
+    );
+    jest.spyOn(Product, "findById").mockImplementation((id) => mockQuery(products.get(String(id))));
+    jest.spyOn(InventoryMovement, "create").mockResolvedValue([{}]);
+    jest.spyOn(ReturnRequest, "find").mockReturnValue(mockQuery([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("puts every unit of the order back", async () => {
+    await restoreOrderStock(buildOrder());
+
+    expect(products.get(productId.toString()).quantity).toBe(7);
+    expect(products.get(otherProductId.toString()).quantity).toBe(6);
+  });
+
+  it("skips units a refund already restocked", async () => {
+    const order = buildOrder({
+      refunds: [
+        {
+          amount: 40,
+          status: "succeeded",
+          restock: true,
+          restocked: true,
+          items: [{ product: productId, quantity: 1, amount: 40 }],
+        },
+        // Still pending: its units were never put back
+        {
+          amount: 20,
+          status: "pending",
+          restock: true,
+          items: [{ product: otherProductId, quantity: 1, amount: 20 }],
+        },
+      ],
+    });
+
+    await restoreOrderStock(order);
+
+    expect(products.get(productId.toString()).quantity).toBe(6);
+    expect(products.get(otherProductId.toString()).quantity).toBe(6);
+  });
+
+  it("skips units restocked by a completed return inspection", async () => {
+    ReturnRequest.find.mockReturnValue(
+      mockQuery([
+        {
+          items: [
+            { product: productId, quantity: 2, resolution: "restock" },
+            { product: otherProductId, quantity: 1, resolution: "write_off" },
+          ],
+        },
+      ])
+    );
+
+    await restoreOrderStock(buildOrder());
+
+    expect(ReturnRequest.find).toHaveBeenCalledWith(
+      expect.objectContaining({ status: "completed" })
+    );
+    expect(products.get(productId.toString()).save).not.toHaveBeenCalled();
+    expect(products.get(otherProductId.toString()).quantity).toBe(6);
+  });
+
+  it("puts variant units back on the variant that was bought", async () => {
+    const product = new Product({
+      _id: productId,
+      product_type: "variable",
+      variants: [
+        { sku: "CASE-BLK", color: "Black", stock: 3 },
+        { sku: "CASE-RED", color: "Red", stock: 1 },
+      ],
+    });
+    jest.spyOn(product, "save").mockResolvedValue(product);
+    products.set(productId.toString(), product);
+    const [black, red] = product.variants;
+
+    await restoreOrderStock(
+      buildOrder({
+        items: [
+          {
+            product: productId,
+            name: "Phone case",
+            price: 40,
+            quantity: 2,
+            variantId: String(red._id),
+          },
+          // Lines of variable products with no known variant are left alone
+          { product: productId, name: "Phone case", price: 40, quantity: 1 },
+        ],
+      })
+    );
+
+    expect(red.stock).toBe(3);
+    expect(black.stock).toBe(3);
+    expect(product.save).toHaveBeenCalledTimes(1);
+    expect(InventoryMovement.create).toHaveBeenCalledWith(
+      [expect.objectContaining({ variantId: String(red._id), sku: "CASE-RED", delta: 2 })],
+      expect.anything()
+    );
+  });
+});
+
+describe("inventoryService ledger", () => {
+  let product;
+
+  beforeEach(() => {
+    product = new Product({ _id: productId, product_type: "simple", quantity: 2, salesCount: 4 });
+    jest.spyOn(product, "save").mockResolvedValue(product);
+    jest.spyOn(Product, "findById").mockImplementation(() => mockQuery(product));
+    jest.spyOn(InventoryMovement, "create").mockImplementation(async ([movement]) => [movement]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("records an adjustment with the stock left after it", async () => {
+    const { movement } = await adjustStock({
+      productId,
+      delta: -2,
+      reasonCode: "damaged",
+      note: "Dropped in the warehouse",
+    });
+
+    expect(product.quantity).toBe(0);
+    expect(product.in_stock).toBe(false);
+    expect(movement).toEqual(
+      expect.objectContaining({
+        product: productId,
+        delta: -2,
+        balance: 0,
+        reason: "adjustment",
+        reasonCode: "damaged",
+      })
+    );
+  });
+
+  it("refuses adjustments that would make stock negative, without a ledger entry", async () => {
+    await expect(adjustStock({ productId, delta: -3, reasonCode: "lost" })).rejects.toMatchObject({
+      statusCode: 400,
+    });
+
+    expect(product.save).not.toHaveBeenCalled();
+    expect(InventoryMovement.create).not.toHaveBeenCalled();
+  });
+
+  it("records sales against the order they went to", async () => {
+    const orderId = new mongoose.Types.ObjectId();
+
+    await deductItem({ productId, quantity: 2, order: orderId });
+
+    expect(product.salesCount).toBe(6);
+    expect(InventoryMovement.create).toHaveBeenCalledWith(
+      [expect.objectContaining({ delta: -2, balance: 0, reason: "sale", order: orderId })],
+      expect.anything()
+    );
+  });
+
+  it("never lets a movement be edited or removed", async () => {
+    await expect(InventoryMovement.updateOne({}, { delta: 1 })).rejects.toThrow("append-only");
+    await expect(InventoryMovement.deleteMany({})).rejects.toThrow("append-only");
+  });
+});
@@ -0,0 +1,100 @@
+jest.mock("../src/services/sequenceService");
+
+const Order = require("../src/models/order.model");
+const { nextYearlyNumber } = require("../src/services/sequenceService");
+const {
+  issueInvoice,
+  buildInvoiceLines,
+  renderInvoice,
+} = require("../src/services/invoiceService");
+const { mockQuery, mockSession, buildOrder } = require("./helpers");
+
+describe("invoiceService", () => {
+  let session;
+
+  beforeEach(() => {
+    session = mockSession();
+    nextYearlyNumber.mockResolvedValue("INV-2026-000001");
+    jest.spyOn(Order, "findById").mockImplementation(() => mockQuery({ invoice: {} }));
+    jest.spyOn(Order, "updateOne").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe("issueInvoice", () => {
+    it("takes the next number in the same transaction as the order update", async () => {
+      const order = buildOrder();
+
+      await issueInvoice(order);
+
+      expect(order.invoice.number).toBe("INV-2026-000001");
+      expect(nextYearlyNumber).toHaveBeenCalledWith("invoice", "INV", { session });
+      expect(Order.updateOne).toHaveBeenCalledWith(
+        { _id: order._id },
+        { invoice: expect.objectContaining({ number: "INV-2026-000001" }) },
+        { session }
+      );
+    });
+
+    it("keeps the number an order already has", async () => {
+      const order = buildOrder({ invoice: { number: "INV-2025-000042", issuedAt: new Date() } });
+
+      await issueInvoice(order);
+
+      expect(order.invoice.number).toBe("INV-2025-000042");
+      expect(nextYearlyNumber).not.toHaveBeenCalled();
+    });
+
+    it("uses the number a concurrent request issued first", async () => {
+      Order.findById.mockImplementation(() =>
+        mockQuery({ invoice: { number: "INV-2026-000007", issuedAt: new Date() } })
+      );
+      const order = buildOrder();
+
+      await issueInvoice(order);
+
+      expect(order.invoice.number).toBe("INV-2026-000007");
+      expect(nextYearlyNumber).not.toHaveBeenCalled();
+      expect(Order.updateOne).not.toHaveBeenCalled();
+    });
+
+    it("refuses cancelled orders and card orders that are not paid", async () => {
+      await expect(issueInvoice(buildOrder({ orderStatus: "cancelled" }))).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      await expect(issueInvoice(buildOrder({ paymentStatus: "pending" }))).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      expect(nextYearlyNumber).not.toHaveBeenCalled();
+    });
+  });
+
+  it("taxes each line at its stored rate, falling back to the product's", () => {
+    // Orders placed before rates were stored carry the product's tax through populate
+    const order = {
+      items: [
+        { name: "Phone case", price: 40, quantity: 2, taxRate: 15, product: { tax: 5 } },
+        { name: "Charger", price: 20, quantity: 1, taxRate: null, product: { tax: 5 } },
+      ],
+      shippingFee: 10,
+      totalAmount: 110,
+    };
+
+    const { lines, totals } = buildInvoiceLines(order);
+
+    expect(lines.map((l) => l.tax)).toEqual([12, 1]);
+    expect(totals).toEqual(
+      expect.objectContaining({ subtotal: 100, taxTotal: 13, shippingFee: 10, totalAmount: 110 })
+    );
+  });
+
+  it("renders a PDF named after the invoice number", async () => {
+    const { filename, content } = await renderInvoice(buildOrder({ createdAt: new Date() }));
+
+    expect(filename).toBe("INV-2026-000001.pdf");
+    expect(content.slice(0, 4).toString()).toBe("%PDF");
+  });
+});
@@ -0,0 +1,48 @@
+const express = require("express");
+const request = require("supertest");
+const Order = require("../src/models/order.model");
+const orderController = require("../src/controllers/order.controller");
+const errorHandler = require("../src/middleware/error");
+const { mockQuery, buildOrder } = require("./helpers");
+
+const app = express();
+app.get("/api/v1/orders/track/:trackingNumber", orderController.trackOrder);
+app.use(errorHandler);
+
+describe("order tracking", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("shows the timeline without actors or notes", async () => {
+    const order = buildOrder({
+      statusHistory: [
+        {
+          type: "order",
+          from: "processing",
+          to: "shipped",
+          actor: "admin",
+          note: "Courier pickup, call the customer first",
+        },
+        { type: "refund", to: "succeeded", actor: "admin", note: "Refund 40.00: damaged" },
+      ],
+    });
+    jest.spyOn(Order, "findOne").mockReturnValue(mockQuery(order));
+
+    const res = await request(app).get(`/api/v1/orders/track/${order.trackingNumber}`);
+
+    expect(res.status).toBe(200);
+    res.body.data.trackingInfo.timeline.forEach((entry) => {
+      expect(Object.keys(entry).sort()).toEqual(["createdAt", "to", "type"]);
+    });
+    expect(res.body.data.trackingInfo.timeline[0]).toMatchObject({ type: "order", to: "shipped" });
+  });
+
+  it("answers 404 for an unknown tracking number", async () => {
+    jest.spyOn(Order, "findOne").mockReturnValue(mockQuery(null));
+
+    const res = await request(app).get("/api/v1/orders/track/TRK-NOPE");
+
+    expect(res.status).toBe(404);
+  });
+});
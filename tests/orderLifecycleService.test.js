@@ -0,0 +1,199 @@
+jest.mock("../src/utils/email");
+jest.mock("../src/services/stockReservationService");
+jest.mock("../src/services/couponRedemptionService");
+jest.mock("../src/services/dealStockService");
+
+const mongoose = require("mongoose");
+const User = require("../src/models/user.model");
+const { setStripeClient } = require("../src/utils/stripeClient");
+const sendEmail = require("../src/utils/email");
+const { releaseOrderStock } = require("../src/services/stockReservationService");
+const { releaseCouponRedemption } = require("../src/services/couponRedemptionService");
+const { releaseDealSales } = require("../src/services/dealStockService");
+const { canTransition, transitionOrder } = require("../src/services/orderLifecycleService");
+const { mockQuery, mockSession, createStripeStub, buildOrder } = require("./helpers");
+
+describe("orderLifecycleService", () => {
+  let session;
+  let stripe;
+
+  beforeEach(() => {
+    session = mockSession();
+    stripe = createStripeStub();
+    setStripeClient(stripe);
+    jest.spyOn(User, "findById").mockImplementation(() => mockQuery({ email: "a@example.com" }));
+  });
+
+  afterEach(() => {
+    setStripeClient(null);
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe("canTransition", () => {
+    it.each([
+      ["order", "pending", "processing", true],
+      ["order", "processing", "cancelled", true],
+      ["order", "shipped", "cancelled", false],
+      ["order", "delivered", "returned", true],
+      ["order", "cancelled", "processing", false],
+      ["payment", "pending", "paid", true],
+      ["payment", "paid", "partially_refunded", true],
+      ["payment", "refunded", "paid", false],
+    ])("%s: %s -> %s is %s", (type, from, to, allowed) => {
+      expect(canTransition(type, from, to)).toBe(allowed);
+    });
+  });
+
+  describe("transitionOrder", () => {
+    it("rejects illegal moves with 409 and unknown statuses with 400", async () => {
+      const order = buildOrder({ orderStatus: "delivered" });
+
+      await expect(transitionOrder(order, { orderStatus: "processing" })).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      await expect(transitionOrder(order, { orderStatus: "lost" })).rejects.toMatchObject({
+        statusCode: 400,
+      });
+      expect(order.save).not.toHaveBeenCalled();
+    });
+
+    it("records the change on the timeline and settles COD payment on delivery", async () => {
+      const order = buildOrder({
+        paymentMethod: "cod",
+        paymentStatus: "unpaid",
+        orderStatus: "shipped",
+      });
+
+      await transitionOrder(order, { orderStatus: "delivered", actor: "admin" });
+
+      expect(order.orderStatus).toBe("delivered");
+      expect(order.paymentStatus).toBe("paid");
+      expect([...order.statusHistory].map((h) => [h.type, h.from, h.to])).toEqual([
+        ["order", "shipped", "delivered"],
+        ["payment", "unpaid", "paid"],
+      ]);
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ email: "a@example.com" }));
+    });
+
+    it("saves a cancellation and releases stock, coupon and deal units in one transaction", async () => {
+      const order = buildOrder({ paymentStatus: "pending", coupon: new mongoose.Types.ObjectId() });
+
+      await transitionOrder(order, { orderStatus: "cancelled", actor: "customer" });
+
+      expect(order.save).toHaveBeenCalledWith({ session });
+      expect(releaseOrderStock).toHaveBeenCalledWith(order, { user: null, session });
+      expect(releaseCouponRedemption).toHaveBeenCalledWith(order, "cancelled", session);
+      expect(releaseDealSales).toHaveBeenCalledWith(order, session);
+      expect(session.commitTransaction).toHaveBeenCalledTimes(1);
+      expect(session.abortTransaction).not.toHaveBeenCalled();
+    });
+
+    it("gives deal units back on a full refund", async () => {
+      const order = buildOrder({ paymentStatus: "paid", coupon: new mongoose.Types.ObjectId() });
+
+      await transitionOrder(order, { paymentStatus: "refunded", actor: "admin" });
+
+      expect(releaseCouponRedemption).toHaveBeenCalledWith(order, "refunded", session);
+      expect(releaseDealSales).toHaveBeenCalledWith(order, session);
+      expect(releaseOrderStock).not.toHaveBeenCalled();
+    });
+
+    it("keeps deal units counted on a partial refund", async () => {
+      const order = buildOrder({ paymentStatus: "paid" });
+
+      await transitionOrder(order, { paymentStatus: "partially_refunded" });
+
+      expect(releaseDealSales).not.toHaveBeenCalled();
+    });
+
+    it("releases deal units only once for a refunded order that is then cancelled", async () => {
+      const order = buildOrder({ paymentStatus: "paid" });
+      order.refunds.push({ amount: 110, status: "succeeded" });
+
+      await transitionOrder(order, { paymentStatus: "refunded" });
+      await transitionOrder(order, { orderStatus: "cancelled" });
+
+      expect(releaseDealSales).toHaveBeenCalledTimes(1);
+      expect(releaseOrderStock).toHaveBeenCalledTimes(1);
+    });
+
+    it("aborts the status change when a side effect fails, without emailing", async () => {
+      const order = buildOrder({ paymentStatus: "pending" });
+      releaseOrderStock.mockRejectedValueOnce(new Error("stock write failed"));
+
+      await expect(transitionOrder(order, { orderStatus: "cancelled" })).rejects.toThrow(
+        "stock write failed"
+      );
+      expect(session.abortTransaction).toHaveBeenCalled();
+      expect(session.commitTransaction).not.toHaveBeenCalled();
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    it("retries on write conflicts, saving the same changes again", async () => {
+      const order = buildOrder({ paymentStatus: "pending" });
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+      jest.spyOn(global, "setTimeout").mockImplementation((fn) => fn());
+      releaseOrderStock.mockRejectedValueOnce(
+        Object.assign(new Error("WriteConflict"), { code: 112, codeName: "WriteConflict" })
+      );
+      const modifiedOnSave = [];
+      order.save.mockImplementation(async () => {
+        modifiedOnSave.push(order.isModified("orderStatus"));
+        // What a successful save does to the document
+        order.$__reset();
+        return order;
+      });
+
+      await transitionOrder(order, { orderStatus: "cancelled" });
+
+      expect(modifiedOnSave).toEqual([true, true]);
+      expect(session.abortTransaction).toHaveBeenCalledTimes(1);
+      expect(session.commitTransaction).toHaveBeenCalledTimes(1);
+      expect(order.statusHistory).toHaveLength(1);
+    });
+
+    it("cancels the PaymentIntent of an unpaid card order", async () => {
+      const order = buildOrder({ paymentStatus: "pending" });
+
+      await transitionOrder(order, { orderStatus: "cancelled", actor: "customer" });
+
+      expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith("pi_test_123");
+      expect(order.orderStatus).toBe("cancelled");
+    });
+
+    it("refuses to cancel when Stripe has already taken the payment", async () => {
+      const order = buildOrder({ paymentStatus: "pending" });
+      stripe.paymentIntents.retrieve.mockResolvedValue({ status: "succeeded" });
+
+      await expect(
+        transitionOrder(order, { orderStatus: "cancelled", actor: "customer" })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(stripe.paymentIntents.cancel).not.toHaveBeenCalled();
+      expect(order.orderStatus).toBe("processing");
+      expect(releaseOrderStock).not.toHaveBeenCalled();
+    });
+
+    it("refuses to cancel a paid order until it has been refunded", async () => {
+      const order = buildOrder();
+
+      await expect(
+        transitionOrder(order, { orderStatus: "cancelled", actor: "admin" })
+      ).rejects.toMatchObject({ statusCode: 409 });
+
+      order.refunds.push({ stripeRefundId: "re_1", amount: 110, status: "pending" });
+      await transitionOrder(order, { orderStatus: "cancelled", actor: "admin" });
+      expect(order.orderStatus).toBe("cancelled");
+    });
+
+    it("uses the caller's session instead of starting a transaction", async () => {
+      const order = buildOrder();
+      const callerSession = {};
+
+      await transitionOrder(order, { paymentStatus: "refunded", session: callerSession });
+
+      expect(mongoose.startSession).not.toHaveBeenCalled();
+      expect(order.save).toHaveBeenCalledWith({ session: callerSession });
+    });
+  });
+});
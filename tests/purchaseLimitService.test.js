@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+const Order = require("../src/models/order.model");
+const Product = require("../src/models/product.model");
+const { getPurchaseLimits, assertPurchaseLimits } = require("../src/services/purchaseLimitService");
+const { mockQuery, productId } = require("./helpers");
+
+describe("purchaseLimitService", () => {
+  const userId = new mongoose.Types.ObjectId();
+  let product;
+  let black;
+  let red;
+
+  beforeEach(() => {
+    product = new Product({
+      _id: productId,
+      name: "Phone case",
+      product_type: "variable",
+      variants: [
+        { sku: "CASE-BLK", color: "Black", stock: 10 },
+        { sku: "CASE-RED", color: "Red", stock: 10 },
+      ],
+    });
+    [black, red] = product.variants;
+    jest.spyOn(Order, "aggregate").mockReturnValue(mockQuery([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const line = (variant, quantity) => ({ product, variantId: String(variant._id), quantity });
+
+  it("lets a limit set on the variant override the product's", () => {
+    product.maxOrderQty = 5;
+    red.maxOrderQty = 1;
+
+    expect(getPurchaseLimits(product, black).maxOrderQty).toEqual({ value: 5, scope: "product" });
+    expect(getPurchaseLimits(product, red).maxOrderQty).toEqual({ value: 1, scope: "variant" });
+  });
+
+  it("adds up all variants against a product-level maxOrderQty", async () => {
+    product.maxOrderQty = 3;
+
+    await expect(assertPurchaseLimits([line(black, 2), line(red, 1)])).resolves.toBeUndefined();
+    await expect(assertPurchaseLimits([line(black, 2), line(red, 2)])).rejects.toMatchObject({
+      statusCode: 400,
+      message: "You can order at most 3 of Phone case at a time",
+    });
+  });
+
+  it("names the variant when its own minimum is not met", async () => {
+    red.minOrderQty = 2;
+
+    await expect(assertPurchaseLimits([line(black, 5), line(red, 1)])).rejects.toMatchObject({
+      message: "Minimum order quantity for Phone case (Red) is 2",
+    });
+  });
+
+  it("counts what the customer bought in the window against the purchase cap", async () => {
+    product.purchaseCap = { quantity: 4, days: 7 };
+    Order.aggregate.mockReturnValue(mockQuery([{ quantity: 3 }]));
+
+    await expect(
+      assertPurchaseLimits([line(black, 2)], { userId, email: "Buyer@Example.com" })
+    ).rejects.toMatchObject({
+      message: "Phone case is limited to 4 per customer every 7 days; you can buy 1 more",
+    });
+
+    // Account and checkout email both count, cancelled orders don't
+    const [{ $match }] = Order.aggregate.mock.calls[0][0];
+    expect($match.$or).toEqual([{ user: userId }, { "guest.email": "buyer@example.com" }]);
+    expect($match.orderStatus).toEqual({ $ne: "cancelled" });
+  });
+
+  it("caps a single order of an unknown customer without looking up past orders", async () => {
+    product.purchaseCap = { quantity: 2 };
+
+    await expect(assertPurchaseLimits([line(black, 2)])).resolves.toBeUndefined();
+    await expect(assertPurchaseLimits([line(black, 3)])).rejects.toMatchObject({
+      statusCode: 400,
+    });
+    expect(Order.aggregate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,278 @@
+jest.mock("../src/utils/email");
+jest.mock("../src/services/inventoryService");
+jest.mock("../src/services/stockReservationService");
+jest.mock("../src/services/couponRedemptionService");
+jest.mock("../src/services/dealStockService");
+
+const mongoose = require("mongoose");
+const Order = require("../src/models/order.model");
+const { setStripeClient } = require("../src/utils/stripeClient");
+const { restockItem } = require("../src/services/inventoryService");
+const {
+  createRefund,
+  applyStripeRefund,
+  reconcileRefunds,
+} = require("../src/services/refundService");
+const {
+  mockQuery,
+  mockSession,
+  createStripeStub,
+  buildOrder,
+  mockRefundClaim,
+  productId,
+} = require("./helpers");
+
+describe("refundService", () => {
+  let stripe;
+  let session;
+
+  beforeEach(() => {
+    stripe = createStripeStub();
+    setStripeClient(stripe);
+    session = mockSession();
+    mockRefundClaim();
+  });
+
+  afterEach(() => {
+    setStripeClient(null);
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe("createRefund", () => {
+    it("refunds everything still refundable when no items or amount are given", async () => {
+      const order = buildOrder();
+      stripe.refunds.create.mockResolvedValue({ id: "re_full", status: "succeeded" });
+
+      const refund = await createRefund(order, { reason: "Customer changed their mind" });
+
+      expect(stripe.refunds.create).toHaveBeenCalledWith(
+        expect.objectContaining({ payment_intent: "pi_test_123", amount: 11000 }),
+        expect.anything()
+      );
+      expect(refund.stripeRefundId).toBe("re_full");
+      expect(refund.method).toBe("stripe");
+      expect(order.refundedAmount).toBe(110);
+      expect(order.paymentStatus).toBe("refunded");
+      expect(session.commitTransaction).toHaveBeenCalled();
+    });
+
+    it("refunds the share of single units and marks the order partially refunded", async () => {
+      const order = buildOrder();
+      stripe.refunds.create.mockResolvedValue({ id: "re_part", status: "succeeded" });
+
+      const refund = await createRefund(order, { items: [{ productId, quantity: 1 }] });
+
+      // 40 of the 100 merchandise; shipping stays with the order
+      expect(refund.amount).toBe(40);
+      expect(stripe.refunds.create).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 4000 }),
+        expect.anything()
+      );
+      expect(refund.items[0]).toMatchObject({ quantity: 1, amount: 40 });
+      expect(order.paymentStatus).toBe("partially_refunded");
+      expect(order.refundableAmount).toBe(70);
+    });
+
+    it("keeps the payment status while a refund is pending", async () => {
+      const order = buildOrder();
+      stripe.refunds.create.mockResolvedValue({ id: "re_pending", status: "pending" });
+
+      await createRefund(order, { amount: 25 });
+
+      expect(order.paymentStatus).toBe("paid");
+      expect(order.refundableAmount).toBe(85);
+    });
+
+    it("puts refunded units back into stock in the refund's transaction", async () => {
+      const order = buildOrder();
+      stripe.refunds.create.mockResolvedValue({ id: "re_stock", status: "succeeded" });
+
+      const refund = await createRefund(order, {
+        items: [{ productId, quantity: 2 }],
+        restock: true,
+      });
+
+      expect(refund.restocked).toBe(true);
+      expect(restockItem).toHaveBeenCalledWith(
+        expect.objectContaining({ productId, quantity: 2, reason: "return", session })
+      );
+      expect(order.save).toHaveBeenCalledWith({ session });
+      expect(session.commitTransaction).toHaveBeenCalled();
+    });
+
+    it("keeps units off the shelf until a pending refund succeeds", async () => {
+      const order = buildOrder();
+      stripe.refunds.create.mockResolvedValue({ id: "re_wait", status: "pending" });
+
+      const refund = await createRefund(order, {
+        items: [{ productId, quantity: 1 }],
+        restock: true,
+      });
+
+      expect(restockItem).not.toHaveBeenCalled();
+      expect(refund).toMatchObject({ restock: true, restocked: false });
+
+      await reconcileRefunds(order, [{ id: "re_wait", amount: 4000, status: "succeeded" }]);
+      await reconcileRefunds(order, [{ id: "re_wait", amount: 4000, status: "succeeded" }]);
+
+      expect(restockItem).toHaveBeenCalledTimes(1);
+      expect(order.refunds[0].restocked).toBe(true);
+    });
+
+    it("never restocks a refund that failed", async () => {
+      const order = buildOrder();
+      stripe.refunds.create.mockResolvedValue({ id: "re_fail", status: "pending" });
+
+      await createRefund(order, { items: [{ productId, quantity: 1 }], restock: true });
+      await reconcileRefunds(order, [{ id: "re_fail", amount: 4000, status: "failed" }]);
+
+      expect(restockItem).not.toHaveBeenCalled();
+    });
+
+    it("aborts the transaction when the restock fails", async () => {
+      const order = buildOrder();
+      stripe.refunds.create.mockResolvedValue({ id: "re_boom", status: "succeeded" });
+      restockItem.mockRejectedValueOnce(new Error("boom"));
+
+      await expect(
+        createRefund(order, { items: [{ productId, quantity: 1 }], restock: true })
+      ).rejects.toThrow("boom");
+      expect(session.abortTransaction).toHaveBeenCalled();
+      expect(order.save).not.toHaveBeenCalled();
+    });
+
+    it("claims the amount on the order before calling Stripe, with an idempotency key", async () => {
+      const order = buildOrder();
+      stripe.refunds.create.mockResolvedValue({ id: "re_key", status: "pending" });
+
+      const refund = await createRefund(order, { amount: 30 });
+
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: order._id, $expr: expect.any(Object) }),
+        { $push: { refunds: expect.objectContaining({ amount: 30, status: "pending" }) } },
+        expect.objectContaining({ new: true })
+      );
+      expect(Order.findOneAndUpdate.mock.invocationCallOrder[0]).toBeLessThan(
+        stripe.refunds.create.mock.invocationCallOrder[0]
+      );
+      const [params, options] = stripe.refunds.create.mock.calls[0];
+      expect(params.metadata.refundId).toBe(refund._id.toString());
+      expect(options).toEqual({ idempotencyKey: `refund-${refund._id}` });
+    });
+
+    it("refuses a refund that lost the race for the same money", async () => {
+      const order = buildOrder();
+      Order.findOneAndUpdate.mockReturnValue(mockQuery(null));
+
+      await expect(createRefund(order, { amount: 100 })).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      expect(stripe.refunds.create).not.toHaveBeenCalled();
+    });
+
+    it("gives the claimed amount back when Stripe rejects the refund", async () => {
+      const order = buildOrder();
+      stripe.refunds.create.mockRejectedValue(new Error("Charge already refunded"));
+
+      await expect(createRefund(order, { amount: 30 })).rejects.toThrow("Charge already refunded");
+      expect(order.refunds[0]).toMatchObject({
+        status: "failed",
+        failureReason: "Charge already refunded",
+      });
+      expect(order.refundableAmount).toBe(110);
+      expect(order.save).toHaveBeenCalled();
+    });
+
+    it("rejects more units than are left to refund", async () => {
+      const order = buildOrder();
+
+      await expect(
+        createRefund(order, { items: [{ productId, quantity: 3 }] })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(stripe.refunds.create).not.toHaveBeenCalled();
+    });
+
+    it("rejects amounts above what is still refundable", async () => {
+      const order = buildOrder();
+
+      await expect(createRefund(order, { amount: 120 })).rejects.toMatchObject({
+        statusCode: 400,
+      });
+    });
+
+    it("refuses orders that have not been paid", async () => {
+      const order = buildOrder({ paymentStatus: "pending" });
+
+      await expect(createRefund(order, {})).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it("records COD refunds as manual without calling Stripe", async () => {
+      const order = buildOrder({ paymentMethod: "cod", paymentIntentId: null });
+
+      const refund = await createRefund(order, { amount: 30 });
+
+      expect(stripe.refunds.create).not.toHaveBeenCalled();
+      expect(refund).toMatchObject({ method: "manual", status: "succeeded", amount: 30 });
+      expect(order.paymentStatus).toBe("partially_refunded");
+    });
+  });
+
+  describe("applyStripeRefund", () => {
+    it("updates the matching record and reports no change for a repeated status", () => {
+      const order = buildOrder({
+        refunds: [{ stripeRefundId: "re_1", amount: 40, status: "pending" }],
+      });
+
+      expect(applyStripeRefund(order, { id: "re_1", amount: 4000, status: "succeeded" })).toBe(true);
+      expect(order.refunds[0].status).toBe("succeeded");
+      expect(applyStripeRefund(order, { id: "re_1", amount: 4000, status: "succeeded" })).toBe(false);
+    });
+
+    it("finds a record whose Stripe id was never saved by its refund id", () => {
+      const refundId = new mongoose.Types.ObjectId();
+      const order = buildOrder({ refunds: [{ _id: refundId, amount: 40, status: "pending" }] });
+      const record = order.refunds[0];
+
+      applyStripeRefund(order, {
+        id: "re_late",
+        amount: 4000,
+        status: "succeeded",
+        metadata: { refundId: refundId.toString() },
+      });
+
+      expect(order.refunds).toHaveLength(1);
+      expect(record).toMatchObject({ stripeRefundId: "re_late", status: "succeeded" });
+    });
+  });
+
+  describe("reconcileRefunds", () => {
+    it("adds refunds issued from the Stripe dashboard and settles the payment status", async () => {
+      const order = buildOrder({
+        refunds: [{ stripeRefundId: "re_1", amount: 40, status: "pending" }],
+      });
+      stripe.refunds.list.mockResolvedValue({
+        data: [
+          { id: "re_1", amount: 4000, status: "succeeded" },
+          { id: "re_dashboard", amount: 7000, status: "succeeded" },
+        ],
+      });
+
+      await reconcileRefunds(order);
+
+      expect(stripe.refunds.list).toHaveBeenCalledWith({ payment_intent: "pi_test_123", limit: 100 });
+      expect(order.refunds).toHaveLength(2);
+      expect(order.refundedAmount).toBe(110);
+      expect(order.paymentStatus).toBe("refunded");
+    });
+
+    it("uses the refunds it is given instead of fetching them", async () => {
+      const order = buildOrder();
+
+      await reconcileRefunds(order, [{ id: "re_2", amount: 1000, status: "succeeded" }]);
+
+      expect(stripe.refunds.list).not.toHaveBeenCalled();
+      expect(order.paymentStatus).toBe("partially_refunded");
+    });
+  });
+});
@@ -0,0 +1,117 @@
+jest.mock("../src/services/inventoryService");
+jest.mock("../src/services/orderLifecycleService");
+
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const Order = require("../src/models/order.model");
+const ReturnRequest = require("../src/models/returnRequest.model");
+const returnController = require("../src/controllers/return.controller");
+const errorHandler = require("../src/middleware/error");
+const { mockQuery, buildOrder, productId } = require("./helpers");
+
+const customerId = new mongoose.Types.ObjectId();
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { _id: customerId, role: "user" };
+  next();
+});
+app.post("/api/v1/returns", returnController.createReturn);
+app.use(errorHandler);
+
+describe("return requests", () => {
+  let order;
+
+  const deliveredOrder = (overrides = {}) =>
+    buildOrder({
+      user: customerId,
+      orderStatus: "delivered",
+      statusHistory: [{ type: "order", to: "delivered", actor: "admin", createdAt: new Date() }],
+      ...overrides,
+    });
+
+  beforeEach(() => {
+    jest.spyOn(ReturnRequest, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(ReturnRequest, "create").mockImplementation(async (data) => ({
+      ...data,
+      _id: new mongoose.Types.ObjectId(),
+      rmaNumber: "RMA-2026-000001",
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const requestReturn = (quantity) => {
+    jest.spyOn(Order, "findById").mockResolvedValue(order);
+    return request(app)
+      .post("/api/v1/returns")
+      .send({
+        orderId: order._id.toString(),
+        reason: ReturnRequest.RETURN_REASONS[0],
+        items: [{ productId: productId.toString(), quantity }],
+      });
+  };
+
+  it("accepts units that are still returnable", async () => {
+    order = deliveredOrder();
+
+    const res = await requestReturn(2);
+
+    expect(res.status).toBe(201);
+    expect(ReturnRequest.create).toHaveBeenCalledWith(
+      expect.objectContaining({ items: [expect.objectContaining({ quantity: 2, unitPrice: 40 })] })
+    );
+  });
+
+  it("does not let units that were already refunded be returned", async () => {
+    order = deliveredOrder({
+      paymentStatus: "partially_refunded",
+      refunds: [
+        {
+          amount: 40,
+          status: "succeeded",
+          items: [{ product: productId, quantity: 1, amount: 40 }],
+        },
+      ],
+    });
+
+    const res = await requestReturn(2);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Only 1 unit/);
+    expect(ReturnRequest.create).not.toHaveBeenCalled();
+  });
+
+  it("counts a return's own refund once, through the return request", async () => {
+    const rmaId = new mongoose.Types.ObjectId();
+    order = deliveredOrder({
+      refunds: [
+        {
+          amount: 40,
+          status: "succeeded",
+          returnRequest: rmaId,
+          items: [{ product: productId, quantity: 1, amount: 40 }],
+        },
+      ],
+    });
+    ReturnRequest.find.mockReturnValue(
+      mockQuery([{ _id: rmaId, items: [{ product: productId, quantity: 1 }] }])
+    );
+
+    const res = await requestReturn(1);
+
+    expect(res.status).toBe(201);
+  });
+
+  it("rejects returns of orders that were not delivered", async () => {
+    order = deliveredOrder({ orderStatus: "shipped" });
+
+    const res = await requestReturn(1);
+
+    expect(res.status).toBe(400);
+  });
+});
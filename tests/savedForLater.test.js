@@ -0,0 +1,106 @@
+jest.mock("../src/utils/calculateCartTotals");
+jest.mock("../src/services/dealEvaluationService");
+jest.mock("../src/services/purchaseLimitService");
+
+const express = require("express");
+const request = require("supertest");
+const Cart = require("../src/models/cart.model");
+const Product = require("../src/models/product.model");
+const calculateCartTotals = require("../src/utils/calculateCartTotals");
+const { applyDealsToProducts } = require("../src/services/dealEvaluationService");
+const { assertPurchaseLimits } = require("../src/services/purchaseLimitService");
+const cartController = require("../src/controllers/cart.controller");
+const errorHandler = require("../src/middleware/error");
+const { mockQuery, productId, otherProductId } = require("./helpers");
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.cartOwner = { user: null, guestToken: "guest-token", filter: { guestToken: "guest-token" } };
+  next();
+});
+app.post("/api/v1/cart/saved/:productId", cartController.saveForLater);
+app.post("/api/v1/cart/saved/:productId/move-to-cart", cartController.moveSavedToCart);
+app.delete("/api/v1/cart/saved/:productId", cartController.removeSavedItem);
+app.use(errorHandler);
+
+describe("saved for later", () => {
+  let cart;
+  let product;
+
+  beforeEach(() => {
+    cart = new Cart({
+      guestToken: "guest-token",
+      items: [
+        { product: productId, quantity: 2 },
+        { product: otherProductId, quantity: 1 },
+      ],
+    });
+    jest.spyOn(cart, "save").mockResolvedValue(cart);
+    jest.spyOn(Cart, "findOne").mockReturnValue(mockQuery(cart));
+    product = new Product({ _id: productId, product_type: "simple", quantity: 3 });
+    jest.spyOn(Product, "findById").mockReturnValue(mockQuery(product));
+    jest.spyOn(Product, "find").mockReturnValue(mockQuery([]));
+    applyDealsToProducts.mockImplementation(async (products) => products);
+    calculateCartTotals.mockImplementation(async (c) => c);
+    assertPurchaseLimits.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  const lines = (items) => [...items].map((i) => [String(i.product), i.quantity]);
+
+  it("moves a cart line to the saved list and reprices the cart", async () => {
+    const res = await request(app).post(`/api/v1/cart/saved/${productId}`).send({});
+
+    expect(res.status).toBe(200);
+    expect(lines(cart.items)).toEqual([[String(otherProductId), 1]]);
+    expect(lines(cart.savedItems)).toEqual([[String(productId), 2]]);
+    expect(calculateCartTotals).toHaveBeenCalledWith(cart, null);
+    expect(cart.save).toHaveBeenCalled();
+  });
+
+  it("adds to a line that was already saved", async () => {
+    cart.savedItems.push({ product: productId, quantity: 1 });
+
+    await request(app).post(`/api/v1/cart/saved/${productId}`).send({});
+
+    expect(lines(cart.savedItems)).toEqual([[String(productId), 3]]);
+  });
+
+  it("moves a saved item back, joining the line already in the cart", async () => {
+    cart.items = [{ product: productId, quantity: 1 }];
+    cart.savedItems.push({ product: productId, quantity: 2 });
+
+    const res = await request(app).post(`/api/v1/cart/saved/${productId}/move-to-cart`).send({});
+
+    expect(res.status).toBe(200);
+    expect(lines(cart.items)).toEqual([[String(productId), 3]]);
+    expect(cart.savedItems).toHaveLength(0);
+  });
+
+  it("keeps the item saved when there isn't enough stock to move it", async () => {
+    cart.savedItems.push({ product: productId, quantity: 2 });
+    product.quantity = 1;
+
+    const res = await request(app).post(`/api/v1/cart/saved/${productId}/move-to-cart`).send({});
+
+    expect(res.status).toBe(400);
+    expect(lines(cart.savedItems)).toEqual([[String(productId), 2]]);
+    expect(cart.save).not.toHaveBeenCalled();
+  });
+
+  it("removes a saved item, and answers 404 for one that isn't saved", async () => {
+    cart.savedItems.push({ product: productId, quantity: 2 });
+
+    const removed = await request(app).delete(`/api/v1/cart/saved/${productId}`);
+    const missing = await request(app).delete(`/api/v1/cart/saved/${productId}`);
+
+    expect(removed.status).toBe(200);
+    expect(cart.savedItems).toHaveLength(0);
+    expect(missing.status).toBe(404);
+  });
+});
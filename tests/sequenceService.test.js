@@ -0,0 +1,53 @@
+const Counter = require("../src/models/counter.model");
+const {
+  nextSequence,
+  nextYearlyNumber,
+  ensureSequenceAtLeast,
+} = require("../src/services/sequenceService");
+
+describe("sequenceService", () => {
+  let counters;
+
+  beforeEach(() => {
+    // In-memory counters collection understanding the $inc / $max upserts in use
+    counters = new Map();
+    jest.spyOn(Counter, "findOneAndUpdate").mockImplementation(async ({ _id }, update) => {
+      const seq = counters.get(_id) || 0;
+      if (update.$inc) counters.set(_id, seq + update.$inc.seq);
+      if (update.$max) counters.set(_id, Math.max(seq, update.$max.seq));
+      return { _id, seq: counters.get(_id) };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("hands out consecutive numbers, even to concurrent callers", async () => {
+    const numbers = await Promise.all(Array.from({ length: 20 }, () => nextSequence("order")));
+
+    expect(new Set(numbers).size).toBe(20);
+    expect([...numbers].sort((a, b) => a - b)).toEqual(Array.from({ length: 20 }, (_, i) => i + 1));
+  });
+
+  it("retries once when two first-ever upserts race on the same counter", async () => {
+    Counter.findOneAndUpdate.mockRejectedValueOnce(Object.assign(new Error("dup"), { code: 11000 }));
+
+    await expect(nextSequence("contact")).resolves.toBe(1);
+    expect(Counter.findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  it("formats yearly numbers and restarts them every year", async () => {
+    await expect(nextYearlyNumber("order", "ORD", { year: 2025 })).resolves.toBe("ORD-2025-000001");
+    await expect(nextYearlyNumber("order", "ORD", { year: 2025 })).resolves.toBe("ORD-2025-000002");
+    await expect(nextYearlyNumber("order", "ORD", { year: 2026, pad: 4 })).resolves.toBe(
+      "ORD-2026-0001"
+    );
+  });
+
+  it("raises a counter when seeding but never lowers it", async () => {
+    await expect(ensureSequenceAtLeast("order:2026", 41)).resolves.toBe(41);
+    await expect(ensureSequenceAtLeast("order:2026", 10)).resolves.toBe(41);
+    await expect(nextSequence("order:2026")).resolves.toBe(42);
+  });
+});
@@ -0,0 +1,147 @@
+jest.mock("../src/utils/calculateCartTotals");
+jest.mock("../src/services/purchaseLimitService");
+jest.mock("../src/services/couponRedemptionService");
+
+const mongoose = require("mongoose");
+const Cart = require("../src/models/cart.model");
+const Product = require("../src/models/product.model");
+const SharedCart = require("../src/models/sharedCart.model");
+const AppError = require("../src/utils/appError");
+const calculateCartTotals = require("../src/utils/calculateCartTotals");
+const { assertPurchaseLimits } = require("../src/services/purchaseLimitService");
+const { createSharedCart, importSharedCart } = require("../src/services/sharedCartService");
+const { mockQuery, productId, otherProductId } = require("./helpers");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("sharedCartService", () => {
+  const variantId = new mongoose.Types.ObjectId();
+  const owner = { user: null, guestToken: "guest-token", filter: { guestToken: "guest-token" } };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe("createSharedCart", () => {
+    const cart = () =>
+      new Cart({
+        guestToken: "guest-token",
+        items: [{ product: productId, quantity: 2, variantId: `${variantId}.1` }],
+      });
+
+    it("snapshots the lines behind a new token, retrying a token collision", async () => {
+      const duplicate = Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+      jest
+        .spyOn(SharedCart, "create")
+        .mockRejectedValueOnce(duplicate)
+        .mockImplementation(async (data) => data);
+
+      const shared = await createSharedCart(cart(), { expiresInDays: 3, maxRedemptions: 1 });
+
+      expect(SharedCart.create).toHaveBeenCalledTimes(2);
+      expect(shared.token).toMatch(/^[\w-]{8}$/);
+      expect([...shared.items]).toEqual([
+        { product: productId, variantId: String(variantId), quantity: 2 },
+      ]);
+      expect(shared.maxRedemptions).toBe(1);
+      expect(shared.expiresAt.getTime()).toBeGreaterThan(Date.now() + 3 * DAY - 60000);
+    });
+
+    it("refuses empty carts and expiries beyond the maximum", async () => {
+      jest.spyOn(SharedCart, "create");
+
+      await expect(createSharedCart(new Cart({ items: [] }))).rejects.toMatchObject({
+        statusCode: 400,
+      });
+      await expect(createSharedCart(cart(), { expiresInDays: 365 })).rejects.toMatchObject({
+        statusCode: 400,
+      });
+      expect(SharedCart.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("importSharedCart", () => {
+    let sharedCart;
+    let cart;
+    let products;
+
+    beforeEach(() => {
+      sharedCart = new SharedCart({
+        token: "abcd1234",
+        items: [
+          { product: productId, quantity: 3 },
+          { product: otherProductId, quantity: 1 },
+        ],
+        expiresAt: new Date(Date.now() + DAY),
+        maxRedemptions: 2,
+        redemptionCount: 1,
+      });
+      jest.spyOn(SharedCart, "findOne").mockResolvedValue(sharedCart);
+      jest.spyOn(SharedCart, "findOneAndUpdate").mockResolvedValue(sharedCart);
+      jest.spyOn(SharedCart, "updateOne").mockResolvedValue({});
+
+      cart = new Cart({ guestToken: "guest-token", items: [] });
+      jest.spyOn(cart, "save").mockResolvedValue(cart);
+      jest.spyOn(Cart, "findOne").mockResolvedValue(cart);
+
+      // Only 2 of the first product left, the second one was switched off
+      products = [
+        new Product({ _id: productId, product_type: "simple", in_stock: true, quantity: 2 }),
+      ];
+      jest.spyOn(Product, "find").mockImplementation(() => mockQuery(products));
+      calculateCartTotals.mockImplementation(async (c) => c);
+      assertPurchaseLimits.mockResolvedValue();
+    });
+
+    it("adds what is still available to the cart and reports the rest", async () => {
+      const result = await importSharedCart("abcd1234", owner);
+
+      expect([...cart.items].map((i) => [String(i.product), i.quantity])).toEqual([
+        [String(productId), 2],
+      ]);
+      expect(result.adjustments).toEqual([
+        expect.objectContaining({ product: productId, quantity: 2, status: "capped" }),
+        expect.objectContaining({ product: otherProductId, quantity: 0, status: "removed" }),
+      ]);
+      expect(cart.save).toHaveBeenCalled();
+      expect(SharedCart.updateOne).not.toHaveBeenCalled();
+    });
+
+    it("claims a redemption only while the link has some left", async () => {
+      SharedCart.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(importSharedCart("abcd1234", owner)).rejects.toMatchObject({
+        statusCode: 410,
+      });
+
+      const [filter, update] = SharedCart.findOneAndUpdate.mock.calls[0];
+      expect(filter.$or[1]).toEqual({ $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } });
+      expect(update.$inc).toEqual({ redemptionCount: 1 });
+      expect(cart.save).not.toHaveBeenCalled();
+    });
+
+    it("refuses expired links", async () => {
+      sharedCart.expiresAt = new Date(Date.now() - 1000);
+
+      await expect(importSharedCart("abcd1234", owner)).rejects.toMatchObject({
+        statusCode: 410,
+      });
+      expect(SharedCart.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("gives the redemption back when the import fails", async () => {
+      assertPurchaseLimits.mockRejectedValue(new AppError("Purchase limit reached", 400));
+
+      await expect(importSharedCart("abcd1234", owner)).rejects.toMatchObject({
+        statusCode: 400,
+      });
+
+      expect(SharedCart.updateOne).toHaveBeenCalledWith(
+        { _id: sharedCart._id },
+        { $inc: { redemptionCount: -1 } }
+      );
+      expect(cart.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,63 @@
+jest.mock("../src/services/inventoryService");
+jest.mock("../src/services/orderLifecycleService");
+
+const Order = require("../src/models/order.model");
+const StockReservation = require("../src/models/stockReservation.model");
+const { setStripeClient } = require("../src/utils/stripeClient");
+const { transitionOrder } = require("../src/services/orderLifecycleService");
+const { sweepExpiredReservations } = require("../src/services/stockReservationService");
+const { mockQuery, createStripeStub, buildOrder } = require("./helpers");
+
+describe("stockReservationService.sweepExpiredReservations", () => {
+  let stripe;
+
+  beforeEach(() => {
+    stripe = createStripeStub();
+    setStripeClient(stripe);
+    jest.spyOn(StockReservation, "find").mockReturnValue(mockQuery([]));
+  });
+
+  afterEach(() => {
+    setStripeClient(null);
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it("pages past a full batch of orders it has to skip", async () => {
+    // A whole batch still settling at Stripe, then one order that really is stale
+    const settling = Array.from({ length: 100 }, () =>
+      buildOrder({ paymentStatus: "pending", paymentIntentId: "pi_settling" })
+    );
+    const stale = buildOrder({ paymentStatus: "pending", paymentIntentId: "pi_stale" });
+    jest
+      .spyOn(Order, "find")
+      .mockReturnValueOnce(mockQuery(settling))
+      .mockReturnValueOnce(mockQuery([stale]));
+    stripe.paymentIntents.retrieve.mockImplementation(async (id) => ({
+      status: id === "pi_settling" ? "processing" : "requires_payment_method",
+    }));
+
+    const summary = await sweepExpiredReservations();
+
+    expect(Order.find).toHaveBeenCalledTimes(2);
+    expect(Order.find.mock.calls[1][0]).toMatchObject({
+      _id: { $gt: settling[settling.length - 1]._id },
+    });
+    expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith("pi_stale");
+    expect(transitionOrder).toHaveBeenCalledTimes(1);
+    expect(transitionOrder).toHaveBeenCalledWith(
+      stale,
+      expect.objectContaining({ orderStatus: "cancelled", actor: "cron" })
+    );
+    expect(summary).toMatchObject({ cancelled: 1, skipped: 100 });
+  });
+
+  it("stops after a batch that is not full", async () => {
+    jest.spyOn(Order, "find").mockReturnValue(mockQuery([]));
+
+    await sweepExpiredReservations();
+
+    expect(Order.find).toHaveBeenCalledTimes(1);
+    expect(StockReservation.find).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,154 @@
+jest.mock("../src/utils/email");
+jest.mock("../src/services/inventoryService");
+jest.mock("../src/services/stockReservationService");
+jest.mock("../src/services/couponRedemptionService");
+jest.mock("../src/services/dealStockService");
+jest.mock("../src/services/orderEmailService");
+
+const express = require("express");
+const request = require("supertest");
+const Order = require("../src/models/order.model");
+const { setStripeClient } = require("../src/utils/stripeClient");
+const stripeWebhook = require("../src/routes/stripeWebhook.route");
+const {
+  mockQuery,
+  mockSession,
+  createStripeStub,
+  buildOrder,
+  mockRefundClaim,
+} = require("./helpers");
+
+const app = express();
+app.use("/api/stripe", stripeWebhook);
+
+// The stub's constructEvent turns the raw body back into the event
+const postEvent = (event) =>
+  request(app)
+    .post("/api/stripe/webhook")
+    .set("Content-Type", "application/json")
+    .set("stripe-signature", "t=1,v1=test")
+    .send(JSON.stringify(event));
+
+describe("Stripe webhook refund events", () => {
+  let stripe;
+  let order;
+
+  beforeEach(() => {
+    stripe = createStripeStub();
+    setStripeClient(stripe);
+    mockSession();
+    mockRefundClaim();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    order = buildOrder();
+    jest.spyOn(Order, "findOne").mockImplementation(() => mockQuery(order));
+  });
+
+  afterEach(() => {
+    setStripeClient(null);
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it("rejects events without a signature", async () => {
+    const res = await request(app).post("/api/stripe/webhook").send("{}");
+
+    expect(res.status).toBe(400);
+    expect(stripe.webhooks.constructEvent).not.toHaveBeenCalled();
+  });
+
+  it("refunds a payment that succeeds after the order was cancelled", async () => {
+    order = buildOrder({ orderStatus: "cancelled", paymentStatus: "pending" });
+    stripe.refunds.create.mockResolvedValue({ id: "re_auto", status: "pending" });
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    const res = await postEvent({
+      type: "payment_intent.succeeded",
+      data: { object: { id: "pi_test_123" } },
+    });
+
+    expect(res.status).toBe(200);
+    expect(order.orderStatus).toBe("cancelled");
+    expect(stripe.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: "pi_test_123", amount: 11000 }),
+      expect.anything()
+    );
+    expect(order.refundableAmount).toBe(0);
+  });
+
+  it("charge.refunded records the refunds carried by the charge", async () => {
+    const res = await postEvent({
+      type: "charge.refunded",
+      data: {
+        object: {
+          payment_intent: "pi_test_123",
+          refunds: {
+            has_more: false,
+            data: [{ id: "re_dashboard", amount: 11000, status: "succeeded" }],
+          },
+        },
+      },
+    });
+
+    expect(res.status).toBe(200);
+    expect(Order.findOne).toHaveBeenCalledWith({ paymentIntentId: "pi_test_123" });
+    expect(stripe.refunds.list).not.toHaveBeenCalled();
+    expect(order.refunds[0]).toMatchObject({ stripeRefundId: "re_dashboard", amount: 110 });
+    expect(order.paymentStatus).toBe("refunded");
+  });
+
+  it("charge.refunded fetches the refunds when the payload is truncated", async () => {
+    stripe.refunds.list.mockResolvedValue({
+      data: [{ id: "re_1", amount: 2000, status: "succeeded" }],
+    });
+
+    const res = await postEvent({
+      type: "charge.refunded",
+      data: { object: { payment_intent: "pi_test_123", refunds: { has_more: true, data: [] } } },
+    });
+
+    expect(res.status).toBe(200);
+    expect(stripe.refunds.list).toHaveBeenCalledWith({ payment_intent: "pi_test_123", limit: 100 });
+    expect(order.paymentStatus).toBe("partially_refunded");
+  });
+
+  it("refund.updated settles a pending refund", async () => {
+    order = buildOrder({ refunds: [{ stripeRefundId: "re_1", amount: 40, status: "pending" }] });
+
+    const res = await postEvent({
+      type: "refund.updated",
+      data: {
+        object: { id: "re_1", payment_intent: "pi_test_123", amount: 4000, status: "succeeded" },
+      },
+    });
+
+    expect(res.status).toBe(200);
+    expect(order.refunds[0].status).toBe("succeeded");
+    expect(order.paymentStatus).toBe("partially_refunded");
+  });
+
+  it("charge.refund.updated records a failed refund without touching the payment status", async () => {
+    order = buildOrder({ refunds: [{ stripeRefundId: "re_1", amount: 40, status: "pending" }] });
+
+    const res = await postEvent({
+      type: "charge.refund.updated",
+      data: {
+        object: {
+          id: "re_1",
+          payment_intent: "pi_test_123",
+          amount: 4000,
+          status: "failed",
+          failure_reason: "expired_or_canceled_card",
+        },
+      },
+    });
+
+    expect(res.status).toBe(200);
+    expect(order.refunds[0]).toMatchObject({
+      status: "failed",
+      failureReason: "expired_or_canceled_card",
+    });
+    expect(order.paymentStatus).toBe("paid");
+    expect(order.refundableAmount).toBe(110);
+  });
+});